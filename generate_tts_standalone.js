@@ -1,6 +1,6 @@
 /**
  * Standalone script to generate TTS files with predefined scripts
- * Run with: node improved-generate-tts-standalone.js
+ * Run with: node generate_tts_standalone.js [--providers openai,espeak] [--voice nova]
  */
 
 require('dotenv').config();
@@ -9,6 +9,8 @@ const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
 const { exec } = require('child_process');
+const { loadConfig } = require('./lib/config');
+const { createTtsEngine } = require('./lib/tts-providers');
 
 // Wait for a specified time
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
@@ -23,113 +25,6 @@ function generateUniqueFilename(ext = 'wav') {
   return `bot-tts-${timestamp}-${randomString}.${ext}`;
 }
 
-/**
- * Platform-specific TTS implementation as last resort
- * @param {string} text - The text to convert to speech
- * @param {string} outputPath - Path where the audio file will be saved
- * @param {boolean} silentPlay - Whether to play the audio silently (no media player)
- * @param {string} finalOutputPath - Final destination path for the file
- * @returns {Promise<boolean>} - Success status
- */
-async function platformSpecificTTS(text, outputPath, silentPlay = true, finalOutputPath) {
-  return new Promise((resolve) => {
-    try {
-      if (process.platform === 'win32') {
-        // Windows: Use PowerShell's built-in speech synthesis
-        const escapedText = text.replace(/"/g, '\\"');
-        const uniquePs1Path = path.join(os.tmpdir(), `tts-script-${Date.now()}.ps1`);
-        
-        fs.writeFileSync(uniquePs1Path, `
-          Add-Type -AssemblyName System.Speech
-          $synth = New-Object System.Speech.Synthesis.SpeechSynthesizer
-          $synth.SetOutputToWaveFile("${outputPath.replace(/\\/g, '\\\\')}")
-          $synth.Speak("${escapedText}")
-          $synth.Dispose()
-          # Explicitly release file handle
-          [System.GC]::Collect()
-          [System.GC]::WaitForPendingFinalizers()
-        `);
-        
-        exec(`powershell -WindowStyle Hidden -ExecutionPolicy Bypass -File "${uniquePs1Path}"`, (err) => {
-          // Try to delete the PS1 file regardless of success
-          fs.removeSync(uniquePs1Path);
-          
-          if (err) {
-            console.error('PowerShell TTS failed:', err);
-            
-            // Try Windows Media Speech as last resort
-            exec(`mshta vbscript:Execute("CreateObject(""SAPI.SpVoice"").Speak""${escapedText}"":close")`, (err2) => {
-              if (err2) {
-                console.error('Windows Media Speech failed too:', err2);
-              } else {
-                console.log('Used Windows Media Speech (no file output)');
-              }
-              resolve(false);
-            });
-          } else {
-            console.log(`🔊 PowerShell TTS saved to ${outputPath}`);
-            
-            // Copy to the specified output path if needed
-            if (finalOutputPath && finalOutputPath !== outputPath) {
-              fs.copy(outputPath, finalOutputPath).catch(copyErr => {
-                console.error('Error copying WAV to final output path:', copyErr);
-              });
-            }
-            
-            playSound(outputPath, !silentPlay);
-            resolve(true);
-          }
-        });
-      } else if (process.platform === 'darwin') {
-        // macOS: Use built-in say command
-        const escapedText = text.replace(/"/g, '\\"');
-        exec(`say -o "${outputPath}" "${escapedText}"`, (err) => {
-          if (err) {
-            console.error('macOS say command failed:', err);
-            resolve(false);
-          } else {
-            console.log(`🔊 macOS TTS saved to ${outputPath}`);
-            
-            // Copy to final path if needed
-            if (finalOutputPath && finalOutputPath !== outputPath) {
-              fs.copy(outputPath, finalOutputPath).catch(err => {
-                console.error('Error copying WAV to final path:', err);
-              });
-            }
-            
-            playSound(outputPath, !silentPlay);
-            resolve(true);
-          }
-        });
-      } else {
-        // Linux: Try espeak if available
-        const escapedText = text.replace(/"/g, '\\"');
-        exec(`espeak "${escapedText}" -w "${outputPath}"`, (err) => {
-          if (err) {
-            console.error('Linux espeak command failed:', err);
-            resolve(false);
-          } else {
-            console.log(`🔊 Linux TTS saved to ${outputPath}`);
-            
-            // Copy to final path if needed
-            if (finalOutputPath && finalOutputPath !== outputPath) {
-              fs.copy(outputPath, finalOutputPath).catch(err => {
-                console.error('Error copying WAV to final path:', err);
-              });
-            }
-            
-            playSound(outputPath, !silentPlay);
-            resolve(true);
-          }
-        });
-      }
-    } catch (err) {
-      console.error('Platform-specific TTS failed:', err);
-      resolve(false);
-    }
-  });
-}
-
 /**
  * Play a sound file using platform-specific methods
  * Silent option available to prevent media players from opening
@@ -197,92 +92,42 @@ function playSound(audioPath, silent = false) {
   }
 }
 
+let engine = null;
+
 /**
- * Generate TTS using multiple approaches with fallback mechanism
+ * The provider chain, configured like the bot (voice.providers, TTS_PROVIDERS, --providers, ...)
+ */
+function getEngine() {
+  if (!engine) {
+    const argv = require.main === module ? process.argv.slice(2) : [];
+    const { voice } = loadConfig({ argv, requireAll: false });
+    engine = createTtsEngine({ voice });
+  }
+  return engine;
+}
+
+/**
+ * Generate TTS with the first provider that works (OpenAI, say, espeak, local HTTP server, ...)
  * @param {string} text - The text to convert to speech
- * @param {string} outputPath - Path where the audio file will be saved
+ * @param {string} [outputPath] - Where to save the audio; the extension is replaced by the clip's format
  * @param {boolean} silentPlay - Whether to play the audio silently (no media player)
- * @returns {Promise<boolean>} - Success status
+ * @returns {Promise<string|null>} - Path of the saved clip, or null if every provider failed
  */
 async function generateTTS(text, outputPath, silentPlay = true) {
   console.log(`🎙️ Generating TTS for: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
-  
-  // Generate unique filenames to avoid conflicts
-  const uniqueWavPath = path.join(os.tmpdir(), generateUniqueFilename('wav'));
-  const uniqueMp3Path = path.join(os.tmpdir(), generateUniqueFilename('mp3'));
-  
-  // If specific output path provided, we'll copy to it later
-  const finalOutputPath = outputPath || uniqueWavPath;
-  
-  // Check if we have OpenAI configuration
-  let useOpenAI = false;
-  try {
-    // Only attempt to use OpenAI if the module is installed and API key is set
-    const { OpenAI } = require('openai');
-    useOpenAI = !!process.env.OPENAI_API_KEY;
-    
-    if (useOpenAI) {
-      const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-      
-      try {
-        const resp = await openai.audio.speech.create({
-          model: 'tts-1',
-          voice: 'alloy',  // Options: alloy, echo, fable, onyx, nova, shimmer
-          input: text,
-          format: 'mp3',
-        });
-        
-        const buffer = Buffer.from(await resp.arrayBuffer());
-        await fs.writeFile(uniqueMp3Path, buffer);
-        console.log(`🔊 OpenAI TTS saved to ${uniqueMp3Path}`);
-        
-        // Play the sound
-        playSound(uniqueMp3Path, silentPlay);
-        
-        // Copy to the specified output path if needed
-        if (outputPath) {
-          try {
-            await fs.copy(uniqueMp3Path, outputPath.replace(/\.wav$/, '.mp3'));
-          } catch (copyErr) {
-            console.error('Error copying MP3 to output path:', copyErr);
-          }
-        }
-        
-        return true;
-      } catch (err) {
-        console.error('OpenAI TTS failed, falling back to alternatives:', err.message);
-      }
-    }
-  } catch (err) {
-    console.log('OpenAI module not available, falling back to alternatives');
-  }
-  
-  // Try Node-Say as second option
+
   try {
-    const say = require('say');
-    return await new Promise((resolve) => {
-      say.export(text, null, 1.0, uniqueWavPath, (err) => {
-        if (err) {
-          console.error('Node-Say TTS failed:', err);
-          resolve(platformSpecificTTS(text, uniqueWavPath, silentPlay, finalOutputPath));
-        } else {
-          console.log(`🔊 Node-Say TTS saved to ${uniqueWavPath}`);
-          
-          // Copy to the specified output path if needed
-          if (outputPath && outputPath !== uniqueWavPath) {
-            fs.copy(uniqueWavPath, outputPath).catch(copyErr => {
-              console.error('Error copying WAV to output path:', copyErr);
-            });
-          }
-          
-          playSound(uniqueWavPath, silentPlay);
-          resolve(true);
-        }
-      });
-    });
+    const clip = await getEngine().synthesize(text);
+    const basePath = outputPath || path.join(os.tmpdir(), generateUniqueFilename(clip.format));
+    const savedPath = basePath.replace(/\.[a-z0-9]+$/i, '') + `.${clip.format}`;
+    await fs.writeFile(savedPath, clip.buffer);
+    console.log(`🔊 ${clip.provider} TTS saved to ${savedPath}`);
+
+    playSound(savedPath, silentPlay);
+    return savedPath;
   } catch (err) {
-    console.log('Node-Say module not available, falling back to platform specific TTS');
-    return platformSpecificTTS(text, uniqueWavPath, silentPlay, finalOutputPath);
+    console.error('TTS generation failed:', err.message);
+    return null;
   }
 }
 
@@ -350,11 +195,11 @@ async function generateCustomScript(text, outputPath = null) {
   }
   
   console.log(`\nGenerating TTS for custom script: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
-  const success = await generateTTS(text, outputPath, false); // false = actually play the sound
+  const savedPath = await generateTTS(text, outputPath, false); // false = actually play the sound
 
-  if (success) {
-    console.log(`✅ Successfully generated TTS audio at: ${outputPath}`);
-    return outputPath;
+  if (savedPath) {
+    console.log(`✅ Successfully generated TTS audio at: ${savedPath}`);
+    return savedPath;
   } else {
     console.error('❌ Failed to generate TTS audio for the custom script');
     return null;
@@ -369,10 +214,10 @@ const outPath = path.resolve(__dirname, 'bot-tts.wav');
 
 async function generateFullScript() {
   console.log('\nGenerating TTS for the full script...');
-  const success = await generateTTS(fullScript, outPath, false); // false = actually play the sound
+  const savedPath = await generateTTS(fullScript, outPath, false); // false = actually play the sound
 
-  if (success) {
-    console.log('✅ Successfully generated TTS audio at:', outPath);
+  if (savedPath) {
+    console.log('✅ Successfully generated TTS audio at:', savedPath);
   } else {
     console.error('❌ Failed to generate TTS audio for the full script');
   }
@@ -397,6 +242,12 @@ if (require.main === module) {
       
       // Then test the full script
       await generateFullScript();
+
+      console.log('\nTTS providers:');
+      for (const provider of getEngine().health()) {
+        const state = provider.available ? `${provider.successes} ok, ${provider.failures} failed` : provider.unavailableReason;
+        console.log(`  ${provider.name}: ${state}${provider.lastError ? ` (last error: ${provider.lastError})` : ''}`);
+      }
       
       console.log('\n🎉 TTS testing complete!');
     } catch (err) {
@@ -0,0 +1,78 @@
+/**
+ * Public API of the Google Meet bot package
+ */
+
+const { MeetBot } = require('./lib/meet-bot');
+const { loadConfig, createConfig, ConfigError } = require('./lib/config');
+const { loadScript, validateScript, DemoScriptRunner, DemoScriptError } = require('./lib/demo-script');
+const { MeetingStateMachine, STATES } = require('./lib/meeting-state');
+const { JoinError, JOIN_FAILURES } = require('./lib/meet');
+const { createSelectors, LOCALES } = require('./lib/selectors');
+const { TtsCache } = require('./lib/tts-cache');
+const { SpeechQueue } = require('./lib/speech-queue');
+const { PageScheduler, SchedulerTimeoutError } = require('./lib/page-scheduler');
+const { PresenterTabs, PresenterError, MeetTabGuardError } = require('./lib/presenter');
+const { ScreenShareError } = require('./lib/screen-share');
+const { CaptionTranscript } = require('./lib/captions');
+const { TranscriptWriter, formatTranscript } = require('./lib/transcript');
+const { MeetChat } = require('./lib/chat');
+const { ChatCommands, ChatCommandError, BUILTIN_COMMANDS } = require('./lib/chat-commands');
+const { MeetAssistant } = require('./lib/assistant');
+const { Roster, writeAttendanceReport } = require('./lib/roster');
+const { AutoLeave } = require('./lib/auto-leave');
+const { ReconnectSupervisor } = require('./lib/reconnect');
+const { BotManager, BotManagerError } = require('./lib/bot-manager');
+const { ControlServer, ControlApiError } = require('./lib/control-server');
+const { CalendarError, parseIcs, parseAgenda, expandEvents, loadCalendar } = require('./lib/calendar');
+const { MeetingScheduler } = require('./lib/meeting-scheduler');
+const { createTtsEngine, registerProvider, TtsProviderError } = require('./lib/tts-providers');
+
+module.exports = {
+  MeetBot,
+  loadConfig,
+  createConfig,
+  ConfigError,
+  loadScript,
+  validateScript,
+  DemoScriptRunner,
+  DemoScriptError,
+  MeetingStateMachine,
+  STATES,
+  JoinError,
+  JOIN_FAILURES,
+  createSelectors,
+  LOCALES,
+  TtsCache,
+  SpeechQueue,
+  PageScheduler,
+  SchedulerTimeoutError,
+  PresenterTabs,
+  PresenterError,
+  MeetTabGuardError,
+  ScreenShareError,
+  CaptionTranscript,
+  TranscriptWriter,
+  formatTranscript,
+  MeetChat,
+  ChatCommands,
+  ChatCommandError,
+  BUILTIN_COMMANDS,
+  MeetAssistant,
+  Roster,
+  writeAttendanceReport,
+  AutoLeave,
+  ReconnectSupervisor,
+  BotManager,
+  BotManagerError,
+  ControlServer,
+  ControlApiError,
+  CalendarError,
+  parseIcs,
+  parseAgenda,
+  expandEvents,
+  loadCalendar,
+  MeetingScheduler,
+  createTtsEngine,
+  registerProvider,
+  TtsProviderError
+};
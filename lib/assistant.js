@@ -0,0 +1,186 @@
+/**
+ * Conversational assistant: answers questions addressed to the bot
+ * Everything heard in captions and chat is kept as recent context. When a line calls the
+ * bot by name, the question and that context go to a chat-completions model (OpenAI or any
+ * OpenAI-compatible server at assistant.baseUrl) and the answer is returned for the bot to
+ * speak and post.
+ */
+
+const EventEmitter = require('events');
+
+const DEFAULT_SYSTEM_PROMPT = 'You are {{name}}, a friendly assistant taking part in a Google Meet call. '
+  + 'Participants talk to you out loud or in the chat. Answer the question you are asked in plain '
+  + 'spoken sentences without lists or formatting, be brief, and say so if you do not know.';
+// The same question often arrives twice (captions and chat) or is repeated by recognition
+const REPEAT_WINDOW_MS = 10000;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Turn a model answer into something that can be spoken and fits the length limit
+ * @param {string} text - Model output
+ * @param {number} maxChars - Longest answer allowed
+ * @returns {string} Answer without markdown, cut at a sentence end where possible
+ */
+function trimAnswer(text, maxChars) {
+  const plain = text
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/[*_`#>]+/g, '')
+    .replace(/^\s*(?:[-•]|\d+\.)\s+/gm, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (plain.length <= maxChars) return plain;
+
+  const cut = plain.slice(0, maxChars);
+  const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('? '), cut.lastIndexOf('! '));
+  if (sentenceEnd >= maxChars / 2) return cut.slice(0, sentenceEnd + 1);
+  return `${cut.slice(0, Math.max(cut.lastIndexOf(' '), maxChars / 2)).trim()}…`;
+}
+
+/**
+ * Answers questions from the meeting with an LLM.
+ * Emits 'question' ({question, asker, via}) and 'answer' ({question, answer, asker, via}).
+ */
+class MeetAssistant extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string[]} options.names - Names the bot answers to (matched case-insensitively)
+   * @param {string} [options.model] - Chat-completions model
+   * @param {string} [options.baseUrl] - OpenAI-compatible API base URL (default: OpenAI)
+   * @param {string} [options.systemPrompt] - Persona and instructions ({{name}} is replaced)
+   * @param {number} [options.maxAnswerChars] - Longest answer spoken and posted
+   * @param {number} [options.maxTokens] - Token limit for the model's answer
+   * @param {number} [options.contextLines] - How many recent lines of conversation are sent along
+   * @param {number} [options.timeoutMs] - How long to wait for the model
+   * @param {object} [options.openai] - OpenAI client (created on first use if omitted)
+   */
+  constructor({
+    names,
+    model = 'gpt-4o-mini',
+    baseUrl = null,
+    systemPrompt = DEFAULT_SYSTEM_PROMPT,
+    maxAnswerChars = 400,
+    maxTokens = 200,
+    contextLines = 30,
+    timeoutMs = 20000,
+    openai = null
+  }) {
+    super();
+    this.names = names.filter(Boolean);
+    this.model = model;
+    this.baseUrl = baseUrl;
+    this.systemPrompt = systemPrompt.replace(/\{\{\s*name\s*\}\}/g, this.names[0] || 'the meeting assistant');
+    this.maxAnswerChars = maxAnswerChars;
+    this.maxTokens = maxTokens;
+    this.contextLines = contextLines;
+    this.timeoutMs = timeoutMs;
+    this.client = openai;
+    this.history = [];
+    this.recentQuestions = new Map();
+    // Questions are answered one at a time, in the order they were asked
+    this.answering = Promise.resolve();
+    const alternatives = this.names.map(name => escapeRegExp(name).replace(/\s+/g, '\\s+')).join('|');
+    this.namePattern = alternatives ? new RegExp(`(?:^|[^\\p{L}\\p{N}])@?(?:${alternatives})(?![\\p{L}\\p{N}])[\\s,:;.!?-]*`, 'iu') : null;
+  }
+
+  /**
+   * The question in a line that calls the bot by name
+   * @returns {string|null} The line without the name, or null if the bot is not addressed
+   */
+  addressedQuestion(text) {
+    if (!this.namePattern) return null;
+    const match = text.match(this.namePattern);
+    if (!match) return null;
+    const before = text.slice(0, match.index).replace(/\b(?:hey|hi|hello|ok|okay)[\s,]*$/i, '');
+    const question = `${before} ${text.slice(match.index + match[0].length)}`.replace(/\s+/g, ' ').replace(/^[\s,]+|[\s,]+$/g, '');
+    return question || null;
+  }
+
+  /**
+   * Add a line of conversation to the context and answer it if it calls the bot by name
+   * @param {object} line - {speaker, text, via} where via is 'caption' or 'chat'
+   * @returns {Promise<object|null>} {question, answer, asker, via}, or null if the line was no question
+   */
+  hear({ speaker, text, via }) {
+    this.remember(speaker, text);
+    const question = this.addressedQuestion(text);
+    if (!question || this.isRepeat(question)) return Promise.resolve(null);
+
+    this.emit('question', { question, asker: speaker, via });
+    const answered = this.answering.then(async () => {
+      const answer = await this.ask(question, speaker);
+      const result = { question, answer, asker: speaker, via };
+      this.emit('answer', result);
+      return result;
+    });
+    this.answering = answered.catch(() => {});
+    return answered;
+  }
+
+  remember(speaker, text) {
+    this.history.push({ speaker, text });
+    if (this.history.length > this.contextLines) {
+      this.history.splice(0, this.history.length - this.contextLines);
+    }
+  }
+
+  isRepeat(question, now = Date.now()) {
+    for (const [key, at] of this.recentQuestions) {
+      if (now - at > REPEAT_WINDOW_MS) this.recentQuestions.delete(key);
+    }
+    const key = question.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    if (this.recentQuestions.has(key)) return true;
+    this.recentQuestions.set(key, now);
+    return false;
+  }
+
+  /**
+   * Ask the model, with the recent conversation as context
+   * @param {string} question - What was asked
+   * @param {string} [asker] - Who asked
+   * @returns {Promise<string>} Answer ready to be spoken
+   */
+  async ask(question, asker = 'A participant') {
+    const conversation = this.history.map(line => `${line.speaker}: ${line.text}`).join('\n');
+    const response = await this.openai().chat.completions.create({
+      model: this.model,
+      max_tokens: this.maxTokens,
+      messages: [
+        { role: 'system', content: this.systemPrompt },
+        {
+          role: 'user',
+          content: `${conversation ? `Recent conversation in the meeting:\n${conversation}\n\n` : ''}${asker} asks you: ${question}`
+        }
+      ]
+    }, { timeout: this.timeoutMs });
+
+    const content = response.choices && response.choices[0] && response.choices[0].message
+      ? response.choices[0].message.content
+      : '';
+    const answer = trimAnswer(content || '', this.maxAnswerChars);
+    if (!answer) {
+      throw new Error(`${this.model} returned an empty answer`);
+    }
+    this.remember(this.names[0] || 'Assistant', answer);
+    return answer;
+  }
+
+  openai() {
+    if (!this.client) {
+      const { OpenAI } = require('openai');
+      // Local OpenAI-compatible servers usually accept any key
+      this.client = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY || (this.baseUrl ? 'not-needed' : undefined),
+        baseURL: this.baseUrl || undefined,
+        maxRetries: 1
+      });
+    }
+    return this.client;
+  }
+}
+
+module.exports = {
+  DEFAULT_SYSTEM_PROMPT,
+  MeetAssistant,
+  trimAnswer
+};
@@ -0,0 +1,162 @@
+/**
+ * Audio duration from encoded clips
+ * Reads the container/frame headers of the formats OpenAI TTS returns, without decoding audio.
+ */
+
+const MP3_BITRATES = {
+  'V1L1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  'V1L2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  'V1L3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  'V2L1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  'V2L2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  'V2L3': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = [44100, 48000, 32000];
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+const OPUS_SAMPLE_RATE = 48000;
+
+/**
+ * Parse one MPEG audio frame header
+ * @returns {{length: number, samples: number, sampleRate: number}|null}
+ */
+function readMp3Frame(buffer, offset) {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) {
+    return null;
+  }
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03; // 3 = MPEG1, 2 = MPEG2, 0 = MPEG2.5
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03; // 3 = Layer I, 2 = Layer II, 1 = Layer III
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const layer = 4 - layerBits;
+  const mpeg1 = versionBits === 3;
+  const bitrate = MP3_BITRATES[`V${mpeg1 ? 1 : 2}L${layer}`][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[sampleRateIndex] / (mpeg1 ? 1 : versionBits === 2 ? 2 : 4);
+  const samples = layer === 1 ? 384 : layer === 3 && !mpeg1 ? 576 : 1152;
+  const length = layer === 1
+    ? (Math.floor(12 * bitrate / sampleRate) + padding) * 4
+    : Math.floor(samples / 8 * bitrate / sampleRate) + padding;
+  return { length, samples, sampleRate };
+}
+
+function mp3Duration(buffer) {
+  let offset = 0;
+  // Skip an ID3v2 tag (size is a 28-bit syncsafe integer, plus an optional 10-byte footer)
+  if (buffer.toString('latin1', 0, 3) === 'ID3' && buffer.length >= 10) {
+    const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    offset = 10 + size + ((buffer[5] & 0x10) ? 10 : 0);
+  }
+
+  let seconds = 0;
+  let frames = 0;
+  while (offset < buffer.length) {
+    const frame = readMp3Frame(buffer, offset);
+    if (!frame) {
+      offset++;
+      continue;
+    }
+    seconds += frame.samples / frame.sampleRate;
+    frames++;
+    offset += frame.length;
+  }
+  return frames ? seconds * 1000 : null;
+}
+
+function wavDuration(buffer) {
+  if (buffer.length < 12 || buffer.toString('latin1', 0, 4) !== 'RIFF' || buffer.toString('latin1', 8, 12) !== 'WAVE') {
+    return null;
+  }
+  let byteRate = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === 'fmt ' && offset + 16 <= buffer.length) {
+      byteRate = buffer.readUInt32LE(offset + 16);
+    } else if (id === 'data' && byteRate) {
+      // Streamed WAVs leave the size as 0xFFFFFFFF, so never count past the end of the buffer
+      return Math.min(size, buffer.length - offset - 8) / byteRate * 1000;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+function flacDuration(buffer) {
+  // STREAMINFO is always the first metadata block, right after the "fLaC" marker
+  if (buffer.length < 42 || buffer.toString('latin1', 0, 4) !== 'fLaC') {
+    return null;
+  }
+  const info = 8;
+  const sampleRate = (buffer[info + 10] << 12) | (buffer[info + 11] << 4) | (buffer[info + 12] >> 4);
+  const totalSamples = (buffer[info + 13] & 0x0f) * 2 ** 32 + buffer.readUInt32BE(info + 14);
+  return sampleRate && totalSamples ? totalSamples / sampleRate * 1000 : null;
+}
+
+function opusDuration(buffer) {
+  // Ogg pages carry the running sample count (granule position) of the last packet they end
+  const headIndex = buffer.indexOf('OpusHead', 0, 'latin1');
+  const lastPage = buffer.lastIndexOf('OggS', buffer.length, 'latin1');
+  if (headIndex === -1 || lastPage === -1 || lastPage + 14 > buffer.length) {
+    return null;
+  }
+  const preSkip = buffer.readUInt16LE(headIndex + 10);
+  const granule = Number(buffer.readBigUInt64LE(lastPage + 6));
+  return granule > preSkip ? (granule - preSkip) / OPUS_SAMPLE_RATE * 1000 : null;
+}
+
+function aacDuration(buffer) {
+  let offset = 0;
+  let seconds = 0;
+  let frames = 0;
+  while (offset + 7 <= buffer.length) {
+    if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xf6) !== 0xf0) {
+      offset++;
+      continue;
+    }
+    const sampleRate = ADTS_SAMPLE_RATES[(buffer[offset + 2] >> 2) & 0x0f];
+    const length = ((buffer[offset + 3] & 0x03) << 11) | (buffer[offset + 4] << 3) | (buffer[offset + 5] >> 5);
+    const blocks = (buffer[offset + 6] & 0x03) + 1;
+    if (!sampleRate || length < 7) {
+      offset++;
+      continue;
+    }
+    seconds += blocks * 1024 / sampleRate;
+    frames++;
+    offset += length;
+  }
+  return frames ? seconds * 1000 : null;
+}
+
+const PARSERS = {
+  mp3: mp3Duration,
+  wav: wavDuration,
+  flac: flacDuration,
+  opus: opusDuration,
+  aac: aacDuration
+};
+
+/**
+ * Duration of an encoded audio clip
+ * @param {Buffer} buffer - Encoded audio
+ * @param {string} format - One of mp3, wav, flac, opus, aac
+ * @returns {number|null} Duration in milliseconds, or null if the clip could not be parsed
+ */
+function getAudioDuration(buffer, format) {
+  const parse = PARSERS[format];
+  if (!parse) return null;
+  try {
+    const durationMs = parse(buffer);
+    return durationMs ? Math.round(durationMs) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  getAudioDuration
+};
@@ -0,0 +1,111 @@
+/**
+ * Auto-leave policies: when the bot leaves a meeting by itself
+ * Each policy has a reason that is passed on with the bot's 'left' event:
+ *   alone         nobody else has been in the call for autoLeave.aloneMinutes
+ *   host-left     the meeting host left (autoLeave.whenHostLeaves)
+ *   max-duration  the bot has been in the call for autoLeave.maxSessionMinutes
+ * Who is in the call comes from the roster (roster.js); the host is only known once the
+ * People panel has shown the roles, so the bot opens it once when whenHostLeaves is on.
+ */
+
+const EventEmitter = require('events');
+
+const CHECK_INTERVAL_MS = 5000;
+
+/**
+ * Watches a roster and the clock while the bot is in a call.
+ * Emits 'leave' ({reason, message}) once, when the first policy says the bot should go.
+ */
+class AutoLeave extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {import('./roster').Roster} options.roster - Roster of the call
+   * @param {number} [options.aloneMinutes] - Leave after being alone this long (0: stay)
+   * @param {boolean} [options.whenHostLeaves] - Leave as soon as the host leaves
+   * @param {number} [options.maxSessionMinutes] - Leave after this long in the call (0: no limit)
+   * @param {number} [options.checkIntervalMs] - How often the timed policies are checked
+   */
+  constructor({ roster, aloneMinutes = 5, whenHostLeaves = false, maxSessionMinutes = 0, checkIntervalMs = CHECK_INTERVAL_MS }) {
+    super();
+    this.roster = roster;
+    this.aloneMs = aloneMinutes * 60000;
+    this.whenHostLeaves = whenHostLeaves;
+    this.maxSessionMs = maxSessionMinutes * 60000;
+    this.checkIntervalMs = checkIntervalMs;
+    this.joinedAt = null;
+    this.aloneSince = null;
+    this.timer = null;
+    this.roster.on('participantJoined', ({ at }) => this.updateAlone(at));
+    this.roster.on('participantLeft', participant => {
+      this.updateAlone(participant.at);
+      if (this.timer && this.whenHostLeaves && participant.role === 'host' && !participant.self) {
+        this.trigger('host-left', `the host (${participant.name}) left`);
+      }
+    });
+  }
+
+  /**
+   * Whether any of the policies is on
+   */
+  get enabled() {
+    return this.aloneMs > 0 || this.whenHostLeaves || this.maxSessionMs > 0;
+  }
+
+  /**
+   * Start watching a new session (right after joining)
+   * @param {Date} [now]
+   * @param {object} [options]
+   * @param {boolean} [options.resume] - Carry on the session that was cut off: its length counts from the first join
+   */
+  start(now = new Date(), { resume = false } = {}) {
+    const joinedAt = resume && this.joinedAt ? this.joinedAt : now;
+    this.stop();
+    this.joinedAt = joinedAt;
+    this.aloneSince = null;
+    this.timer = setInterval(() => this.check(), this.checkIntervalMs);
+    this.updateAlone(now);
+  }
+
+  /**
+   * Stop watching (the bot left, is leaving or dropped out of the call)
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  updateAlone(now = new Date()) {
+    if (!this.timer) return;
+    const others = this.roster.participants().filter(participant => !participant.self);
+    if (others.length) {
+      this.aloneSince = null;
+    } else if (!this.aloneSince) {
+      this.aloneSince = now;
+    }
+  }
+
+  /**
+   * Check the timed policies
+   * @returns {string|null} The reason to leave, if one applies
+   */
+  check(now = new Date()) {
+    if (!this.timer) return null;
+    if (this.maxSessionMs > 0 && now - this.joinedAt >= this.maxSessionMs) {
+      return this.trigger('max-duration', `in the call for ${Math.round(this.maxSessionMs / 60000)} minutes`);
+    }
+    if (this.aloneMs > 0 && this.aloneSince && now - this.aloneSince >= this.aloneMs) {
+      return this.trigger('alone', `nobody else has been in the call for ${Math.round(this.aloneMs / 60000)} minutes`);
+    }
+    return null;
+  }
+
+  trigger(reason, message) {
+    this.stop();
+    this.emit('leave', { reason, message });
+    return reason;
+  }
+}
+
+module.exports = {
+  AutoLeave
+};
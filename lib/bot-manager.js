@@ -0,0 +1,297 @@
+/**
+ * Bot manager: runs several bots in parallel, each in a meeting of its own
+ * Every bot gets its own browser (and profile directory if configured), its own speech and
+ * timers, a private temp directory for audio files and a log file, and runs until it leaves
+ * the meeting. At most manager.maxBots run at once; later launches wait for a free slot.
+ * When a bot ends, its browser is closed and its temp files and log are cleaned up.
+ *
+ * Console output made on behalf of a bot (anything its launch, timers and page callbacks
+ * log) is prefixed with the bot's id and copied to its log file.
+ */
+
+const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { createConfig } = require('./config');
+
+const BOT_ID_PATTERN = /^[\w-]{1,64}$/;
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error'];
+
+class BotManagerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BotManagerError';
+  }
+}
+
+// The bot entry a piece of async work belongs to, for tagging its console output
+const botContext = new AsyncLocalStorage();
+let consoleTagged = false;
+
+/**
+ * Prefix console output with the id of the bot it was made for (once per process)
+ */
+function tagConsole() {
+  if (consoleTagged) return;
+  consoleTagged = true;
+  for (const method of CONSOLE_METHODS) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      const entry = botContext.getStore();
+      if (!entry) return original(...args);
+      original(`[${entry.id}]`, ...args);
+      if (entry.log) {
+        entry.log.write(`${new Date().toISOString()} ${method.toUpperCase()} ${util.format(...args)}\n`);
+      }
+    };
+  }
+}
+
+/**
+ * Config for one bot: the base config with each given section merged over it
+ * @param {object} base - Validated config
+ * @param {object} [overrides] - Sections shaped like bot.config.json
+ * @throws {ConfigError} If a value is invalid
+ */
+function mergeConfig(base, overrides = {}) {
+  const merged = { ...base };
+  for (const [section, values] of Object.entries(overrides)) {
+    merged[section] = values && typeof values === 'object' && !Array.isArray(values)
+      ? { ...base[section], ...values }
+      : values;
+  }
+  return createConfig(merged);
+}
+
+/**
+ * Runs bots side by side.
+ * Emits 'botAdded' ({id, bot}), 'botStarted' ({id}) once a bot has a slot, 'botEnded'
+ * ({id, error}) when it left, failed or was stopped, and 'botRemoved' ({id}).
+ */
+class BotManager extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.config] - Base config every bot starts from
+   * @param {number} [options.maxBots] - Bots running at once (default: manager.maxBots)
+   * @param {string} [options.logDir] - Directory for <id>.log files, null for none (default: manager.logDir)
+   * @param {Function} [options.createBot] - (options) => bot, defaults to new MeetBot(options)
+   */
+  constructor({ config = createConfig(), maxBots = config.manager.maxBots, logDir = config.manager.logDir, createBot = null } = {}) {
+    super();
+    this.config = config;
+    this.maxBots = maxBots;
+    this.logDir = logDir ? path.resolve(logDir) : null;
+    this.createBot = createBot || (options => {
+      const { MeetBot } = require('./meet-bot');
+      return new MeetBot(options);
+    });
+    this.entries = new Map();
+    // Entries waiting for a slot, oldest first
+    this.waiting = [];
+    this.nextId = 1;
+    tagConsole();
+  }
+
+  /**
+   * Bots holding a slot (starting or in a meeting)
+   */
+  get running() {
+    return [...this.entries.values()].filter(entry => ['starting', 'running'].includes(entry.phase)).length;
+  }
+
+  /**
+   * Start a bot and send it into a meeting (waits for a slot if maxBots are running)
+   * @param {object} options
+   * @param {string} [options.meeting] - Meet URL or code (default: meeting.url of the merged config)
+   * @param {object} [options.config] - Config sections merged over the base config
+   * @param {string} [options.id] - Bot id (default: bot-1, bot-2, ...)
+   * @returns {{id: string, bot: object}} The bot, which joins in the background
+   * @throws {ConfigError} If the merged config is invalid
+   * @throws {BotManagerError} If the id is taken or the bot would share a profile or the host speakers
+   */
+  launch({ meeting, config = {}, id } = {}) {
+    const options = mergeConfig(this.config, config);
+    if (meeting !== undefined) {
+      options.meeting.url = createConfig({ meeting: { url: meeting } }).meeting.url;
+    }
+    if (!options.meeting.url) {
+      throw new BotManagerError('No meeting URL given and meeting.url is not configured');
+    }
+    const botId = id === undefined ? this.newId() : id;
+    if (typeof botId !== 'string' || !BOT_ID_PATTERN.test(botId)) {
+      throw new BotManagerError(`Bot id "${botId}" may only contain letters, digits, _ and -`);
+    }
+    if (this.entries.has(botId)) {
+      throw new BotManagerError(`A bot with id "${botId}" already exists`);
+    }
+    this.assertNoConflict(options);
+
+    const tmpDir = path.join(os.tmpdir(), `meet-bot-${process.pid}-${botId}`);
+    const bot = this.createBot({ ...options, tmpDir });
+    const entry = { id: botId, bot, config: options, tmpDir, phase: 'queued', error: null, log: null, logFile: null, startedAt: null, endedAt: null };
+    this.entries.set(botId, entry);
+    // Nobody else may listen, and an unhandled 'error' event would throw
+    bot.on('error', err => botContext.run(entry, () => console.error('Bot error:', err.message)));
+    bot.once('left', () => this.end(entry));
+    bot.once('closed', () => this.end(entry));
+    this.emit('botAdded', { id: botId, bot });
+
+    this.waiting.push(entry);
+    this.startWaiting();
+    return { id: botId, bot };
+  }
+
+  /**
+   * A profile directory can only be open in one browser, and the host speakers are shared
+   */
+  assertNoConflict(options) {
+    const active = [...this.entries.values()].filter(entry => !this.isOver(entry));
+    const profile = options.browser.profileDir && path.resolve(options.browser.profileDir);
+    const sameProfile = profile && active.find(entry => entry.config.browser.profileDir
+      && path.resolve(entry.config.browser.profileDir) === profile);
+    if (sameProfile) {
+      throw new BotManagerError(`Bot "${sameProfile.id}" already uses the browser profile ${profile}`);
+    }
+    const systemAudio = options.voice.output === 'system' && active.find(entry => entry.config.voice.output === 'system');
+    if (systemAudio) {
+      throw new BotManagerError(`Bot "${systemAudio.id}" already plays its speech on the host speakers (use voice.output "page")`);
+    }
+  }
+
+  newId() {
+    let id;
+    do {
+      id = `bot-${this.nextId++}`;
+    } while (this.entries.has(id));
+    return id;
+  }
+
+  startWaiting() {
+    while (this.waiting.length && this.running < this.maxBots) {
+      const entry = this.waiting.shift();
+      entry.phase = 'starting';
+      botContext.run(entry, () => {
+        this.run(entry).catch(err => {
+          // A bot that was stopped while starting fails on its closed browser
+          if (this.isOver(entry)) return null;
+          console.log(`❌ Stopped: ${err.message}`);
+          return this.end(entry, err);
+        });
+      });
+    }
+  }
+
+  async run(entry) {
+    const { bot, config } = entry;
+    entry.startedAt = new Date();
+    await fs.ensureDir(entry.tmpDir);
+    if (this.isOver(entry)) {
+      // Removed before it got going
+      await fs.remove(entry.tmpDir);
+      return;
+    }
+    if (this.logDir) {
+      await fs.ensureDir(this.logDir);
+      entry.logFile = path.join(this.logDir, `${entry.id}.log`);
+      entry.log = fs.createWriteStream(entry.logFile, { flags: 'a' });
+    }
+    this.emit('botStarted', { id: entry.id });
+    console.log(`🤖 Starting for ${config.meeting.url} (${this.running}/${this.maxBots} slots in use)`);
+
+    await bot.launch();
+    if (this.isOver(entry)) {
+      // Removed while the browser was starting
+      await bot.close();
+      return;
+    }
+    await bot.join(config.meeting.url);
+    entry.phase = 'running';
+    await bot.startSession();
+    if (config.demo.enabled) {
+      await bot.runDemo(config.demo.script);
+    }
+  }
+
+  isOver(entry) {
+    return ['ended', 'failed'].includes(entry.phase);
+  }
+
+  /**
+   * Close a bot that left or failed and give its slot to the next one
+   */
+  async end(entry, error = null) {
+    if (this.isOver(entry)) return;
+    const held = entry.phase !== 'queued';
+    entry.phase = error ? 'failed' : 'ended';
+    entry.error = error;
+    entry.endedAt = new Date();
+    this.waiting = this.waiting.filter(waiting => waiting !== entry);
+
+    await botContext.run(entry, async () => {
+      if (entry.bot.page) {
+        await entry.bot.close().catch(err => console.error('Could not close the browser:', err.message));
+      }
+      await fs.remove(entry.tmpDir).catch(() => {});
+      if (held) console.log('🧹 Ended and cleaned up');
+    });
+    if (entry.log) {
+      await new Promise(resolve => entry.log.end(resolve));
+      entry.log = null;
+    }
+    this.emit('botEnded', { id: entry.id, error });
+    this.startWaiting();
+  }
+
+  /**
+   * One bot and how far it got
+   * @returns {{id, bot, phase, error, logFile, startedAt, endedAt}|null} phase is queued, starting,
+   *   running, ended or failed
+   */
+  get(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+    const { bot, phase, error, logFile, startedAt, endedAt } = entry;
+    return { id, bot, phase, error, logFile, startedAt, endedAt };
+  }
+
+  /**
+   * Every bot, in launch order
+   */
+  list() {
+    return [...this.entries.keys()].map(id => this.get(id));
+  }
+
+  /**
+   * Stop a bot (leaving its meeting) or cancel its launch, and forget it
+   * @returns {Promise<boolean>} Whether there was such a bot
+   */
+  async remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+    await this.end(entry);
+    this.entries.delete(id);
+    this.emit('botRemoved', { id });
+    return true;
+  }
+
+  /**
+   * Stop every bot and forget them all (e.g. on shutdown)
+   */
+  async removeAll() {
+    // Queued bots go first so none of them takes a slot that is being freed
+    for (const entry of [...this.waiting]) {
+      await this.remove(entry.id);
+    }
+    await Promise.all([...this.entries.keys()].map(id => this.remove(id)));
+  }
+}
+
+module.exports = {
+  BOT_ID_PATTERN,
+  BotManager,
+  BotManagerError,
+  mergeConfig
+};
@@ -0,0 +1,112 @@
+/**
+ * Browser setup for the meeting bot
+ */
+
+const { chromium } = require('playwright');
+
+// Browser language per Meet UI locale, so Meet renders the texts the selectors expect
+const BROWSER_LANGUAGES = {
+  en: 'en-US',
+  de: 'de-DE',
+  fr: 'fr-FR',
+  es: 'es-ES'
+};
+
+/**
+ * Browser launch with optimized settings to avoid CORS issues
+ * @param {object} [options]
+ * @param {string} [options.locale] - Meet UI locale (en, de, fr, es)
+ * @param {boolean} [options.headless] - Run without a browser window
+ * @param {string[]} [options.args] - Extra Chromium flags (e.g. capture-source selection)
+ * @param {string} [options.profileDir] - Keep cookies and the Google login in this profile directory
+ *   (one browser at a time per directory); without it every launch starts signed out
+ * @returns {Promise<{browser: import('playwright').Browser|null, context: import('playwright').BrowserContext, page: import('playwright').Page}>}
+ *   browser is null with a profile directory: closing the context closes the browser
+ */
+async function launchBrowser({ locale = 'en', headless = false, args = [], profileDir = null } = {}) {
+  const language = BROWSER_LANGUAGES[locale] || BROWSER_LANGUAGES.en;
+
+  console.log('🚀 Launching browser with optimized settings...');
+  
+  // Launch with configurations to avoid CORS and audio issues
+  const launchOptions = {
+    headless,
+    slowMo: 50,
+    args: [
+      '--window-size=1280,720',
+      '--use-fake-ui-for-media-stream',
+      '--use-fake-device-for-media-stream',
+      '--disable-web-security', // Critical to avoid CORS issues
+      '--disable-features=IsolateOrigins,site-per-process', // Helps with frame access
+      '--disable-blink-features=AutomationControlled',
+      '--autoplay-policy=no-user-gesture-required',
+      '--enable-audio-output',
+      '--disable-infobars',
+      `--lang=${language}`,
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-notifications',
+      ...args
+    ]
+  };
+
+  // Create context with appropriate permissions and settings
+  const contextOptions = {
+    viewport: { width: 1280, height: 720 },
+    locale: language,
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
+    permissions: ['camera', 'microphone', 'notifications'],
+    ignoreHTTPSErrors: true, // Important for certain Google domains
+    bypassCSP: true, // Bypasses Content Security Policy
+    extraHTTPHeaders: {
+      'Accept-Language': `${language},${locale};q=0.9,en;q=0.8`,
+      'Origin': 'https://meet.google.com'
+    }
+  };
+
+  let browser = null;
+  let context;
+  if (profileDir) {
+    console.log(`👤 Using browser profile ${profileDir}`);
+    context = await chromium.launchPersistentContext(profileDir, { ...launchOptions, ...contextOptions });
+  } else {
+    browser = await chromium.launch(launchOptions);
+    context = await browser.newContext(contextOptions);
+  }
+  
+  // Enable all browser features
+  await context.grantPermissions(['camera', 'microphone', 'notifications'], { origin: 'https://meet.google.com' });
+  
+  // Clear any existing cookies to avoid conflicts (a profile keeps its login)
+  if (!profileDir) {
+    await context.clearCookies();
+  }
+  
+  // Set custom cookies to help with Google auth
+  await context.addCookies([
+    {
+      name: 'CONSENT',
+      value: 'YES+',
+      domain: '.google.com',
+      path: '/'
+    }
+  ]);
+  
+  // A persistent context opens with a blank page of its own
+  const page = context.pages()[0] || await context.newPage();
+  page.setDefaultTimeout(30000);
+  
+  // Set up error handling for CORS issues
+  page.on('console', msg => {
+    const text = msg.text();
+    if (text.includes('CORS') || text.includes('ERR_FAILED')) {
+      console.log('⚠️ CORS warning detected in console:', text.substring(0, 100));
+    }
+  });
+  
+  return { browser, context, page };
+}
+
+module.exports = {
+  launchBrowser
+};
@@ -0,0 +1,530 @@
+/**
+ * Meeting calendars: iCalendar (.ics) files and JSON agendas
+ * Events are read into meeting occurrences with absolute start and end times. Recurring
+ * events (RRULE with EXDATE and moved or cancelled instances) are expanded in their own time
+ * zone, so a 10:00 meeting stays at 10:00 across daylight saving changes. Only events with a
+ * Google Meet link are meetings the bot can join.
+ */
+
+const fs = require('fs-extra');
+const { normalizeMeetingUrl } = require('./config');
+
+const MEET_LINK_PATTERN = /https?:\/\/meet\.google\.com\/([a-z]{3}-[a-z]{4}-[a-z]{3})\b/i;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+// Periods of a recurrence rule looked at before giving up (e.g. a rule that never matches),
+// counted from the first period that can reach the window
+const MAX_PERIODS = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How long a calendar feed may take to answer
+const FETCH_TIMEOUT_MS = 30000;
+// Longest period of each frequency, used to skip the periods that end before the window
+const LONGEST_PERIOD_DAYS = { DAILY: 1, WEEKLY: 7, MONTHLY: 31, YEARLY: 366 };
+
+// Outlook and Exchange write Windows zone names; the common ones mapped to IANA zones
+const WINDOWS_ZONES = {
+  'UTC': 'UTC',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'E. Europe Standard Time': 'Europe/Bucharest',
+  'FLE Standard Time': 'Europe/Kiev',
+  'Russian Standard Time': 'Europe/Moscow',
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'India Standard Time': 'Asia/Kolkata',
+  'China Standard Time': 'Asia/Shanghai',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'AUS Eastern Standard Time': 'Australia/Sydney'
+};
+
+class CalendarError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CalendarError';
+  }
+}
+
+const formatters = new Map();
+
+/**
+ * Offset of a time zone from UTC at an instant, in ms
+ */
+function zoneOffsetMs(instant, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(instant).map(({ type, value }) => [type, Number(value)]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time happens in a time zone
+ * @param {object} time - {year, month, day, hour, minute, second}
+ * @param {string} [timeZone] - IANA zone (default: the host's zone)
+ * @returns {Date}
+ */
+function wallTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  if (!timeZone) return new Date(year, month - 1, day, hour, minute, second);
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = zoneOffsetMs(guess - zoneOffsetMs(guess, timeZone), timeZone);
+  return new Date(guess - offset);
+}
+
+/**
+ * IANA zone for a TZID (or null if unknown)
+ */
+function resolveZone(tzid) {
+  if (!tzid) return null;
+  const name = WINDOWS_ZONES[tzid] || tzid.replace(/^\//, '');
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return name;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Unfold content lines and split them into {name, params, value}
+ */
+function parseLines(text) {
+  const lines = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  return lines.filter(line => line.trim()).map(line => {
+    const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    const head = colon === -1 ? line : line.slice(0, colon);
+    const [name, ...rawParams] = head.split(';');
+    const params = {};
+    for (const param of rawParams) {
+      const [key, ...value] = param.split('=');
+      params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+    }
+    return { name: name.toUpperCase(), params, value: colon === -1 ? '' : line.slice(colon + 1) };
+  });
+}
+
+const unescapeText = value => value.replace(/\\([nN])/g, '\n').replace(/\\([,;\\])/g, '$1');
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * @returns {{time: object, zone: string|null, allDay: boolean}}
+ */
+function parseDateValue(value, params = {}, defaultZone = null) {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    throw new CalendarError(`Invalid date "${value}"`);
+  }
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const time = { year: +year, month: +month, day: +day, hour: +(hour || 0), minute: +(minute || 0), second: +(second || 0) };
+  const allDay = params.VALUE === 'DATE' || hour === undefined;
+  const zone = utc ? 'UTC' : (resolveZone(params.TZID) || defaultZone);
+  return { time, zone, allDay };
+}
+
+const toDate = ({ time, zone }) => wallTimeToDate(time, zone);
+
+/**
+ * ISO 8601 duration (e.g. PT1H30M, P1D) in ms
+ */
+function parseDuration(value) {
+  const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) {
+    throw new CalendarError(`Invalid duration "${value}"`);
+  }
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+  const ms = ((((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes) * 60 + +seconds) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * The first Google Meet link in any of the texts
+ */
+function findMeetUrl(...texts) {
+  for (const text of texts) {
+    const match = text && text.match(MEET_LINK_PATTERN);
+    if (match) return `https://meet.google.com/${match[1].toLowerCase()}`;
+  }
+  return null;
+}
+
+function parseRule(value) {
+  const rule = Object.fromEntries(value.split(';').filter(Boolean).map(part => {
+    const [key, ...rest] = part.split('=');
+    return [key.toUpperCase(), rest.join('=')];
+  }));
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.FREQ)) {
+    throw new CalendarError(`Unsupported recurrence "${value}" (FREQ must be DAILY, WEEKLY, MONTHLY or YEARLY)`);
+  }
+  const numbers = key => (rule[key] ? rule[key].split(',').map(Number) : []);
+  return {
+    freq: rule.FREQ,
+    interval: Math.max(1, Number(rule.INTERVAL) || 1),
+    count: rule.COUNT ? Number(rule.COUNT) : null,
+    until: rule.UNTIL || null,
+    byDay: rule.BYDAY
+      ? rule.BYDAY.split(',').map(day => {
+        const match = day.match(/^([+-]?\d+)?([A-Z]{2})$/);
+        if (!match || !WEEKDAYS.includes(match[2])) {
+          throw new CalendarError(`Unsupported recurrence "${value}" (BYDAY "${day}" is not a weekday)`);
+        }
+        const [, ordinal, weekday] = match;
+        return { ordinal: ordinal ? Number(ordinal) : null, weekday: WEEKDAYS.indexOf(weekday) };
+      })
+      : [],
+    byMonthDay: numbers('BYMONTHDAY'),
+    byMonth: numbers('BYMONTH'),
+    bySetPos: numbers('BYSETPOS'),
+    weekStart: WEEKDAYS.indexOf(rule.WKST || 'MO')
+  };
+}
+
+/**
+ * Parse iCalendar text into events
+ * @param {string} text - Contents of an .ics file
+ * @param {object} [options]
+ * @param {string} [options.timeZone] - Zone for times without one (default: X-WR-TIMEZONE, then the host's zone)
+ * @returns {object[]} {uid, summary, meetingUrl, start, durationMs, rule, exdates, recurrenceId, cancelled};
+ *   events with dates or a recurrence rule that cannot be read are left out with a warning
+ */
+function parseIcs(text, { timeZone = null } = {}) {
+  const lines = parseLines(text);
+  if (!lines.length || lines[0].name !== 'BEGIN' || lines[0].value.toUpperCase() !== 'VCALENDAR') {
+    throw new CalendarError('Not an iCalendar file (expected BEGIN:VCALENDAR)');
+  }
+  const calendarZone = lines.find(line => line.name === 'X-WR-TIMEZONE');
+  const defaultZone = timeZone || (calendarZone && resolveZone(calendarZone.value)) || null;
+
+  const events = [];
+  let event = null;
+  // Nested components (alarms, time zone definitions) are skipped
+  let depth = 0;
+  for (const { name, params, value } of lines) {
+    if (name === 'BEGIN') {
+      if (value.toUpperCase() === 'VEVENT' && depth === 0) event = { props: {}, exdates: [] };
+      else if (event) depth++;
+      continue;
+    }
+    if (name === 'END') {
+      if (depth > 0) depth--;
+      else if (event && value.toUpperCase() === 'VEVENT') {
+        events.push(event);
+        event = null;
+      }
+      continue;
+    }
+    if (!event || depth > 0) continue;
+    if (name === 'EXDATE') {
+      event.exdates.push(...value.split(',').map(date => ({ value: date, params })));
+    } else if (!event.props[name]) {
+      event.props[name] = { value, params };
+    }
+  }
+
+  return events.filter(({ props }) => props.DTSTART).flatMap(({ props, exdates }) => {
+    const text = name => (props[name] ? unescapeText(props[name].value) : '');
+    try {
+      return [readEvent(props, exdates, text, defaultZone)];
+    } catch (err) {
+      if (!(err instanceof CalendarError)) throw err;
+      // One odd event must not keep the rest of the calendar from being scheduled
+      console.error(`📅 Skipping event "${text('SUMMARY') || text('UID')}": ${err.message}`);
+      return [];
+    }
+  });
+}
+
+/**
+ * One VEVENT's properties in the shape parseIcs returns
+ */
+function readEvent(props, exdates, text, defaultZone) {
+  const start = parseDateValue(props.DTSTART.value, props.DTSTART.params, defaultZone);
+  let durationMs = 0;
+  if (props.DTEND) {
+    durationMs = toDate(parseDateValue(props.DTEND.value, props.DTEND.params, defaultZone)) - toDate(start);
+  } else if (props.DURATION) {
+    durationMs = parseDuration(props.DURATION.value);
+  } else if (start.allDay) {
+    durationMs = DAY_MS;
+  }
+  return {
+    uid: text('UID') || `${text('SUMMARY')}@${props.DTSTART.value}`,
+    summary: text('SUMMARY'),
+    meetingUrl: findMeetUrl(text('X-GOOGLE-CONFERENCE'), text('CONFERENCE'), text('URL'), text('LOCATION'), text('DESCRIPTION')),
+    start,
+    durationMs,
+    rule: props.RRULE ? parseRule(props.RRULE.value) : null,
+    exdates: exdates.map(({ value, params }) => toDate(parseDateValue(value, params, start.zone)).getTime()),
+    recurrenceId: props['RECURRENCE-ID']
+      ? toDate(parseDateValue(props['RECURRENCE-ID'].value, props['RECURRENCE-ID'].params, start.zone)).getTime()
+      : null,
+    cancelled: text('STATUS').toUpperCase() === 'CANCELLED'
+  };
+}
+
+// Calendar-day arithmetic on {year, month, day}, done in UTC so no DST gets in the way
+const dayValue = ({ year, month, day }) => Date.UTC(year, month - 1, day);
+const fromDayValue = value => {
+  const date = new Date(value);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+const weekdayOf = date => new Date(dayValue(date)).getUTCDay();
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * Days of one month picked by BYMONTHDAY and/or BYDAY (or the start's day of the month)
+ */
+function monthDays(year, month, rule, startDay) {
+  const length = daysInMonth(year, month);
+  const all = Array.from({ length }, (_, i) => ({ year, month, day: i + 1 }));
+  let days;
+  if (rule.byMonthDay.length) {
+    const wanted = rule.byMonthDay.map(day => (day > 0 ? day : length + day + 1));
+    days = all.filter(({ day }) => wanted.includes(day));
+    if (rule.byDay.length) days = days.filter(date => rule.byDay.some(({ weekday }) => weekday === weekdayOf(date)));
+  } else if (rule.byDay.length) {
+    days = [];
+    for (const { ordinal, weekday } of rule.byDay) {
+      const matching = all.filter(date => weekdayOf(date) === weekday);
+      if (ordinal === null) days.push(...matching);
+      else {
+        const picked = matching[ordinal > 0 ? ordinal - 1 : matching.length + ordinal];
+        if (picked) days.push(picked);
+      }
+    }
+  } else {
+    days = startDay <= length ? [all[startDay - 1]] : [];
+  }
+  return days;
+}
+
+/**
+ * Candidate days of the nth period of a rule, in order
+ */
+function periodDays(rule, first, index) {
+  switch (rule.freq) {
+    case 'DAILY': {
+      // BYDAY limits a daily rule to those weekdays ("every weekday" is DAILY;BYDAY=MO,TU,WE,TH,FR)
+      const date = fromDayValue(dayValue(first) + index * rule.interval * DAY_MS);
+      return !rule.byDay.length || rule.byDay.some(({ weekday }) => weekday === weekdayOf(date)) ? [date] : [];
+    }
+    case 'WEEKLY': {
+      const weekStart = dayValue(first) - ((weekdayOf(first) - rule.weekStart + 7) % 7) * DAY_MS + index * rule.interval * 7 * DAY_MS;
+      const weekdays = rule.byDay.length ? rule.byDay.map(({ weekday }) => weekday) : [weekdayOf(first)];
+      return Array.from({ length: 7 }, (_, i) => fromDayValue(weekStart + i * DAY_MS))
+        .filter(date => weekdays.includes(weekdayOf(date)));
+    }
+    case 'MONTHLY': {
+      const months = first.month - 1 + index * rule.interval;
+      return monthDays(first.year + Math.floor(months / 12), (months % 12) + 1, rule, first.day);
+    }
+    default: {
+      const year = first.year + index * rule.interval;
+      const months = rule.byMonth.length ? rule.byMonth : [first.month];
+      return months.flatMap(month => monthDays(year, month, rule, first.day));
+    }
+  }
+}
+
+/**
+ * Index of the first period of a rule that can have an occurrence at or after `from`
+ */
+function firstPeriodFrom(rule, firstMs, from) {
+  // COUNT numbers the occurrences from DTSTART, so those have to be walked from there
+  if (rule.count) return 0;
+  const periodMs = LONGEST_PERIOD_DAYS[rule.freq] * rule.interval * DAY_MS;
+  // One period of slack covers the first period starting before DTSTART and zone offsets
+  return Math.max(0, Math.floor((from - firstMs) / periodMs) - 1);
+}
+
+/**
+ * Start instants of a recurring event, in order, from about `from` up to `to`
+ */
+function* recurrences(event, from, to) {
+  const { rule, start } = event;
+  const first = { year: start.time.year, month: start.time.month, day: start.time.day };
+  const { hour, minute, second } = start.time;
+  const firstMs = toDate(start).getTime();
+  const untilValue = rule.until ? parseDateValue(rule.until, {}, start.zone) : null;
+  // A date-only UNTIL includes that whole day
+  const until = untilValue ? toDate(untilValue).getTime() + (untilValue.allDay ? DAY_MS - 1 : 0) : Infinity;
+  let count = 0;
+
+  const skipped = firstPeriodFrom(rule, firstMs, from);
+  for (let index = skipped; index < skipped + MAX_PERIODS; index++) {
+    let days = periodDays(rule, first, index)
+      .filter(date => !rule.byMonth.length || rule.byMonth.includes(date.month))
+      .sort((a, b) => dayValue(a) - dayValue(b));
+    if (rule.bySetPos.length) {
+      days = rule.bySetPos.map(pos => days[pos > 0 ? pos - 1 : days.length + pos]).filter(Boolean);
+    }
+    for (const date of days) {
+      const occurrence = wallTimeToDate({ ...date, hour, minute, second }, start.zone).getTime();
+      if (occurrence < firstMs) continue;
+      if (occurrence > until || occurrence > to) return;
+      count++;
+      if (rule.count && count > rule.count) return;
+      yield occurrence;
+    }
+  }
+}
+
+/**
+ * Meeting occurrences of parsed events that overlap a time window
+ * @param {object[]} events - From parseIcs
+ * @param {object} window
+ * @param {Date} window.from - Occurrences that ended before this are left out
+ * @param {Date} window.to - Occurrences that start after this are left out
+ * @returns {object[]} {key, uid, summary, meetingUrl, start, end}, by start time; key names the occurrence
+ */
+function expandEvents(events, { from, to }) {
+  const fromMs = from.getTime();
+  const toMs = to.getTime();
+  const overrides = new Map();
+  for (const event of events.filter(({ recurrenceId }) => recurrenceId !== null)) {
+    overrides.set(`${event.uid}@${event.recurrenceId}`, event);
+  }
+  const occurrences = [];
+  const add = (event, original, startMs) => {
+    if (event.cancelled || event.start.allDay) return;
+    const end = startMs + event.durationMs;
+    if (startMs > toMs || Math.max(end, startMs) < fromMs) return;
+    occurrences.push({
+      key: `${event.uid}@${new Date(original).toISOString()}`,
+      uid: event.uid,
+      summary: event.summary,
+      meetingUrl: event.meetingUrl,
+      start: new Date(startMs),
+      end: new Date(end)
+    });
+  };
+
+  for (const event of events.filter(({ recurrenceId }) => recurrenceId === null)) {
+    // Occurrences that started before the window can still run into it
+    const starts = event.rule
+      ? recurrences(event, fromMs - Math.max(event.durationMs, 0), toMs)
+      : [toDate(event.start).getTime()];
+    for (const startMs of starts) {
+      if (event.exdates.includes(startMs)) continue;
+      const key = `${event.uid}@${startMs}`;
+      const override = overrides.get(key);
+      overrides.delete(key);
+      if (override) add(override, startMs, toDate(override.start).getTime());
+      else add(event, startMs, startMs);
+    }
+  }
+  // Instances moved into the window from an occurrence outside it
+  for (const override of overrides.values()) {
+    add(override, override.recurrenceId, toDate(override.start).getTime());
+  }
+  return occurrences.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Parse a JSON agenda: [{title, meeting, start, end | durationMinutes}] or {meetings: [...]}
+ * Times are ISO 8601; times without an offset are in timeZone.
+ * @returns {object[]} Events in the shape parseIcs returns
+ */
+function parseAgenda(json, { timeZone = null } = {}) {
+  const meetings = Array.isArray(json) ? json : json && json.meetings;
+  if (!Array.isArray(meetings)) {
+    throw new CalendarError('A JSON agenda must be a list of meetings or {"meetings": [...]}');
+  }
+  return meetings.map((meeting, i) => {
+    const where = `meetings[${i}]`;
+    if (!meeting || typeof meeting.start !== 'string') {
+      throw new CalendarError(`${where}.start must be an ISO 8601 date-time`);
+    }
+    let meetingUrl;
+    try {
+      meetingUrl = normalizeMeetingUrl(meeting.meeting || meeting.url);
+    } catch (err) {
+      throw new CalendarError(`${where}.meeting: ${err.message}`);
+    }
+    const startDate = parseIsoTime(meeting.start, timeZone, `${where}.start`);
+    const durationMs = meeting.end
+      ? parseIsoTime(meeting.end, timeZone, `${where}.end`) - startDate
+      : (Number(meeting.durationMinutes) || 0) * 60000;
+    const utc = new Date(startDate);
+    return {
+      uid: meeting.id || `${meetingUrl}@${utc.toISOString()}`,
+      summary: meeting.title || '',
+      meetingUrl,
+      start: {
+        time: { year: utc.getUTCFullYear(), month: utc.getUTCMonth() + 1, day: utc.getUTCDate(), hour: utc.getUTCHours(), minute: utc.getUTCMinutes(), second: utc.getUTCSeconds() },
+        zone: 'UTC',
+        allDay: false
+      },
+      durationMs,
+      rule: null,
+      exdates: [],
+      recurrenceId: null,
+      cancelled: false
+    };
+  });
+}
+
+function parseIsoTime(value, timeZone, where) {
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?(\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/);
+  if (!match) {
+    throw new CalendarError(`${where} must be an ISO 8601 date-time, got "${value}"`);
+  }
+  const [, year, month, day, hour, minute, second = 0, , offset] = match;
+  if (offset) return new Date(value).getTime();
+  return wallTimeToDate({ year: +year, month: +month, day: +day, hour: +hour, minute: +minute, second: +second }, timeZone).getTime();
+}
+
+/**
+ * Read an .ics file, a JSON agenda or an http(s) calendar feed
+ * @param {string} source - File path or URL
+ * @param {object} [options] - {timeZone} for times without a zone
+ * @returns {Promise<object[]>} Events in the shape parseIcs returns
+ */
+async function loadCalendar(source, options = {}) {
+  let text;
+  if (/^https?:\/\//i.test(source)) {
+    let response;
+    try {
+      response = await fetch(source, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    } catch (err) {
+      throw new CalendarError(`Could not fetch ${source}: ${err.message}`);
+    }
+    if (!response.ok) {
+      throw new CalendarError(`Could not fetch ${source}: HTTP ${response.status}`);
+    }
+    text = await response.text();
+  } else {
+    text = await fs.readFile(source, 'utf8');
+  }
+  try {
+    if (/\.json$/i.test(source) || /^\s*[[{]/.test(text)) {
+      return parseAgenda(JSON.parse(text), options);
+    }
+    return parseIcs(text, options);
+  } catch (err) {
+    throw new CalendarError(`${source}: ${err.message}`);
+  }
+}
+
+module.exports = {
+  CalendarError,
+  expandEvents,
+  findMeetUrl,
+  loadCalendar,
+  parseAgenda,
+  parseIcs,
+  resolveZone,
+  wallTimeToDate
+};
@@ -0,0 +1,271 @@
+/**
+ * Live captions: turns on Meet's captions and turns the caption DOM into utterances
+ * Meet shows one block per speaker turn and rewrites its text as recognition improves,
+ * drops words from the front of long blocks and removes blocks that scroll away.
+ * A MutationObserver reports every block's latest text; CaptionTranscript de-duplicates
+ * those updates into speaker-attributed utterances with start and end times.
+ */
+
+const EventEmitter = require('events');
+const { createSelectors } = require('./selectors');
+
+// An utterance is complete once its block has not changed for this long
+const DEFAULT_FINALIZE_AFTER_MS = 2000;
+// Shortest run of words accepted as the overlap between a trimmed block and what was already said
+const MIN_OVERLAP_WORDS = 3;
+
+const words = text => text.split(/\s+/).filter(Boolean);
+const normalize = word => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+const sameWords = (a, b) => a.length === b.length && a.every((word, i) => normalize(word) === normalize(b[i]));
+
+/**
+ * The part of a caption block's text that has not been turned into an utterance yet
+ * @param {string} committed - Block text when its last utterance was completed
+ * @param {string} text - Block text now
+ * @returns {string} New text ('' if nothing new was said)
+ */
+function unseenText(committed, text) {
+  const before = words(committed);
+  const now = words(text);
+  if (!before.length) return now.join(' ');
+
+  // The block grew; the last committed word may have been revised in the meantime
+  const common = before.findIndex((word, i) => i >= now.length || normalize(word) !== normalize(now[i]));
+  const matched = common === -1 ? before.length : common;
+  if (matched >= before.length - 1 && now.length >= before.length) {
+    return now.slice(before.length).join(' ');
+  }
+  // Recognition dropped trailing words it had guessed
+  if (matched === now.length) return '';
+
+  // Meet trimmed the start of the block: continue after the overlapping words
+  for (let length = Math.min(before.length, now.length); length > 0; length--) {
+    if (length < MIN_OVERLAP_WORDS && length < now.length) break;
+    if (sameWords(before.slice(-length), now.slice(0, length))) {
+      return now.slice(length).join(' ');
+    }
+  }
+  return now.join(' ');
+}
+
+/**
+ * Runs inside the page: reports caption blocks to the exposed __meetCaptionUpdate binding
+ */
+function installCaptionObserver({ entry, speaker, text }) {
+  if (window.__meetBotCaptions) return;
+
+  const ids = new WeakMap();
+  const reported = new Map();
+  let nextId = 1;
+
+  const report = event => {
+    if (typeof window.__meetCaptionUpdate === 'function') {
+      window.__meetCaptionUpdate(event);
+    }
+  };
+
+  const scan = () => {
+    const present = new Set();
+    for (const element of document.querySelectorAll(entry)) {
+      if (!ids.has(element)) ids.set(element, nextId++);
+      const id = ids.get(element);
+      present.add(id);
+
+      const speakerElement = element.querySelector(speaker);
+      const textElement = element.querySelector(text);
+      const name = speakerElement ? speakerElement.textContent.trim() : '';
+      let content = (textElement || element).textContent.trim();
+      if (!textElement && name && content.startsWith(name)) content = content.slice(name.length).trim();
+
+      const key = `${name}\n${content}`;
+      if (content && reported.get(id) !== key) {
+        reported.set(id, key);
+        report({ type: 'update', id, speaker: name, text: content });
+      }
+    }
+    for (const id of [...reported.keys()]) {
+      if (!present.has(id)) {
+        reported.delete(id);
+        report({ type: 'remove', id });
+      }
+    }
+  };
+  window.__meetBotCaptions = { scan };
+
+  let timer = null;
+  const start = () => {
+    const observer = new MutationObserver(() => {
+      if (!timer) {
+        timer = setTimeout(() => {
+          timer = null;
+          scan();
+        }, 200);
+      }
+    });
+    observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+    scan();
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+  } else {
+    start();
+  }
+}
+
+/**
+ * Turn on Meet's captions if they are off
+ * @param {import('playwright').Page} page - Meeting page
+ * @param {object} [selectors] - Selector registry for the Meet UI locale
+ * @returns {Promise<boolean>} Whether captions are on
+ */
+async function enableCaptions(page, selectors = createSelectors()) {
+  if (await selectors.find(page, 'captionsOffButton')) {
+    return true;
+  }
+  const button = await selectors.find(page, 'captionsOnButton');
+  if (button) {
+    await button.locator.click();
+    console.log(`💬 Turned on captions with selector: ${button.selector}`);
+  } else {
+    // Meet's keyboard shortcut for captions
+    console.log('⚠️ Could not find the captions button, using the "c" shortcut');
+    await page.keyboard.press('c');
+  }
+  await page.waitForTimeout(1000);
+  const enabled = Boolean(await selectors.find(page, 'captionsOffButton'));
+  if (!enabled) {
+    console.log('⚠️ Captions do not appear to be on; the transcript may stay empty');
+  }
+  return enabled;
+}
+
+/**
+ * Speaker-attributed utterances built from caption updates.
+ * Emits 'utterance' ({speaker, text, start, end}) each time one is complete.
+ */
+class CaptionTranscript extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.selectors] - Selector registry for the Meet UI locale
+   * @param {number} [options.finalizeAfterMs] - Quiet time after which an utterance is complete
+   */
+  constructor({ selectors = createSelectors(), finalizeAfterMs = DEFAULT_FINALIZE_AFTER_MS } = {}) {
+    super();
+    this.selectors = selectors;
+    this.finalizeAfterMs = finalizeAfterMs;
+    this.blocks = new Map();
+    this.utterances = [];
+    this.page = null;
+  }
+
+  /**
+   * Observe a page's caption blocks (captions still have to be turned on, see enableCaptions)
+   * @param {import('playwright').Page} page
+   */
+  async attach(page) {
+    this.page = page;
+    const css = {
+      entry: this.selectors.css('captionEntry'),
+      speaker: this.selectors.css('captionSpeaker'),
+      text: this.selectors.css('captionText')
+    };
+    await page.exposeBinding('__meetCaptionUpdate', (source, event) => this.receive(event));
+    await page.addInitScript(installCaptionObserver, css);
+    await page.evaluate(installCaptionObserver, css).catch(() => {});
+  }
+
+  receive(event) {
+    if (event.type === 'remove') {
+      this.remove(event.id);
+    } else {
+      this.update(event);
+    }
+  }
+
+  /**
+   * Record a caption block's latest text
+   * @param {object} update - {id, speaker, text} where id identifies the block
+   */
+  update({ id, speaker, text }) {
+    let block = this.blocks.get(id);
+    if (!block) {
+      block = { speaker, committed: '', latest: '', open: null, timer: null };
+      this.blocks.set(id, block);
+    }
+    block.speaker = speaker || block.speaker;
+    block.latest = text;
+
+    const fresh = unseenText(block.committed, text);
+    if (!fresh) return;
+    const at = new Date();
+    if (!block.open) block.open = { start: at };
+    block.open.text = fresh;
+    block.open.end = at;
+
+    clearTimeout(block.timer);
+    block.timer = setTimeout(() => this.finalize(id), this.finalizeAfterMs);
+  }
+
+  /**
+   * A block left the page: whatever it still holds is complete
+   */
+  remove(id) {
+    this.finalize(id);
+    this.blocks.delete(id);
+  }
+
+  /**
+   * Complete the open utterance of a block
+   * @returns {object|null} The utterance, if the block had new text
+   */
+  finalize(id) {
+    const block = this.blocks.get(id);
+    if (!block || !block.open) return null;
+    clearTimeout(block.timer);
+
+    const utterance = {
+      speaker: block.speaker || 'Unknown',
+      text: block.open.text,
+      start: block.open.start,
+      end: block.open.end
+    };
+    block.committed = block.latest;
+    block.open = null;
+    this.utterances.push(utterance);
+    this.emit('utterance', utterance);
+    return utterance;
+  }
+
+  /**
+   * Complete every open utterance (e.g. when leaving the call)
+   */
+  flush() {
+    for (const id of [...this.blocks.keys()]) {
+      this.finalize(id);
+    }
+  }
+
+  /**
+   * Complete open utterances and forget the caption blocks, keeping the transcript.
+   * Needed whenever the page reloads, as the new page numbers its blocks from 1 again.
+   */
+  clearBlocks() {
+    this.flush();
+    this.blocks.clear();
+  }
+
+  /**
+   * Complete open utterances and start over with an empty transcript
+   */
+  reset() {
+    this.clearBlocks();
+    this.utterances = [];
+  }
+}
+
+module.exports = {
+  CaptionTranscript,
+  enableCaptions,
+  unseenText
+};
@@ -0,0 +1,236 @@
+/**
+ * Chat commands: lets allowed participants steer the bot from the meeting chat
+ * A message such as "!share docs" runs the registered "share" command with the
+ * argument "docs" and the command's reply is posted back to the chat.
+ * Built-in commands drive the MeetBot; more can be added with register().
+ */
+
+const EventEmitter = require('events');
+
+const DEFAULT_PREFIX = '!';
+
+/**
+ * Thrown by a command for a problem the sender should see (e.g. a missing argument)
+ */
+class ChatCommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChatCommandError';
+  }
+}
+
+const requireArgs = (args, usage) => {
+  if (!args) throw new ChatCommandError(`Usage: ${usage}`);
+  return args;
+};
+
+const onOff = value => (value ? 'on' : 'off');
+
+/**
+ * Commands every bot understands. run({args, bot, message}) returns the reply to post.
+ */
+const BUILTIN_COMMANDS = {
+  say: {
+    usage: 'say <text>',
+    description: 'Say something in the meeting',
+    run: ({ args, bot }) => {
+      const text = requireArgs(args, 'say <text>');
+      bot.say(text).catch(err => bot.reportError(err));
+      return `🗣️ Saying: "${text}"`;
+    }
+  },
+  share: {
+    usage: 'share [tab]',
+    description: 'Present the demo tab (or a named presenter tab)',
+    run: async ({ args, bot }) => (await bot.shareScreen(args ? { tab: args } : {})
+      ? `🖥️ Presenting ${bot.sharing.tab || bot.sharing.source}`
+      : '⚠️ Could not start presenting')
+  },
+  stopshare: {
+    usage: 'stopshare',
+    description: 'Stop presenting',
+    run: async ({ bot }) => ((await bot.stopSharing()) ? '⏹️ Stopped presenting' : 'Nothing is being presented')
+  },
+  next: {
+    usage: 'next',
+    description: 'Skip to the next demo step',
+    run: async ({ bot }) => ((await bot.nextDemoStep()) ? '⏭️ Moving on to the next step' : 'No demo is running')
+  },
+  pause: {
+    usage: 'pause',
+    description: 'Pause the demo after the current step',
+    run: ({ bot }) => (bot.pauseDemo() ? '⏸️ Pausing the demo after this step (!resume to continue)' : 'No demo is running')
+  },
+  resume: {
+    usage: 'resume',
+    description: 'Continue a paused demo',
+    run: ({ bot }) => (bot.resumeDemo() ? '▶️ Resuming the demo' : 'No demo is running')
+  },
+  goto: {
+    usage: 'goto <url>',
+    description: 'Open a page in the presented tab',
+    run: async ({ args, bot }) => {
+      const url = requireArgs(args, 'goto <url>');
+      if (!/^https?:\/\/\S+$/i.test(url)) {
+        throw new ChatCommandError(`Not an http(s) URL: ${url}`);
+      }
+      await bot.goto(url);
+      return `🌐 Opened ${url}`;
+    }
+  },
+  mute: {
+    usage: 'mute',
+    description: 'Mute the bot\'s microphone',
+    run: async ({ bot }) => ((await bot.setMuted(true)) ? '🔇 Muted' : '⚠️ Could not mute the microphone')
+  },
+  unmute: {
+    usage: 'unmute',
+    description: 'Unmute the bot\'s microphone',
+    run: async ({ bot }) => ((await bot.setMuted(false)) ? '🎙️ Unmuted' : '⚠️ Could not unmute the microphone')
+  },
+  leave: {
+    usage: 'leave',
+    description: 'Leave the meeting',
+    run: ({ message }) => `👋 Leaving the meeting, as ${message.sender} asked`,
+    // Left once the acknowledgement is posted, from the session the command came from
+    afterReply: ({ bot }) => bot.leave('command')
+  },
+  status: {
+    usage: 'status',
+    description: 'Show what the bot is doing',
+    run: ({ bot }) => {
+      const status = bot.status();
+      const demo = status.demo.running
+        ? `${status.demo.paused ? 'paused' : 'running'}${status.demo.step ? ` at ${status.demo.step}` : ''}`
+        : 'not running';
+      return [
+        `ℹ️ State: ${status.state}`,
+        `presenting: ${status.sharing ? status.sharing.tab || status.sharing.source : 'no'}`,
+        `microphone: ${onOff(!status.muted)}`,
+        `demo: ${demo}`,
+        `speech queued: ${status.speech.queued}`,
+        `participants: ${status.participants}`
+      ].join(' | ');
+    }
+  }
+};
+
+/**
+ * Registry of chat commands and the people allowed to use them.
+ * Emits 'command' ({name, args, sender, reply}) after a command ran and
+ * 'rejected' ({name, sender, reason}) for commands that were not run.
+ */
+class ChatCommands extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {object} options.bot - MeetBot the commands control; replies go through bot.chat()
+   * @param {string} [options.prefix] - What a command starts with
+   * @param {string[]} [options.allow] - Participant names or emails allowed to send commands ('*' for everyone)
+   * @param {boolean} [options.builtins] - Register BUILTIN_COMMANDS
+   */
+  constructor({ bot, prefix = DEFAULT_PREFIX, allow = [], builtins = true }) {
+    super();
+    this.bot = bot;
+    this.prefix = prefix;
+    this.allow = allow.map(entry => entry.trim().toLowerCase());
+    this.commands = new Map();
+    if (builtins) {
+      for (const [name, command] of Object.entries(BUILTIN_COMMANDS)) {
+        this.register(name, command);
+      }
+    }
+    this.register('help', {
+      usage: 'help',
+      description: 'List the commands',
+      run: () => `Commands: ${[...this.commands.values()].map(command => `${this.prefix}${command.usage}`).join(', ')}`
+    });
+  }
+
+  /**
+   * Add a command or replace one
+   * @param {string} name - Word after the prefix (case-insensitive)
+   * @param {object} command - {usage, description, run({args, bot, message}), afterReply} where run returns
+   *   the reply and the optional afterReply (same arguments) runs once that reply is posted
+   */
+  register(name, { usage = name, description = '', run, afterReply = null }) {
+    if (typeof run !== 'function') {
+      throw new TypeError(`Chat command "${name}" needs a run function`);
+    }
+    this.commands.set(name.toLowerCase(), { name: name.toLowerCase(), usage, description, run, afterReply });
+  }
+
+  unregister(name) {
+    return this.commands.delete(name.toLowerCase());
+  }
+
+  /**
+   * Whether a chat sender may run commands
+   */
+  isAllowed(sender) {
+    if (this.allow.includes('*')) return true;
+    return Boolean(sender) && this.allow.includes(sender.trim().toLowerCase());
+  }
+
+  /**
+   * Split a chat message into a command name and its arguments
+   * @returns {{name: string, args: string}|null} null if the message is not a command
+   */
+  parse(text) {
+    if (!text.startsWith(this.prefix)) return null;
+    const match = text.slice(this.prefix.length).match(/^(\S+)\s*([\s\S]*)$/);
+    return match ? { name: match[1].toLowerCase(), args: match[2].trim() } : null;
+  }
+
+  /**
+   * Run the command in a chat message, if it is one, and post the reply
+   * @param {object} message - chatMessage event ({sender, text, self, ...})
+   * @returns {Promise<string|null>} The reply, or null if nothing was run
+   */
+  async handle(message) {
+    if (message.self) return null;
+    const parsed = this.parse(message.text);
+    if (!parsed) return null;
+    const { name, args } = parsed;
+
+    if (!this.isAllowed(message.sender)) {
+      console.log(`🚫 Ignoring ${this.prefix}${name} from ${message.sender || 'an unknown sender'} (not in commands.allow)`);
+      this.emit('rejected', { name, sender: message.sender, reason: 'not-allowed' });
+      return null;
+    }
+    const command = this.commands.get(name);
+    if (!command) {
+      this.emit('rejected', { name, sender: message.sender, reason: 'unknown' });
+      return this.reply(`Unknown command ${this.prefix}${name}. Try ${this.prefix}help`);
+    }
+
+    console.log(`🎛️ ${message.sender} ran ${this.prefix}${name}${args ? ` ${args}` : ''}`);
+    let reply;
+    let succeeded = true;
+    try {
+      reply = await command.run({ args, bot: this.bot, message });
+    } catch (err) {
+      if (!(err instanceof ChatCommandError)) {
+        console.error(`Chat command ${this.prefix}${name} failed:`, err);
+      }
+      reply = `⚠️ ${this.prefix}${name} failed: ${err.message}`;
+      succeeded = false;
+    }
+    this.emit('command', { name, args, sender: message.sender, reply });
+    if (reply) await this.reply(reply);
+    if (succeeded && command.afterReply) {
+      await command.afterReply({ args, bot: this.bot, message });
+    }
+    return reply || null;
+  }
+
+  async reply(text) {
+    await this.bot.chat(text);
+    return text;
+  }
+}
+
+module.exports = {
+  BUILTIN_COMMANDS,
+  ChatCommandError,
+  ChatCommands
+};
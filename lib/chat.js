@@ -0,0 +1,239 @@
+/**
+ * Two-way meeting chat
+ * Keeps Meet's chat panel open, reports every message that appears in it (sender, time,
+ * text) and posts messages through a rate limit so mirrored speech or chatty scripts
+ * never flood the chat.
+ */
+
+const EventEmitter = require('events');
+const { createSelectors } = require('./selectors');
+const { PageScheduler } = require('./page-scheduler');
+const { sendChatMessage } = require('./meet');
+
+const delay = ms => new Promise(res => setTimeout(res, ms));
+
+// Meet rejects longer messages
+const MAX_MESSAGE_CHARS = 500;
+const DEFAULT_LIMITS = {
+  maxMessages: 5, // per window
+  windowMs: 30000,
+  minIntervalMs: 1500
+};
+const DEFAULT_PANEL_CHECK_MS = 15000;
+
+/**
+ * Runs inside the page: reports chat messages to the exposed __meetChatMessage binding
+ * Meet re-renders the whole list when the panel is reopened, so messages are recognised
+ * by sender, time, text and how often that combination occurred, not by element.
+ */
+function installChatObserver({ text, group, sender, time }) {
+  if (window.__meetBotChat) return;
+
+  const seen = new Set();
+  const scan = () => {
+    const occurrences = new Map();
+    for (const element of document.querySelectorAll(text)) {
+      const container = element.closest(group);
+      const senderElement = container && container.querySelector(sender);
+      const timeElement = container && container.querySelector(time);
+      const message = {
+        sender: senderElement ? senderElement.textContent.trim() : '',
+        time: timeElement ? timeElement.textContent.trim() : '',
+        text: element.textContent.trim()
+      };
+      if (!message.text) continue;
+
+      const key = `${message.sender}\n${message.time}\n${message.text}`;
+      const occurrence = (occurrences.get(key) || 0) + 1;
+      occurrences.set(key, occurrence);
+      if (seen.has(`${key}\n${occurrence}`)) continue;
+      seen.add(`${key}\n${occurrence}`);
+      if (typeof window.__meetChatMessage === 'function') {
+        window.__meetChatMessage(message);
+      }
+    }
+  };
+  window.__meetBotChat = { scan };
+
+  let timer = null;
+  const start = () => {
+    const observer = new MutationObserver(() => {
+      if (!timer) {
+        timer = setTimeout(() => {
+          timer = null;
+          scan();
+        }, 200);
+      }
+    });
+    observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+    scan();
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+  } else {
+    start();
+  }
+}
+
+/**
+ * Meeting chat.
+ * Emits 'message' ({sender, text, time, at, self}) for every message in the chat panel
+ * and 'dropped' ({text}) when an optional message is skipped by the rate limit.
+ */
+class MeetChat extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.selectors] - Selector registry for the Meet UI locale
+   * @param {PageScheduler} [options.scheduler] - Scheduler that owns the page
+   * @param {string} [options.botName] - Display name, so the bot's own messages are marked self
+   * @param {number} [options.maxMessages] - Messages allowed per window
+   * @param {number} [options.windowMs] - Rate limit window
+   * @param {number} [options.minIntervalMs] - Minimum gap between two messages
+   * @param {number} [options.panelCheckIntervalMs] - How often to reopen the panel if something closed it
+   */
+  constructor({
+    selectors = createSelectors(),
+    scheduler = new PageScheduler(),
+    botName = null,
+    maxMessages = DEFAULT_LIMITS.maxMessages,
+    windowMs = DEFAULT_LIMITS.windowMs,
+    minIntervalMs = DEFAULT_LIMITS.minIntervalMs,
+    panelCheckIntervalMs = DEFAULT_PANEL_CHECK_MS
+  } = {}) {
+    super();
+    this.selectors = selectors;
+    this.scheduler = scheduler;
+    this.botName = botName;
+    this.limits = { maxMessages, windowMs, minIntervalMs };
+    this.panelCheckIntervalMs = panelCheckIntervalMs;
+    this.page = null;
+    this.messages = [];
+    this.outbox = [];
+    this.sentAt = [];
+    this.sending = false;
+    this.panelTask = null;
+  }
+
+  /**
+   * Observe a page's chat panel
+   * @param {import('playwright').Page} page
+   */
+  async attach(page) {
+    this.page = page;
+    const css = {
+      text: this.selectors.css('chatMessageText'),
+      group: this.selectors.css('chatMessageGroup'),
+      sender: this.selectors.css('chatMessageSender'),
+      time: this.selectors.css('chatMessageTime')
+    };
+    await page.exposeBinding('__meetChatMessage', (source, message) => this.receive(message));
+    await page.addInitScript(installChatObserver, css);
+    await page.evaluate(installChatObserver, css).catch(() => {});
+  }
+
+  receive({ sender, text, time }) {
+    const self = this.selectors.texts.you.includes(sender) || (Boolean(this.botName) && sender === this.botName);
+    const message = { sender, text, time, at: new Date(), self };
+    this.messages.push(message);
+    if (!self) console.log(`💬 ${sender || 'Someone'}: ${text}`);
+    this.emit('message', { ...message });
+  }
+
+  /**
+   * Open the chat panel and keep reopening it (other panels replace it in Meet)
+   */
+  async start() {
+    this.stop();
+    await this.scheduler.run('chat: open panel', () => this.ensureOpen());
+    this.panelTask = this.scheduler.every('chat: keep panel open', this.panelCheckIntervalMs, () => this.ensureOpen());
+  }
+
+  /**
+   * Stop reopening the panel and drop messages that were not posted yet
+   */
+  stop() {
+    if (this.panelTask) {
+      this.panelTask.cancel();
+      this.panelTask = null;
+    }
+    this.clear();
+  }
+
+  async ensureOpen() {
+    const input = this.selectors.locator(this.page, 'chatInput');
+    if (await input.isVisible().catch(() => false)) return;
+    await this.selectors.locator(this.page, 'chatButton').click();
+    await input.waitFor({ state: 'visible', timeout: 5000 });
+  }
+
+  /**
+   * Post a message once the rate limit allows it
+   * @param {string} text - Message (long ones are cut to what Meet accepts)
+   * @param {object} [options]
+   * @param {boolean} [options.optional] - Drop the message instead of waiting if the limit is reached
+   * @returns {Promise<boolean>} Whether the message was posted
+   */
+  send(text, { optional = false } = {}) {
+    const message = text.length > MAX_MESSAGE_CHARS ? `${text.slice(0, MAX_MESSAGE_CHARS - 1)}…` : text;
+    if (optional && (this.outbox.length > 0 || this.waitMs() > 0)) {
+      console.log(`⏳ Chat rate limit reached, not posting: "${message}"`);
+      this.emit('dropped', { text: message });
+      return Promise.resolve(false);
+    }
+    return new Promise((resolve, reject) => {
+      this.outbox.push({ text: message, resolve, reject });
+      this.pump();
+    });
+  }
+
+  /**
+   * Drop queued messages (their send() resolves to false)
+   * @returns {number} How many were dropped
+   */
+  clear() {
+    const dropped = this.outbox.splice(0);
+    dropped.forEach(item => item.resolve(false));
+    return dropped.length;
+  }
+
+  /**
+   * How long until the rate limit allows the next message
+   */
+  waitMs(now = Date.now()) {
+    const { maxMessages, windowMs, minIntervalMs } = this.limits;
+    this.sentAt = this.sentAt.filter(at => now - at < windowMs);
+    const windowWait = this.sentAt.length >= maxMessages ? this.sentAt[0] + windowMs - now : 0;
+    const gapWait = this.sentAt.length ? this.sentAt[this.sentAt.length - 1] + minIntervalMs - now : 0;
+    return Math.max(0, windowWait, gapWait);
+  }
+
+  async pump() {
+    if (this.sending) return;
+    this.sending = true;
+    try {
+      while (this.outbox.length) {
+        const wait = this.waitMs();
+        if (wait > 0) {
+          await delay(wait);
+          continue;
+        }
+        const item = this.outbox.shift();
+        try {
+          await this.scheduler.run('chat', () => sendChatMessage(this.page, item.text, this.selectors));
+          this.sentAt.push(Date.now());
+          item.resolve(true);
+        } catch (err) {
+          item.reject(err);
+        }
+      }
+    } finally {
+      this.sending = false;
+    }
+  }
+}
+
+module.exports = {
+  MeetChat,
+  MAX_MESSAGE_CHARS
+};
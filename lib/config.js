@@ -0,0 +1,556 @@
+/**
+ * Bot configuration: defaults, config file, environment overrides and CLI flags
+ * Precedence (lowest to highest): defaults < config file < environment < CLI
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { LOCALES } = require('./selectors');
+
+const DEFAULT_CONFIG_FILE = 'bot.config.json';
+const MEET_CODE_PATTERN = /^[a-z]{3}-[a-z]{4}-[a-z]{3}$/i;
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Schema for every supported setting, grouped by section.
+ * Each field declares its type, default and (optionally) an env var override.
+ */
+const SCHEMA = {
+  meeting: {
+    url: { type: 'meetingUrl', default: null, env: 'MEET_URL', required: true },
+    joinRetries: { type: 'integer', default: 3, min: 1, env: 'MEET_JOIN_RETRIES' },
+    retryDelayMs: { type: 'integer', default: 10000, min: 0 },
+    admissionTimeoutMs: { type: 'integer', default: 300000, min: 1000, env: 'MEET_ADMISSION_TIMEOUT_MS' },
+    // How long Meet may take to confirm the bot left the call
+    leaveTimeoutMs: { type: 'integer', default: 10000, min: 1000 }
+  },
+  identity: {
+    name: { type: 'string', default: 'Meeting Assistant', env: 'BOT_NAME' }
+  },
+  ui: {
+    locale: { type: 'string', default: 'en', env: 'MEET_LOCALE', enum: Object.keys(LOCALES) }
+  },
+  browser: {
+    headless: { type: 'boolean', default: false, env: 'HEADLESS' },
+    // Browser profile that keeps the Google login between runs (default: a fresh, signed-out browser)
+    profileDir: { type: 'string', default: null, env: 'BROWSER_PROFILE_DIR' }
+  },
+  voice: {
+    model: { type: 'string', default: 'tts-1-hd', env: 'TTS_MODEL' },
+    voice: {
+      type: 'string',
+      default: 'nova',
+      env: 'TTS_VOICE',
+      enum: ['alloy', 'ash', 'coral', 'echo', 'fable', 'onyx', 'nova', 'sage', 'shimmer']
+    },
+    speed: { type: 'number', default: 1.1, min: 0.25, max: 4, env: 'TTS_SPEED' },
+    format: { type: 'string', default: 'mp3', enum: ['mp3', 'wav', 'opus', 'aac', 'flac'] },
+    output: { type: 'string', default: 'page', env: 'TTS_OUTPUT', enum: ['page', 'system'] },
+    providers: { type: 'list', default: ['openai', 'say', 'espeak'], env: 'TTS_PROVIDERS' },
+    httpUrl: { type: 'url', default: null, env: 'TTS_HTTP_URL' },
+    providerCooldownMs: { type: 'integer', default: 60000, min: 0 }
+  },
+  ttsCache: {
+    enabled: { type: 'boolean', default: true, env: 'TTS_CACHE' },
+    dir: { type: 'string', default: '.tts-cache', env: 'TTS_CACHE_DIR' },
+    maxSizeMb: { type: 'integer', default: 200, min: 1 }
+  },
+  keepAlive: {
+    enabled: { type: 'boolean', default: true, env: 'KEEP_ALIVE' },
+    microIntervalMs: { type: 'integer', default: 30000, min: 1000 },
+    minorAudioIntervalMs: { type: 'integer', default: 120000, min: 1000 },
+    majorIntervalMs: { type: 'integer', default: 300000, min: 1000 },
+    healthCheckIntervalMs: { type: 'integer', default: 480000, min: 1000 }
+  },
+  screenShare: {
+    enabled: { type: 'boolean', default: true, env: 'SCREEN_SHARE' },
+    retries: { type: 'integer', default: 3, min: 1 },
+    retryDelayMs: { type: 'integer', default: 5000, min: 0 },
+    source: { type: 'string', default: 'tab', env: 'SCREEN_SHARE_SOURCE', enum: ['tab', 'window', 'screen'] },
+    windowTitle: { type: 'string', default: null, env: 'SCREEN_SHARE_WINDOW' },
+    audio: { type: 'boolean', default: false, env: 'SCREEN_SHARE_AUDIO' },
+    verifyTimeoutMs: { type: 'integer', default: 15000, min: 1000 }
+  },
+  captions: {
+    enabled: { type: 'boolean', default: true, env: 'CAPTIONS' },
+    dir: { type: 'string', default: 'transcripts', env: 'TRANSCRIPT_DIR' },
+    formats: { type: 'list', default: ['jsonl', 'srt', 'vtt', 'txt'], enum: ['jsonl', 'srt', 'vtt', 'txt'] },
+    finalizeAfterMs: { type: 'integer', default: 2000, min: 100 }
+  },
+  roster: {
+    pollIntervalMs: { type: 'integer', default: 5000, min: 500 },
+    report: { type: 'boolean', default: true, env: 'ATTENDANCE_REPORT' },
+    dir: { type: 'string', default: 'attendance', env: 'ATTENDANCE_DIR' },
+    formats: { type: 'list', default: ['json', 'csv'], enum: ['json', 'csv'] }
+  },
+  autoLeave: {
+    // Leave once nobody else has been in the call this long (0 stays in an empty call)
+    aloneMinutes: { type: 'number', default: 5, min: 0, env: 'AUTO_LEAVE_ALONE_MINUTES' },
+    // The host's role is read from the People panel, which is opened once after joining
+    whenHostLeaves: { type: 'boolean', default: false, env: 'AUTO_LEAVE_WITH_HOST' },
+    // Leave after this long in the call (0 for no limit)
+    maxSessionMinutes: { type: 'number', default: 0, min: 0, env: 'MAX_SESSION_MINUTES' }
+  },
+  reconnect: {
+    // Rejoin after a network drop, a crashed tab or browser, or Meet's "Rejoin" prompt
+    enabled: { type: 'boolean', default: true, env: 'RECONNECT' },
+    maxAttempts: { type: 'integer', default: 5, min: 1, env: 'RECONNECT_ATTEMPTS' },
+    // Wait before the first attempt, doubled for every further one up to maxDelayMs
+    initialDelayMs: { type: 'integer', default: 2000, min: 0 },
+    maxDelayMs: { type: 'integer', default: 60000, min: 0 },
+    // Meet rides out short drops by itself; only longer ones count as a lost connection
+    offlineGraceMs: { type: 'integer', default: 20000, min: 0 },
+    checkIntervalMs: { type: 'integer', default: 5000, min: 500 },
+    // Also rejoin after someone removed the bot from the call
+    afterRemoval: { type: 'boolean', default: false, env: 'RECONNECT_AFTER_REMOVAL' }
+  },
+  chat: {
+    enabled: { type: 'boolean', default: true, env: 'CHAT' },
+    mirrorSpeech: { type: 'boolean', default: false, env: 'CHAT_MIRROR_SPEECH' },
+    maxMessages: { type: 'integer', default: 5, min: 1 },
+    windowMs: { type: 'integer', default: 30000, min: 1000 },
+    minIntervalMs: { type: 'integer', default: 1500, min: 0 },
+    panelCheckIntervalMs: { type: 'integer', default: 15000, min: 1000 }
+  },
+  commands: {
+    enabled: { type: 'boolean', default: true, env: 'CHAT_COMMANDS' },
+    prefix: { type: 'string', default: '!' },
+    // Nobody may send commands until someone is listed. Entries match chat display names,
+    // which guests choose themselves, so only rely on this in meetings that admit known people
+    allow: { type: 'list', default: [], env: 'CHAT_COMMANDS_ALLOW', allowEmpty: true }
+  },
+  assistant: {
+    enabled: { type: 'boolean', default: false, env: 'ASSISTANT' },
+    model: { type: 'string', default: 'gpt-4o-mini', env: 'ASSISTANT_MODEL' },
+    // Any OpenAI-compatible server, e.g. http://localhost:11434/v1 (default: OpenAI)
+    baseUrl: { type: 'url', default: null, env: 'ASSISTANT_BASE_URL' },
+    // Persona and instructions; {{name}} is the bot's name (default: see lib/assistant.js)
+    systemPrompt: { type: 'string', default: null, env: 'ASSISTANT_SYSTEM_PROMPT' },
+    // Other names the bot answers to besides identity.name
+    names: { type: 'list', default: [], env: 'ASSISTANT_NAMES', allowEmpty: true },
+    maxAnswerChars: { type: 'integer', default: 400, min: 50 },
+    maxTokens: { type: 'integer', default: 200, min: 16 },
+    contextLines: { type: 'integer', default: 30, min: 0 },
+    timeoutMs: { type: 'integer', default: 20000, min: 1000 }
+  },
+  manager: {
+    // Bots running at once; more launches wait for a free slot
+    maxBots: { type: 'integer', default: 3, min: 1, env: 'MAX_BOTS' },
+    // One log file per bot (<id>.log); null keeps logs on the console only
+    logDir: { type: 'string', default: 'logs', env: 'BOT_LOG_DIR' }
+  },
+  control: {
+    enabled: { type: 'boolean', default: false, env: 'CONTROL_API' },
+    port: { type: 'integer', default: 8787, min: 0, max: 65535, env: 'CONTROL_PORT' },
+    // Other machines can reach the API only if this is not a loopback address
+    host: { type: 'string', default: '127.0.0.1', env: 'CONTROL_HOST' },
+    // Bearer token for every request (a random one is printed at startup if unset)
+    token: { type: 'string', default: null, env: 'CONTROL_TOKEN' }
+  },
+  schedule: {
+    // .ics files, .json agendas or http(s) calendar feeds (comma-separated in the env var)
+    calendars: { type: 'list', default: [], env: 'SCHEDULE_CALENDARS', allowEmpty: true },
+    joinBeforeMinutes: { type: 'number', default: 2, min: 0, env: 'SCHEDULE_JOIN_BEFORE' },
+    // Leave after this long even if the meeting has no end or runs longer
+    maxDurationMinutes: { type: 'integer', default: 180, min: 1, env: 'SCHEDULE_MAX_DURATION' },
+    // IANA zone for calendar times without one (default: the host's zone)
+    timeZone: { type: 'string', default: null, env: 'SCHEDULE_TIMEZONE' },
+    // Remembers which meetings were joined, so a restart does not join them twice
+    stateFile: { type: 'string', default: '.schedule-state.json', env: 'SCHEDULE_STATE_FILE' },
+    checkIntervalMs: { type: 'integer', default: 15000, min: 1000 },
+    refreshIntervalMs: { type: 'integer', default: 300000, min: 10000 }
+  },
+  demo: {
+    enabled: { type: 'boolean', default: true, env: 'DEMO_ENABLED' },
+    script: { type: 'string', default: path.join(__dirname, '..', 'demos', 'default.json'), env: 'DEMO_SCRIPT' },
+    loginUrl: { type: 'url', default: 'https://dashboard.demo.com/login' },
+    dataUrl: { type: 'url', default: 'https://covid19.who.int/table' },
+    newsUrl: { type: 'url', default: 'https://news.google.com' },
+    visualizationUrl: { type: 'url', default: 'https://public.tableau.com/app/discover' },
+    formUrl: { type: 'url', default: 'https://www.saucedemo.com/' }
+  }
+};
+
+// CLI flags and the config path they map to
+const CLI_FLAGS = {
+  '--meeting': 'meeting.url',
+  '--name': 'identity.name',
+  '--locale': 'ui.locale',
+  '--voice': 'voice.voice',
+  '--model': 'voice.model',
+  '--speed': 'voice.speed',
+  '--audio-output': 'voice.output',
+  '--providers': 'voice.providers',
+  '--share-source': 'screenShare.source',
+  '--window': 'screenShare.windowTitle',
+  '--profile': 'browser.profileDir',
+  '--transcripts': 'captions.dir',
+  '--attendance': 'roster.dir',
+  '--allow': 'commands.allow',
+  '--alone-minutes': 'autoLeave.aloneMinutes',
+  '--max-minutes': 'autoLeave.maxSessionMinutes',
+  '--max-reconnects': 'reconnect.maxAttempts',
+  '--llm-url': 'assistant.baseUrl',
+  '--control-port': 'control.port',
+  '--calendar': 'schedule.calendars',
+  '--time-zone': 'schedule.timeZone',
+  '--demo': 'demo.script'
+};
+
+const BOOLEAN_FLAGS = {
+  '--no-keep-alive': ['keepAlive.enabled', false],
+  '--no-share': ['screenShare.enabled', false],
+  '--share-audio': ['screenShare.audio', true],
+  '--no-captions': ['captions.enabled', false],
+  '--no-attendance': ['roster.report', false],
+  '--no-chat': ['chat.enabled', false],
+  '--mirror-speech': ['chat.mirrorSpeech', true],
+  '--leave-with-host': ['autoLeave.whenHostLeaves', true],
+  '--no-reconnect': ['reconnect.enabled', false],
+  '--assistant': ['assistant.enabled', true],
+  '--control': ['control.enabled', true],
+  '--no-demo': ['demo.enabled', false],
+  '--no-tts-cache': ['ttsCache.enabled', false],
+  '--headless': ['browser.headless', true]
+};
+
+const USAGE = `Usage: node bot.js --meeting <url|code> [options]
+
+Options:
+  --meeting <url|code>  Google Meet URL or meeting code (e.g. abc-defg-hij)
+  --name <name>         Display name used when joining as a guest
+  --locale <locale>     Language of the Meet UI (${Object.keys(LOCALES).join(', ')})
+  --config <file>       JSON config file (default: ./${DEFAULT_CONFIG_FILE} if present)
+  --voice <voice>       TTS voice (e.g. nova, alloy)
+  --model <model>       TTS model (e.g. tts-1, tts-1-hd)
+  --speed <speed>       TTS speed between 0.25 and 4
+  --audio-output <how>  page (inject into the browser microphone) or system (host speakers)
+  --providers <list>    TTS providers to try in order (openai, say, espeak, http)
+  --share-source <src>  What to present: tab (the demo tab), window or screen
+  --window <title>      Title of the window to present with --share-source window
+  --profile <dir>       Browser profile directory that keeps the Google login
+  --transcripts <dir>   Where caption transcripts are written (default: transcripts)
+  --attendance <dir>    Where attendance reports are written (default: attendance)
+  --allow <names>       Participants allowed to send chat commands (comma-separated)
+  --alone-minutes <n>   Leave after n minutes without anyone else in the call (0: stay, default: 5)
+  --max-minutes <n>     Leave after n minutes in the call (default: no limit)
+  --max-reconnects <n>  Give up rejoining a dropped call after n attempts (default: 5)
+  --llm-url <url>       OpenAI-compatible API for the assistant (default: OpenAI)
+  --control-port <port> Port of the control API (default: 8787)
+  --calendar <files>    Calendars for schedule.js (.ics/.json files or URLs, comma-separated)
+  --time-zone <zone>    Zone for calendar times without one (e.g. Europe/Berlin)
+  --demo <file>         Demo script to run (.json, .yaml or .yml)
+  --no-keep-alive       Disable keep-alive interactions
+  --no-share            Do not share the screen after joining
+  --share-audio         Include the presented tab's audio
+  --no-captions         Do not turn on captions or write a transcript
+  --no-attendance       Do not write an attendance report when leaving
+  --no-chat             Do not open the chat panel or read messages
+  --mirror-speech       Also post every spoken line to the meeting chat
+  --leave-with-host     Leave when the meeting host leaves
+  --no-reconnect        Do not rejoin after a dropped connection or browser crash
+  --assistant           Answer questions addressed to the bot by name
+  --control             Start the HTTP/WebSocket control API
+  --no-demo             Do not run the demo walkthrough
+  --no-tts-cache        Always synthesize speech instead of reusing cached clips
+  --headless            Run the browser without a window
+  -h, --help            Show this help`;
+
+/**
+ * Turn a Meet code or URL into a full meeting URL
+ * @param {string} value - Meeting code (abc-defg-hij) or http(s) URL
+ * @returns {string} Meeting URL
+ */
+function normalizeMeetingUrl(value) {
+  const trimmed = String(value).trim();
+  if (MEET_CODE_PATTERN.test(trimmed)) {
+    return `https://meet.google.com/${trimmed.toLowerCase()}`;
+  }
+  if (/^https?:\/\//i.test(trimmed)) {
+    return trimmed;
+  }
+  throw new Error(`expected a Meet URL or a code like abc-defg-hij, got "${value}"`);
+}
+
+/**
+ * Coerce and validate a single value against its field definition
+ * @param {string} key - Dotted path used in error messages
+ * @param {object} field - Schema entry
+ * @param {*} value - Raw value (strings from env/CLI are coerced)
+ * @returns {*} Validated value
+ */
+function coerceValue(key, field, value) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  let result = value;
+  switch (field.type) {
+    case 'integer':
+    case 'number': {
+      result = typeof value === 'string' ? Number(value.trim()) : value;
+      if (typeof result !== 'number' || Number.isNaN(result)) {
+        throw new ConfigError(`${key} must be a number, got "${value}"`);
+      }
+      if (field.type === 'integer' && !Number.isInteger(result)) {
+        throw new ConfigError(`${key} must be an integer, got "${value}"`);
+      }
+      if (field.min !== undefined && result < field.min) {
+        throw new ConfigError(`${key} must be >= ${field.min}, got ${result}`);
+      }
+      if (field.max !== undefined && result > field.max) {
+        throw new ConfigError(`${key} must be <= ${field.max}, got ${result}`);
+      }
+      break;
+    }
+    case 'boolean': {
+      if (typeof value === 'string') {
+        const lowered = value.trim().toLowerCase();
+        if (['true', '1', 'yes', 'on'].includes(lowered)) result = true;
+        else if (['false', '0', 'no', 'off'].includes(lowered)) result = false;
+        else throw new ConfigError(`${key} must be true or false, got "${value}"`);
+      } else if (typeof value !== 'boolean') {
+        throw new ConfigError(`${key} must be true or false, got ${JSON.stringify(value)}`);
+      }
+      break;
+    }
+    case 'string': {
+      if (typeof value !== 'string' || !value.trim()) {
+        throw new ConfigError(`${key} must be a non-empty string`);
+      }
+      result = value.trim();
+      break;
+    }
+    case 'url': {
+      if (typeof value !== 'string' || !/^https?:\/\/\S+$/i.test(value.trim())) {
+        throw new ConfigError(`${key} must be an http(s) URL, got "${value}"`);
+      }
+      result = value.trim();
+      break;
+    }
+    case 'list': {
+      const items = typeof value === 'string' ? value.split(',') : value;
+      if (!Array.isArray(items) || items.some(item => typeof item !== 'string' || !item.trim())) {
+        throw new ConfigError(`${key} must be a list of names, got ${JSON.stringify(value)}`);
+      }
+      result = items.map(item => item.trim());
+      if (!result.length && !field.allowEmpty) {
+        throw new ConfigError(`${key} must not be empty`);
+      }
+      const unknown = field.enum && result.find(item => !field.enum.includes(item));
+      if (unknown) {
+        throw new ConfigError(`${key} entries must be one of ${field.enum.join(', ')}, got "${unknown}"`);
+      }
+      return result;
+    }
+    case 'meetingUrl': {
+      try {
+        result = normalizeMeetingUrl(value);
+      } catch (err) {
+        throw new ConfigError(`${key}: ${err.message}`);
+      }
+      break;
+    }
+    default:
+      throw new ConfigError(`${key} has unknown schema type "${field.type}"`);
+  }
+
+  if (field.enum && !field.enum.includes(result)) {
+    throw new ConfigError(`${key} must be one of ${field.enum.join(', ')}, got "${result}"`);
+  }
+
+  return result;
+}
+
+/**
+ * Build an object containing every default from the schema
+ */
+function defaultConfig() {
+  const config = {};
+  for (const [section, fields] of Object.entries(SCHEMA)) {
+    config[section] = {};
+    for (const [name, field] of Object.entries(fields)) {
+      config[section][name] = Array.isArray(field.default) ? [...field.default] : field.default;
+    }
+  }
+  return config;
+}
+
+/**
+ * Set a dotted-path value, validating it against the schema
+ */
+function setValue(config, dottedKey, value) {
+  const [section, name] = dottedKey.split('.');
+  const field = SCHEMA[section] && SCHEMA[section][name];
+  if (!field) {
+    throw new ConfigError(`Unknown setting "${dottedKey}"`);
+  }
+  config[section][name] = coerceValue(dottedKey, field, value);
+}
+
+/**
+ * Merge a parsed config file into the config, rejecting unknown keys
+ */
+function applyFile(config, fileConfig, source) {
+  if (!fileConfig || typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+    throw new ConfigError(`${source} must contain a JSON object`);
+  }
+  for (const [section, values] of Object.entries(fileConfig)) {
+    if (!SCHEMA[section]) {
+      throw new ConfigError(`${source}: unknown section "${section}"`);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new ConfigError(`${source}: section "${section}" must be an object`);
+    }
+    for (const [name, value] of Object.entries(values)) {
+      setValue(config, `${section}.${name}`, value);
+    }
+  }
+}
+
+/**
+ * Apply environment variable overrides declared in the schema
+ */
+function applyEnv(config, env) {
+  for (const [section, fields] of Object.entries(SCHEMA)) {
+    for (const [name, field] of Object.entries(fields)) {
+      if (field.env && env[field.env] !== undefined && env[field.env] !== '') {
+        try {
+          setValue(config, `${section}.${name}`, env[field.env]);
+        } catch (err) {
+          throw new ConfigError(`${field.env}: ${err.message}`);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Parse command-line arguments into overrides
+ * @param {string[]} argv - Arguments without the node/script prefix
+ * @returns {{help: boolean, configPath: string|null, overrides: Array<[string, *]>}}
+ */
+function parseArgs(argv) {
+  const result = { help: false, configPath: null, overrides: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const eqIndex = arg.indexOf('=');
+    const flag = arg.startsWith('--') && eqIndex !== -1 ? arg.slice(0, eqIndex) : arg;
+    const inlineValue = flag !== arg ? arg.slice(eqIndex + 1) : undefined;
+
+    const takeValue = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        throw new ConfigError(`${flag} requires a value`);
+      }
+      i++;
+      return next;
+    };
+
+    if (flag === '-h' || flag === '--help') {
+      result.help = true;
+    } else if (flag === '--config') {
+      result.configPath = takeValue();
+    } else if (CLI_FLAGS[flag]) {
+      result.overrides.push([CLI_FLAGS[flag], takeValue()]);
+    } else if (BOOLEAN_FLAGS[flag]) {
+      result.overrides.push(BOOLEAN_FLAGS[flag]);
+    } else if (!arg.startsWith('-') && !result.overrides.some(([key]) => key === 'meeting.url')) {
+      // Allow a bare meeting URL/code as positional argument
+      result.overrides.push(['meeting.url', arg]);
+    } else {
+      throw new ConfigError(`Unknown argument "${arg}"`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Load and validate the full bot configuration
+ * @param {object} options
+ * @param {string[]} [options.argv] - CLI arguments (without node and script path)
+ * @param {object} [options.env] - Environment variables
+ * @param {string} [options.cwd] - Directory used to resolve the config file
+ * @param {boolean} [options.requireAll] - Fail on missing required settings (off for tools that never join)
+ * @returns {object} Validated configuration (with `help: true` if usage was requested)
+ */
+function loadConfig({ argv = [], env = process.env, cwd = process.cwd(), requireAll = true } = {}) {
+  const args = parseArgs(argv);
+  const config = defaultConfig();
+
+  if (args.help) {
+    return { ...config, help: true };
+  }
+
+  const explicitPath = args.configPath || env.BOT_CONFIG;
+  const configPath = path.resolve(cwd, explicitPath || DEFAULT_CONFIG_FILE);
+
+  if (fs.existsSync(configPath)) {
+    let fileConfig;
+    try {
+      fileConfig = fs.readJsonSync(configPath);
+    } catch (err) {
+      throw new ConfigError(`Could not parse ${configPath}: ${err.message}`);
+    }
+    applyFile(config, fileConfig, configPath);
+  } else if (explicitPath) {
+    throw new ConfigError(`Config file not found: ${configPath}`);
+  }
+
+  applyEnv(config, env);
+
+  for (const [key, value] of args.overrides) {
+    try {
+      setValue(config, key, value);
+    } catch (err) {
+      const flag = Object.keys(CLI_FLAGS).find(name => CLI_FLAGS[name] === key) || key;
+      throw new ConfigError(`${flag}: ${err.message}`);
+    }
+  }
+
+  // Check required settings last so every source had a chance to provide them
+  for (const [section, fields] of Object.entries(requireAll ? SCHEMA : {})) {
+    for (const [name, field] of Object.entries(fields)) {
+      if (field.required && (config[section][name] === null || config[section][name] === undefined)) {
+        const hints = [field.env && `the ${field.env} env var`, `"${section}.${name}" in ${DEFAULT_CONFIG_FILE}`];
+        const flag = Object.keys(CLI_FLAGS).find(flagName => CLI_FLAGS[flagName] === `${section}.${name}`);
+        if (flag) hints.unshift(flag);
+        throw new ConfigError(`Missing ${section}.${name} - set it with ${hints.filter(Boolean).join(', ')}`);
+      }
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Build a validated configuration from an object shaped like the config file
+ * Used when the bot is driven from code; unlike loadConfig no setting is required.
+ * @param {object} [overrides] - Partial config, e.g. { identity: { name: 'Bot' } }
+ * @returns {object} Validated configuration
+ */
+function createConfig(overrides = {}) {
+  const config = defaultConfig();
+  applyFile(config, overrides, 'config');
+  return config;
+}
+
+module.exports = {
+  ConfigError,
+  SCHEMA,
+  USAGE,
+  loadConfig,
+  createConfig,
+  parseArgs,
+  normalizeMeetingUrl,
+  defaultConfig
+};
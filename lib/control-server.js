@@ -0,0 +1,425 @@
+/**
+ * Local control API for running bots
+ * An HTTP/JSON server that launches bots into meetings and drives them (speak, present, chat,
+ * leave), plus a WebSocket stream of their events, so other tools can orchestrate the bot
+ * without shell access. Every request needs the API token.
+ *
+ *   GET    /bots                   - every bot with its status
+ *   POST   /bots                   - {meeting, config, id} launch a bot and join a meeting (see bot-manager.js)
+ *   GET    /bots/:id/status        - what the bot is doing
+ *   GET    /bots/:id/transcript    - captions so far (?format=jsonl, srt, vtt or txt; JSON by default)
+ *   POST   /bots/:id/say           - {text, priority}
+ *   POST   /bots/:id/share         - {source, tab, audio}
+ *   POST   /bots/:id/stop-share
+ *   POST   /bots/:id/chat          - {text}
+ *   POST   /bots/:id/leave         - launched bots then close their browser and free their slot
+ *   DELETE /bots/:id               - close the bot's browser and forget it
+ *   WS     /events, /bots/:id/events - {bot, event, data, at} for every bot event
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { ConfigError } = require('./config');
+const { BOT_ID_PATTERN, BotManager, BotManagerError } = require('./bot-manager');
+const { FORMATS, formatTranscript } = require('./transcript');
+const { ScreenShareError } = require('./screen-share');
+const { PRIORITIES } = require('./speech-queue');
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Events forwarded to WebSocket clients (see the list at the top of meet-bot.js)
+const BOT_EVENTS = [
+  'launched',
+  'stateChange',
+  'waitingForAdmission',
+  'joined',
+  'joinFailed',
+  'disconnected',
+  'reconnecting',
+  'reconnected',
+  'reconnectFailed',
+  'left',
+  'speaking',
+  'sharing',
+  'sharingStopped',
+  'caption',
+  'chatMessage',
+  'chatCommand',
+  'assistantAnswer',
+  'participantJoined',
+  'participantLeft',
+  'participantChanged',
+  'attendance',
+  'error',
+  'closed'
+];
+
+const TRANSCRIPT_TYPES = {
+  jsonl: 'application/x-ndjson; charset=utf-8',
+  srt: 'application/x-subrip; charset=utf-8',
+  vtt: 'text/vtt; charset=utf-8',
+  txt: 'text/plain; charset=utf-8'
+};
+
+class ControlApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ControlApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * Read and parse a JSON request body (empty bodies become {})
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new ControlApiError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!body) return resolve({});
+      try {
+        const parsed = JSON.parse(body);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+          reject(new ControlApiError(400, 'Request body must be a JSON object'));
+        } else {
+          resolve(parsed);
+        }
+      } catch (err) {
+        reject(new ControlApiError(400, `Invalid JSON body: ${err.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(payload, jsonReplacer));
+}
+
+// Errors (e.g. in 'error' and 'joinFailed' events) have no enumerable fields of their own
+function jsonReplacer(key, value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.reason ? { reason: value.reason } : {}) };
+  }
+  return value;
+}
+
+function requireText(body, field = 'text') {
+  const value = body[field];
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ControlApiError(400, `"${field}" must be a non-empty string`);
+  }
+  return value;
+}
+
+class ControlServer {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.token] - API token (a random one is generated if omitted, see `token`)
+   * @param {object} [options.config] - Base config for bots launched with POST /bots
+   * @param {BotManager} [options.manager] - Runs the bots launched with POST /bots (default: one for config)
+   */
+  constructor({ token = null, config, manager = new BotManager({ config }) } = {}) {
+    this.token = token || crypto.randomBytes(24).toString('base64url');
+    this.generatedToken = !token;
+    this.manager = manager;
+    this.manager.on('botAdded', ({ id, bot }) => this.addBot(bot, id));
+    this.manager.on('botRemoved', ({ id }) => this.removeBot(id));
+    this.bots = new Map();
+    this.server = null;
+    this.events = null;
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port] - Port to listen on (0 picks a free one)
+   * @param {string} [host] - Interface to bind (keep it on localhost unless the token is strong)
+   * @returns {Promise<string>} Base URL of the API
+   */
+  async start(port = 0, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(err => {
+        const status = err instanceof ControlApiError ? err.status : 500;
+        if (status === 500) console.error('Control API error:', err);
+        if (!res.headersSent) sendJson(res, status, { error: err.message });
+        else res.end();
+      });
+    });
+    this.events = new WebSocketServer({ noServer: true });
+    this.server.on('upgrade', (req, socket, head) => this.upgrade(req, socket, head));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    const address = this.server.address();
+    this.url = `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`;
+    return this.url;
+  }
+
+  /**
+   * Stop the server and drop open connections (bots keep running)
+   */
+  async stop() {
+    if (!this.server) return;
+    const { server, events } = this;
+    this.server = null;
+    this.events = null;
+    for (const client of events.clients) {
+      client.terminate();
+    }
+    await new Promise(resolve => events.close(resolve));
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  /**
+   * Make a bot that was started elsewhere (e.g. by bot.js) available through the API
+   * @param {object} bot - MeetBot
+   * @param {string} id - Id used in the routes
+   */
+  addBot(bot, id) {
+    if (!BOT_ID_PATTERN.test(id)) {
+      throw new ControlApiError(400, `Bot id "${id}" may only contain letters, digits, _ and -`);
+    }
+    if (this.bots.has(id)) {
+      throw new ControlApiError(409, `A bot with id "${id}" already exists`);
+    }
+    const forwarders = BOT_EVENTS.map(event => {
+      const forward = data => this.broadcast(id, event, data);
+      bot.on(event, forward);
+      return [event, forward];
+    });
+    this.bots.set(id, { bot, forwarders });
+  }
+
+  /**
+   * Stop forwarding a bot's events and remove it from the API (the bot itself is left alone)
+   */
+  removeBot(id) {
+    const entry = this.bots.get(id);
+    if (!entry) return false;
+    for (const [event, forward] of entry.forwarders) {
+      entry.bot.off(event, forward);
+    }
+    this.bots.delete(id);
+    return true;
+  }
+
+  /**
+   * Stop every bot launched through the API, close the others and forget them all (e.g. on shutdown)
+   */
+  async closeBots() {
+    await this.manager.removeAll();
+    for (const [id, { bot }] of [...this.bots]) {
+      this.removeBot(id);
+      if (bot.page) {
+        await bot.close().catch(err => console.error(`Could not close bot ${id}:`, err.message));
+      }
+    }
+  }
+
+  /**
+   * Launch a bot through the manager; it joins the meeting in the background
+   * @param {object} body - {meeting, config, id} from POST /bots
+   * @returns {string} The new bot's id
+   */
+  launchBot({ meeting, config = {}, id }) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new ControlApiError(400, '"config" must be an object shaped like bot.config.json');
+    }
+    if (id !== undefined && (typeof id !== 'string' || !BOT_ID_PATTERN.test(id))) {
+      throw new ControlApiError(400, '"id" may only contain letters, digits, _ and -');
+    }
+    if (meeting === undefined && !this.manager.config.meeting.url) {
+      throw new ControlApiError(400, '"meeting" (a Meet URL or code) is required');
+    }
+    // Bots added with addBot() share the id space
+    if (id !== undefined && this.bots.has(id)) {
+      throw new ControlApiError(409, `A bot with id "${id}" already exists`);
+    }
+    try {
+      return this.manager.launch({ meeting, config, id }).id;
+    } catch (err) {
+      if (err instanceof ConfigError) throw new ControlApiError(400, err.message);
+      if (err instanceof BotManagerError) throw new ControlApiError(409, err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Status of one bot; launched bots also report their phase (queued, starting, running,
+   * ended or failed) and why they failed
+   */
+  describe(id) {
+    const { bot } = this.bots.get(id);
+    const managed = this.manager.get(id);
+    return { id, ...bot.status(), phase: managed ? managed.phase : null, error: managed ? managed.error : null };
+  }
+
+  /**
+   * Send an event to every WebSocket client following this bot (or all bots)
+   */
+  broadcast(id, event, data) {
+    if (!this.events) return;
+    const message = JSON.stringify({ bot: id, event, data, at: new Date() }, jsonReplacer);
+    for (const client of this.events.clients) {
+      if (client.readyState === client.OPEN && (!client.botId || client.botId === id)) {
+        client.send(message);
+      }
+    }
+  }
+
+  /**
+   * Whether a request carries the API token (header, or ?token= for WebSocket clients that cannot set one)
+   */
+  authorized(req, url, allowQuery = false) {
+    const header = req.headers.authorization || '';
+    const given = header.startsWith('Bearer ') ? header.slice(7).trim() : (allowQuery ? url.searchParams.get('token') : null);
+    if (!given) return false;
+    // Hashing first makes both sides the same length for timingSafeEqual
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(given), digest(this.token));
+  }
+
+  upgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean);
+    const botId = parts.length === 3 && parts[0] === 'bots' && parts[2] === 'events' ? parts[1] : null;
+    const reject = status => {
+      socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`);
+    };
+
+    if (!this.authorized(req, url, true)) return reject(401);
+    if (url.pathname !== '/events' && !botId) return reject(404);
+    if (botId && !this.bots.has(botId)) return reject(404);
+    this.events.handleUpgrade(req, socket, head, client => {
+      client.botId = botId;
+    });
+  }
+
+  bot(id) {
+    const entry = this.bots.get(id);
+    if (!entry) {
+      throw new ControlApiError(404, `No bot with id "${id}"`);
+    }
+    return entry.bot;
+  }
+
+  // Actions need the browser; a bot that failed or was closed has none
+  runningBot(id) {
+    const bot = this.bot(id);
+    if (!bot.page) {
+      throw new ControlApiError(409, `Bot "${id}" is not running`);
+    }
+    return bot;
+  }
+
+  /**
+   * Route a request
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (!this.authorized(req, url)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      throw new ControlApiError(401, 'Missing or wrong API token');
+    }
+
+    const parts = url.pathname.split('/').filter(Boolean);
+    const body = req.method === 'POST' ? await readJson(req) : {};
+    const [resource, id, action] = parts;
+    const route = [req.method, id && ':id', action].filter(Boolean).join(' ');
+
+    if (resource !== 'bots' || parts.length > 3) {
+      throw new ControlApiError(404, `Not found: ${url.pathname}`);
+    }
+
+    switch (route) {
+      case 'GET':
+        return sendJson(res, 200, { bots: [...this.bots.keys()].map(botId => this.describe(botId)) });
+      case 'POST': {
+        const botId = this.launchBot(body);
+        return sendJson(res, 202, this.describe(botId));
+      }
+      case 'GET :id status':
+        this.bot(id);
+        return sendJson(res, 200, this.describe(id));
+      case 'GET :id transcript': {
+        const utterances = this.bot(id).transcript();
+        const format = url.searchParams.get('format');
+        if (!format || format === 'json') {
+          return sendJson(res, 200, { utterances });
+        }
+        if (!FORMATS.includes(format)) {
+          throw new ControlApiError(400, `Unknown transcript format "${format}" (use json, ${FORMATS.join(', ')})`);
+        }
+        res.writeHead(200, { 'Content-Type': TRANSCRIPT_TYPES[format], 'Cache-Control': 'no-store' });
+        res.end(formatTranscript(utterances, format));
+        return;
+      }
+      case 'POST :id say': {
+        const bot = this.runningBot(id);
+        const text = requireText(body);
+        const priority = body.priority || 'normal';
+        if (PRIORITIES[priority] === undefined) {
+          throw new ControlApiError(400, `"priority" must be one of ${Object.keys(PRIORITIES).join(', ')}`);
+        }
+        // Queued now, spoken when earlier lines are done; the result is only logged
+        const spoken = bot.say(text, { priority });
+        spoken.catch(err => bot.reportError(err));
+        return sendJson(res, 202, { queued: true, priority });
+      }
+      case 'POST :id share': {
+        const bot = this.runningBot(id);
+        const { source, tab, audio } = body;
+        const sharing = await bot.shareScreen({
+          ...(source !== undefined ? { source } : {}),
+          ...(tab !== undefined ? { tab } : {}),
+          ...(audio !== undefined ? { audio: Boolean(audio) } : {})
+        }).catch(err => {
+          if (err instanceof ScreenShareError) throw new ControlApiError(409, err.message);
+          throw err;
+        });
+        return sendJson(res, sharing ? 200 : 502, { sharing, status: this.describe(id) });
+      }
+      case 'POST :id stop-share': {
+        const stopped = await this.runningBot(id).stopSharing();
+        return sendJson(res, stopped ? 200 : 502, { stopped });
+      }
+      case 'POST :id chat': {
+        const bot = this.runningBot(id);
+        const posted = await bot.chat(requireText(body));
+        return sendJson(res, posted ? 200 : 502, { posted });
+      }
+      case 'POST :id leave': {
+        await this.runningBot(id).leave('api');
+        return sendJson(res, 200, this.describe(id));
+      }
+      case 'DELETE :id': {
+        const bot = this.bot(id);
+        if (!(await this.manager.remove(id))) {
+          await bot.close();
+          this.removeBot(id);
+        }
+        return sendJson(res, 200, { id, removed: true });
+      }
+      default:
+        throw new ControlApiError(404, `Not found: ${req.method} ${url.pathname}`);
+    }
+  }
+}
+
+module.exports = {
+  BOT_EVENTS,
+  ControlApiError,
+  ControlServer
+};
@@ -0,0 +1,527 @@
+/**
+ * Declarative demo scripts
+ * Loads JSON/YAML demo scripts, validates them and runs their steps against the page
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const YAML = require('yaml');
+const { SHARE_SOURCES } = require('./screen-share');
+
+const delay = ms => new Promise(res => setTimeout(res, ms));
+
+const ON_ERROR_VALUES = ['skip', 'retry', 'abort'];
+const TAB_ACTIONS = ['open', 'switch', 'close'];
+const DEFAULT_TIMEOUT_MS = 30000;
+const GOTO_TIMEOUT_MS = 60000;
+// Used for share steps when the host does not say how long its shareScreen() may take
+const SHARE_TIMEOUT_MS = 180000;
+const DEFAULT_RETRIES = 2;
+
+class DemoScriptError extends Error {
+  constructor(message, step) {
+    super(message);
+    this.name = 'DemoScriptError';
+    this.step = step;
+  }
+}
+
+/**
+ * Required fields per step type. `say` may also be set on any other step
+ * to narrate it via speakAndDo before the action runs.
+ */
+const STEP_TYPES = {
+  say: { required: ['text'] },
+  goto: { required: ['url'] },
+  fill: { required: ['selector', 'value'] },
+  click: { required: ['selector'] },
+  hover: { required: ['selector'] },
+  scroll: { required: [] },
+  wait: { required: ['ms'] },
+  share: { required: [] },
+  chat: { required: ['text'] },
+  tab: { required: ['action'] },
+  repeat: { required: ['steps'] }
+};
+
+/**
+ * Validate a step list, throwing a DemoScriptError that points at the bad step
+ */
+function validateSteps(steps, where) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new DemoScriptError(`${where} must be a non-empty list of steps`);
+  }
+
+  steps.forEach((step, index) => {
+    const stepPath = `${where}[${index}]`;
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      throw new DemoScriptError(`${stepPath} must be an object`);
+    }
+    const definition = STEP_TYPES[step.type];
+    if (!definition) {
+      throw new DemoScriptError(`${stepPath}.type must be one of ${Object.keys(STEP_TYPES).join(', ')}, got "${step.type}"`);
+    }
+    for (const field of definition.required) {
+      if (step[field] === undefined || step[field] === null || step[field] === '') {
+        throw new DemoScriptError(`${stepPath}.${field} is required for "${step.type}" steps`);
+      }
+    }
+    if (step.onError !== undefined && !ON_ERROR_VALUES.includes(step.onError)) {
+      throw new DemoScriptError(`${stepPath}.onError must be one of ${ON_ERROR_VALUES.join(', ')}`);
+    }
+    for (const field of ['timeoutMs', 'retries', 'ms', 'times', 'intervalMs', 'pauseMs', 'overlapMs']) {
+      if (step[field] !== undefined && (!Number.isInteger(step[field]) || step[field] < 0)) {
+        throw new DemoScriptError(`${stepPath}.${field} must be a non-negative integer`);
+      }
+    }
+    if (step.type === 'share' && step.source !== undefined && !SHARE_SOURCES[step.source]) {
+      throw new DemoScriptError(`${stepPath}.source must be one of ${Object.keys(SHARE_SOURCES).join(', ')}`);
+    }
+    if (step.type === 'tab' && !TAB_ACTIONS.includes(step.action)) {
+      throw new DemoScriptError(`${stepPath}.action must be one of ${TAB_ACTIONS.join(', ')}`);
+    }
+    if (step.type === 'repeat') {
+      if (step.order !== undefined && !['sequential', 'random'].includes(step.order)) {
+        throw new DemoScriptError(`${stepPath}.order must be "sequential" or "random"`);
+      }
+      validateSteps(step.steps, `${stepPath}.steps`);
+    }
+  });
+}
+
+/**
+ * Validate a parsed demo script
+ * @param {object} script - Parsed script object
+ * @returns {object} The same script
+ */
+function validateScript(script) {
+  if (!script || typeof script !== 'object' || Array.isArray(script)) {
+    throw new DemoScriptError('Demo script must be an object with a "steps" list');
+  }
+  const defaults = script.defaults || {};
+  if (defaults.onError !== undefined && !ON_ERROR_VALUES.includes(defaults.onError)) {
+    throw new DemoScriptError(`defaults.onError must be one of ${ON_ERROR_VALUES.join(', ')}`);
+  }
+  validateSteps(script.steps, 'steps');
+  return script;
+}
+
+/**
+ * Load a demo script from a .json, .yaml or .yml file
+ * @param {string} filePath - Path to the script file
+ * @returns {Promise<object>} Validated script
+ */
+async function loadScript(filePath) {
+  const source = await fs.readFile(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+
+  let script;
+  try {
+    script = ext === '.yaml' || ext === '.yml' ? YAML.parse(source) : JSON.parse(source);
+  } catch (err) {
+    throw new DemoScriptError(`Could not parse demo script ${filePath}: ${err.message}`);
+  }
+
+  try {
+    return validateScript(script);
+  } catch (err) {
+    err.message = `${filePath}: ${err.message}`;
+    throw err;
+  }
+}
+
+/**
+ * Replace {{name}} placeholders with values from vars
+ */
+function interpolate(value, vars) {
+  if (typeof value !== 'string') return value;
+  return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => {
+    if (vars[name] === undefined) {
+      throw new DemoScriptError(`Unknown variable "${name}" in "${value}"`);
+    }
+    return String(vars[name]);
+  });
+}
+
+/**
+ * Every line a script will speak, with placeholders filled in
+ * Lines whose placeholders cannot be resolved are left out.
+ * @param {object} script - Validated script
+ * @param {object} [vars] - Values available as {{name}} placeholders
+ * @returns {string[]} Unique narration lines in script order
+ */
+function collectNarration(script, vars = {}) {
+  const allVars = { ...vars, ...(script.vars || {}) };
+  const lines = new Set();
+  const walk = steps => {
+    for (const step of steps) {
+      if (step.type === 'repeat') {
+        walk(step.steps);
+        continue;
+      }
+      const narration = step.type === 'say' ? step.text : step.say;
+      if (!narration) continue;
+      try {
+        lines.add(interpolate(narration, allVars));
+      } catch (err) {
+        if (!(err instanceof DemoScriptError)) throw err;
+      }
+    }
+  };
+  walk(script.steps);
+  return [...lines];
+}
+
+/**
+ * Reject if the promise does not settle within ms
+ */
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new DemoScriptError(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs demo scripts step by step.
+ * Speech goes through the host's speakAndDo so narration and actions stay in sync.
+ */
+class DemoScriptRunner {
+  /**
+   * @param {object} options
+   * @param {import('playwright').Page} [options.page] - Page the demo drives when there are no tabs
+   * @param {import('./presenter').PresenterTabs} [options.tabs] - Presenter tabs; steps act on the current one
+   * @param {Function} options.speakAndDo - speakAndDo(text, fn, {overlapMs}) from the bot
+   * @param {Function} [options.shareScreen] - shareScreen({source, tab, audio, signal}) called for "share" steps;
+   *   it should give up when the signal aborts
+   * @param {number} [options.shareTimeoutMs] - Longest a shareScreen() call takes with all its attempts
+   * @param {Function} [options.chat] - chat(text) called for "chat" steps
+   * @param {Function} [options.shouldContinue] - Returns false to stop the script
+   * @param {Function} [options.exclusive] - exclusive(label, task, timeoutMs) runs a step that drives
+   *   the page, e.g. through the bot's PageScheduler so keep-alive clicks wait
+   * @param {object} [options.vars] - Values available as {{name}} placeholders
+   */
+  constructor({ page, tabs, speakAndDo, shareScreen, shareTimeoutMs = SHARE_TIMEOUT_MS, chat, shouldContinue, exclusive, vars = {} }) {
+    this.page = page;
+    this.tabs = tabs;
+    this.speakAndDo = speakAndDo;
+    this.shareScreen = shareScreen;
+    this.shareTimeoutMs = shareTimeoutMs;
+    this.chat = chat;
+    this.shouldContinue = shouldContinue || (async () => true);
+    this.exclusive = exclusive || ((label, task) => task());
+    this.vars = vars;
+    this.defaults = {};
+    this.running = false;
+    this.paused = false;
+    this.stopped = false;
+    this.skipping = false;
+    this.currentStep = null;
+    // Top-level step to start from if the script is run again after being cut off (null once it finished or aborted)
+    this.resumeAt = null;
+    // Resolvers of the waits that pause/skip/stop cut short
+    this.wakers = new Set();
+  }
+
+  /**
+   * Hold the script before its next step until resume()
+   */
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    console.log('⏸️ Demo script paused');
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    console.log('▶️ Demo script resumed');
+    this.wakeUp();
+  }
+
+  /**
+   * Move on to the next step now: cuts short the current step's waits (wait steps, pauseMs, repeat intervals)
+   */
+  skip() {
+    this.skipping = true;
+    this.wakeUp();
+  }
+
+  /**
+   * Stop before the next step (a paused script stops right away)
+   */
+  stop() {
+    this.stopped = true;
+    this.wakeUp();
+  }
+
+  /**
+   * Whether the script is running or paused and which step it is on
+   */
+  state() {
+    return { running: this.running, paused: this.paused, step: this.currentStep };
+  }
+
+  wakeUp() {
+    const wakers = [...this.wakers];
+    this.wakers.clear();
+    wakers.forEach(wake => wake());
+  }
+
+  /**
+   * A delay that skip() and stop() end early
+   */
+  async sleep(ms) {
+    if (this.skipping || this.stopped) return;
+    await new Promise(resolve => {
+      const wake = () => {
+        clearTimeout(timer);
+        this.wakers.delete(wake);
+        resolve();
+      };
+      const timer = setTimeout(wake, ms);
+      this.wakers.add(wake);
+    });
+  }
+
+  /**
+   * Wait out a pause, then check whether the script may go on
+   */
+  async proceed() {
+    while (this.paused && !this.stopped) {
+      await new Promise(resolve => this.wakers.add(resolve));
+    }
+    return !this.stopped && this.shouldContinue();
+  }
+
+  /**
+   * Run a validated script to completion
+   * @param {object} script - Parsed script
+   * @param {object} [options]
+   * @param {number} [options.startAt] - Index of the top-level step to start with (e.g. resumeAt of an earlier run)
+   * @returns {Promise<boolean>} false if the script was aborted or stopped early
+   */
+  async run(script, { startAt = 0 } = {}) {
+    this.defaults = script.defaults || {};
+    this.vars = { ...this.vars, ...(script.vars || {}) };
+    const resuming = startAt > 0 ? ` from steps[${startAt}]` : '';
+    console.log(`🎬 Running demo script${script.name ? `: ${script.name}` : ''}${resuming}`);
+    this.running = true;
+
+    try {
+      const completed = await this.runSteps(script.steps, 'steps', {
+        from: startAt,
+        onStep: index => { this.resumeAt = index; }
+      });
+      if (completed) this.resumeAt = null;
+      console.log(completed ? '✅ Demo script finished' : '⏹️ Demo script stopped');
+      return completed;
+    } catch (err) {
+      if (err instanceof DemoScriptError) {
+        this.resumeAt = null;
+        console.error(`❌ Demo script aborted: ${err.message}`);
+        return false;
+      }
+      throw err;
+    } finally {
+      this.running = false;
+      this.currentStep = null;
+    }
+  }
+
+  async runSteps(steps, where, { from = 0, onStep } = {}) {
+    for (let index = from; index < steps.length; index++) {
+      if (onStep) onStep(index);
+      if (!(await this.proceed())) {
+        return false;
+      }
+      const completed = await this.runStep(steps[index], `${where}[${index}]`);
+      if (completed === false) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  async runStep(step, stepPath) {
+    if (step.type === 'repeat') {
+      return this.runRepeat(step, stepPath);
+    }
+
+    const onError = step.onError || this.defaults.onError || 'skip';
+    const maxAttempts = onError === 'retry'
+      ? 1 + (step.retries !== undefined ? step.retries : (this.defaults.retries !== undefined ? this.defaults.retries : DEFAULT_RETRIES))
+      : 1;
+    const label = `${stepPath} (${step.type})`;
+    this.currentStep = label;
+    this.skipping = false;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const narration = step.type === 'say' ? step.text : step.say;
+        if (narration && attempt === 1) {
+          // speakAndDo swallows action errors, so capture them to apply onError
+          let actionError = null;
+          await this.speakAndDo(interpolate(narration, this.vars), async () => {
+            if (step.type === 'say') return;
+            try {
+              await this.executeWithTimeout(step, label);
+            } catch (err) {
+              actionError = err;
+            }
+          }, { overlapMs: step.overlapMs !== undefined ? step.overlapMs : this.defaults.overlapMs });
+          if (actionError) throw actionError;
+        } else if (step.type !== 'say') {
+          await this.executeWithTimeout(step, label);
+        }
+        return true;
+      } catch (err) {
+        if (onError === 'abort') {
+          throw new DemoScriptError(`${label} failed: ${err.message}`, step);
+        }
+        if (attempt < maxAttempts) {
+          console.log(`⚠️ ${label} failed (attempt ${attempt}/${maxAttempts}), retrying: ${err.message}`);
+          await delay(1000);
+        } else {
+          console.log(`⚠️ Skipping ${label}: ${err.message}`);
+        }
+      }
+    }
+    return true;
+  }
+
+  async runRepeat(step, stepPath) {
+    // Without times the block repeats until the script is stopped; times: 0 skips it
+    const times = step.times === undefined ? Infinity : step.times;
+    const order = step.order || 'sequential';
+
+    for (let iteration = 1; iteration <= times; iteration++) {
+      if (step.intervalMs) {
+        await this.sleep(step.intervalMs);
+      }
+      if (!(await this.proceed())) {
+        return false;
+      }
+
+      let completed;
+      if (order === 'random') {
+        const index = Math.floor(Math.random() * step.steps.length);
+        completed = await this.runStep(step.steps[index], `${stepPath}.steps[${index}]`);
+      } else {
+        completed = await this.runSteps(step.steps, `${stepPath}.steps`);
+      }
+      if (completed === false) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  executeWithTimeout(step, label) {
+    const timeoutMs = this.stepTimeout(step);
+    const run = async () => {
+      const controller = new AbortController();
+      const execution = this.execute(step, timeoutMs, controller.signal);
+      try {
+        return await withTimeout(execution, timeoutMs, label);
+      } catch (err) {
+        controller.abort(err);
+        // A share still retrying is called off and waited for, so a retried step does not share over it
+        if (step.type === 'share') await execution.catch(() => {});
+        throw err;
+      }
+    };
+    // Waiting doesn't touch the page, so it leaves room for background work
+    return step.type === 'wait' ? run() : this.exclusive(label, run, timeoutMs);
+  }
+
+  stepTimeout(step) {
+    if (step.timeoutMs !== undefined) return step.timeoutMs;
+    if (this.defaults.timeoutMs !== undefined) return this.defaults.timeoutMs;
+    if (step.type === 'goto') return GOTO_TIMEOUT_MS;
+    if (step.type === 'share') return this.shareTimeoutMs;
+    return DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * Page for the next step: the current presenter tab (opened on demand) or the fixed page
+   */
+  async currentPage() {
+    if (!this.tabs) return this.page;
+    return this.tabs.current || this.tabs.open();
+  }
+
+  async execute(step, timeoutMs, signal) {
+    const value = field => interpolate(step[field], this.vars);
+    if (step.type === 'tab') {
+      return this.executeTab(step, value);
+    }
+    const page = await this.currentPage();
+
+    switch (step.type) {
+      case 'goto':
+        await page.goto(value('url'), { waitUntil: step.waitUntil || 'networkidle', timeout: timeoutMs });
+        break;
+      case 'fill':
+        await page.locator(value('selector')).first().fill(value('value'), { timeout: timeoutMs });
+        break;
+      case 'click':
+        await page.locator(value('selector')).first().click({ timeout: timeoutMs });
+        break;
+      case 'hover':
+        await page.locator(value('selector')).first().hover({ timeout: timeoutMs });
+        break;
+      case 'scroll':
+        if (step.selector) {
+          await page.locator(value('selector')).first().scrollIntoViewIfNeeded({ timeout: timeoutMs });
+        } else {
+          await page.evaluate(({ x, y }) => window.scrollBy(x, y), { x: step.x || 0, y: step.y !== undefined ? step.y : 300 });
+        }
+        break;
+      case 'wait':
+        await this.sleep(step.ms);
+        break;
+      case 'share':
+        if (!this.shareScreen) throw new Error('screen sharing is not available');
+        if (!(await this.shareScreen({ source: step.source, tab: step.tab, audio: step.audio, signal }))) {
+          throw new Error('screen sharing did not start');
+        }
+        break;
+      case 'chat':
+        if (!this.chat) throw new Error('chat is not available');
+        await this.chat(value('text'));
+        break;
+      default:
+        throw new DemoScriptError(`Unsupported step type "${step.type}"`, step);
+    }
+
+    if (step.pauseMs) {
+      await this.sleep(step.pauseMs);
+    }
+  }
+
+  async executeTab(step, value) {
+    if (!this.tabs) throw new Error('demo tabs are not available');
+    const name = step.name !== undefined ? value('name') : undefined;
+    if (step.action === 'open') {
+      await this.tabs.open(name, step.url !== undefined ? value('url') : undefined);
+    } else if (step.action === 'switch') {
+      await this.tabs.switchTo(name);
+    } else {
+      await this.tabs.close(name);
+    }
+    if (step.pauseMs) {
+      await this.sleep(step.pauseMs);
+    }
+  }
+}
+
+module.exports = {
+  DemoScriptError,
+  DemoScriptRunner,
+  STEP_TYPES,
+  collectNarration,
+  loadScript,
+  validateScript
+};
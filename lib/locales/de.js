@@ -0,0 +1,50 @@
+/**
+ * German Google Meet UI texts
+ */
+
+module.exports = {
+  joinNow: ['Jetzt teilnehmen'],
+  askToJoin: ['Teilnahme anfragen', 'Beitritt anfragen'],
+  readyToJoin: ['Bereit zum Teilnehmen?'],
+  yourName: ['Ihr Name', 'Dein Name'],
+  signIn: ['Zum Teilnehmen anmelden', 'Anmelden'],
+  camera: ['Kamera'],
+  microphone: ['Mikrofon'],
+  turnOffCamera: ['Kamera deaktivieren', 'Kamera ausschalten'],
+  turnOnMicrophone: ['Mikrofon aktivieren', 'Mikrofon einschalten'],
+  turnOffMicrophone: ['Mikrofon deaktivieren', 'Mikrofon ausschalten'],
+  gotIt: ['Ok', 'Verstanden'],
+  presentNow: ['Jetzt präsentieren', 'Bildschirm teilen'],
+  entireScreen: ['Gesamter Bildschirm', 'Ihr gesamter Bildschirm'],
+  aWindow: ['Ein Fenster'],
+  aTab: ['Ein Tab', 'Einen Tab'],
+  share: ['Teilen'],
+  stopPresenting: ['Präsentation beenden'],
+  youArePresenting: ['Sie präsentieren', 'Du präsentierst'],
+  turnOnCaptions: ['Untertitel aktivieren', 'Untertitel einschalten'],
+  turnOffCaptions: ['Untertitel deaktivieren', 'Untertitel ausschalten'],
+  leaveCall: ['Anruf verlassen'],
+  chat: ['Mit allen chatten', 'Chat'],
+  sendMessage: ['Nachricht senden'],
+  you: ['Sie', 'Du', 'Ich'],
+  people: ['Personen', 'Alle anzeigen', 'Teilnehmer'],
+  meetingHost: ['Organisator', 'Gastgeber'],
+  coHost: ['Co-Organisator', 'Co-Gastgeber'],
+  meetingDetails: ['Besprechungsdetails'],
+  moreOptions: ['Weitere Optionen'],
+  waitingForAdmission: [
+    'Anfrage zur Teilnahme',
+    'Sie nehmen am Anruf teil, sobald Sie jemand hereinlässt',
+    'Du nimmst am Anruf teil, sobald dich jemand hereinlässt'
+  ],
+  denied: ['hat Ihre Anfrage zur Teilnahme abgelehnt', 'hat deine Anfrage zur Teilnahme abgelehnt'],
+  cantJoin: ['Sie können diesem Videoanruf nicht beitreten', 'Du kannst diesem Videoanruf nicht beitreten'],
+  meetingNotFound: ['Prüfen Sie Ihren Besprechungscode', 'Überprüfe deinen Besprechungscode', 'Ungültiger Name für Videoanruf'],
+  removed: ['Sie wurden aus der Besprechung entfernt', 'Du wurdest aus der Besprechung entfernt'],
+  youLeft: ['Sie haben die Besprechung verlassen', 'Du hast die Besprechung verlassen'],
+  connectionLost: ['Netzwerkverbindung unterbrochen', 'Verbindung wird wiederhergestellt', 'Sie sind offline'],
+  rejoin: ['Erneut teilnehmen', 'Wieder teilnehmen'],
+  callEnded: ['Der Anruf wurde beendet'],
+  returnToHome: ['Zurück zum Startbildschirm'],
+  googleWelcome: ['Willkommen']
+};
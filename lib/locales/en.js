@@ -0,0 +1,52 @@
+/**
+ * English Google Meet UI texts
+ * Each key lists the labels Meet uses for one UI element, most common first
+ */
+
+module.exports = {
+  joinNow: ['Join now'],
+  askToJoin: ['Ask to join', 'Request to join'],
+  readyToJoin: ['Ready to join?'],
+  yourName: ['Your name'],
+  signIn: ['Sign in to join', 'Sign in'],
+  camera: ['camera'],
+  microphone: ['microphone'],
+  turnOffCamera: ['Turn off camera'],
+  turnOnMicrophone: ['Turn on microphone'],
+  turnOffMicrophone: ['Turn off microphone'],
+  gotIt: ['Got it'],
+  presentNow: ['Present now', 'Share screen'],
+  entireScreen: ['Your entire screen', 'Entire screen'],
+  aWindow: ['A window'],
+  aTab: ['A tab', 'A Chrome tab'],
+  share: ['Share'],
+  stopPresenting: ['Stop presenting'],
+  youArePresenting: ['You are presenting'],
+  turnOnCaptions: ['Turn on captions'],
+  turnOffCaptions: ['Turn off captions'],
+  leaveCall: ['Leave call'],
+  justLeaveCall: ['Just leave the call', 'Just leave the meeting'],
+  chat: ['Chat with everyone', 'Chat'],
+  sendMessage: ['Send a message'],
+  you: ['You'],
+  people: ['People', 'Show everyone', 'participants'],
+  meetingHost: ['Meeting host', 'Host'],
+  coHost: ['Co-host'],
+  meetingDetails: ['meeting details', 'Meeting details'],
+  moreOptions: ['More options'],
+  waitingForAdmission: [
+    'Asking to be let in',
+    'You\'ll join the call when someone lets you in',
+    'Please wait until a meeting host brings you into the call'
+  ],
+  denied: ['denied your request to join', 'Someone in the call denied your request'],
+  cantJoin: ['You can\'t join this video call', 'You can\'t join this call'],
+  meetingNotFound: ['Check your meeting code', 'Invalid video call name', 'meeting code you entered'],
+  removed: ['You\'ve been removed from the meeting', 'removed you from the meeting'],
+  youLeft: ['You left the meeting'],
+  connectionLost: ['You lost your network connection', 'Trying to reconnect', 'You\'re offline'],
+  rejoin: ['Rejoin'],
+  callEnded: ['The call has ended', 'This call has ended'],
+  returnToHome: ['Return to home screen'],
+  googleWelcome: ['Welcome']
+};
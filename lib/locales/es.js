@@ -0,0 +1,49 @@
+/**
+ * Spanish Google Meet UI texts
+ */
+
+module.exports = {
+  joinNow: ['Unirme ahora', 'Unirse ahora'],
+  askToJoin: ['Solicitar unirse', 'Pedir unirse'],
+  readyToJoin: ['¿Todo listo para unirte?'],
+  yourName: ['Tu nombre', 'Su nombre'],
+  signIn: ['Inicia sesión para unirte', 'Iniciar sesión'],
+  camera: ['cámara'],
+  microphone: ['micrófono'],
+  turnOffCamera: ['Desactivar cámara', 'Desactivar la cámara'],
+  turnOnMicrophone: ['Activar micrófono', 'Activar el micrófono'],
+  turnOffMicrophone: ['Desactivar micrófono', 'Desactivar el micrófono'],
+  gotIt: ['Entendido'],
+  presentNow: ['Presentar ahora', 'Compartir pantalla'],
+  entireScreen: ['Toda la pantalla', 'Tu pantalla completa'],
+  aWindow: ['Una ventana'],
+  aTab: ['Una pestaña'],
+  share: ['Compartir'],
+  stopPresenting: ['Dejar de presentar'],
+  youArePresenting: ['Estás presentando'],
+  turnOnCaptions: ['Activar subtítulos', 'Activar los subtítulos'],
+  turnOffCaptions: ['Desactivar subtítulos', 'Desactivar los subtítulos'],
+  leaveCall: ['Salir de la llamada', 'Abandonar la llamada'],
+  chat: ['Chatear con todos', 'Chat'],
+  sendMessage: ['Enviar un mensaje'],
+  you: ['Tú', 'Usted', 'Yo'],
+  people: ['Personas', 'Mostrar a todos', 'participantes'],
+  meetingHost: ['Organizador de la reunión', 'Organizador'],
+  coHost: ['Coorganizador'],
+  meetingDetails: ['Detalles de la reunión'],
+  moreOptions: ['Más opciones'],
+  waitingForAdmission: [
+    'Solicitando unirse',
+    'Te unirás a la llamada cuando alguien te deje entrar'
+  ],
+  denied: ['rechazó tu solicitud para unirte', 'ha rechazado tu solicitud'],
+  cantJoin: ['No puedes unirte a esta videollamada', 'No puedes unirte a esta llamada'],
+  meetingNotFound: ['Comprueba el código de la reunión', 'Nombre de videollamada no válido'],
+  removed: ['Te han quitado de la reunión', 'Te han expulsado de la reunión'],
+  youLeft: ['Has salido de la reunión'],
+  connectionLost: ['Se ha perdido la conexión de red', 'Intentando volver a conectar', 'No tienes conexión'],
+  rejoin: ['Volver a unirse', 'Volver a unirte'],
+  callEnded: ['La llamada ha finalizado'],
+  returnToHome: ['Volver a la pantalla de inicio'],
+  googleWelcome: ['Te damos la bienvenida', 'Bienvenido']
+};
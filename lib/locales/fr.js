@@ -0,0 +1,49 @@
+/**
+ * French Google Meet UI texts
+ */
+
+module.exports = {
+  joinNow: ['Participer', 'Participer à la réunion'],
+  askToJoin: ['Demander à participer'],
+  readyToJoin: ['Prêt à participer ?'],
+  yourName: ['Votre nom'],
+  signIn: ['Se connecter pour participer', 'Se connecter'],
+  camera: ['caméra'],
+  microphone: ['micro'],
+  turnOffCamera: ['Désactiver la caméra'],
+  turnOnMicrophone: ['Activer le micro'],
+  turnOffMicrophone: ['Désactiver le micro'],
+  gotIt: ['OK', 'J\'ai compris'],
+  presentNow: ['Présenter maintenant', 'Partager l\'écran'],
+  entireScreen: ['Votre écran entier', 'Écran entier'],
+  aWindow: ['Une fenêtre'],
+  aTab: ['Un onglet'],
+  share: ['Partager'],
+  stopPresenting: ['Arrêter la présentation'],
+  youArePresenting: ['Vous êtes en train de présenter', 'Vous présentez'],
+  turnOnCaptions: ['Activer les sous-titres'],
+  turnOffCaptions: ['Désactiver les sous-titres'],
+  leaveCall: ['Quitter l\'appel'],
+  chat: ['Envoyer un message à tous les participants', 'Chat'],
+  sendMessage: ['Envoyer un message'],
+  you: ['Vous', 'Moi'],
+  people: ['Participants', 'Afficher tout le monde'],
+  meetingHost: ['Organisateur de la réunion', 'Organisateur'],
+  coHost: ['Coorganisateur'],
+  meetingDetails: ['Informations sur la réunion'],
+  moreOptions: ['Plus d\'options', 'Autres options'],
+  waitingForAdmission: [
+    'Demande de participation',
+    'Vous pourrez participer à l\'appel lorsque quelqu\'un vous y autorisera'
+  ],
+  denied: ['a refusé votre demande de participation'],
+  cantJoin: ['Vous ne pouvez pas participer à cet appel vidéo', 'Impossible de participer à cet appel vidéo'],
+  meetingNotFound: ['Vérifiez le code de la réunion', 'Nom d\'appel vidéo non valide'],
+  removed: ['Vous avez été exclu de la réunion', 'Vous avez été retiré de la réunion'],
+  youLeft: ['Vous avez quitté la réunion'],
+  connectionLost: ['Vous avez perdu votre connexion réseau', 'Tentative de reconnexion', 'Vous êtes hors connexion'],
+  rejoin: ['Revenir dans la réunion', 'Participer à nouveau'],
+  callEnded: ['L\'appel est terminé'],
+  returnToHome: ['Revenir à l\'écran d\'accueil'],
+  googleWelcome: ['Bienvenue']
+};
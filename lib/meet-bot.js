@@ -0,0 +1,1013 @@
+/**
+ * MeetBot: reusable Google Meet bot with an EventEmitter interface
+ *
+ * Events:
+ *   launched            - browser is ready
+ *   stateChange {from, to, at, reason} - meeting lifecycle transition (see meeting-state.js)
+ *   waitingForAdmission {url, elapsedMs, timeoutMs} - still in the lobby after "Ask to join"
+ *   joined   {url}      - bot is in the meeting
+ *   joinFailed {url, reason, error} - joining gave up (reason is a JoinError reason)
+ *   disconnected {url, cause} - the bot dropped out of the call and is reconnecting (causes in reconnect.js)
+ *   reconnecting {cause, attempt, maxAttempts, delayMs, lastError} - a reconnect attempt is about to start
+ *   reconnected  {cause, attempts, downtimeMs} - back in the call, with the session restored
+ *   reconnectFailed {cause, attempts, error} - reconnecting gave up ('left' follows)
+ *   left     {url, reason} - bot left: 'leave' or the reason given to leave(), an auto-leave policy
+ *                          ('alone', 'host-left', 'max-duration', see auto-leave.js), what Meet
+ *                          showed ('left', 'removed', 'call-ended') or the cause of a connection
+ *                          that could not be recovered
+ *   speaking {text, durationMs} - an utterance started playing
+ *   sharing  {source, tab, audio, startedAt} - Meet confirmed the presentation
+ *   sharingStopped {source, tab, audio, startedAt, reason} - presentation ended ('stopped' or 'ended')
+ *   caption  {speaker, text, start, end} - someone finished an utterance (from Meet's captions)
+ *   chatMessage {sender, text, time, at, self} - a message appeared in the meeting chat
+ *   chatCommand {name, args, sender, reply} - an allowed participant ran a chat command
+ *   assistantAnswer {question, answer, asker, via} - the assistant answered a question (via caption or chat)
+ *   participantJoined   {id, name, role, self, at}
+ *   participantLeft     {id, name, role, self, at}
+ *   participantChanged  {id, name, role, self, at} - a name or role changed (e.g. made co-host)
+ *   attendance {startedAt, endedAt, participants, files} - the session ended (see roster.js)
+ *   error    (err)      - a bot operation failed (logged if nobody listens)
+ *   closed              - browser was closed
+ */
+
+const EventEmitter = require('events');
+const path = require('path');
+const { createConfig, normalizeMeetingUrl } = require('./config');
+const { createSpeech } = require('./tts');
+const { PageAudio } = require('./page-audio');
+const { SpeechQueue } = require('./speech-queue');
+const { PageScheduler } = require('./page-scheduler');
+const { PresenterTabs, guardMeetTab } = require('./presenter');
+const { ScreenShareError, captureFlags, attachShareCapture } = require('./screen-share');
+const { CaptionTranscript, enableCaptions } = require('./captions');
+const { TranscriptWriter } = require('./transcript');
+const { MeetChat } = require('./chat');
+const { ChatCommands } = require('./chat-commands');
+const { MeetAssistant } = require('./assistant');
+const { Roster, writeAttendanceReport } = require('./roster');
+const { AutoLeave } = require('./auto-leave');
+const { ReconnectSupervisor } = require('./reconnect');
+const { TtsCache } = require('./tts-cache');
+const { launchBrowser } = require('./browser');
+const {
+  JoinError,
+  joinMeet,
+  leaveMeet,
+  checkConnection,
+  shareScreen,
+  stopSharing,
+  keepMeetingAlive,
+  setMicrophone,
+  waitForGoogleLogin
+} = require('./meet');
+const { loadScript, DemoScriptRunner } = require('./demo-script');
+const { MeetingStateMachine, TERMINAL_STATES } = require('./meeting-state');
+const { createSelectors } = require('./selectors');
+
+// Upper bound for one screen share attempt, including its spoken announcements
+const SHARE_TIMEOUT_MS = 120000;
+const STEP_TIMEOUT_MARGIN_MS = 5000;
+
+class MeetBot extends EventEmitter {
+  /**
+   * @param {object} [options] - Config overrides shaped like bot.config.json,
+   *   or a config object returned by loadConfig()
+   * @param {object} [options.openai] - Optional OpenAI client to use for TTS
+   * @param {object} [options.speech] - Replacement {synthesizeSpeech, speakAndDo, stop} (e.g. silent speech in tests)
+   * @param {string} [options.tmpDir] - Directory for this bot's temporary audio files (default: the OS temp directory)
+   */
+  constructor(options = {}) {
+    super();
+    const { openai, speech, tmpDir, ...overrides } = options;
+    this.config = createConfig(overrides);
+    this.selectors = createSelectors(this.config.ui.locale);
+    this.pageAudio = new PageAudio();
+    const { ttsCache } = this.config;
+    this.ttsCache = ttsCache.enabled
+      ? new TtsCache({ dir: path.resolve(ttsCache.dir), maxBytes: ttsCache.maxSizeMb * 1024 * 1024 })
+      : null;
+    this.speech = speech || createSpeech({
+      voice: this.config.voice,
+      openai,
+      pageAudio: this.pageAudio,
+      cache: this.ttsCache,
+      tmpDir,
+      onSpeaking: (text, { durationMs }) => this.emit('speaking', { text, durationMs })
+    });
+    // Every utterance goes through the queue so they never overlap
+    this.speechQueue = new SpeechQueue({ speech: this.speech });
+    // Every UI action on the meeting page goes through the scheduler so they never collide
+    this.scheduler = new PageScheduler();
+    this.captions = new CaptionTranscript({ selectors: this.selectors, finalizeAfterMs: this.config.captions.finalizeAfterMs });
+    this.transcriptWriter = null;
+    this.captions.on('utterance', utterance => {
+      this.emit('caption', { ...utterance });
+      if (this.transcriptWriter) {
+        this.transcriptWriter.write(utterance).catch(err => this.reportError(err));
+      }
+      if (!this.isOwnName(utterance.speaker)) {
+        this.hearAssistant({ speaker: utterance.speaker, text: utterance.text, via: 'caption' });
+      }
+    });
+    const { chat } = this.config;
+    this.meetChat = new MeetChat({
+      selectors: this.selectors,
+      scheduler: this.scheduler,
+      botName: this.config.identity.name,
+      maxMessages: chat.maxMessages,
+      windowMs: chat.windowMs,
+      minIntervalMs: chat.minIntervalMs,
+      panelCheckIntervalMs: chat.panelCheckIntervalMs
+    });
+    this.commands = new ChatCommands({ bot: this, prefix: this.config.commands.prefix, allow: this.config.commands.allow });
+    this.commands.on('command', command => this.emit('chatCommand', command));
+    this.meetChat.on('message', message => {
+      this.emit('chatMessage', message);
+      const isCommand = Boolean(this.commands.parse(message.text));
+      if (this.config.commands.enabled && isCommand) {
+        this.commands.handle(message).catch(err => this.reportError(err));
+      } else if (!message.self && !isCommand) {
+        this.hearAssistant({ speaker: message.sender, text: message.text, via: 'chat' });
+      }
+    });
+    const { assistant } = this.config;
+    this.assistant = new MeetAssistant({
+      names: [this.config.identity.name, ...assistant.names],
+      model: assistant.model,
+      baseUrl: assistant.baseUrl,
+      systemPrompt: assistant.systemPrompt || undefined,
+      maxAnswerChars: assistant.maxAnswerChars,
+      maxTokens: assistant.maxTokens,
+      contextLines: assistant.contextLines,
+      timeoutMs: assistant.timeoutMs,
+      // The client passed in talks to OpenAI; a configured server gets a client of its own
+      openai: assistant.baseUrl ? null : openai
+    });
+    // Answers that are posted to chat directly, so mirroring must not post them again
+    this.unmirrored = new Set();
+    this.speechQueue.on('start', item => {
+      if (this.unmirrored.delete(item.text)) return;
+      // Attendees without audio can follow along; keep-alive chatter is not worth posting
+      if (chat.mirrorSpeech && item.priority !== 'low' && this.lifecycle.isInCall()) {
+        this.meetChat.send(item.text, { optional: true }).catch(err => this.reportError(err));
+      }
+    });
+    this.browser = null;
+    this.context = null;
+    this.page = null;
+    this.presenter = null;
+    this.unguardMeetTab = null;
+    this.meetingUrl = null;
+    // What is being presented ({source, tab, audio, startedAt}), or null
+    this.sharing = null;
+    this.muted = false;
+    // Runner of the demo script in progress, if any
+    this.demoRunner = null;
+    this.timers = [];
+    this.roster = new Roster({ selectors: this.selectors });
+    for (const event of ['participantJoined', 'participantLeft', 'participantChanged']) {
+      this.roster.on(event, participant => this.emit(event, participant));
+    }
+    const { autoLeave } = this.config;
+    this.autoLeave = new AutoLeave({ roster: this.roster, ...autoLeave });
+    this.autoLeave.on('leave', ({ reason, message }) => {
+      console.log(`🚪 Leaving by itself: ${message}`);
+      this.leave(reason).catch(err => this.reportError(err));
+    });
+    const { reconnect } = this.config;
+    this.reconnect = new ReconnectSupervisor({
+      ...reconnect,
+      checkConnection: () => checkConnection(this.page, this.selectors),
+      rejoin: snapshot => this.rejoin(snapshot)
+    });
+    for (const event of ['reconnecting', 'reconnected', 'reconnectFailed']) {
+      this.reconnect.on(event, details => this.emit(event, details));
+    }
+    this.reconnect.on('connectionLost', ({ cause }) => this.connectionLost(cause));
+    this.reconnect.on('reconnectFailed', ({ cause }) => this.endSession(cause));
+    // In the call since the last join, until leaving or dropping out
+    this.joined = false;
+    this.leaving = false;
+    this.closing = false;
+    // The browser or the call's tab crashed, so the next rejoin relaunches it
+    this.crashed = false;
+    // The demo started by runDemo() ({script, vars, runner}), kept so a rejoin can resume it
+    this.demo = null;
+
+    this.lifecycle = new MeetingStateMachine({ selectors: this.selectors });
+    this.lifecycle.on('transition', transition => {
+      this.emit('stateChange', transition);
+      const wasInCall = ['in-call', 'presenting'].includes(transition.from);
+      const droppedOut = TERMINAL_STATES.includes(transition.to) && wasInCall;
+      // Taken before the presentation is reported as ended, so a rejoin can bring it back
+      const snapshot = droppedOut ? this.sessionSnapshot() : null;
+      if (transition.from === 'presenting' && this.sharing) {
+        // Meet stopped the presentation (another presenter took over, the tab closed, ...)
+        const ended = this.sharing;
+        this.sharing = null;
+        this.emit('sharingStopped', { ...ended, reason: 'ended' });
+      }
+      if (droppedOut) {
+        // Meet put the bot out of the call without it leaving
+        this.connectionLost(transition.to, snapshot);
+      }
+    });
+  }
+
+  /**
+   * Current meeting lifecycle state (e.g. 'prejoin', 'in-call', 'presenting')
+   */
+  get state() {
+    return this.lifecycle.state;
+  }
+
+  /**
+   * Launch the browser
+   */
+  async launch() {
+    this.closing = false;
+    const { browser, context, page } = await launchBrowser({
+      locale: this.config.ui.locale,
+      headless: this.config.browser.headless,
+      profileDir: this.config.browser.profileDir && path.resolve(this.config.browser.profileDir),
+      args: captureFlags(this.config.screenShare)
+    });
+    this.browser = browser;
+    this.context = context;
+    this.page = page;
+    this.crashed = false;
+    // A profile's context has no separate browser; its closing means the browser went away
+    const owner = browser || context;
+    owner.on(browser ? 'disconnected' : 'close', () => {
+      if ((this.browser || this.context) === owner) this.browserGone('browser-disconnected');
+    });
+    page.on('crash', () => {
+      if (this.page === page) this.browserGone('page-crash');
+    });
+    // Demo browsing happens in presenter tabs so the call's tab never navigates away
+    this.presenter = new PresenterTabs({ context, meetPage: page });
+    await this.pageAudio.attach(page);
+    await attachShareCapture(page);
+    await this.captions.attach(page);
+    await this.meetChat.attach(page);
+    await this.lifecycle.attach(page);
+    this.emit('launched');
+    return this;
+  }
+
+  /**
+   * Wait until the browser profile is signed in to Google (prompts for manual login)
+   */
+  async ensureLoggedIn() {
+    this.assertLaunched();
+    return waitForGoogleLogin(this.page, this.selectors);
+  }
+
+  /**
+   * Join a meeting, retrying transient failures according to meeting.joinRetries
+   * @param {string} [url] - Meeting URL or code (defaults to meeting.url from config)
+   * @param {object} [options]
+   * @param {number} [options.retries] - Attempts (defaults to meeting.joinRetries)
+   * @param {boolean} [options.resume] - Carry on the session that was cut off (attendance, session length)
+   * @returns {Promise<true>} Resolves once the bot is in the meeting
+   * @throws {JoinError} With a typed reason (denied, admission-timeout, ...) if it cannot join
+   */
+  async join(url = this.config.meeting.url, { retries = this.config.meeting.joinRetries, resume = false } = {}) {
+    this.assertLaunched();
+    if (!url) {
+      throw new Error('No meeting URL given and meeting.url is not configured');
+    }
+    this.meetingUrl = normalizeMeetingUrl(url);
+    this.leaving = false;
+    if (this.unguardMeetTab) this.unguardMeetTab();
+    this.unguardMeetTab = guardMeetTab(this.page, this.meetingUrl);
+
+    const { retryDelayMs, admissionTimeoutMs } = this.config.meeting;
+    let failure;
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      console.log(`Attempt ${attempt} to join meeting...`);
+      try {
+        await joinMeet(this.page, this.meetingUrl, {
+          name: this.config.identity.name,
+          speakAndDo: (text, fn, options) => this.speechQueue.speakAndDo(text, fn, options),
+          state: this.lifecycle,
+          selectors: this.selectors,
+          admissionTimeoutMs,
+          onWaiting: status => this.emit('waitingForAdmission', { url: this.meetingUrl, ...status })
+        });
+        this.joined = true;
+        this.watchParticipants({ resume });
+        this.startAutoLeave({ resume });
+        if (this.reconnect.enabled) this.reconnect.start();
+        this.emit('joined', { url: this.meetingUrl });
+        return true;
+      } catch (err) {
+        failure = err instanceof JoinError ? err : new JoinError('no-response', err.message);
+        console.log(`⚠️ Join attempt ${attempt} failed: ${failure.message}`);
+        if (!failure.retryable) break;
+      }
+
+      if (attempt < retries) {
+        console.log(`Retrying in ${Math.round(retryDelayMs / 1000)} seconds...`);
+        await new Promise(res => setTimeout(res, retryDelayMs));
+      }
+    }
+
+    this.emit('joinFailed', { url: this.meetingUrl, reason: failure.reason, error: failure });
+    throw failure;
+  }
+
+  /**
+   * Whether the page currently looks like an active meeting
+   */
+  async isInMeeting() {
+    if (!this.page || this.page.isClosed()) return false;
+    await this.lifecycle.refresh();
+    return this.lifecycle.isInCall();
+  }
+
+  /**
+   * Speak text into the meeting once earlier utterances are done
+   * @param {object} [options] - {priority, interrupt, maxAgeMs}, see SpeechQueue#enqueue
+   * @returns {Promise<boolean>} Whether the text was spoken in full
+   */
+  async say(text, options) {
+    return this.speechQueue.say(text, options);
+  }
+
+  /**
+   * Speak text, then run fn once the speech is done
+   * @param {object} [options] - {overlapMs} starts fn that long before the speech ends, plus the say options
+   */
+  async speakAndDo(text, fn, options) {
+    return this.speechQueue.speakAndDo(text, fn, options);
+  }
+
+  /**
+   * What the bot is saying and what is waiting to be said
+   */
+  speechState() {
+    return this.speechQueue.state();
+  }
+
+  /**
+   * Mute or unmute the bot's microphone (speech still plays, nobody hears it)
+   * @returns {Promise<boolean>} Whether the microphone is now in the requested state
+   */
+  async setMuted(muted) {
+    this.assertLaunched();
+    const ok = await this.scheduler.run('microphone', () => setMicrophone(this.page, !muted, this.selectors), { priority: 'high' });
+    if (ok) this.muted = muted;
+    return ok;
+  }
+
+  /**
+   * Open a page in the current presenter tab, i.e. the one that is presented
+   */
+  async goto(url) {
+    this.assertLaunched();
+    await this.scheduler.run('goto', async () => {
+      const tab = this.presenter.current || await this.presenter.open();
+      await tab.goto(url, { waitUntil: 'domcontentloaded' });
+    }, { pauseBackground: true });
+  }
+
+  /**
+   * Snapshot of what the bot is doing
+   */
+  status() {
+    return {
+      state: this.state,
+      meetingUrl: this.meetingUrl,
+      sharing: this.sharing ? { ...this.sharing } : null,
+      muted: this.muted,
+      demo: this.demoRunner ? this.demoRunner.state() : { running: false, paused: false, step: null },
+      reconnecting: this.reconnect.recovering,
+      speech: { speaking: Boolean(this.speechQueue.current), queued: this.speechQueue.pending.length },
+      participants: this.roster.present.size
+    };
+  }
+
+  /**
+   * Health of each TTS provider, in fallback order (empty for replacement speech)
+   */
+  ttsHealth() {
+    return this.speech.engine ? this.speech.engine.health() : [];
+  }
+
+  /**
+   * Post a message to the meeting chat (waits for the chat rate limit)
+   * @returns {Promise<boolean>} Whether the message was posted
+   */
+  async chat(text) {
+    this.assertLaunched();
+    return this.meetChat.send(text);
+  }
+
+  /**
+   * Open the chat panel and keep it open so incoming messages are reported as chatMessage events
+   */
+  async startChat() {
+    this.assertLaunched();
+    await this.meetChat.start();
+  }
+
+  /**
+   * Chat messages seen so far, oldest first
+   */
+  chatMessages() {
+    return this.meetChat.messages.map(message => ({ ...message }));
+  }
+
+  /**
+   * Present a tab, window or the screen, retrying according to screenShare.retries
+   * Calling it while already presenting switches to the new source.
+   * @param {object} [options] - Overrides for this share
+   * @param {string} [options.source] - tab, window or screen (defaults to screenShare.source)
+   * @param {string} [options.tab] - Presenter tab to share (defaults to the current one, opened if needed)
+   * @param {boolean} [options.audio] - Include the tab's audio (defaults to screenShare.audio)
+   * @param {AbortSignal} [options.signal] - Stops further attempts (one in progress runs to its end)
+   * @returns {Promise<boolean>} Whether Meet confirmed the presentation
+   */
+  async shareScreen({ source = this.config.screenShare.source, tab, audio = this.config.screenShare.audio, signal } = {}) {
+    this.assertLaunched();
+    const { retries, retryDelayMs, verifyTimeoutMs } = this.config.screenShare;
+    // Only the tab flag can follow a source chosen mid-call; window and screen are picked at launch
+    if (source !== 'tab' && source !== this.config.screenShare.source) {
+      throw new ScreenShareError(`Sharing a ${source} needs screenShare.source set to "${source}" when the browser is launched`);
+    }
+    if (this.sharing) {
+      await this.stopSharing();
+    }
+
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      if (signal && signal.aborted) return false;
+      const speakAndDo = (text, fn, options) => this.speechQueue.speakAndDo(text, fn, { priority: 'high', ...options });
+      const share = async () => {
+        const target = source === 'tab'
+          ? (tab ? await this.presenter.open(tab) : this.presenter.current || await this.presenter.open())
+          : null;
+        // Meet's controls are clicked in its own tab; the demo tab stays what gets presented
+        await this.presenter.showMeeting();
+        try {
+          return await shareScreen(this.page, {
+            speakAndDo,
+            selectors: this.selectors,
+            state: this.lifecycle,
+            source,
+            target,
+            audio,
+            verifyTimeoutMs
+          });
+        } finally {
+          await this.presenter.showPresenter();
+        }
+      };
+      const shared = await this.scheduler.run('share screen', share, {
+        priority: 'high',
+        pauseBackground: true,
+        timeoutMs: SHARE_TIMEOUT_MS
+      }).catch(err => {
+        console.log(`⚠️ Screen share attempt ${attempt} failed: ${err.message}`);
+        return false;
+      });
+      if (shared) {
+        this.sharing = { source, tab: source === 'tab' ? this.presenter.currentName : null, audio, startedAt: new Date() };
+        this.emit('sharing', { ...this.sharing });
+        return true;
+      }
+      if (attempt < retries && !(signal && signal.aborted)) {
+        console.log(`⚠️ Screen share attempt ${attempt} failed, retrying in ${Math.round(retryDelayMs / 1000)} seconds...`);
+        await new Promise(res => {
+          const timer = setTimeout(res, retryDelayMs);
+          if (signal) {
+            signal.addEventListener('abort', () => {
+              clearTimeout(timer);
+              res();
+            }, { once: true });
+          }
+        });
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Longest shareScreen() can take: stopping a running share, then every attempt and the delays between them
+   */
+  shareTimeoutMs() {
+    const { retries, retryDelayMs, verifyTimeoutMs } = this.config.screenShare;
+    return verifyTimeoutMs + retries * SHARE_TIMEOUT_MS + (retries - 1) * retryDelayMs;
+  }
+
+  /**
+   * Stop presenting
+   * @returns {Promise<boolean>} Whether Meet stopped showing the presentation
+   */
+  async stopSharing() {
+    this.assertLaunched();
+    const previous = this.sharing;
+    // Cleared first so the state change below is not reported as the share ending by itself
+    this.sharing = null;
+    const stop = async () => {
+      await this.presenter.showMeeting();
+      try {
+        return await stopSharing(this.page, {
+          selectors: this.selectors,
+          state: this.lifecycle,
+          timeoutMs: this.config.screenShare.verifyTimeoutMs
+        });
+      } finally {
+        await this.presenter.showPresenter();
+      }
+    };
+    const stopped = await this.scheduler.run('stop sharing', stop, { priority: 'high', pauseBackground: true })
+      .catch(err => {
+        console.log(`⚠️ Could not stop sharing: ${err.message}`);
+        return false;
+      });
+    if (!stopped) {
+      this.sharing = previous;
+    } else if (previous) {
+      this.emit('sharingStopped', { ...previous, reason: 'stopped' });
+    }
+    return stopped;
+  }
+
+  /**
+   * Start everything that runs alongside the call once joined, as enabled in the config:
+   * keep-alive, the caption transcript, the chat panel and the screen share
+   */
+  async startSession() {
+    this.assertLaunched();
+    if (this.config.keepAlive.enabled) {
+      await this.startKeepAlive();
+    }
+    if (this.config.captions.enabled) {
+      await this.startTranscript();
+    }
+    if (this.config.chat.enabled) {
+      await this.startChat();
+    }
+    if (this.config.screenShare.enabled) {
+      await this.shareScreen();
+    }
+  }
+
+  /**
+   * Start the periodic keep-alive interactions
+   */
+  async startKeepAlive() {
+    this.assertLaunched();
+    const timers = await keepMeetingAlive(this.page, {
+      // Keep-alive lines are chatter: anything else goes first, and stale ones are dropped
+      synthesizeSpeech: text => this.speechQueue.say(text, { priority: 'low' }),
+      speakAndDo: (text, fn, options) => this.speechQueue.speakAndDo(text, fn, { priority: 'low', ...options }),
+      intervals: this.config.keepAlive,
+      selectors: this.selectors,
+      scheduler: this.scheduler
+    });
+    this.timers.push(...timers);
+    return timers;
+  }
+
+  /**
+   * Turn on Meet's captions and write what is said to transcript files for this session
+   * (captions.dir, one file per format in captions.formats)
+   * @returns {Promise<object>} Paths of the transcript files by format
+   */
+  async startTranscript() {
+    this.assertLaunched();
+    await this.stopTranscript();
+    const { dir, formats } = this.config.captions;
+    this.captions.reset();
+    this.transcriptWriter = new TranscriptWriter({ dir: path.resolve(dir), meetingUrl: this.meetingUrl, formats });
+    await this.scheduler.run('captions', () => enableCaptions(this.page, this.selectors));
+    console.log(`📝 Writing the transcript to ${Object.values(this.transcriptWriter.files).join(', ')}`);
+    return { ...this.transcriptWriter.files };
+  }
+
+  /**
+   * Complete the open utterances and finish the transcript files
+   * @returns {Promise<object|null>} Paths of the transcript files by format, if a transcript was running
+   */
+  async stopTranscript() {
+    this.captions.flush();
+    const writer = this.transcriptWriter;
+    this.transcriptWriter = null;
+    return writer ? writer.close() : null;
+  }
+
+  /**
+   * Utterances captured in this session so far
+   */
+  transcript() {
+    return this.captions.utterances.map(utterance => ({ ...utterance }));
+  }
+
+  /**
+   * Run a demo script while the bot remains in the meeting
+   * @param {string|object} [script] - Script path or parsed script (defaults to demo.script)
+   * @param {object} [vars] - Extra {{name}} placeholder values
+   * @param {object} [options]
+   * @param {number} [options.startAt] - Index of the top-level step to start with
+   * @returns {Promise<boolean>} Whether the script ran to completion
+   */
+  async runDemo(script = this.config.demo.script, vars = {}, { startAt = 0 } = {}) {
+    this.assertLaunched();
+    const parsed = typeof script === 'string' ? await loadScript(path.resolve(script)) : script;
+    const { demo, identity } = this.config;
+    if (this.demoRunner) this.demoRunner.stop();
+    const runner = new DemoScriptRunner({
+      tabs: this.presenter,
+      speakAndDo: (text, fn, options) => this.speechQueue.speakAndDo(text, fn, options),
+      shareScreen: options => this.shareScreen(options),
+      shareTimeoutMs: this.shareTimeoutMs(),
+      chat: text => this.chat(text),
+      shouldContinue: () => this.isInMeeting(),
+      exclusive: (label, task, timeoutMs) => this.scheduler.run(`demo ${label}`, task, {
+        pauseBackground: true,
+        // The step enforces its own timeout; this only frees the page if it hangs anyway
+        timeoutMs: timeoutMs + STEP_TIMEOUT_MARGIN_MS
+      }),
+      vars: {
+        loginUrl: demo.loginUrl,
+        dataUrl: demo.dataUrl,
+        newsUrl: demo.newsUrl,
+        visualizationUrl: demo.visualizationUrl,
+        formUrl: demo.formUrl,
+        botName: identity.name,
+        ...vars
+      }
+    });
+    this.demoRunner = runner;
+    this.demo = { script: parsed, vars, runner };
+    try {
+      return await runner.run(parsed, { startAt });
+    } finally {
+      if (this.demoRunner === runner) this.demoRunner = null;
+    }
+  }
+
+  /**
+   * Hold the running demo before its next step
+   * @returns {boolean} false if no demo is running
+   */
+  pauseDemo() {
+    if (!this.demoRunner) return false;
+    this.demoRunner.pause();
+    return true;
+  }
+
+  resumeDemo() {
+    if (!this.demoRunner) return false;
+    this.demoRunner.resume();
+    return true;
+  }
+
+  /**
+   * Cut the current demo step short: stop its narration and waits and go on with the next one
+   * @returns {Promise<boolean>} false if no demo is running
+   */
+  async nextDemoStep() {
+    if (!this.demoRunner) return false;
+    this.demoRunner.skip();
+    await this.speechQueue.interrupt();
+    return true;
+  }
+
+  /**
+   * Leave the meeting with Meet's "Leave call" button but keep the browser open
+   * @param {string} [reason] - Passed on with the 'left' event (e.g. 'shutdown')
+   * @returns {Promise<boolean>} Whether Meet confirmed that the bot left (false if it already had)
+   */
+  async leave(reason = 'leave') {
+    if (this.leaving) return false;
+    this.leaving = true;
+    this.joined = false;
+    this.reconnect.cancel();
+    this.sharing = null;
+    this.stopTimers();
+    this.speechQueue.clear();
+    await this.speechQueue.interrupt();
+    await this.stopTranscript();
+    await this.endAttendance().catch(err => this.reportError(err));
+
+    let left = false;
+    if (this.page && !this.page.isClosed()) {
+      left = await leaveMeet(this.page, {
+        selectors: this.selectors,
+        state: this.lifecycle,
+        timeoutMs: this.config.meeting.leaveTimeoutMs
+      }).catch(err => {
+        this.reportError(err);
+        return false;
+      });
+    }
+    this.emit('left', { url: this.meetingUrl, reason });
+    return left;
+  }
+
+  /**
+   * Stop all timers and close the browser
+   */
+  async close() {
+    this.closing = true;
+    this.joined = false;
+    this.reconnect.cancel();
+    this.stopTimers();
+    this.sharing = null;
+    await this.stopTranscript();
+    await this.endAttendance().catch(err => this.reportError(err));
+    if (this.unguardMeetTab) {
+      this.unguardMeetTab();
+      this.unguardMeetTab = null;
+    }
+    this.speechQueue.clear();
+    await this.speechQueue.interrupt();
+    if (this.context) {
+      // A profile's context has no separate browser; closing it ends the browser
+      await (this.browser || this.context).close();
+      this.browser = null;
+      this.context = null;
+      this.page = null;
+      this.presenter = null;
+    }
+    this.emit('closed');
+  }
+
+  /**
+   * The bot dropped out of the call without leaving: hand over to the reconnect supervisor,
+   * or end the session if reconnecting is off or cannot help (e.g. the call ended)
+   * @param {string} cause - See reconnect.js
+   * @param {object} [snapshot] - What was running when the connection was lost
+   */
+  connectionLost(cause, snapshot = this.sessionSnapshot()) {
+    if (!this.joined || this.leaving || this.closing || this.reconnect.recovering) return;
+    this.joined = false;
+    this.stopTimers();
+    this.speechQueue.clear();
+    this.speechQueue.interrupt().catch(err => this.reportError(err));
+    this.captions.flush();
+    if (this.sharing) {
+      const ended = this.sharing;
+      this.sharing = null;
+      this.emit('sharingStopped', { ...ended, reason: 'ended' });
+    }
+    if (!this.reconnect.enabled || !this.reconnect.isRecoverable(cause)) {
+      this.endSession(cause);
+      return;
+    }
+    console.log(`📡 Dropped out of the meeting (${cause}), reconnecting`);
+    this.emit('disconnected', { url: this.meetingUrl, cause });
+    this.reconnect.recover(cause, snapshot).catch(err => this.reportError(err));
+  }
+
+  /**
+   * The browser or the call's tab went away under the bot
+   */
+  browserGone(cause) {
+    if (this.closing) return;
+    this.crashed = true;
+    console.log(`💥 ${cause === 'page-crash' ? 'The meeting tab crashed' : 'The browser disconnected'}`);
+    this.connectionLost(cause);
+  }
+
+  /**
+   * Finish the transcript and attendance report of a session the bot is out of for good
+   */
+  endSession(reason) {
+    this.leaving = true;
+    this.joined = false;
+    this.stopTimers();
+    this.stopTranscript().catch(err => this.reportError(err));
+    this.endAttendance().catch(err => this.reportError(err));
+    this.emit('left', { url: this.meetingUrl, reason });
+  }
+
+  /**
+   * What to bring back after reconnecting: the running extras, the presentation and where the demo was
+   */
+  sessionSnapshot() {
+    const { demo, sharing, presenter } = this;
+    const sharedTab = sharing && sharing.tab && presenter ? presenter.tabs.get(sharing.tab) : null;
+    return {
+      keepAlive: this.config.keepAlive.enabled,
+      captions: Boolean(this.transcriptWriter),
+      chat: Boolean(this.meetChat.panelTask),
+      sharing: sharing ? { ...sharing, url: sharedTab && !sharedTab.isClosed() ? sharedTab.url() : null } : null,
+      demo: demo && demo.runner.resumeAt !== null ? { script: demo.script, vars: demo.vars, startAt: demo.runner.resumeAt } : null
+    };
+  }
+
+  /**
+   * One reconnect attempt: relaunch the browser with the same profile if it is gone,
+   * join the meeting again and restore the session
+   * @param {object} snapshot - From sessionSnapshot(), taken when the connection was lost
+   * @returns {Promise<true>}
+   * @throws {JoinError} If the bot cannot get back into the meeting
+   */
+  async rejoin(snapshot) {
+    // Whatever a failed attempt had started again
+    this.stopTimers();
+    // The rejoined page numbers its caption blocks afresh; old ones would swallow new speech
+    this.captions.clearBlocks();
+    if (this.crashed || !this.page || this.page.isClosed()) {
+      await this.relaunch();
+    }
+    await this.join(this.meetingUrl, { retries: 1, resume: true });
+    await this.restoreSession(snapshot);
+    return true;
+  }
+
+  /**
+   * Close what is left of the browser and launch it again (same profile directory)
+   */
+  async relaunch() {
+    console.log('🔁 Relaunching the browser');
+    this.closing = true;
+    try {
+      if (this.unguardMeetTab) {
+        this.unguardMeetTab();
+        this.unguardMeetTab = null;
+      }
+      if (this.context) {
+        await (this.browser || this.context).close().catch(() => {});
+      }
+    } finally {
+      this.closing = false;
+    }
+    this.browser = null;
+    this.context = null;
+    this.page = null;
+    this.presenter = null;
+    await this.launch();
+  }
+
+  /**
+   * Start again what was running before the connection was lost
+   * @param {object} snapshot - From sessionSnapshot()
+   */
+  async restoreSession({ keepAlive, captions, chat, sharing, demo }) {
+    // The bot is back in the call either way; whatever cannot be restored is only logged
+    const restore = (what, task) => task().catch(err => console.log(`⚠️ Could not restore ${what} after reconnecting: ${err.message}`));
+    if (keepAlive) {
+      await restore('keep-alive', () => this.startKeepAlive());
+    }
+    if (captions && this.transcriptWriter) {
+      // The transcript files stay open across the drop; only Meet's captions need turning on again
+      await restore('captions', () => this.scheduler.run('captions', () => enableCaptions(this.page, this.selectors)));
+    }
+    if (chat) {
+      await restore('the chat panel', () => this.startChat());
+    }
+    if (sharing) {
+      await restore('the screen share', async () => {
+        if (sharing.tab && sharing.url && !this.presenter.tabs.has(sharing.tab)) {
+          // The browser was relaunched, so the presented tab is opened again at the same page
+          await this.presenter.open(sharing.tab, sharing.url);
+        }
+        if (!(await this.shareScreen({ source: sharing.source, tab: sharing.tab, audio: sharing.audio }))) {
+          throw new ScreenShareError('Meet did not confirm the presentation');
+        }
+      });
+    }
+    if (demo) {
+      // Not awaited: the demo runs on while the bot stays in the call
+      this.runDemo(demo.script, demo.vars, { startAt: demo.startAt }).catch(err => this.reportError(err));
+    }
+  }
+
+  stopTimers() {
+    this.autoLeave.stop();
+    this.reconnect.stop();
+    this.meetChat.stop();
+    if (this.demoRunner) this.demoRunner.stop();
+    for (const timer of this.timers) {
+      if (typeof timer.cancel === 'function') timer.cancel();
+      else clearInterval(timer);
+    }
+    this.timers = [];
+  }
+
+  /**
+   * Follow the participant tiles and the People panel (see roster.js) until the bot leaves
+   * @param {object} [options]
+   * @param {boolean} [options.resume] - Keep the attendance of the session that was cut off
+   */
+  watchParticipants({ resume = false } = {}) {
+    if (!resume || !this.roster.startedAt) this.roster.start();
+    const poll = () => {
+      if (!this.page || this.page.isClosed()) return;
+      this.roster.scan(this.page).catch(() => {});
+    };
+    this.timers.push(setInterval(poll, this.config.roster.pollIntervalMs));
+    poll();
+  }
+
+  /**
+   * Apply the auto-leave policies (autoLeave config) to this session
+   * @param {object} [options]
+   * @param {boolean} [options.resume] - Count the session length from before the connection was lost
+   */
+  startAutoLeave({ resume = false } = {}) {
+    if (!this.autoLeave.enabled) return;
+    this.autoLeave.start(new Date(), { resume });
+    if (this.config.autoLeave.whenHostLeaves) {
+      // Roles only show in the People panel
+      this.refreshRoster().catch(err => console.log(`⚠️ Could not read the participants' roles: ${err.message}`));
+    }
+  }
+
+  /**
+   * Everyone in the call now, with their role and when they joined
+   */
+  participants() {
+    return this.roster.participants();
+  }
+
+  /**
+   * Open the People panel once so people without a tile and everyone's role are picked up
+   * (a chat panel kept open by startChat() comes back on its next check)
+   * @returns {Promise<object[]>} Everyone in the call
+   */
+  async refreshRoster() {
+    this.assertLaunched();
+    return this.scheduler.run('roster: people panel', async () => {
+      const people = this.selectors.locator(this.page, 'peopleListItem');
+      if (!(await people.isVisible().catch(() => false))) {
+        await this.selectors.locator(this.page, 'peopleButton').click();
+        await people.waitFor({ state: 'visible', timeout: 5000 });
+      }
+      return this.roster.scan(this.page);
+    });
+  }
+
+  /**
+   * End the roster session and write the attendance report (roster.dir, one file per format in roster.formats)
+   * @returns {Promise<object|null>} Paths of the report files by format, if a report was written
+   */
+  async endAttendance() {
+    const report = this.roster.finish();
+    if (!report) return null;
+    const { report: write, dir, formats } = this.config.roster;
+    const files = write ? await writeAttendanceReport(report, { dir: path.resolve(dir), meetingUrl: this.meetingUrl, formats }) : null;
+    if (files) {
+      console.log(`🧾 Wrote the attendance report to ${Object.values(files).join(', ')}`);
+    }
+    this.emit('attendance', { ...report, files });
+    return files;
+  }
+
+  /**
+   * Pass a line of conversation to the assistant, then speak and post its answer
+   */
+  hearAssistant(line) {
+    if (!this.config.assistant.enabled) return;
+    this.assistant.hear(line).then(async result => {
+      if (!result) return;
+      console.log(`🤖 ${result.asker || 'Someone'} asked "${result.question}"`);
+      this.emit('assistantAnswer', result);
+      const mirrored = this.config.chat.mirrorSpeech;
+      if (mirrored) this.unmirrored.add(result.answer);
+      await Promise.all([
+        // Also cleared when the answer is dropped or cancelled before it was spoken
+        this.speechQueue.say(result.answer, { priority: 'high' }).finally(() => {
+          if (mirrored) this.unmirrored.delete(result.answer);
+        }),
+        this.isInMeeting().then(inMeeting => inMeeting && this.meetChat.send(result.answer))
+      ]);
+    }).catch(err => {
+      console.error('Assistant could not answer:', err.message);
+      this.reportError(err);
+    });
+  }
+
+  /**
+   * Whether a caption or chat sender is the bot itself
+   */
+  isOwnName(name) {
+    return this.selectors.texts.you.includes(name) || name === this.config.identity.name;
+  }
+
+  /**
+   * Emit 'error' if anyone listens, otherwise log it (an unhandled 'error' event would throw)
+   */
+  reportError(err) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', err);
+    } else {
+      console.error('MeetBot error:', err);
+    }
+  }
+
+  assertLaunched() {
+    if (!this.page) {
+      throw new Error('MeetBot is not launched - call launch() first');
+    }
+  }
+}
+
+module.exports = {
+  MeetBot
+};
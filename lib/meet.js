@@ -0,0 +1,828 @@
+/**
+ * Google Meet page interactions: joining, leaving, presence checks, screen sharing and keep-alive
+ */
+
+const { STATES, IN_CALL_STATES, MeetingStateMachine, detectState } = require('./meeting-state');
+const { createSelectors } = require('./selectors');
+const { PageScheduler } = require('./page-scheduler');
+const {
+  SHARE_SOURCES,
+  ScreenShareError,
+  configureCapture,
+  captureStatus,
+  stopCapture,
+  markCaptureTarget
+} = require('./screen-share');
+
+const delay = ms => new Promise(res => setTimeout(res, ms));
+
+// How long to wait for each phase of the join flow
+const PAGE_READY_TIMEOUT_MS = 30000;
+const LOGIN_TIMEOUT_MS = 90000;
+const JOIN_RESPONSE_TIMEOUT_MS = 20000;
+const DEFAULT_ADMISSION_TIMEOUT_MS = 300000;
+const ADMISSION_STATUS_INTERVAL_MS = 15000;
+const LEAVE_CONFIRM_TIMEOUT_MS = 10000;
+
+// English selectors, used when no registry is passed in
+const DEFAULT_SELECTORS = createSelectors();
+
+// Fixed lines the bot speaks (listed here so they can be pre-rendered into the TTS cache)
+const LINES = {
+  greeting: 'Hello everyone! I am the meeting assistant bot. Can you hear me clearly?',
+  shareAnnounce: 'I will now share my screen with you. One moment please.',
+  shareActive: 'Screen sharing is now active. You should be able to see my screen. Please let me know if you can see my screen clearly.',
+  shareFailed: 'I encountered an issue while trying to share my screen. Let me try again in a moment.',
+  recoveryCheck: "I'm checking the connection status. Can everyone still hear me clearly?",
+  healthCheck: "I'm checking if there are any connection issues. Can everyone still hear me clearly?"
+};
+
+// Subtle audio signals to keep connection active
+const MINOR_KEEP_ALIVE_MESSAGES = [
+  "I'm still connected to the meeting.",
+  "The presentation is continuing as planned.",
+  "I'm here and monitoring the session.",
+  "Still active and ready to assist."
+];
+
+// Substantial audio messages to ensure meeting doesn't time out
+const MAJOR_KEEP_ALIVE_MESSAGES = [
+  "I'm continuing to monitor this meeting. The system remains active and I'm here to assist with any questions or demonstrations. Please let me know if you need anything specific.",
+  "Just checking in to make sure everyone can still hear me clearly. The presentation is ongoing and I'm ready to help with any questions that arise during this session.",
+  "I want to confirm that I'm still actively connected to this meeting. Everything is functioning as expected. Feel free to ask questions at any time.",
+  "This is a scheduled check-in to ensure our connection is strong. I'm still presenting and ready to demonstrate any features or answer questions as needed."
+];
+
+const SPOKEN_LINES = [...Object.values(LINES), ...MINOR_KEEP_ALIVE_MESSAGES, ...MAJOR_KEEP_ALIVE_MESSAGES];
+
+/**
+ * Why a join attempt failed. Only retryable failures are worth another attempt;
+ * the others need someone to act (admit the bot, fix the link, sign in).
+ */
+const JOIN_FAILURES = {
+  'denied': { retryable: false, message: 'Someone in the meeting denied the request to join' },
+  'cant-join': { retryable: false, message: 'Google Meet says this call cannot be joined' },
+  'meeting-not-found': { retryable: false, message: 'The meeting code does not exist or has expired' },
+  'removed': { retryable: false, message: 'The bot was removed from the meeting' },
+  'admission-timeout': { retryable: false, message: 'Nobody admitted the bot before the admission timeout' },
+  'signin-timeout': { retryable: false, message: 'Google sign-in was not completed in time' },
+  'no-response': { retryable: true, message: 'The meeting page did not reach a recognisable state' }
+};
+
+class JoinError extends Error {
+  /**
+   * @param {string} reason - Key of JOIN_FAILURES
+   * @param {string} [detail] - Extra context for the log
+   */
+  constructor(reason, detail) {
+    const failure = JOIN_FAILURES[reason] || JOIN_FAILURES['no-response'];
+    super(detail ? `${failure.message} (${detail})` : failure.message);
+    this.name = 'JoinError';
+    this.reason = reason;
+    this.retryable = failure.retryable;
+  }
+}
+
+/**
+ * Work out which "could not join" screen the page is showing
+ * @returns {Promise<string>} A JOIN_FAILURES key
+ */
+async function classifyJoinFailure(page, selectors, fallback = 'cant-join') {
+  let text = '';
+  try {
+    text = await page.evaluate(() => (document.body ? document.body.innerText : ''));
+  } catch (err) {
+    return fallback;
+  }
+  const match = selectors.joinFailureTexts().find(entry => entry.texts.some(phrase => text.includes(phrase)));
+  return match ? match.reason : fallback;
+}
+
+/**
+ * Improved Google Meet joining function
+ * Drives the join flow from the meeting state machine instead of fixed delays
+ * @param {import('playwright').Page} page - Page to join with
+ * @param {string} url - Meeting URL
+ * @param {object} options
+ * @param {string} options.name - Guest display name for "Ask to join"
+ * @param {Function} options.speakAndDo - Used to greet the meeting once joined
+ * @param {MeetingStateMachine} [options.state] - State machine attached to the page
+ * @param {object} [options.selectors] - Selector registry for the Meet UI locale
+ * @param {number} [options.admissionTimeoutMs] - How long to wait in the lobby after "Ask to join"
+ * @param {Function} [options.onWaiting] - Called with {elapsedMs, timeoutMs} while in the lobby
+ * @returns {Promise<boolean>} true once in the call
+ * @throws {JoinError} With a typed reason when the meeting cannot be joined
+ */
+async function joinMeet(page, url, {
+  name,
+  speakAndDo,
+  state,
+  selectors = DEFAULT_SELECTORS,
+  admissionTimeoutMs = DEFAULT_ADMISSION_TIMEOUT_MS,
+  onWaiting
+}) {
+  console.log(`🌐 Joining meeting: ${url}`);
+  
+  if (!state) {
+    state = new MeetingStateMachine({ selectors });
+    await state.attach(page);
+  }
+  
+  // Clear any existing service workers to avoid CORS issues
+  try {
+    const context = page.context();
+    const serviceWorkers = await context.serviceWorkers();
+    for (const worker of serviceWorkers) {
+      await worker.unregister();
+    }
+  } catch (err) {
+    console.log('Error clearing service workers:', err.message);
+  }
+  
+  // Navigate to the meeting URL with improved error handling
+  state.transition(STATES.NAVIGATING, 'join');
+  try {
+    await page.goto(url, { 
+      waitUntil: 'domcontentloaded', 
+      timeout: 90000 
+    });
+  } catch (err) {
+    console.log('Initial navigation timeout, continuing anyway:', err.message);
+  }
+  
+  // Wait until the page shows something we recognise
+  let current = await state.waitFor([
+    STATES.SIGNIN_REQUIRED, STATES.PREJOIN, STATES.WAITING_FOR_ADMISSION,
+    ...IN_CALL_STATES, STATES.DENIED, STATES.REMOVED, STATES.CALL_ENDED
+  ], PAGE_READY_TIMEOUT_MS);
+  
+  if (current === STATES.SIGNIN_REQUIRED) {
+    console.log('⚠️ Login required - please complete authentication in the browser window');
+    console.log(`Waiting up to ${LOGIN_TIMEOUT_MS / 1000} seconds for manual login...`);
+    current = await state.waitFor([STATES.PREJOIN, ...IN_CALL_STATES, STATES.DENIED], LOGIN_TIMEOUT_MS);
+    if (!current) {
+      throw new JoinError('signin-timeout', `waited ${LOGIN_TIMEOUT_MS / 1000}s`);
+    }
+    console.log('✅ Login completed successfully');
+  }
+  
+  if (current === STATES.PREJOIN) {
+    await configureDevices(page, selectors);
+    await clickJoin(page, name, selectors);
+    current = await state.waitFor([
+      STATES.WAITING_FOR_ADMISSION, ...IN_CALL_STATES, STATES.DENIED, STATES.CALL_ENDED
+    ], JOIN_RESPONSE_TIMEOUT_MS);
+  }
+  
+  if (current === STATES.WAITING_FOR_ADMISSION) {
+    current = await waitForAdmission(page, state, admissionTimeoutMs, onWaiting);
+  }
+  
+  if (!IN_CALL_STATES.includes(current)) {
+    await throwJoinFailure(page, current || state.state, selectors);
+  }
+  
+  console.log('✅ Successfully joined the meeting!');
+  if (state.state === STATES.ADMITTED) {
+    await state.waitFor([STATES.IN_CALL, STATES.PRESENTING], 5000);
+  }
+  
+  // Check and handle the "now presenting" overlay
+  try {
+    const gotItButton = await selectors.find(page, 'gotItButton');
+    if (gotItButton) {
+      await gotItButton.locator.click();
+      console.log('✔️ Dismissed "now presenting" overlay');
+    }
+  } catch (err) {
+    // Ignore if not present
+  }
+  
+  // Final microphone check to ensure it's ON
+  try {
+    const micStatusCheck = await selectors.find(page, 'microphoneOnButton');
+    if (micStatusCheck) {
+      await micStatusCheck.locator.click();
+      console.log('✔️ Final microphone check - turned ON');
+    }
+  } catch (err) {
+    // Ignore if not found
+  }
+  
+  // Announce our presence with clear audio
+  await speakAndDo(LINES.greeting, 
+    async () => {
+      console.log('✅ First message spoken in meeting');
+    }
+  );
+  
+  return true;
+}
+
+/**
+ * Stay in the lobby until admitted, turned away or the admission timeout passes
+ * @returns {Promise<string>} The state that ended the wait
+ */
+async function waitForAdmission(page, state, timeoutMs, onWaiting) {
+  console.log(`⏳ Waiting up to ${Math.round(timeoutMs / 1000)}s for someone in the meeting to let us in...`);
+  const startedAt = Date.now();
+  const endStates = [...IN_CALL_STATES, STATES.DENIED, STATES.REMOVED, STATES.CALL_ENDED, STATES.PREJOIN];
+  
+  while (Date.now() - startedAt < timeoutMs) {
+    const remainingMs = timeoutMs - (Date.now() - startedAt);
+    const current = await state.waitFor(endStates, Math.min(ADMISSION_STATUS_INTERVAL_MS, remainingMs));
+    if (current === STATES.PREJOIN) {
+      // Meet sends guests back to the pre-join screen when the host declines
+      throw new JoinError('denied', 'returned to the pre-join screen');
+    }
+    if (current) {
+      return current;
+    }
+    
+    const elapsedMs = Date.now() - startedAt;
+    console.log(`⏳ Still waiting to be admitted (${Math.round(elapsedMs / 1000)}s of ${Math.round(timeoutMs / 1000)}s)`);
+    if (onWaiting) onWaiting({ elapsedMs, timeoutMs });
+  }
+  
+  throw new JoinError('admission-timeout', `waited ${Math.round(timeoutMs / 1000)}s`);
+}
+
+/**
+ * Throw the JoinError matching the state the join flow ended in
+ */
+async function throwJoinFailure(page, current, selectors) {
+  switch (current) {
+    case STATES.DENIED:
+    case STATES.CALL_ENDED:
+      throw new JoinError(await classifyJoinFailure(page, selectors));
+    case STATES.REMOVED:
+      throw new JoinError('removed');
+    default:
+      throw new JoinError('no-response', `last state: ${current}`);
+  }
+}
+
+/**
+ * Turn the camera off and the microphone on from the pre-join screen
+ */
+async function configureDevices(page, selectors) {
+  console.log('Configuring audio/video settings...');
+  
+  // Camera handling - turn it off
+  try {
+    const cameraButton = await selectors.find(page, 'cameraOffButton');
+    if (cameraButton) {
+      await cameraButton.locator.click();
+      console.log('✔️ Turned off camera');
+    }
+  } catch (err) {
+    console.log('Camera control not found or error:', err.message);
+  }
+  
+  // Microphone handling - make sure it's ON
+  try {
+    const micButton = await selectors.find(page, 'microphoneOnButton');
+    if (micButton) {
+      await micButton.locator.click();
+      console.log('✔️ Turned ON microphone');
+    }
+  } catch (err) {
+    console.log('Microphone control not found or error:', err.message);
+  }
+}
+
+/**
+ * Click "Join now", or enter the guest name and click "Ask to join"
+ */
+async function clickJoin(page, name, selectors) {
+  try {
+    // Try Join Now first (instant join)
+    const joinNowButton = await selectors.find(page, 'joinNowButton');
+    if (joinNowButton) {
+      await joinNowButton.locator.click();
+      console.log('✔️ Clicked "Join now" button');
+      return;
+    }
+    
+    // Handle "Ask to join" flow
+    console.log('Looking for "Ask to join" flow elements...');
+    
+    // Input name if needed
+    const nameInput = await selectors.find(page, 'guestNameInput');
+    if (nameInput) {
+      await nameInput.locator.fill(name);
+      console.log('✔️ Entered name');
+    }
+    
+    // Click "Ask to join" button
+    const askButton = await selectors.find(page, 'askToJoinButton');
+    if (askButton) {
+      await askButton.locator.click();
+      console.log('✔️ Clicked "Ask to join" button');
+      return;
+    }
+    
+    console.log('⚠️ Could not find standard join buttons, trying keyboard navigation');
+    // Focus on the page and use keyboard navigation as fallback
+    await page.keyboard.press('Tab');
+    await delay(500);
+    await page.keyboard.press('Tab');
+    await delay(500);
+    await page.keyboard.press('Enter');
+  } catch (err) {
+    console.error('Error during meeting join process:', err);
+  }
+}
+
+/**
+ * Meeting detection based on the lifecycle state shown by the page
+ */
+async function checkIfInMeeting(page, selectors = DEFAULT_SELECTORS) {
+  const current = await detectState(page, selectors.stateIndicators());
+  if (IN_CALL_STATES.includes(current)) {
+    return true;
+  }
+  
+  console.log(`⚠️ Not in the meeting (page state: ${current || 'unknown'})`);
+  return false;
+}
+
+/**
+ * Leave the call with Meet's "Leave call" button and wait for the screen that confirms it
+ * A host is asked whether to end the call for everyone; the bot only ever leaves itself.
+ * @param {import('playwright').Page} page - Meeting page
+ * @param {object} [options]
+ * @param {object} [options.selectors] - Selector registry for the Meet UI locale
+ * @param {object} [options.state] - Meeting state machine (falls back to polling the page)
+ * @param {number} [options.timeoutMs] - How long to wait for Meet to show that the bot left
+ * @returns {Promise<boolean>} Whether Meet shows the bot is out of the call
+ */
+async function leaveMeet(page, { selectors = DEFAULT_SELECTORS, state, timeoutMs = LEAVE_CONFIRM_TIMEOUT_MS } = {}) {
+  const leaveButton = await selectors.find(page, 'leaveButton');
+  if (!leaveButton) {
+    console.log('⚠️ Could not find the leave call button');
+    return false;
+  }
+  await leaveButton.locator.click();
+  console.log(`✔️ Clicked leave call with selector: ${leaveButton.selector}`);
+
+  const outside = [STATES.LEFT, STATES.CALL_ENDED, STATES.REMOVED];
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const current = state ? await state.refresh() : await detectState(page, selectors.stateIndicators());
+    if (outside.includes(current)) {
+      console.log('👋 Left the meeting');
+      return true;
+    }
+    const justLeave = await selectors.find(page, 'justLeaveButton');
+    if (justLeave) {
+      await justLeave.locator.click();
+      console.log('✔️ Chose to leave without ending the call for everyone');
+    }
+    await delay(500);
+  }
+  console.log('⚠️ Meet did not confirm that the bot left');
+  return false;
+}
+
+/**
+ * Look for signs that the call lost its connection
+ * @param {import('playwright').Page} page - Meeting page
+ * @param {object} [selectors] - Selector registry for the Meet UI locale
+ * @returns {Promise<{online: boolean, lostNotice: boolean, rejoinPrompt: boolean}>} Whether the browser
+ *   is online, Meet shows its lost-connection notice and Meet offers to rejoin
+ */
+async function checkConnection(page, selectors = DEFAULT_SELECTORS) {
+  // Only the notice itself counts: the same words in captions or chat say nothing about the bot
+  const { online, text } = await page.evaluate(({ notice, ignore }) => ({
+    online: navigator.onLine,
+    text: Array.from(document.querySelectorAll(notice))
+      .filter(element => !element.closest(ignore))
+      .map(element => element.innerText)
+      .join('\n')
+  }), { notice: selectors.css('connectionNotice'), ignore: selectors.css('conversationContent') });
+  return {
+    online,
+    lostNotice: selectors.texts.connectionLost.some(phrase => text.includes(phrase)),
+    rejoinPrompt: Boolean(await selectors.find(page, 'rejoinButton'))
+  };
+}
+
+// Meet's source menu entry for each share source (newer Meet opens the picker directly)
+const SOURCE_OPTIONS = {
+  tab: 'tabOption',
+  window: 'windowOption',
+  screen: 'entireScreenOption'
+};
+const SHARE_VERIFY_TIMEOUT_MS = 15000;
+
+/**
+ * Wait until Meet shows that the bot is presenting (or has stopped presenting)
+ * @returns {Promise<boolean>} Whether the page reached the wanted state in time
+ */
+async function waitForPresenting(page, { presenting = true, state, selectors = DEFAULT_SELECTORS, timeoutMs }) {
+  const wanted = presenting ? [STATES.PRESENTING] : [STATES.IN_CALL];
+  if (state) {
+    return Boolean(await state.waitFor(wanted, timeoutMs));
+  }
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (wanted.includes(await detectState(page, selectors.stateIndicators()))) return true;
+    await delay(500);
+  }
+  return false;
+}
+
+/**
+ * Share a tab, window or the whole screen and confirm that Meet is presenting it
+ * The capture source is auto-selected (see screen-share.js), so nothing is typed into
+ * Chromium's picker; success is only announced once Meet shows "You are presenting".
+ * @param {import('playwright').Page} page - Meeting page
+ * @param {object} options
+ * @param {Function} options.speakAndDo - Used to announce the share
+ * @param {object} [options.selectors] - Selector registry for the Meet UI locale
+ * @param {object} [options.state] - Meeting state machine (falls back to polling the page)
+ * @param {string} [options.source] - tab, window or screen
+ * @param {import('playwright').Page} [options.target] - Tab to share when source is tab
+ * @param {boolean} [options.audio] - Include the shared tab's audio
+ * @param {number} [options.verifyTimeoutMs] - How long to wait for Meet to show the presentation
+ * @returns {Promise<boolean>} Whether Meet is presenting
+ */
+async function shareScreen(page, {
+  speakAndDo,
+  selectors = DEFAULT_SELECTORS,
+  state,
+  source = 'tab',
+  target,
+  audio = false,
+  verifyTimeoutMs = SHARE_VERIFY_TIMEOUT_MS
+}) {
+  if (!SHARE_SOURCES[source]) {
+    throw new ScreenShareError(`Unknown share source "${source}" (use ${Object.keys(SHARE_SOURCES).join(', ')})`);
+  }
+  if (source === 'tab' && !target) {
+    throw new ScreenShareError('A tab to share is required when the share source is "tab"');
+  }
+
+  let restoreTitle = null;
+  try {
+    await speakAndDo(LINES.shareAnnounce, async () => {
+      console.log('Announced screen sharing intention');
+    });
+
+    await configureCapture(page, { source, audio });
+    if (source === 'tab') {
+      restoreTitle = await markCaptureTarget(target);
+    }
+
+    const presentButton = await selectors.find(page, 'presentButton');
+    if (!presentButton) {
+      throw new ScreenShareError('Could not find the Present now button');
+    }
+    await presentButton.locator.click();
+    console.log(`✔️ Clicked present button with selector: ${presentButton.selector}`);
+    await delay(1000);
+
+    const sourceOption = await selectors.find(page, SOURCE_OPTIONS[source]);
+    if (sourceOption) {
+      await sourceOption.locator.click();
+      console.log(`✔️ Chose to share ${source === 'screen' ? 'the entire screen' : `a ${source}`} with selector: ${sourceOption.selector}`);
+      await delay(1000);
+    }
+
+    // Meet's own confirmation dialog, where it shows one; Chromium's picker is auto-selected
+    const shareButton = await selectors.find(page, 'shareConfirmButton');
+    if (shareButton) {
+      await shareButton.locator.click();
+      console.log(`✔️ Clicked share button with selector: ${shareButton.selector}`);
+    }
+
+    if (!(await waitForPresenting(page, { state, selectors, timeoutMs: verifyTimeoutMs }))) {
+      throw new ScreenShareError(`Meet did not show "You are presenting" within ${Math.round(verifyTimeoutMs / 1000)} seconds`);
+    }
+    const capture = await captureStatus(page);
+    console.log(`✅ Presenting ${capture ? `${capture.surface || source} "${capture.label}"${capture.audio ? ' with audio' : ''}` : source}`);
+
+    await speakAndDo(LINES.shareActive, async () => {
+      console.log('✅ Confirmed screen sharing is active');
+    });
+    return true;
+  } catch (error) {
+    console.error('Error during screen sharing:', error.message);
+    await speakAndDo(LINES.shareFailed, async () => {
+      console.log('Announced screen sharing failure');
+    });
+    return false;
+  } finally {
+    if (restoreTitle) await restoreTitle();
+  }
+}
+
+/**
+ * Stop presenting and wait until Meet is back to the normal call view
+ * @param {import('playwright').Page} page - Meeting page
+ * @param {object} [options]
+ * @param {object} [options.selectors] - Selector registry for the Meet UI locale
+ * @param {object} [options.state] - Meeting state machine (falls back to polling the page)
+ * @param {number} [options.timeoutMs] - How long to wait for the presentation to end
+ * @returns {Promise<boolean>} Whether the presentation ended
+ */
+async function stopSharing(page, { selectors = DEFAULT_SELECTORS, state, timeoutMs = SHARE_VERIFY_TIMEOUT_MS } = {}) {
+  const stopButton = await selectors.find(page, 'stopPresentingButton');
+  if (stopButton) {
+    await stopButton.locator.click();
+    console.log(`✔️ Clicked stop presenting with selector: ${stopButton.selector}`);
+  } else {
+    // Ending the captured stream makes Meet stop presenting as well
+    console.log('⚠️ Could not find the stop presenting button, ending the capture instead');
+    await stopCapture(page);
+  }
+
+  const stopped = await waitForPresenting(page, { presenting: false, state, selectors, timeoutMs });
+  if (stopped) {
+    console.log('⏹️ Stopped presenting');
+  } else {
+    console.log('⚠️ Meet still shows the presentation');
+  }
+  return stopped;
+}
+
+/**
+ * Completely rewritten keep-alive function
+ * Uses multiple strategies to prevent automatic disconnection
+ * Every routine is a background task on the page scheduler, so it never clicks while a demo
+ * step or screen share is using the page. Speech is queued without holding the page.
+ * @param {import('playwright').Page} page - Meeting page
+ * @param {object} options
+ * @param {Function} options.synthesizeSpeech - Speaks keep-alive lines
+ * @param {Function} options.speakAndDo - Speaks and then performs a UI interaction
+ * @param {object} options.intervals - keepAlive config section (interval lengths in ms)
+ * @param {object} [options.selectors] - Selector registry for the Meet UI locale
+ * @param {PageScheduler} [options.scheduler] - Scheduler that owns the page
+ * @returns {Promise<Array<{name: string, cancel: Function}>>} Task handles to cancel on shutdown
+ */
+async function keepMeetingAlive(page, { synthesizeSpeech, speakAndDo, intervals, selectors = DEFAULT_SELECTORS, scheduler = new PageScheduler() }) {
+  console.log('🔄 Starting comprehensive keep-alive mechanism');
+
+  // Queue a line without waiting for it to be spoken (the page task should not hold the page meanwhile)
+  const say = text => {
+    synthesizeSpeech(text).catch(err => console.error('Error in keep-alive speech:', err));
+  };
+  
+  let keepAliveCounter = 0;
+  let lastMajorActivity = Date.now();
+  
+  // Function to check if we need emergency recovery
+  async function checkNeedRecovery() {
+    // If no major activity in 10 minutes, something might be wrong
+    const timeElapsed = Date.now() - lastMajorActivity;
+    if (timeElapsed > 600000) { // 10 minutes
+      console.log('⚠️ No major activity detected for 10 minutes, attempting recovery');
+      
+      // Force audio activity
+      say(LINES.recoveryCheck);
+      
+      // Try to interact with UI
+      try {
+        // Try toggling the people panel to show activity
+        const peopleButton = selectors.locator(page, 'peopleButton');
+        if (await peopleButton.isVisible({ timeout: 3000 })) {
+          await peopleButton.click();
+          await delay(1000);
+          await peopleButton.click(); // Click again to close
+        }
+      } catch (err) {
+        console.log('Could not interact with UI during recovery');
+      }
+      
+      lastMajorActivity = Date.now();
+    }
+  }
+  
+  // 1. Micro-interactions (mouse movement, subtle UI interaction) - Every 30 seconds
+  const microInteraction = scheduler.every('keep-alive: micro', intervals.microIntervalMs, async () => {
+    try {
+      // Basic check if still in meeting
+      const stillInMeeting = await checkIfInMeeting(page, selectors);
+      
+      if (stillInMeeting) {
+        // Move mouse randomly to show activity
+        const viewportSize = await page.viewportSize();
+        const x = Math.floor(Math.random() * viewportSize.width * 0.8) + viewportSize.width * 0.1;
+        const y = Math.floor(Math.random() * viewportSize.height * 0.8) + viewportSize.height * 0.1;
+        await page.mouse.move(x, y);
+        
+        // Check if emergency recovery needed
+        await checkNeedRecovery();
+        
+        keepAliveCounter++;
+        if (keepAliveCounter % 6 === 0) { // Every sixth micro-interaction
+          console.log(`🔄 Minor UI interaction #${keepAliveCounter/6}`);
+          
+          // Try subtle UI interactions like toggling tooltips
+          try {
+            // Try clicking a non-destructive button like the participants list
+            // (not chat: the chat module keeps that panel open to read messages)
+            const uiElements = ['peopleButton', 'meetingDetailsButton', 'moreOptionsButton'];
+            
+            for (const target of uiElements) {
+              const element = selectors.locator(page, target);
+              if (await element.isVisible({ timeout: 2000 })) {
+                await element.click();
+                await delay(1000);
+                await element.click(); // Click again to close
+                break;
+              }
+            }
+          } catch (err) {
+            // Ignore errors with UI interaction
+          }
+        }
+      } else {
+        console.log('⚠️ No longer detected in meeting during micro-interaction - attempting to recover');
+        await checkNeedRecovery();
+      }
+    } catch (err) {
+      console.error('Error in micro keep-alive routine:', err);
+    }
+  });
+  
+  // 2. Minor audio interactions - Every 2 minutes
+  const minorAudio = scheduler.every('keep-alive: minor audio', intervals.minorAudioIntervalMs, async () => {
+    try {
+      // Check if still in meeting
+      const stillInMeeting = await checkIfInMeeting(page, selectors);
+      
+      if (stillInMeeting) {
+        console.log('🔊 Performing minor audio keep-alive');
+        
+        const randomMessage = MINOR_KEEP_ALIVE_MESSAGES[Math.floor(Math.random() * MINOR_KEEP_ALIVE_MESSAGES.length)];
+        say(randomMessage);
+        
+        lastMajorActivity = Date.now();
+      }
+    } catch (err) {
+      console.error('Error in minor audio keep-alive routine:', err);
+    }
+  });
+  
+  // 3. Major audio/UI interactions - Every 5 minutes
+  const majorInteraction = scheduler.every('keep-alive: major', intervals.majorIntervalMs, async () => {
+    try {
+      // Check if still in meeting
+      const stillInMeeting = await checkIfInMeeting(page, selectors);
+      
+      if (stillInMeeting) {
+        console.log('🔊 Performing major audio/UI keep-alive');
+        
+        const randomMessage = MAJOR_KEEP_ALIVE_MESSAGES[Math.floor(Math.random() * MAJOR_KEEP_ALIVE_MESSAGES.length)];
+        speakAndDo(randomMessage, async () => {
+          console.log('✅ Spoke major keep-alive message');
+          
+          // Perform substantial UI interaction once the page is free again
+          try {
+            await scheduler.run('keep-alive: major menu', async () => {
+              // Try clicking a menu item and then closing it
+              const menuButton = selectors.locator(page, 'moreOptionsButton');
+              if (await menuButton.isVisible({ timeout: 3000 })) {
+                await menuButton.click();
+                await delay(1000);
+                // Click elsewhere to close the menu
+                await page.mouse.click(100, 100);
+              }
+            }, { priority: 'low' });
+          } catch (err) {
+            console.log('UI interaction during major keep-alive failed:', err);
+          }
+          
+          lastMajorActivity = Date.now();
+        }).catch(err => console.error('Error in major keep-alive speech:', err));
+      }
+    } catch (err) {
+      console.error('Error in major keep-alive routine:', err);
+    }
+  });
+  
+  // 4. Connection health monitoring - Every 8 minutes
+  const healthCheck = scheduler.every('keep-alive: health check', intervals.healthCheckIntervalMs, async () => {
+    try {
+      console.log('🔍 Performing connection health check');
+      
+      // Check if we're still in meeting
+      const stillInMeeting = await checkIfInMeeting(page, selectors);
+      
+      if (!stillInMeeting) {
+        console.log('⚠️ Connection health check failed - attempting deeper recovery');
+        
+        // Try more aggressive recovery - check for any Meet elements
+        const anyMeetElement = selectors.locator(page, 'meetContainer');
+        if (await anyMeetElement.isVisible({ timeout: 5000 })) {
+          console.log('✅ Found some Meet elements, attempting recovery');
+          
+          // Try to force audio again
+          say(LINES.healthCheck);
+          
+          // Try to refresh the UI without reloading
+          try {
+            // Click on "People" panel then close it
+            const peopleButton = selectors.locator(page, 'peopleButton');
+            if (await peopleButton.isVisible({ timeout: 3000 })) {
+              await peopleButton.click();
+              await delay(1000);
+              await peopleButton.click();
+            }
+          } catch (err) {
+            console.log('UI refresh attempt failed:', err);
+          }
+          
+          lastMajorActivity = Date.now();
+        } else {
+          console.log('❌ No Meet elements found, connection may be lost');
+          // Lost connections are recovered by the reconnect supervisor (reconnect.js)
+        }
+      }
+    } catch (err) {
+      console.error('Error in health check routine:', err);
+    }
+  });
+  
+  return [microInteraction, minorAudio, majorInteraction, healthCheck];
+}
+
+/**
+ * Mute or unmute the microphone during the call
+ * @param {import('playwright').Page} page - Meeting page
+ * @param {boolean} on - true to unmute, false to mute
+ * @param {object} [selectors] - Selector registry for the Meet UI locale
+ * @returns {Promise<boolean>} Whether the microphone is now in the requested state
+ */
+async function setMicrophone(page, on, selectors = DEFAULT_SELECTORS) {
+  const button = await selectors.find(page, on ? 'microphoneOnButton' : 'microphoneOffButton');
+  if (button) {
+    await button.locator.click();
+    console.log(on ? '🎙️ Turned ON microphone' : '🔇 Muted microphone');
+  }
+  const target = on ? 'microphoneOffButton' : 'microphoneOnButton';
+  return selectors.locator(page, target).waitFor({ state: 'visible', timeout: 3000 }).then(() => true, () => false);
+}
+
+/**
+ * Post a message to the in-meeting chat panel
+ */
+async function sendChatMessage(page, text, selectors = DEFAULT_SELECTORS) {
+  const chatInput = selectors.locator(page, 'chatInput');
+  if (!(await chatInput.isVisible().catch(() => false))) {
+    await selectors.locator(page, 'chatButton').click();
+    await chatInput.waitFor({ state: 'visible', timeout: 5000 });
+  }
+  await chatInput.fill(text);
+  await page.keyboard.press('Enter');
+  console.log(`💬 Sent chat message: "${text}"`);
+}
+
+/**
+ * Wait for the user to be signed in to Google, prompting for a manual login
+ * @param {import('playwright').Page} page
+ * @param {object} [selectors] - Selector registry for the UI locale
+ */
+async function waitForGoogleLogin(page, selectors = DEFAULT_SELECTORS) {
+  console.log('🌐 Checking Google login status...');
+  await page.goto('https://accounts.google.com/signin', { waitUntil: 'networkidle' });
+  
+  // Wait for login if needed
+  const signedInSelector = selectors.css('googleAccountSignedIn');
+  const isLoggedIn = await page.locator(signedInSelector).isVisible({ timeout: 5000 }).catch(() => false);
+  
+  if (!isLoggedIn) {
+    console.log('⚠️ Not logged in to Google - please log in manually in the browser window');
+    console.log('⏳ Waiting up to 2 minutes for login...');
+    
+    try {
+      await page.waitForSelector(signedInSelector, { timeout: 120000 });
+      console.log('✅ Successfully logged in to Google');
+      return true;
+    } catch (err) {
+      console.log('Login timeout - proceeding anyway as login might be cached');
+      return false;
+    }
+  }
+  
+  console.log('✅ Already logged in to Google');
+  return true;
+}
+
+module.exports = {
+  JoinError,
+  JOIN_FAILURES,
+  SPOKEN_LINES,
+  joinMeet,
+  leaveMeet,
+  checkIfInMeeting,
+  checkConnection,
+  shareScreen,
+  stopSharing,
+  keepMeetingAlive,
+  sendChatMessage,
+  setMicrophone,
+  waitForGoogleLogin
+};
@@ -0,0 +1,288 @@
+/**
+ * Meeting scheduler: joins the meetings in calendars on time
+ * Calendars (.ics files, feeds or JSON agendas, see calendar.js) are re-read periodically.
+ * Each occurrence with a Meet link is joined schedule.joinBeforeMinutes before it starts
+ * through the bot manager, and left at its scheduled end or after schedule.maxDurationMinutes.
+ * What was joined is kept in a state file, so a restarted scheduler does not join the same
+ * occurrence again unless the process that joined it is gone.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { CalendarError, expandEvents, loadCalendar, resolveZone } = require('./calendar');
+
+// Finished occurrences are kept this long in the state file
+const STATE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+// How far ahead upcoming() looks
+const LOOKAHEAD_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a process is still running
+ */
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Bot id for an occurrence: its title plus the UTC start, e.g. daily-standup-20260323T0900
+ */
+function occurrenceId({ summary, start }) {
+  const slug = summary.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'meeting';
+  return `${slug}-${start.toISOString().slice(0, 16).replace(/[-:]/g, '')}`;
+}
+
+/**
+ * Joins and leaves calendar meetings.
+ * Emits 'joining' and 'leaving' ({key, id, summary, meetingUrl, start, end}, plus reason
+ * 'end' or 'max-duration' when leaving), 'ended' ({key, id, error}) and 'error' (err) for
+ * calendars that cannot be read.
+ */
+class MeetingScheduler extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {import('./bot-manager').BotManager} options.manager - Runs the bots
+   * @param {string[]} options.calendars - .ics or .json files, or http(s) calendar URLs
+   * @param {number} [options.joinBeforeMinutes] - How early to join
+   * @param {number} [options.maxDurationMinutes] - Longest stay (also for events without an end)
+   * @param {string} [options.timeZone] - IANA zone for calendar times without one (default: the host's)
+   * @param {string} [options.stateFile] - Where joined occurrences are remembered
+   * @param {number} [options.checkIntervalMs] - How often to look for meetings to join or leave
+   * @param {number} [options.refreshIntervalMs] - How often to re-read the calendars
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({
+    manager,
+    calendars,
+    joinBeforeMinutes = 2,
+    maxDurationMinutes = 180,
+    timeZone = null,
+    stateFile = '.schedule-state.json',
+    checkIntervalMs = 15000,
+    refreshIntervalMs = 300000,
+    now = () => new Date()
+  }) {
+    super();
+    if (timeZone && !resolveZone(timeZone)) {
+      throw new CalendarError(`Unknown time zone "${timeZone}"`);
+    }
+    this.manager = manager;
+    this.calendars = calendars;
+    this.joinBeforeMs = joinBeforeMinutes * 60000;
+    this.maxDurationMs = maxDurationMinutes * 60000;
+    this.timeZone = timeZone;
+    this.stateFile = path.resolve(stateFile);
+    this.checkIntervalMs = checkIntervalMs;
+    this.refreshIntervalMs = refreshIntervalMs;
+    this.now = now;
+    // Parsed events per calendar; a calendar that fails to load keeps its last good events
+    this.events = new Map();
+    this.loadedAt = null;
+    this.state = { occurrences: {} };
+    // Occurrences this process joined: key -> {id, leaveAt, reason, ...}
+    this.active = new Map();
+    this.timer = null;
+    this.checking = null;
+    this.saving = Promise.resolve();
+    this.manager.on('botEnded', ({ id, error }) => this.botEnded(id, error));
+  }
+
+  /**
+   * Load the calendars and the state file, then check for meetings periodically
+   */
+  async start() {
+    this.state = await this.readState();
+    await this.check();
+    this.timer = setInterval(() => {
+      this.check().catch(err => console.error('Schedule check failed:', err.message));
+    }, this.checkIntervalMs);
+  }
+
+  /**
+   * Stop checking (bots that are in meetings stay there) once the state is saved
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.checking;
+    await this.saving;
+  }
+
+  /**
+   * Re-read every calendar
+   */
+  async refresh() {
+    for (const source of this.calendars) {
+      try {
+        this.events.set(source, await loadCalendar(source, { timeZone: this.timeZone }));
+      } catch (err) {
+        console.error(`📅 Could not read ${source}: ${err.message}`);
+        if (this.listenerCount('error') > 0) this.emit('error', err);
+      }
+    }
+    this.loadedAt = this.now();
+  }
+
+  /**
+   * Occurrences with a Meet link that overlap a window
+   */
+  occurrences(from, to) {
+    const events = [...this.events.values()].flat();
+    return expandEvents(events, { from, to })
+      .filter(occurrence => occurrence.meetingUrl)
+      .map(occurrence => {
+        const hasEnd = occurrence.end > occurrence.start;
+        const capped = occurrence.start.getTime() + this.maxDurationMs;
+        const leaveAt = new Date(hasEnd ? Math.min(occurrence.end.getTime(), capped) : capped);
+        return {
+          ...occurrence,
+          id: occurrenceId(occurrence),
+          joinAt: new Date(occurrence.start.getTime() - this.joinBeforeMs),
+          leaveAt,
+          leaveReason: hasEnd && occurrence.end.getTime() <= capped ? 'end' : 'max-duration'
+        };
+      });
+  }
+
+  /**
+   * Meetings still to come (or in progress) in the next 24 hours
+   */
+  upcoming() {
+    const now = this.now();
+    return this.occurrences(now, new Date(now.getTime() + LOOKAHEAD_MS)).filter(({ leaveAt }) => leaveAt > now);
+  }
+
+  /**
+   * Join what is due and leave what is over (runs one check at a time)
+   */
+  check() {
+    if (!this.checking) {
+      this.checking = this.runCheck().finally(() => {
+        this.checking = null;
+      });
+    }
+    return this.checking;
+  }
+
+  async runCheck() {
+    // Leaving is due whatever the calendars say now, so a slow feed must not hold it up
+    let now = this.now();
+    for (const [key, active] of this.active) {
+      if (active.leaveAt <= now && !active.leaving) {
+        active.leaving = true;
+        await this.leave(key, active);
+      }
+    }
+
+    if (!this.loadedAt || this.now() - this.loadedAt >= this.refreshIntervalMs) {
+      await this.refresh();
+      now = this.now();
+    }
+
+    const due = this.occurrences(new Date(now.getTime() - this.maxDurationMs), new Date(now.getTime() + this.joinBeforeMs))
+      .filter(occurrence => occurrence.joinAt <= now && occurrence.leaveAt > now);
+    for (const occurrence of due) {
+      if (this.active.has(occurrence.key) || !this.shouldJoin(occurrence)) continue;
+      await this.join(occurrence);
+    }
+    await this.writeState(now);
+  }
+
+  /**
+   * Whether an occurrence still needs a bot (nobody joined it, or the process that did is gone)
+   */
+  shouldJoin({ key }) {
+    const record = this.state.occurrences[key];
+    if (!record) return true;
+    if (record.status !== 'joined') return false;
+    if (record.pid !== process.pid && processAlive(record.pid)) return false;
+    console.log(`📅 Joining "${record.summary}" again: the process that joined it (${record.pid}) has stopped`);
+    return true;
+  }
+
+  async join(occurrence) {
+    const { key, id, summary, meetingUrl, start, end, leaveAt, leaveReason } = occurrence;
+    // A bot with this id may still be around, e.g. from a run that was stopped by hand
+    const botId = this.manager.get(id) ? `${id}-${crypto.randomBytes(2).toString('hex')}` : id;
+    const details = { key, id: botId, summary, meetingUrl, start, end };
+    console.log(`📅 Joining "${summary || meetingUrl}" (starts ${start.toISOString()}, leaving ${leaveAt.toISOString()})`);
+    this.emit('joining', details);
+    try {
+      this.manager.launch({ meeting: meetingUrl, id: botId });
+    } catch (err) {
+      console.error(`📅 Could not start a bot for "${summary || meetingUrl}": ${err.message}`);
+      this.record(key, { ...details, status: 'failed', error: err.message });
+      return;
+    }
+    this.active.set(key, { ...details, leaveAt, reason: leaveReason, leaving: false });
+    this.record(key, { ...details, status: 'joined', pid: process.pid });
+  }
+
+  async leave(key, active) {
+    const { id, reason } = active;
+    console.log(`📅 Leaving "${active.summary || active.meetingUrl}" (${reason === 'end' ? 'the meeting is scheduled to end' : 'maximum duration reached'})`);
+    this.emit('leaving', { key, id, summary: active.summary, meetingUrl: active.meetingUrl, start: active.start, end: active.end, reason });
+    const entry = this.manager.get(id);
+    if (entry && entry.phase === 'running' && entry.bot.page) {
+      await entry.bot.leave('schedule').catch(err => console.error(`Could not leave cleanly: ${err.message}`));
+    }
+    // A bot still waiting for a slot or joining is stopped outright; a bot that left ends too
+    await this.manager.remove(id);
+  }
+
+  botEnded(id, error) {
+    const key = [...this.active.keys()].find(activeKey => this.active.get(activeKey).id === id);
+    if (!key) return;
+    this.active.delete(key);
+    this.record(key, { status: error ? 'failed' : 'ended', error: error ? error.message : null, pid: null });
+    this.emit('ended', { key, id, error });
+    this.writeState(this.now()).catch(err => console.error('Could not save the schedule state:', err.message));
+  }
+
+  record(key, fields) {
+    this.state.occurrences[key] = { ...this.state.occurrences[key], ...fields, updatedAt: this.now().toISOString() };
+  }
+
+  async readState() {
+    try {
+      const state = await fs.readJson(this.stateFile);
+      return state && typeof state.occurrences === 'object' ? state : { occurrences: {} };
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Could not read ${this.stateFile}, starting fresh: ${err.message}`);
+      return { occurrences: {} };
+    }
+  }
+
+  /**
+   * Save the state, forgetting occurrences that ended more than a week ago
+   */
+  writeState(now) {
+    // One write at a time, so an older state never lands after a newer one
+    this.saving = this.saving.catch(() => {}).then(() => this.saveState(now));
+    return this.saving;
+  }
+
+  async saveState(now) {
+    for (const [key, record] of Object.entries(this.state.occurrences)) {
+      if (record.status !== 'joined' && now - new Date(record.end) > STATE_RETENTION_MS) {
+        delete this.state.occurrences[key];
+      }
+    }
+    await fs.ensureDir(path.dirname(this.stateFile));
+    // Write then rename, so a crash never leaves half a file behind
+    const tmpFile = `${this.stateFile}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeJson(tmpFile, this.state, { spaces: 2 });
+    await fs.rename(tmpFile, this.stateFile);
+  }
+}
+
+module.exports = {
+  MeetingScheduler,
+  occurrenceId
+};
@@ -0,0 +1,257 @@
+/**
+ * Meeting lifecycle state machine
+ * Tracks where the bot is in the Meet flow by observing the page DOM
+ */
+
+const EventEmitter = require('events');
+const { createSelectors } = require('./selectors');
+
+const STATES = {
+  IDLE: 'idle',
+  NAVIGATING: 'navigating',
+  SIGNIN_REQUIRED: 'signin-required',
+  PREJOIN: 'prejoin',
+  WAITING_FOR_ADMISSION: 'waiting-for-admission',
+  ADMITTED: 'admitted',
+  IN_CALL: 'in-call',
+  PRESENTING: 'presenting',
+  REMOVED: 'removed',
+  LEFT: 'left',
+  CALL_ENDED: 'call-ended',
+  DENIED: 'denied'
+};
+
+// Allowed transitions; anything else is logged and ignored
+const TRANSITIONS = {
+  'idle': ['navigating'],
+  'navigating': ['signin-required', 'prejoin', 'waiting-for-admission', 'admitted', 'removed', 'call-ended', 'denied'],
+  'signin-required': ['navigating', 'prejoin', 'admitted', 'denied'],
+  'prejoin': ['navigating', 'signin-required', 'waiting-for-admission', 'admitted', 'call-ended', 'denied'],
+  'waiting-for-admission': ['navigating', 'prejoin', 'admitted', 'call-ended', 'denied'],
+  'admitted': ['in-call', 'presenting', 'removed', 'left', 'call-ended'],
+  'in-call': ['navigating', 'presenting', 'removed', 'left', 'call-ended'],
+  'presenting': ['navigating', 'in-call', 'removed', 'left', 'call-ended'],
+  'removed': ['navigating', 'prejoin'],
+  'left': ['navigating', 'prejoin', 'admitted'],
+  'call-ended': ['navigating', 'prejoin', 'admitted'],
+  'denied': ['navigating', 'prejoin']
+};
+
+// States in which the bot is part of the call
+const IN_CALL_STATES = ['admitted', 'in-call', 'presenting'];
+
+// States from which the bot cannot continue without navigating again
+const TERMINAL_STATES = ['removed', 'left', 'call-ended', 'denied'];
+
+// English indicators, used when no selector registry is given
+const INDICATORS = createSelectors().stateIndicators();
+
+/**
+ * Runs inside the page: installs the detector and a MutationObserver that reports
+ * state changes to the exposed __meetStateChanged binding (if present)
+ */
+function installStateObserver(indicators) {
+  if (window.__meetDetectState) return;
+
+  const isVisible = element => {
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && getComputedStyle(element).visibility !== 'hidden';
+  };
+
+  const anyVisible = selectors => selectors.some(selector => {
+    try {
+      return Array.from(document.querySelectorAll(selector)).some(isVisible);
+    } catch (err) {
+      return false;
+    }
+  });
+
+  // Attendees can type or say anything, so captions, chat and names are left out
+  const meetText = () => {
+    let text = document.body.innerText || '';
+    try {
+      for (const element of document.querySelectorAll(indicators.ignore)) {
+        const content = element.innerText;
+        if (content) text = text.split(content).join('\n');
+      }
+    } catch (err) {
+      // Keep the whole text
+    }
+    return text;
+  };
+
+  const detect = () => {
+    if (!document.body) return null;
+    const bySelector = indicators.rules.find(rule => rule.selectors && anyVisible(rule.selectors));
+    if (bySelector) return bySelector.state;
+    const text = meetText();
+    const byText = indicators.rules.find(rule => (rule.texts || []).some(phrase => text.includes(phrase)));
+    return byText ? byText.state : null;
+  };
+  window.__meetDetectState = detect;
+
+  let lastState = null;
+  let timer = null;
+  const report = () => {
+    timer = null;
+    const state = detect();
+    if (state && state !== lastState) {
+      lastState = state;
+      if (typeof window.__meetStateChanged === 'function') {
+        window.__meetStateChanged(state);
+      }
+    }
+  };
+
+  const start = () => {
+    const observer = new MutationObserver(() => {
+      if (!timer) timer = setTimeout(report, 250);
+    });
+    observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+    report();
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+  } else {
+    start();
+  }
+}
+
+/**
+ * Read the state the page currently shows
+ * @param {import('playwright').Page} page
+ * @param {object} [indicators] - From selectors.stateIndicators()
+ * @returns {Promise<string|null>} Detected state or null if nothing matched
+ */
+async function detectState(page, indicators = INDICATORS) {
+  try {
+    await page.evaluate(installStateObserver, indicators);
+    return await page.evaluate(() => window.__meetDetectState());
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Meeting lifecycle state machine.
+ * Emits 'transition' ({from, to, at, reason}) and an event named after each new state.
+ */
+class MeetingStateMachine extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.selectors] - Selector registry for the Meet UI locale
+   */
+  constructor({ selectors } = {}) {
+    super();
+    this.indicators = selectors ? selectors.stateIndicators() : INDICATORS;
+    this.state = STATES.IDLE;
+    this.history = [{ state: this.state, at: new Date() }];
+    this.page = null;
+  }
+
+  /**
+   * Observe a page so DOM changes drive the state machine
+   * @param {import('playwright').Page} page
+   */
+  async attach(page) {
+    this.page = page;
+    await page.exposeBinding('__meetStateChanged', (source, state) => this.observe(state, 'dom'));
+    await page.addInitScript(installStateObserver, this.indicators);
+    await page.evaluate(installStateObserver, this.indicators).catch(() => {});
+  }
+
+  /**
+   * Move to a new state if the transition is allowed
+   * @param {string} to - Target state
+   * @param {string} [reason] - Why the transition happened
+   * @returns {boolean} Whether the state changed
+   */
+  transition(to, reason = 'manual') {
+    const from = this.state;
+    if (from === to) return false;
+    if (!(TRANSITIONS[from] || []).includes(to)) {
+      console.log(`⚠️ Ignoring invalid meeting state transition ${from} → ${to} (${reason})`);
+      return false;
+    }
+
+    const at = new Date();
+    this.state = to;
+    this.history.push({ state: to, at, reason });
+    console.log(`📍 Meeting state: ${from} → ${to}`);
+    this.emit('transition', { from, to, at, reason });
+    this.emit(to, { from, at, reason });
+    return true;
+  }
+
+  /**
+   * Feed a detected DOM state into the machine.
+   * Entering the call from outside always passes through 'admitted'.
+   */
+  observe(detected, reason = 'dom') {
+    if (!detected || detected === this.state) return;
+    if ((detected === 'in-call' || detected === 'presenting') && !IN_CALL_STATES.includes(this.state)) {
+      if (!this.transition(STATES.ADMITTED, reason)) return;
+    }
+    this.transition(detected, reason);
+  }
+
+  /**
+   * Re-read the page and update the state
+   * @returns {Promise<string>} Current state
+   */
+  async refresh() {
+    if (this.page && !this.page.isClosed()) {
+      this.observe(await detectState(this.page, this.indicators), 'poll');
+    }
+    return this.state;
+  }
+
+  /**
+   * Wait until the machine reaches one of the given states
+   * @param {string[]} states - States to wait for
+   * @param {number} timeoutMs - Maximum wait
+   * @returns {Promise<string|null>} The reached state, or null on timeout
+   */
+  waitFor(states, timeoutMs) {
+    if (states.includes(this.state)) {
+      return Promise.resolve(this.state);
+    }
+
+    return new Promise(resolve => {
+      let poller;
+      const finish = state => {
+        clearTimeout(timer);
+        clearInterval(poller);
+        this.removeListener('transition', onTransition);
+        resolve(state);
+      };
+      const onTransition = ({ to }) => {
+        if (states.includes(to)) finish(to);
+      };
+      const timer = setTimeout(() => finish(null), timeoutMs);
+
+      this.on('transition', onTransition);
+      // Poll as a fallback in case the observer missed a change (e.g. during navigation)
+      poller = setInterval(() => this.refresh().catch(() => {}), 2000);
+    });
+  }
+
+  isInCall() {
+    return IN_CALL_STATES.includes(this.state);
+  }
+
+  isTerminal() {
+    return TERMINAL_STATES.includes(this.state);
+  }
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  IN_CALL_STATES,
+  TERMINAL_STATES,
+  INDICATORS,
+  MeetingStateMachine,
+  detectState
+};
@@ -0,0 +1,174 @@
+/**
+ * In-browser microphone for the meeting bot
+ * Replaces getUserMedia's audio with a WebAudio MediaStreamDestination and plays generated
+ * speech into it, so Meet hears the bot without any host audio devices.
+ */
+
+// Extra time allowed past the decoded duration before giving up on the "ended" signal
+const PLAYBACK_GRACE_MS = 5000;
+// How long transferring and decoding a clip may take before play() gives up on it
+const DECODE_TIMEOUT_MS = 15000;
+
+/**
+ * Runs inside the page: overrides getUserMedia and exposes window.__meetBotAudio
+ */
+function installAudioInjection() {
+  if (window.__meetBotAudio || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) return;
+
+  const mediaDevices = navigator.mediaDevices;
+  const originalGetUserMedia = mediaDevices.getUserMedia.bind(mediaDevices);
+  let audioContext = null;
+  let destination = null;
+  const sources = new Map();
+  // Clips stopped while still decoding, so they never start
+  const cancelled = new Set();
+
+  const ensureGraph = () => {
+    if (!audioContext) {
+      audioContext = new AudioContext();
+      destination = audioContext.createMediaStreamDestination();
+    }
+    if (audioContext.state === 'suspended') {
+      audioContext.resume().catch(() => {});
+    }
+    return { audioContext, destination };
+  };
+
+  mediaDevices.getUserMedia = async constraints => {
+    if (!constraints || !constraints.audio) {
+      return originalGetUserMedia(constraints);
+    }
+    const { destination: output } = ensureGraph();
+    // Clones, so Meet stopping its track does not silence the bot for later calls
+    const stream = new MediaStream(output.stream.getAudioTracks().map(track => track.clone()));
+    if (constraints.video) {
+      const camera = await originalGetUserMedia({ video: constraints.video });
+      camera.getVideoTracks().forEach(track => stream.addTrack(track));
+    }
+    return stream;
+  };
+
+  window.__meetBotAudio = {
+    async play(id, base64) {
+      const graph = ensureGraph();
+      const bytes = Uint8Array.from(atob(base64), ch => ch.charCodeAt(0));
+      const buffer = await graph.audioContext.decodeAudioData(bytes.buffer);
+      if (cancelled.delete(id)) return 0;
+      const source = graph.audioContext.createBufferSource();
+      source.buffer = buffer;
+      source.connect(graph.destination);
+      source.onended = () => {
+        sources.delete(id);
+        if (typeof window.__meetBotAudioEnded === 'function') {
+          window.__meetBotAudioEnded(id);
+        }
+      };
+      sources.set(id, source);
+      source.start();
+      return buffer.duration;
+    },
+    stop(id) {
+      const source = sources.get(id);
+      if (source) {
+        source.stop();
+      } else {
+        cancelled.add(id);
+      }
+    }
+  };
+}
+
+class PageAudio {
+  constructor() {
+    this.page = null;
+    this.nextId = 1;
+    this.pending = new Map();
+  }
+
+  /**
+   * Install the microphone override; must run before Meet asks for the microphone
+   * @param {import('playwright').Page} page
+   */
+  async attach(page) {
+    this.page = page;
+    await page.exposeBinding('__meetBotAudioEnded', (source, id) => this.finish(id));
+    await page.addInitScript(installAudioInjection);
+    await page.evaluate(installAudioInjection).catch(() => {});
+  }
+
+  isAttached() {
+    return Boolean(this.page) && !this.page.isClosed();
+  }
+
+  /**
+   * Play an audio clip into the page's microphone and wait until it has finished
+   * @param {Buffer} buffer - Encoded audio (mp3, wav, ...)
+   * @param {object} [options]
+   * @param {Function} [options.onStart] - Called with {durationMs} once the clip is decoded and playing
+   * @returns {Promise<{durationMs: number}>} Decoded duration of the clip
+   * @throws {Error} If the clip is not decoded within DECODE_TIMEOUT_MS (it is then never played)
+   */
+  async play(buffer, { onStart } = {}) {
+    if (!this.isAttached()) {
+      throw new Error('Page audio is not attached to an open page');
+    }
+
+    const id = this.nextId++;
+    const ended = new Promise(resolve => this.pending.set(id, resolve));
+    let timer;
+
+    try {
+      const decoded = this.page.evaluate(installAudioInjection).then(() => this.page.evaluate(
+        ([clipId, base64]) => window.__meetBotAudio.play(clipId, base64),
+        [id, buffer.toString('base64')]
+      ));
+      const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Audio clip was not decoded within ${DECODE_TIMEOUT_MS / 1000}s`)), DECODE_TIMEOUT_MS);
+      });
+      let durationSec;
+      try {
+        durationSec = await Promise.race([decoded, timedOut]);
+      } catch (err) {
+        // A clip that finishes decoding later must not play over the next one
+        decoded.catch(() => {});
+        await this.page.evaluate(clipId => window.__meetBotAudio && window.__meetBotAudio.stop(clipId), id).catch(() => {});
+        throw err;
+      }
+      clearTimeout(timer);
+
+      const durationMs = Math.round(durationSec * 1000);
+      if (onStart) onStart({ durationMs });
+      // The page may navigate away mid-clip; don't wait for an "ended" that never comes
+      timer = setTimeout(() => this.finish(id), durationMs + PLAYBACK_GRACE_MS);
+      await ended;
+      return { durationMs };
+    } finally {
+      clearTimeout(timer);
+      this.pending.delete(id);
+    }
+  }
+
+  /**
+   * Stop every clip that is still playing
+   */
+  async stop() {
+    const ids = [...this.pending.keys()];
+    if (this.isAttached() && ids.length) {
+      await this.page.evaluate(clipIds => clipIds.forEach(id => window.__meetBotAudio && window.__meetBotAudio.stop(id)), ids)
+        .catch(() => {});
+    }
+    ids.forEach(id => this.finish(id));
+  }
+
+  finish(id) {
+    const resolve = this.pending.get(id);
+    if (resolve) {
+      this.pending.delete(id);
+      resolve();
+    }
+  }
+}
+
+module.exports = {
+  PageAudio
+};
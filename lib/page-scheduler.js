@@ -0,0 +1,216 @@
+/**
+ * Exclusive access to the meeting page
+ * Keep-alive clicks, demo steps, screen sharing and chat all drive the same Playwright page.
+ * The scheduler runs them one at a time (highest priority first), gives each a timeout,
+ * pauses recurring background tasks while foreground work is in progress, and reports
+ * recurring tasks that were skipped or started late.
+ */
+
+const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const PRIORITIES = {
+  low: 0, // background keep-alive
+  normal: 1,
+  high: 2, // screen sharing
+  urgent: 3
+};
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+class SchedulerTimeoutError extends Error {
+  constructor(name, timeoutMs) {
+    super(`Page task "${name}" timed out after ${timeoutMs}ms`);
+    this.name = 'SchedulerTimeoutError';
+    this.task = name;
+  }
+}
+
+class PageScheduler extends EventEmitter {
+  constructor() {
+    super();
+    this.waiting = [];
+    this.active = null;
+    this.pauses = 0;
+    this.nextId = 1;
+    this.taskStats = new Map();
+    this.recurring = new Set();
+    // Lets a task that already holds the page call run() again without deadlocking
+    this.context = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run a page action once nothing else is using the page
+   * @param {string} name - Task name used in logs and stats
+   * @param {Function} fn - Async action; it has the page to itself until it settles
+   * @param {object} [options]
+   * @param {string} [options.priority] - low, normal (default), high or urgent
+   * @param {number} [options.timeoutMs] - Give up (and free the page) after this long
+   * @param {boolean} [options.pauseBackground] - Skip recurring background tasks until this one is done
+   * @returns {Promise<*>} What fn resolved to
+   */
+  async run(name, fn, { priority = 'normal', timeoutMs = DEFAULT_TIMEOUT_MS, pauseBackground = false } = {}) {
+    if (PRIORITIES[priority] === undefined) {
+      throw new Error(`Unknown task priority "${priority}" (use ${Object.keys(PRIORITIES).join(', ')})`);
+    }
+
+    // Nested call from inside the task that holds the page
+    const holder = this.context.getStore();
+    if (holder && holder === this.active) {
+      return fn();
+    }
+
+    if (pauseBackground) this.pauses++;
+    const task = { id: this.nextId++, name, priority, queuedAt: Date.now() };
+    try {
+      await this.acquire(task);
+      task.startedAt = Date.now();
+      let timer;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new SchedulerTimeoutError(name, timeoutMs)), timeoutMs);
+      });
+      try {
+        const result = await Promise.race([this.context.run(task, fn), timeout]);
+        this.record(task, 'done');
+        return result;
+      } catch (err) {
+        this.record(task, err instanceof SchedulerTimeoutError ? 'timeout' : 'failed', err);
+        throw err;
+      } finally {
+        clearTimeout(timer);
+        this.release(task);
+      }
+    } finally {
+      if (pauseBackground) this.pauses--;
+    }
+  }
+
+  /**
+   * Run a background task every intervalMs (replaces setInterval for page actions)
+   * A tick is skipped while foreground work has paused the background, or while the
+   * previous run of the same task is still waiting or running.
+   * @param {string} name - Task name used in logs and stats
+   * @param {number} intervalMs - Time between ticks
+   * @param {Function} fn - Async action run with the page to itself
+   * @param {object} [options]
+   * @param {string} [options.priority] - Defaults to low
+   * @param {number} [options.timeoutMs] - Per-run timeout
+   * @param {number} [options.lateAfterMs] - Report a run as late if it starts this long after its tick
+   * @returns {{name: string, cancel: Function}} Handle to stop the task
+   */
+  every(name, intervalMs, fn, { priority = 'low', timeoutMs = DEFAULT_TIMEOUT_MS, lateAfterMs = Math.min(intervalMs / 2, 10000) } = {}) {
+    let running = false;
+    const tick = async () => {
+      const dueAt = Date.now();
+      if (this.pauses > 0) {
+        this.skip(name, 'paused');
+        return;
+      }
+      if (running) {
+        this.skip(name, 'still running');
+        return;
+      }
+      running = true;
+      try {
+        await this.run(name, async () => {
+          const lateMs = Date.now() - dueAt;
+          if (lateMs > lateAfterMs) {
+            this.stats(name).late++;
+            console.log(`⏰ Page task "${name}" started ${Math.round(lateMs / 1000)}s late`);
+            this.emit('late', { name, lateMs });
+          }
+          return fn();
+        }, { priority, timeoutMs });
+      } catch (err) {
+        console.error(`Error in page task "${name}":`, err.message);
+      } finally {
+        running = false;
+      }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    const handle = {
+      name,
+      cancel: () => {
+        clearInterval(timer);
+        this.recurring.delete(handle);
+      }
+    };
+    this.recurring.add(handle);
+    return handle;
+  }
+
+  /**
+   * Stop every recurring task
+   */
+  cancelAll() {
+    for (const handle of [...this.recurring]) {
+      handle.cancel();
+    }
+  }
+
+  /**
+   * Run and success counts per task name, plus what is running and waiting now
+   */
+  status() {
+    return {
+      active: this.active ? { name: this.active.name, priority: this.active.priority, startedAt: this.active.startedAt } : null,
+      waiting: this.waiting.map(task => ({ name: task.name, priority: task.priority, queuedAt: task.queuedAt })),
+      backgroundPaused: this.pauses > 0,
+      tasks: Object.fromEntries([...this.taskStats].map(([name, stats]) => [name, { ...stats }]))
+    };
+  }
+
+  stats(name) {
+    if (!this.taskStats.has(name)) {
+      this.taskStats.set(name, { runs: 0, failures: 0, timeouts: 0, skipped: 0, late: 0, lastRunAt: null, lastError: null });
+    }
+    return this.taskStats.get(name);
+  }
+
+  skip(name, reason) {
+    this.stats(name).skipped++;
+    console.log(`⏭️ Skipped page task "${name}" (${reason})`);
+    this.emit('skipped', { name, reason });
+  }
+
+  record(task, status, err) {
+    const stats = this.stats(task.name);
+    stats.runs++;
+    stats.lastRunAt = new Date(task.startedAt);
+    if (status === 'failed') stats.failures++;
+    if (status === 'timeout') stats.timeouts++;
+    if (err) stats.lastError = err.message;
+    this.emit('task', {
+      name: task.name,
+      status,
+      waitedMs: task.startedAt - task.queuedAt,
+      durationMs: Date.now() - task.startedAt
+    });
+  }
+
+  acquire(task) {
+    if (!this.active) {
+      this.active = task;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      task.grant = resolve;
+      this.waiting.push(task);
+    });
+  }
+
+  release(task) {
+    if (this.active !== task) return;
+    this.waiting.sort((a, b) => (PRIORITIES[b.priority] - PRIORITIES[a.priority]) || (a.id - b.id));
+    const next = this.waiting.shift();
+    this.active = next || null;
+    if (next) next.grant();
+  }
+}
+
+module.exports = {
+  PageScheduler,
+  SchedulerTimeoutError,
+  PRIORITIES
+};
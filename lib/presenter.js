@@ -0,0 +1,171 @@
+/**
+ * Presenter tabs: demo browsing happens here, never in the tab that hosts the call
+ * The Meet tab stays pinned on the meeting (guarded against navigation), while demo
+ * steps open, switch and close their own tabs. The tab in front is what the screen
+ * share shows.
+ */
+
+const DEFAULT_TAB = 'demo';
+const TAB_TIMEOUT_MS = 30000;
+
+class PresenterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PresenterError';
+  }
+}
+
+class MeetTabGuardError extends Error {
+  constructor(url) {
+    super(`Refusing to navigate the Meet tab to ${url}; use a presenter tab for demo browsing`);
+    this.name = 'MeetTabGuardError';
+    this.url = url;
+  }
+}
+
+/**
+ * Make page.goto on the Meet tab refuse URLs outside the meeting's origin
+ * @param {import('playwright').Page} page - Tab hosting the call
+ * @param {string} meetingUrl - URL of the meeting (its origin stays allowed)
+ * @returns {Function} Removes the guard
+ */
+function guardMeetTab(page, meetingUrl) {
+  const allowedOrigin = new URL(meetingUrl).origin;
+  const originalGoto = page.goto;
+
+  page.goto = async function guardedGoto(url, options) {
+    let origin;
+    try {
+      origin = new URL(url, page.url()).origin;
+    } catch (err) {
+      origin = null;
+    }
+    if (origin !== allowedOrigin) {
+      console.log(`🛡️ Blocked navigation of the Meet tab to ${url}`);
+      throw new MeetTabGuardError(url);
+    }
+    return originalGoto.call(page, url, options);
+  };
+
+  return () => {
+    if (page.goto.name === 'guardedGoto') page.goto = originalGoto;
+  };
+}
+
+class PresenterTabs {
+  /**
+   * @param {object} options
+   * @param {import('playwright').BrowserContext} options.context - Context to open tabs in
+   * @param {import('playwright').Page} options.meetPage - Tab hosting the call
+   */
+  constructor({ context, meetPage }) {
+    this.context = context;
+    this.meetPage = meetPage;
+    this.tabs = new Map();
+    this.currentName = null;
+  }
+
+  /**
+   * The tab demo steps act on (and the one shown while presenting), if any
+   */
+  get current() {
+    const page = this.currentName && this.tabs.get(this.currentName);
+    return page && !page.isClosed() ? page : null;
+  }
+
+  /**
+   * Names of the open demo tabs
+   */
+  names() {
+    return [...this.tabs.keys()];
+  }
+
+  /**
+   * Open a demo tab (or reuse the one with this name) and bring it to the front
+   * @param {string} [name] - Tab name used by switch and close
+   * @param {string} [url] - Page to load
+   * @returns {Promise<import('playwright').Page>}
+   */
+  async open(name = DEFAULT_TAB, url) {
+    let page = this.tabs.get(name);
+    if (!page || page.isClosed()) {
+      page = await this.context.newPage();
+      page.setDefaultTimeout(TAB_TIMEOUT_MS);
+      this.tabs.set(name, page);
+      page.on('close', () => this.forget(name, page));
+      console.log(`🗂️ Opened demo tab "${name}"`);
+    }
+    if (url) {
+      await page.goto(url, { waitUntil: 'domcontentloaded' });
+    }
+    return this.switchTo(name);
+  }
+
+  /**
+   * Make a demo tab the current one and bring it to the front
+   * @returns {Promise<import('playwright').Page>}
+   */
+  async switchTo(name = DEFAULT_TAB) {
+    const page = this.tabs.get(name);
+    if (!page || page.isClosed()) {
+      throw new PresenterError(`No open demo tab named "${name}" (open: ${this.names().join(', ') || 'none'})`);
+    }
+    this.currentName = name;
+    await page.bringToFront();
+    return page;
+  }
+
+  /**
+   * Close a demo tab; the most recently opened remaining tab becomes current
+   */
+  async close(name = this.currentName) {
+    const page = name && this.tabs.get(name);
+    if (!page) {
+      throw new PresenterError(`No open demo tab named "${name}"`);
+    }
+    this.forget(name, page);
+    await page.close().catch(() => {});
+    console.log(`🗂️ Closed demo tab "${name}"`);
+    const current = this.current;
+    if (current) await current.bringToFront();
+  }
+
+  async closeAll() {
+    for (const name of this.names()) {
+      await this.close(name);
+    }
+  }
+
+  /**
+   * Bring the Meet tab to the front (e.g. to click its controls on screen)
+   */
+  async showMeeting() {
+    await this.meetPage.bringToFront();
+  }
+
+  /**
+   * Bring the current demo tab back to the front, if there is one
+   */
+  async showPresenter() {
+    const page = this.current;
+    if (page) await page.bringToFront();
+    return page;
+  }
+
+  forget(name, page) {
+    if (this.tabs.get(name) !== page) return;
+    this.tabs.delete(name);
+    if (this.currentName === name) {
+      const names = this.names();
+      this.currentName = names.length ? names[names.length - 1] : null;
+    }
+  }
+}
+
+module.exports = {
+  PresenterTabs,
+  PresenterError,
+  MeetTabGuardError,
+  guardMeetTab,
+  DEFAULT_TAB
+};
@@ -0,0 +1,207 @@
+/**
+ * Reconnect supervisor: gets the bot back into the call after it dropped out without leaving
+ * Causes, passed on with every event:
+ *   network               the page has been offline (or showed Meet's lost-connection notice)
+ *                         for reconnect.offlineGraceMs
+ *   rejoin-prompt         Meet shows its "Rejoin" button while the bot thinks it is in the call
+ *   page-crash            the call's tab crashed
+ *   browser-disconnected  the browser went away (crashed or was killed)
+ *   left, removed         what Meet showed (removed only with reconnect.afterRemoval)
+ * Each attempt waits min(initialDelayMs * 2^(attempt - 1), maxDelayMs) and then calls rejoin(),
+ * until it succeeds, maxAttempts is used up or a JoinError says trying again will not help.
+ */
+
+const EventEmitter = require('events');
+const { JoinError } = require('./meet');
+
+const CHECK_INTERVAL_MS = 5000;
+
+// Causes a rejoin cannot help with
+const FINAL_CAUSES = ['call-ended', 'denied'];
+
+/**
+ * Watches the connection while the bot is in a call and runs the reconnect attempts.
+ * Emits:
+ *   connectionLost  {cause}  - the connection check found the bot cut off
+ *   reconnecting    {cause, attempt, maxAttempts, delayMs, lastError} - before every attempt
+ *   reconnected     {cause, attempts, downtimeMs} - back in the call
+ *   reconnectFailed {cause, attempts, error} - gave up
+ */
+class ReconnectSupervisor extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {Function} options.checkConnection - Resolves to {online, lostNotice, rejoinPrompt} (see meet.js)
+   * @param {Function} options.rejoin - Called with the session snapshot for each attempt; rejects if it failed
+   * @param {boolean} [options.enabled] - Whether lost connections are recovered at all
+   * @param {number} [options.maxAttempts] - Attempts before giving up
+   * @param {number} [options.initialDelayMs] - Wait before the first attempt, doubled for every further one
+   * @param {number} [options.maxDelayMs] - Longest wait between attempts
+   * @param {number} [options.offlineGraceMs] - How long the page may be offline before it counts as lost (Meet retries by itself first)
+   * @param {boolean} [options.afterRemoval] - Also rejoin after being removed from the call
+   * @param {number} [options.checkIntervalMs] - How often the connection is checked
+   */
+  constructor({
+    checkConnection,
+    rejoin,
+    enabled = true,
+    maxAttempts = 5,
+    initialDelayMs = 2000,
+    maxDelayMs = 60000,
+    offlineGraceMs = 20000,
+    afterRemoval = false,
+    checkIntervalMs = CHECK_INTERVAL_MS
+  }) {
+    super();
+    this.checkConnection = checkConnection;
+    this.rejoin = rejoin;
+    this.enabled = enabled;
+    this.maxAttempts = maxAttempts;
+    this.initialDelayMs = initialDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.offlineGraceMs = offlineGraceMs;
+    this.afterRemoval = afterRemoval;
+    this.checkIntervalMs = checkIntervalMs;
+    this.timer = null;
+    this.offlineSince = null;
+    this.recovering = false;
+    this.cancelled = false;
+    this.wake = null;
+  }
+
+  /**
+   * Start checking the connection (right after joining)
+   */
+  start() {
+    this.stop();
+    this.offlineSince = null;
+    this.timer = setInterval(() => this.check().catch(() => {}), this.checkIntervalMs);
+  }
+
+  /**
+   * Stop checking the connection (attempts in progress go on, see cancel())
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Whether rejoining can get the bot back after this cause
+   */
+  isRecoverable(cause) {
+    if (FINAL_CAUSES.includes(cause)) return false;
+    return cause !== 'removed' || this.afterRemoval;
+  }
+
+  /**
+   * Check the connection once
+   * @returns {Promise<string|null>} The cause, if the bot is cut off from the call
+   */
+  async check(now = Date.now()) {
+    // A rejoin in progress is judged by how it ends
+    if (!this.timer || this.recovering) return null;
+    // A page that cannot be read is reported by its crash or disconnect event instead
+    const status = await this.checkConnection().catch(() => null);
+    if (!status || !this.timer) return null;
+    if (status.rejoinPrompt) {
+      return this.lost('rejoin-prompt');
+    }
+    if (status.online && !status.lostNotice) {
+      this.offlineSince = null;
+      return null;
+    }
+    if (this.offlineSince === null) {
+      console.log('📡 The meeting page lost its connection; waiting for Meet to reconnect');
+      this.offlineSince = now;
+    }
+    return now - this.offlineSince >= this.offlineGraceMs ? this.lost('network') : null;
+  }
+
+  lost(cause) {
+    this.stop();
+    this.emit('connectionLost', { cause });
+    return cause;
+  }
+
+  /**
+   * Wait before an attempt, with exponential backoff
+   */
+  delayFor(attempt) {
+    return Math.min(this.initialDelayMs * 2 ** (attempt - 1), this.maxDelayMs);
+  }
+
+  /**
+   * Try to get back into the call
+   * @param {string} cause - Why the bot dropped out (see the list at the top)
+   * @param {object} [snapshot] - What to restore, passed on to rejoin()
+   * @returns {Promise<boolean>} Whether the bot is back (false if it gave up, was cancelled or already recovering)
+   */
+  async recover(cause, snapshot) {
+    if (this.recovering) return false;
+    this.recovering = true;
+    this.cancelled = false;
+    this.stop();
+    const startedAt = Date.now();
+    let lastError = null;
+    let attempt = 0;
+
+    try {
+      while (attempt < this.maxAttempts) {
+        attempt++;
+        const delayMs = this.delayFor(attempt);
+        console.log(`🔁 Reconnect attempt ${attempt}/${this.maxAttempts} (${cause}) in ${Math.round(delayMs / 1000)}s`);
+        this.emit('reconnecting', { cause, attempt, maxAttempts: this.maxAttempts, delayMs, lastError });
+        await this.sleep(delayMs);
+        if (this.cancelled) return false;
+
+        try {
+          await this.rejoin(snapshot);
+        } catch (err) {
+          lastError = err;
+          console.log(`⚠️ Reconnect attempt ${attempt} failed: ${err.message}`);
+          if (this.cancelled) return false;
+          if (err instanceof JoinError && !err.retryable) break;
+          continue;
+        }
+        if (this.cancelled) return false;
+        const downtimeMs = Date.now() - startedAt;
+        console.log(`✅ Reconnected after ${attempt} attempt(s), ${Math.round(downtimeMs / 1000)}s out of the call`);
+        this.emit('reconnected', { cause, attempts: attempt, downtimeMs });
+        return true;
+      }
+
+      console.log(`❌ Giving up reconnecting after ${attempt} attempt(s)`);
+      this.emit('reconnectFailed', { cause, attempts: attempt, error: lastError });
+      return false;
+    } finally {
+      this.recovering = false;
+    }
+  }
+
+  /**
+   * Stop checking and give up the attempts in progress (the bot is leaving or closing)
+   */
+  cancel() {
+    this.stop();
+    this.cancelled = true;
+    if (this.wake) this.wake();
+  }
+
+  /**
+   * A delay that cancel() ends early
+   */
+  sleep(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => this.wake(), ms);
+      this.wake = () => {
+        clearTimeout(timer);
+        this.wake = null;
+        resolve();
+      };
+    });
+  }
+}
+
+module.exports = {
+  ReconnectSupervisor
+};
@@ -0,0 +1,247 @@
+/**
+ * Participant roster and attendance
+ * The roster is read from the participant tiles and, whenever it is open, the People panel,
+ * which also lists people without a tile (large calls show only some tiles) and their roles.
+ * Each scan is compared with the last one to report joins and leaves, and every stay in
+ * the call is recorded so an attendance report can be written when the session ends.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+const { createSelectors } = require('./selectors');
+const { sessionName } = require('./transcript');
+
+const REPORT_FORMATS = ['json', 'csv'];
+
+/**
+ * Runs inside the page: every element with a participant id, merged per participant
+ */
+function readParticipants({ item, name, role, self, panelItem }) {
+  const byId = new Map();
+  let panelOpen = false;
+  for (const element of document.querySelectorAll(item)) {
+    const id = element.getAttribute('data-participant-id');
+    if (!id) continue;
+    const inPanel = element.matches(panelItem);
+    panelOpen = panelOpen || inPanel;
+    const entry = byId.get(id) || { id, name: '', role: '', self: false, inPanel: false, onTile: false };
+    const nameElement = element.querySelector(name);
+    const roleElement = element.querySelector(role);
+    if (!entry.name && nameElement) entry.name = nameElement.textContent.trim();
+    if (!entry.role && roleElement) entry.role = roleElement.textContent.trim();
+    entry.self = entry.self || Boolean(element.querySelector(self));
+    if (inPanel) entry.inPanel = true;
+    else entry.onTile = true;
+    byId.set(id, entry);
+  }
+  return { panelOpen, participants: [...byId.values()] };
+}
+
+const csvField = value => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+
+/**
+ * Attendance report as CSV, one row per person
+ */
+function formatAttendanceCsv(report) {
+  const rows = report.participants.map(person => [
+    person.name,
+    person.role,
+    person.self,
+    person.firstSeen.toISOString(),
+    person.lastSeen.toISOString(),
+    Math.round(person.totalMs / 1000),
+    person.stays
+  ].map(csvField).join(','));
+  return `${['name', 'role', 'self', 'first_seen', 'last_seen', 'total_seconds', 'stays'].join(',')}\n${rows.map(row => `${row}\n`).join('')}`;
+}
+
+/**
+ * Write an attendance report next to the session's other files
+ * @param {object} report - From Roster#finish
+ * @param {object} options
+ * @param {string} options.dir - Directory for the report files
+ * @param {string} [options.meetingUrl] - Used to name the files
+ * @param {string[]} [options.formats] - json and/or csv
+ * @returns {Promise<object>} Paths of the report files by format
+ */
+async function writeAttendanceReport(report, { dir, meetingUrl, formats = REPORT_FORMATS }) {
+  const unknown = formats.find(format => !REPORT_FORMATS.includes(format));
+  if (unknown) {
+    throw new Error(`Unknown attendance report format "${unknown}" (use ${REPORT_FORMATS.join(', ')})`);
+  }
+  await fs.ensureDir(dir);
+  const base = path.join(dir, sessionName(meetingUrl, report.startedAt));
+  const files = {};
+  for (const format of formats) {
+    files[format] = `${base}.${format}`;
+    const content = format === 'json' ? `${JSON.stringify({ meetingUrl, ...report }, null, 2)}\n` : formatAttendanceCsv(report);
+    await fs.writeFile(files[format], content);
+  }
+  return files;
+}
+
+/**
+ * Who is in the call, and since when.
+ * Emits 'participantJoined' and 'participantLeft' ({id, name, role, self, at}) and
+ * 'participantChanged' (same fields) when a name or role changes.
+ */
+class Roster extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.selectors] - Selector registry for the Meet UI locale
+   */
+  constructor({ selectors = createSelectors() } = {}) {
+    super();
+    this.selectors = selectors;
+    this.present = new Map();
+    this.stays = [];
+    // People the People panel listed without a tile; they stay until the panel says otherwise
+    this.panelOnly = new Set();
+    this.startedAt = null;
+  }
+
+  /**
+   * Start a new session (e.g. after joining)
+   */
+  start(now = new Date()) {
+    this.present.clear();
+    this.panelOnly.clear();
+    this.stays = [];
+    this.startedAt = now;
+  }
+
+  /**
+   * Read the participants from the page and update the roster
+   * @param {import('playwright').Page} page - Meeting page
+   */
+  async scan(page) {
+    const snapshot = await page.evaluate(readParticipants, {
+      item: this.selectors.css('participantTile'),
+      name: this.selectors.css('participantName'),
+      role: this.selectors.css('participantRole'),
+      self: this.selectors.css('participantSelf'),
+      panelItem: this.selectors.css('peopleListItem')
+    });
+    this.update(snapshot);
+    return this.participants();
+  }
+
+  roleOf(text) {
+    const lowered = text.toLowerCase();
+    const { coHost, meetingHost } = this.selectors.texts;
+    // Checked first: "Co-host" contains "host"
+    if (coHost.some(label => lowered.includes(label.toLowerCase()))) return 'co-host';
+    if (meetingHost.some(label => lowered.includes(label.toLowerCase()))) return 'host';
+    return 'participant';
+  }
+
+  /**
+   * Apply one scan of the page
+   * @param {object} snapshot - {panelOpen, participants: [{id, name, role, self, inPanel, onTile}]}
+   */
+  update({ panelOpen, participants }, now = new Date()) {
+    if (!this.startedAt) this.start(now);
+    const seen = new Set();
+    for (const raw of participants) {
+      seen.add(raw.id);
+      const name = raw.name.replace(/\s*\([^)]*\)\s*$/, '') || 'Unknown';
+      const person = { id: raw.id, name, role: this.roleOf(raw.role || ''), self: raw.self };
+      const known = this.present.get(raw.id);
+
+      if (!known) {
+        this.present.set(raw.id, { ...person, joinedAt: now, lastSeen: now });
+        this.emit('participantJoined', { ...person, at: now });
+      } else {
+        known.lastSeen = now;
+        // The panel's role line is only visible while it is open
+        const role = raw.inPanel ? person.role : known.role;
+        if (known.name !== name || known.role !== role) {
+          Object.assign(known, { name, role });
+          this.emit('participantChanged', { ...this.describe(known), at: now });
+        }
+      }
+      if (raw.onTile) this.panelOnly.delete(raw.id);
+      else if (panelOpen) this.panelOnly.add(raw.id);
+    }
+    if (panelOpen) {
+      for (const id of this.panelOnly) {
+        if (!seen.has(id)) this.panelOnly.delete(id);
+      }
+    }
+
+    for (const [id, known] of this.present) {
+      if (seen.has(id) || this.panelOnly.has(id)) continue;
+      this.present.delete(id);
+      this.record(known, known.lastSeen);
+      this.emit('participantLeft', { ...this.describe(known), at: now });
+    }
+  }
+
+  describe(known) {
+    return { id: known.id, name: known.name, role: known.role, self: known.self };
+  }
+
+  record(known, end) {
+    this.stays.push({ name: known.name, role: known.role, self: known.self, start: known.joinedAt, end });
+  }
+
+  /**
+   * Everyone in the call now, with when they joined
+   */
+  participants() {
+    return [...this.present.values()].map(known => ({ ...this.describe(known), joinedAt: known.joinedAt }));
+  }
+
+  /**
+   * Attendance so far: one entry per display name (people who rejoin get several stays)
+   * @returns {{startedAt: Date, endedAt: Date, participants: object[]}}
+   */
+  report(now = new Date()) {
+    const stays = [
+      ...this.stays,
+      ...[...this.present.values()].map(known => ({ name: known.name, role: known.role, self: known.self, start: known.joinedAt, end: known.lastSeen }))
+    ];
+    const people = new Map();
+    for (const stay of stays) {
+      const person = people.get(stay.name) || { name: stay.name, role: stay.role, self: stay.self, firstSeen: stay.start, lastSeen: stay.end, totalMs: 0, stays: 0 };
+      if (stay.start < person.firstSeen) person.firstSeen = stay.start;
+      if (stay.end > person.lastSeen) {
+        person.lastSeen = stay.end;
+        person.role = stay.role;
+      }
+      person.totalMs += stay.end - stay.start;
+      person.stays += 1;
+      people.set(stay.name, person);
+    }
+    return {
+      startedAt: this.startedAt || now,
+      endedAt: now,
+      participants: [...people.values()].sort((a, b) => a.firstSeen - b.firstSeen)
+    };
+  }
+
+  /**
+   * End the session: everyone still present is recorded as last seen now
+   * @returns {object|null} The attendance report, or null if no session was running
+   */
+  finish(now = new Date()) {
+    if (!this.startedAt) return null;
+    for (const known of this.present.values()) {
+      known.lastSeen = now;
+    }
+    const report = this.report(now);
+    this.present.clear();
+    this.panelOnly.clear();
+    this.stays = [];
+    this.startedAt = null;
+    return report;
+  }
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  Roster,
+  formatAttendanceCsv,
+  writeAttendanceReport
+};
@@ -0,0 +1,158 @@
+/**
+ * Capture-source selection for screen sharing
+ * Chromium's picker is native UI that Playwright cannot click, so the source is chosen
+ * up front: launch flags auto-select a tab (by title) or a window/screen, and an
+ * in-page getDisplayMedia override asks for the matching surface, optional tab audio,
+ * and keeps the stream so the bot can tell whether it is still live.
+ */
+
+// Title given to the presenter tab while Meet asks for a source, matched by the launch flag
+const CAPTURE_TITLE = 'Meet Bot Presenter Tab';
+// Title Chromium gives the whole-screen source
+const ENTIRE_SCREEN_TITLE = 'Entire screen';
+
+// getDisplayMedia displaySurface value per configured source
+const SHARE_SOURCES = {
+  tab: 'browser',
+  window: 'window',
+  screen: 'monitor'
+};
+
+class ScreenShareError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScreenShareError';
+  }
+}
+
+/**
+ * Chromium flags that auto-select the capture source in the share picker.
+ * Tab sharing works with any presenter tab; window and screen sources are fixed at launch.
+ * @param {object} screenShare - screenShare config section
+ * @returns {string[]} Launch arguments
+ */
+function captureFlags({ source = 'tab', windowTitle = null } = {}) {
+  if (!SHARE_SOURCES[source]) {
+    throw new ScreenShareError(`Unknown share source "${source}" (use ${Object.keys(SHARE_SOURCES).join(', ')})`);
+  }
+  const flags = [`--auto-select-tab-capture-source-by-title=${CAPTURE_TITLE}`];
+  if (source === 'window') {
+    if (!windowTitle) {
+      throw new ScreenShareError('screenShare.windowTitle is required to share a window');
+    }
+    flags.push(`--auto-select-desktop-capture-source=${windowTitle}`);
+  } else if (source === 'screen') {
+    flags.push(`--auto-select-desktop-capture-source=${ENTIRE_SCREEN_TITLE}`);
+  }
+  return flags;
+}
+
+/**
+ * Runs inside the page: overrides getDisplayMedia and exposes window.__meetBotShare
+ */
+function installShareCapture() {
+  if (window.__meetBotShare || !navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) return;
+
+  const mediaDevices = navigator.mediaDevices;
+  const originalGetDisplayMedia = mediaDevices.getDisplayMedia.bind(mediaDevices);
+  let preferences = {};
+  let stream = null;
+
+  mediaDevices.getDisplayMedia = async (constraints = {}) => {
+    const { surface, audio } = preferences;
+    const video = constraints.video && typeof constraints.video === 'object' ? constraints.video : {};
+    stream = await originalGetDisplayMedia({
+      ...constraints,
+      video: surface ? { ...video, displaySurface: surface } : (constraints.video || true),
+      audio: audio ? (constraints.audio || true) : constraints.audio,
+      // Never offer the call's own tab, and let the source change without re-sharing
+      selfBrowserSurface: 'exclude',
+      surfaceSwitching: 'include',
+      ...(audio ? { systemAudio: 'include' } : {})
+    });
+    return stream;
+  };
+
+  window.__meetBotShare = {
+    configure(next) {
+      preferences = next || {};
+    },
+    status() {
+      const track = stream && stream.getVideoTracks()[0];
+      if (!track || track.readyState !== 'live') return null;
+      return {
+        surface: track.getSettings().displaySurface || null,
+        label: track.label,
+        audio: stream.getAudioTracks().some(audioTrack => audioTrack.readyState === 'live')
+      };
+    },
+    stop() {
+      if (stream) stream.getTracks().forEach(track => track.stop());
+      stream = null;
+    }
+  };
+}
+
+/**
+ * Install the getDisplayMedia override; must run before Meet starts a presentation
+ * @param {import('playwright').Page} page - Tab hosting the call
+ */
+async function attachShareCapture(page) {
+  await page.addInitScript(installShareCapture);
+  await page.evaluate(installShareCapture).catch(() => {});
+}
+
+/**
+ * Tell the override which surface (and whether audio) the next share should ask for
+ */
+async function configureCapture(page, { source = 'tab', audio = false } = {}) {
+  await page.evaluate(preferences => {
+    if (window.__meetBotShare) window.__meetBotShare.configure(preferences);
+  }, { surface: SHARE_SOURCES[source], audio }).catch(() => {});
+}
+
+/**
+ * What the page is currently capturing, or null if no share stream is live
+ * @returns {Promise<{surface: string|null, label: string, audio: boolean}|null>}
+ */
+async function captureStatus(page) {
+  return page.evaluate(() => (window.__meetBotShare ? window.__meetBotShare.status() : null)).catch(() => null);
+}
+
+/**
+ * Stop the captured stream from inside the page (Meet then stops presenting)
+ */
+async function stopCapture(page) {
+  await page.evaluate(() => window.__meetBotShare && window.__meetBotShare.stop()).catch(() => {});
+}
+
+/**
+ * Give a tab the title the launch flag auto-selects, until the returned function is called
+ * @param {import('playwright').Page} page - Tab to share
+ * @returns {Promise<Function>} Restores the tab's own title
+ */
+async function markCaptureTarget(page) {
+  const original = await page.evaluate(title => {
+    const previous = document.title;
+    document.title = title;
+    return previous;
+  }, CAPTURE_TITLE);
+  return async () => {
+    if (page.isClosed()) return;
+    await page.evaluate(([title, marker]) => {
+      if (document.title === marker) document.title = title;
+    }, [original, CAPTURE_TITLE]).catch(() => {});
+  };
+}
+
+module.exports = {
+  SHARE_SOURCES,
+  CAPTURE_TITLE,
+  ScreenShareError,
+  captureFlags,
+  attachShareCapture,
+  configureCapture,
+  captureStatus,
+  stopCapture,
+  markCaptureTarget
+};
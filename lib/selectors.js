@@ -0,0 +1,232 @@
+/**
+ * Central registry of Google Meet UI selectors
+ * Every UI target is built from the active locale's texts with English as fallback,
+ * so a selector breakage or a new translation is fixed in one place.
+ */
+
+const LOCALES = {
+  en: require('./locales/en'),
+  de: require('./locales/de'),
+  fr: require('./locales/fr'),
+  es: require('./locales/es')
+};
+
+const DEFAULT_LOCALE = 'en';
+
+const quote = text => text.replace(/"/g, '\\"');
+const buttons = texts => [
+  ...texts.map(text => `button:has-text("${quote(text)}")`),
+  ...texts.map(text => `div[role="button"]:has-text("${quote(text)}")`)
+];
+const ariaLabels = texts => texts.map(text => `[aria-label*="${quote(text)}"]`);
+const menuItems = texts => texts.flatMap(text => [`[aria-label*="${quote(text)}"]`, `[role="menuitem"]:has-text("${quote(text)}")`]);
+
+/**
+ * Named UI targets. Each returns its selectors in the order they should be tried.
+ */
+const TARGETS = {
+  joinNowButton: t => buttons(t.joinNow),
+  askToJoinButton: t => buttons(t.askToJoin),
+  guestNameInput: t => t.yourName.flatMap(text => [`input[placeholder*="${quote(text)}"]`, `input[aria-label*="${quote(text)}"]`]),
+  cameraOffButton: t => [
+    ...t.camera.flatMap(text => [
+      `button[aria-label*="${quote(text)}"][data-is-muted="false"]`,
+      `div[role="button"][aria-label*="${quote(text)}"][data-is-muted="false"]`
+    ]),
+    ...t.turnOffCamera.map(text => `button:has-text("${quote(text)}")`)
+  ],
+  microphoneOnButton: t => [
+    ...t.microphone.flatMap(text => [
+      `button[aria-label*="${quote(text)}"][data-is-muted="true"]`,
+      `div[role="button"][aria-label*="${quote(text)}"][data-is-muted="true"]`
+    ]),
+    ...t.turnOnMicrophone.map(text => `button:has-text("${quote(text)}")`)
+  ],
+  microphoneOffButton: t => [
+    ...t.microphone.flatMap(text => [
+      `button[aria-label*="${quote(text)}"][data-is-muted="false"]`,
+      `div[role="button"][aria-label*="${quote(text)}"][data-is-muted="false"]`
+    ]),
+    ...t.turnOffMicrophone.map(text => `button:has-text("${quote(text)}")`)
+  ],
+  gotItButton: t => t.gotIt.map(text => `button:has-text("${quote(text)}")`),
+  presentButton: t => [
+    ...t.presentNow.flatMap(text => [
+      `[aria-label*="${quote(text)}"]`,
+      `button:has-text("${quote(text)}")`,
+      `[data-tooltip*="${quote(text)}"]`
+    ]),
+    'button[jsname*="present"]'
+  ],
+  entireScreenOption: t => t.entireScreen.flatMap(text => [
+    `[aria-label*="${quote(text)}"]`,
+    `[role="menuitem"]:has-text("${quote(text)}")`,
+    `div:has-text("${quote(text)}")`,
+    `span:has-text("${quote(text)}")`
+  ]),
+  windowOption: t => menuItems(t.aWindow),
+  tabOption: t => menuItems(t.aTab),
+  shareConfirmButton: t => [
+    ...t.share.flatMap(text => [`button:has-text("${quote(text)}")`, `[role="button"]:has-text("${quote(text)}")`]),
+    'button[jsname*="share"]'
+  ],
+  stopPresentingButton: t => ariaLabels(t.stopPresenting),
+  captionsOnButton: t => [...ariaLabels(t.turnOnCaptions), ...buttons(t.turnOnCaptions)],
+  captionsOffButton: t => ariaLabels(t.turnOffCaptions),
+  // Meet's caption block classes as of this writing, then the simulator's attributes
+  captionEntry: () => ['div.nMcdL', '[data-caption-entry]'],
+  captionSpeaker: () => ['.NWpY1d', '.KcIKyf', '[data-caption-speaker]'],
+  captionText: () => ['.ygicle', '.bh44bd', '[data-caption-text]'],
+  leaveButton: t => ariaLabels(t.leaveCall),
+  // A host leaving is asked whether to end the call for everyone
+  justLeaveButton: t => buttons(t.justLeaveCall),
+  // Offered after the bot dropped out of the call (lost connection, left, removed)
+  rejoinButton: t => buttons(t.rejoin),
+  // Meet shows its lost-connection notice as an alert; the simulator marks its card
+  connectionNotice: () => ['[role="alert"]', '[role="alertdialog"]', '[data-connection-notice]'],
+  chatButton: t => ariaLabels(t.chat),
+  chatInput: t => t.sendMessage.flatMap(text => [
+    `textarea[aria-label*="${quote(text)}"]`,
+    `textarea[placeholder*="${quote(text)}"]`
+  ]),
+  // Meet's chat message classes as of this writing, then the simulator's attributes
+  chatMessageGroup: () => ['div.Ss4fHf', '[data-message-sender]'],
+  chatMessageSender: () => ['.poVWob', '[data-message-sender-name]'],
+  chatMessageTime: () => ['.MuzmKd', '[data-message-time]'],
+  chatMessageText: () => ['div[jsname="dTKtvb"]', '[data-message-text]'],
+  peopleButton: t => ariaLabels(t.people),
+  meetingDetailsButton: t => ariaLabels(t.meetingDetails),
+  moreOptionsButton: t => ariaLabels(t.moreOptions),
+  participantTile: () => ['[data-participant-id]'],
+  participantName: () => ['[data-self-name]', '.zWGUib', '[data-participant-name]'],
+  participantSelf: () => ['[data-self-name]'],
+  // Meet's People panel entries and role line as of this writing, then the simulator's attributes
+  peopleListItem: () => ['div[role="listitem"][data-participant-id]', '[data-people-item]'],
+  participantRole: () => ['.d93U2d', '[data-participant-role]'],
+  meetContainer: () => ['div[jscontroller*="Meet"]', 'div[jsname*="Meet"]'],
+  signInEmailInput: () => ['input[type="email"]'],
+  googleAccountSignedIn: t => [...t.googleWelcome.map(text => `div[role="main"] h1:has-text("${quote(text)}")`), 'div[data-email]'],
+  // Captions, chat messages and participant names: text attendees control, so never read as Meet's own notices
+  conversationContent: t => [
+    ...TARGETS.captionEntry(t),
+    ...TARGETS.chatMessageGroup(t),
+    ...TARGETS.participantTile(t),
+    ...TARGETS.peopleListItem(t)
+  ]
+};
+
+/**
+ * Merge a locale pack with the English pack, locale texts first
+ */
+function mergeTexts(locale) {
+  const english = LOCALES[DEFAULT_LOCALE];
+  const localized = LOCALES[locale];
+  const merged = {};
+  for (const key of Object.keys(english)) {
+    merged[key] = [...new Set([...(localized[key] || []), ...english[key]])];
+  }
+  return merged;
+}
+
+/**
+ * Create the selector registry for a locale
+ * @param {string} [locale] - One of the keys of LOCALES
+ * @returns {object} Registry with get/css/find helpers for named targets
+ */
+function createSelectors(locale = DEFAULT_LOCALE) {
+  if (!LOCALES[locale]) {
+    throw new Error(`Unsupported Meet UI locale "${locale}" (supported: ${Object.keys(LOCALES).join(', ')})`);
+  }
+  const texts = mergeTexts(locale);
+
+  return {
+    locale,
+    texts,
+
+    /**
+     * Ordered selector fallbacks for a named target
+     * @param {string} target - Key of TARGETS
+     * @returns {string[]}
+     */
+    get(target) {
+      if (!TARGETS[target]) {
+        throw new Error(`Unknown UI target "${target}"`);
+      }
+      return TARGETS[target](texts);
+    },
+
+    /**
+     * All fallbacks for a target joined into one selector list
+     */
+    css(target) {
+      return this.get(target).join(', ');
+    },
+
+    /**
+     * Locator matching any fallback for a target
+     * @param {import('playwright').Page} page
+     */
+    locator(page, target) {
+      return page.locator(this.css(target)).first();
+    },
+
+    /**
+     * First visible fallback for a target, tried in order
+     * @param {import('playwright').Page} page
+     * @returns {Promise<{locator: import('playwright').Locator, selector: string}|null>}
+     */
+    async find(page, target) {
+      for (const selector of this.get(target)) {
+        try {
+          const locator = page.locator(selector).first();
+          if (await locator.isVisible()) {
+            return { locator, selector };
+          }
+        } catch (err) {
+          // Try next selector
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Page indicators for the meeting state machine. The `rules` with `selectors` (plain CSS)
+     * are checked first, then their `texts` against the page's visible text without the `ignore`
+     * subtrees (captions, chat, names), each pass in order with the first match winning.
+     */
+    stateIndicators() {
+      const rules = [
+        { state: 'denied', texts: [...texts.denied, ...texts.cantJoin, ...texts.meetingNotFound] },
+        { state: 'removed', texts: texts.removed },
+        // "You left the meeting" also offers to return home, so it is checked before call-ended
+        { state: 'left', texts: texts.youLeft },
+        { state: 'call-ended', texts: [...texts.callEnded, ...texts.returnToHome] },
+        { state: 'presenting', selectors: this.get('stopPresentingButton'), texts: texts.youArePresenting },
+        { state: 'in-call', selectors: this.get('leaveButton') },
+        { state: 'waiting-for-admission', texts: texts.waitingForAdmission },
+        { state: 'prejoin', texts: [...texts.joinNow, ...texts.askToJoin, ...texts.readyToJoin] },
+        { state: 'signin-required', selectors: this.get('signInEmailInput'), texts: texts.signIn }
+      ];
+      return { rules, ignore: this.css('conversationContent') };
+    },
+
+    /**
+     * Page texts that tell the different "could not join" screens apart, checked in order
+     */
+    joinFailureTexts() {
+      return [
+        { reason: 'denied', texts: texts.denied },
+        { reason: 'meeting-not-found', texts: texts.meetingNotFound },
+        { reason: 'removed', texts: texts.removed },
+        { reason: 'cant-join', texts: [...texts.cantJoin, ...texts.returnToHome] }
+      ];
+    }
+  };
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  TARGETS,
+  createSelectors
+};
@@ -0,0 +1,215 @@
+/**
+ * Serialized speech for the meeting bot
+ * Keep-alive chatter, demo narration, announcements and error messages all go through one
+ * queue, so only one utterance plays at a time. Higher priorities are spoken first, urgent
+ * items cut the current utterance short, and chatter that waited too long is dropped.
+ */
+
+const EventEmitter = require('events');
+const { speakThenAct } = require('./tts');
+
+const PRIORITIES = {
+  low: 0, // keep-alive chatter
+  normal: 1, // narration
+  high: 2, // announcements
+  urgent: 3 // errors and goodbyes; interrupts anything less urgent
+};
+
+// How long an item may wait before it is dropped, by priority (none = never)
+const DEFAULT_MAX_AGE_MS = {
+  low: 30000
+};
+
+class SpeechQueue extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {object} options.speech - {synthesizeSpeech, stop} from createSpeech (stop is optional)
+   * @param {object} [options.maxAgeMs] - Per-priority overrides of DEFAULT_MAX_AGE_MS
+   */
+  constructor({ speech, maxAgeMs = {} }) {
+    super();
+    this.speech = speech;
+    this.maxAgeMs = { ...DEFAULT_MAX_AGE_MS, ...maxAgeMs };
+    this.pending = [];
+    this.current = null;
+    this.nextId = 1;
+    this.counts = { spoken: 0, failed: 0, interrupted: 0, cancelled: 0, dropped: 0 };
+  }
+
+  /**
+   * Queue an utterance
+   * @param {string} text - What to say
+   * @param {object} [options]
+   * @param {string} [options.priority] - low, normal (default), high or urgent
+   * @param {boolean} [options.interrupt] - Stop a less urgent utterance that is playing (default: urgent only)
+   * @param {number} [options.maxAgeMs] - Drop the item if it has not started after this long
+   * @param {Function} [options.onStart] - Called with {durationMs} when playback starts
+   * @returns {{id: number, text: string, priority: string, done: Promise<string>, cancel: Function}}
+   *   done resolves to spoken, failed, interrupted, cancelled or dropped
+   */
+  enqueue(text, { priority = 'normal', interrupt = priority === 'urgent', maxAgeMs = this.maxAgeMs[priority], onStart } = {}) {
+    if (PRIORITIES[priority] === undefined) {
+      throw new Error(`Unknown speech priority "${priority}" (use ${Object.keys(PRIORITIES).join(', ')})`);
+    }
+
+    let resolve;
+    const item = {
+      id: this.nextId++,
+      text,
+      priority,
+      enqueuedAt: Date.now(),
+      maxAgeMs,
+      onStart,
+      done: new Promise(res => { resolve = res; }),
+      cancel: () => this.cancel(item.id)
+    };
+    item.settle = status => {
+      this.counts[status]++;
+      resolve(status);
+    };
+
+    this.pending.push(item);
+    this.emit('queued', this.describe(item));
+
+    if (interrupt && this.current && PRIORITIES[this.current.priority] < PRIORITIES[priority]) {
+      this.interrupt();
+    }
+    this.pump();
+    return item;
+  }
+
+  /**
+   * Speak text once it is this item's turn
+   * @param {object} [options] - Same as enqueue
+   * @returns {Promise<boolean>} Whether the text was spoken in full
+   */
+  async say(text, options) {
+    return (await this.enqueue(text, options).done) === 'spoken';
+  }
+
+  /**
+   * Queued speakAndDo: fn runs when the speech ends (or overlapMs earlier)
+   * The queue is free again as soon as the speech ends, so fn may queue more speech.
+   * fn is skipped if the item is cancelled or dropped before it is spoken.
+   * @param {object} [options] - {overlapMs} plus the enqueue options
+   * @returns {Promise<boolean>} Whether the speech succeeded
+   */
+  async speakAndDo(text, fn, options = {}) {
+    return speakThenAct(async (line, { onStart }) => {
+      const status = await this.enqueue(line, { ...options, onStart }).done;
+      if (status === 'cancelled' || status === 'dropped') return null;
+      return status === 'spoken';
+    }, text, fn, options);
+  }
+
+  /**
+   * Remove a waiting item
+   * @returns {boolean} Whether the item was still waiting
+   */
+  cancel(id) {
+    const index = this.pending.findIndex(item => item.id === id);
+    if (index === -1) return false;
+    const [item] = this.pending.splice(index, 1);
+    item.settle('cancelled');
+    this.emit('cancelled', this.describe(item));
+    return true;
+  }
+
+  /**
+   * Remove every waiting item, optionally only those below a priority
+   * @param {object} [options]
+   * @param {string} [options.below] - Keep items of this priority and above
+   * @returns {number} How many items were cancelled
+   */
+  clear({ below } = {}) {
+    const limit = below !== undefined ? PRIORITIES[below] : Infinity;
+    const ids = this.pending.filter(item => PRIORITIES[item.priority] < limit).map(item => item.id);
+    ids.forEach(id => this.cancel(id));
+    return ids.length;
+  }
+
+  /**
+   * Cut the current utterance short
+   * @returns {Promise<boolean>} Whether something was playing
+   */
+  async interrupt() {
+    const item = this.current;
+    if (!item || item.interrupted) return false;
+    item.interrupted = true;
+    if (this.speech.stop) {
+      await this.speech.stop();
+    }
+    return true;
+  }
+
+  /**
+   * Snapshot of the queue for callers and status endpoints
+   */
+  state() {
+    return {
+      current: this.current ? { ...this.describe(this.current), startedAt: this.current.startedAt } : null,
+      pending: this.ordered().map(item => this.describe(item)),
+      ...this.counts
+    };
+  }
+
+  /**
+   * Resolves once nothing is playing or waiting
+   */
+  async idle() {
+    while (this.current || this.pending.length) {
+      await new Promise(res => this.once('idle', res));
+    }
+  }
+
+  describe(item) {
+    return { id: item.id, text: item.text, priority: item.priority, enqueuedAt: item.enqueuedAt };
+  }
+
+  ordered() {
+    return [...this.pending].sort((a, b) => (PRIORITIES[b.priority] - PRIORITIES[a.priority]) || (a.id - b.id));
+  }
+
+  async pump() {
+    if (this.current) return;
+
+    let item;
+    while ((item = this.ordered()[0])) {
+      this.pending.splice(this.pending.indexOf(item), 1);
+      if (item.maxAgeMs !== undefined && Date.now() - item.enqueuedAt > item.maxAgeMs) {
+        console.log(`🗑️ Dropping stale speech: "${item.text}"`);
+        item.settle('dropped');
+        this.emit('dropped', this.describe(item));
+        continue;
+      }
+      break;
+    }
+    if (!item) {
+      this.emit('idle');
+      return;
+    }
+
+    this.current = item;
+    item.startedAt = Date.now();
+    this.emit('start', this.describe(item));
+
+    let status;
+    try {
+      const ok = await this.speech.synthesizeSpeech(item.text, { onStart: item.onStart });
+      status = item.interrupted ? 'interrupted' : ok ? 'spoken' : 'failed';
+    } catch (err) {
+      console.error(`Error speaking "${item.text}":`, err);
+      status = 'failed';
+    }
+
+    this.current = null;
+    item.settle(status);
+    this.emit('end', { ...this.describe(item), status });
+    this.pump();
+  }
+}
+
+module.exports = {
+  SpeechQueue,
+  PRIORITIES
+};
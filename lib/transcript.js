@@ -0,0 +1,137 @@
+/**
+ * Transcript files for one meeting session
+ * Utterances are appended as they complete, so the files are usable while the call is
+ * still going and survive a crash: JSONL for tools, SRT and WebVTT for players and
+ * plain text for people.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const FORMATS = ['jsonl', 'srt', 'vtt', 'txt'];
+// Subtitle cues shorter than this are stretched so players show them at all
+const MIN_CUE_MS = 500;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Format an offset as HH:MM:SS plus milliseconds after the given separator
+ * @param {number} ms - Offset from the start of the session
+ * @param {string} [separator] - ',' for SRT, '.' for WebVTT, null for whole seconds
+ */
+function formatTimestamp(ms, separator = '.') {
+  const total = Math.max(0, Math.round(ms));
+  const seconds = Math.floor(total / 1000);
+  const clock = `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+  return separator === null ? clock : `${clock}${separator}${pad(total % 1000, 3)}`;
+}
+
+/**
+ * Offsets of an utterance from the session start
+ */
+function cueTimes(utterance, startedAt) {
+  const startMs = utterance.start - startedAt;
+  return { startMs, endMs: Math.max(utterance.end - startedAt, startMs + MIN_CUE_MS) };
+}
+
+/**
+ * One utterance in each transcript format
+ * @param {object} utterance - {speaker, text, start, end}
+ * @param {number} index - 1-based position in the transcript
+ * @param {Date} startedAt - Session start the offsets are relative to
+ * @returns {object} Text to append per format
+ */
+function formatUtterance(utterance, index, startedAt) {
+  const { startMs, endMs } = cueTimes(utterance, startedAt);
+  const { speaker, text } = utterance;
+  return {
+    jsonl: `${JSON.stringify({
+      speaker,
+      text,
+      start: utterance.start.toISOString(),
+      end: utterance.end.toISOString(),
+      offsetMs: startMs,
+      durationMs: utterance.end - utterance.start
+    })}\n`,
+    srt: `${index}\n${formatTimestamp(startMs, ',')} --> ${formatTimestamp(endMs, ',')}\n${speaker}: ${text}\n\n`,
+    vtt: `${formatTimestamp(startMs)} --> ${formatTimestamp(endMs)}\n<v ${speaker}>${text}\n\n`,
+    txt: `[${formatTimestamp(startMs, null)}] ${speaker}: ${text}\n`
+  };
+}
+
+/**
+ * Whole transcript in one format (e.g. to export a session held in memory)
+ * @param {object[]} utterances - {speaker, text, start, end}
+ * @param {string} format - jsonl, srt, vtt or txt
+ * @param {Date} [startedAt] - Defaults to the first utterance's start
+ */
+function formatTranscript(utterances, format, startedAt = utterances.length ? utterances[0].start : new Date()) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown transcript format "${format}" (use ${FORMATS.join(', ')})`);
+  }
+  const body = utterances.map((utterance, i) => formatUtterance(utterance, i + 1, startedAt)[format]).join('');
+  return format === 'vtt' ? `WEBVTT\n\n${body}` : body;
+}
+
+/**
+ * File name for a session: meeting code plus local start time
+ */
+function sessionName(meetingUrl, startedAt = new Date()) {
+  const code = (meetingUrl ? new URL(meetingUrl).pathname.split('/').filter(Boolean).pop() : null) || 'meeting';
+  const time = `${startedAt.getFullYear()}-${pad(startedAt.getMonth() + 1)}-${pad(startedAt.getDate())}`
+    + `_${pad(startedAt.getHours())}-${pad(startedAt.getMinutes())}-${pad(startedAt.getSeconds())}`;
+  return `${code.replace(/[^\w-]/g, '_')}_${time}`;
+}
+
+class TranscriptWriter {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Directory for the transcript files
+   * @param {string} [options.meetingUrl] - Used to name the files
+   * @param {string[]} [options.formats] - Any of jsonl, srt, vtt and txt
+   * @param {Date} [options.startedAt] - Session start that cue times are relative to
+   */
+  constructor({ dir, meetingUrl, formats = FORMATS, startedAt = new Date() }) {
+    const unknown = formats.find(format => !FORMATS.includes(format));
+    if (unknown) {
+      throw new Error(`Unknown transcript format "${unknown}" (use ${FORMATS.join(', ')})`);
+    }
+    this.startedAt = startedAt;
+    this.count = 0;
+    const base = path.join(dir, sessionName(meetingUrl, startedAt));
+    this.files = Object.fromEntries(formats.map(format => [format, `${base}.${format}`]));
+    // Appends run one after another so cues never interleave
+    this.writes = fs.ensureDir(dir)
+      .then(() => (this.files.vtt ? fs.writeFile(this.files.vtt, 'WEBVTT\n\n') : null))
+      .catch(err => console.error(`Could not create transcript files in ${dir}:`, err.message));
+  }
+
+  /**
+   * Append an utterance to every transcript file
+   * @param {object} utterance - {speaker, text, start, end}
+   */
+  write(utterance) {
+    const entry = formatUtterance(utterance, ++this.count, this.startedAt);
+    const append = () => Promise.all(Object.entries(this.files).map(([format, file]) => fs.appendFile(file, entry[format])));
+    // A failed append (reported to the caller) does not stop later ones
+    this.writes = this.writes.catch(() => {}).then(append);
+    return this.writes;
+  }
+
+  /**
+   * Wait for pending appends
+   * @returns {Promise<object>} Paths of the transcript files by format
+   */
+  async close() {
+    await this.writes.catch(() => {});
+    return { ...this.files };
+  }
+}
+
+module.exports = {
+  FORMATS,
+  TranscriptWriter,
+  formatTimestamp,
+  formatTranscript,
+  sessionName
+};
@@ -0,0 +1,183 @@
+/**
+ * Content-addressed on-disk cache for synthesized speech
+ * Clips are keyed by text + model + voice + speed + format, so repeated lines (greetings,
+ * announcements, keep-alive messages, demo narration) are only paid for once.
+ * Each clip is stored as <key>.<format> with a <key>.json sidecar; the clip's mtime marks
+ * its last use, which drives least-recently-used eviction.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_MAX_BYTES = 200 * 1024 * 1024;
+
+class TtsCache {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Cache directory (created on first write)
+   * @param {number} [options.maxBytes] - Evict least recently used clips above this total size
+   */
+  constructor({ dir, maxBytes = DEFAULT_MAX_BYTES }) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Cache key for one utterance
+   * @param {object} params - {text, model, voice, speed, format}
+   * @returns {string} Hex SHA-256 digest
+   */
+  static keyFor({ text, model, voice, speed, format }) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([text, model, voice, Number(speed), format]))
+      .digest('hex');
+  }
+
+  clipPath(key, format) {
+    return path.join(this.dir, `${key}.${format}`);
+  }
+
+  /**
+   * Look up a clip, marking it as recently used
+   * @returns {Promise<{buffer: Buffer, durationMs: number|null}|null>}
+   */
+  async get(params) {
+    const key = TtsCache.keyFor(params);
+    const file = this.clipPath(key, params.format);
+    try {
+      const buffer = await fs.readFile(file);
+      const meta = await fs.readJson(path.join(this.dir, `${key}.json`)).catch(() => ({}));
+      const now = new Date();
+      await fs.utimes(file, now, now).catch(() => {});
+      this.hits++;
+      return { buffer, durationMs: meta.durationMs || null };
+    } catch (err) {
+      this.misses++;
+      return null;
+    }
+  }
+
+  async has(params) {
+    return fs.pathExists(this.clipPath(TtsCache.keyFor(params), params.format));
+  }
+
+  /**
+   * Store a clip, then evict old clips if the cache grew past maxBytes
+   * @param {object} params - {text, model, voice, speed, format}
+   * @param {Buffer} buffer - Encoded audio
+   * @param {object} [meta] - Extra metadata, e.g. {durationMs}
+   */
+  async set(params, buffer, meta = {}) {
+    const key = TtsCache.keyFor(params);
+    const file = this.clipPath(key, params.format);
+    await fs.ensureDir(this.dir);
+
+    // Write then rename, so bots sharing the cache never read a half-written clip
+    const tmpFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tmpFile, buffer);
+    await fs.writeJson(path.join(this.dir, `${key}.json`), {
+      text: params.text,
+      model: params.model,
+      voice: params.voice,
+      speed: Number(params.speed),
+      format: params.format,
+      bytes: buffer.length,
+      createdAt: new Date().toISOString(),
+      ...meta
+    });
+    await fs.rename(tmpFile, file);
+
+    await this.prune();
+  }
+
+  /**
+   * Every cached clip, most recently used first
+   */
+  async entries() {
+    let names;
+    try {
+      names = await fs.readdir(this.dir);
+    } catch (err) {
+      return [];
+    }
+
+    const entries = [];
+    for (const name of names) {
+      if (name.endsWith('.json') || name.endsWith('.tmp')) continue;
+      const key = path.basename(name, path.extname(name));
+      const file = path.join(this.dir, name);
+      try {
+        const stat = await fs.stat(file);
+        const meta = await fs.readJson(path.join(this.dir, `${key}.json`)).catch(() => ({}));
+        entries.push({ ...meta, key, file, bytes: stat.size, lastUsedAt: stat.mtime });
+      } catch (err) {
+        // Removed by another process while listing
+      }
+    }
+    return entries.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+  }
+
+  /**
+   * Size and usage of the cache
+   * @returns {Promise<{dir, entries, bytes, maxBytes, hits, misses, oldestUse, newestUse}>}
+   */
+  async stats() {
+    const entries = await this.entries();
+    return {
+      dir: this.dir,
+      entries: entries.length,
+      bytes: entries.reduce((total, entry) => total + entry.bytes, 0),
+      maxBytes: this.maxBytes,
+      hits: this.hits,
+      misses: this.misses,
+      oldestUse: entries.length ? entries[entries.length - 1].lastUsedAt : null,
+      newestUse: entries.length ? entries[0].lastUsedAt : null
+    };
+  }
+
+  /**
+   * Evict least recently used clips
+   * @param {object} [options]
+   * @param {number} [options.maxBytes] - Keep the total size at or below this
+   * @param {number} [options.olderThanMs] - Also drop clips unused for this long
+   * @returns {Promise<{removed: number, freedBytes: number}>}
+   */
+  async prune({ maxBytes = this.maxBytes, olderThanMs } = {}) {
+    const entries = await this.entries();
+    let total = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    const cutoff = olderThanMs !== undefined ? Date.now() - olderThanMs : null;
+    let removed = 0;
+    let freedBytes = 0;
+
+    // Oldest first
+    for (const entry of entries.reverse()) {
+      const expired = cutoff !== null && entry.lastUsedAt.getTime() < cutoff;
+      if (!expired && total <= maxBytes) continue;
+      await this.remove(entry);
+      total -= entry.bytes;
+      freedBytes += entry.bytes;
+      removed++;
+    }
+    return { removed, freedBytes };
+  }
+
+  /**
+   * Remove every cached clip
+   * @returns {Promise<{removed: number, freedBytes: number}>}
+   */
+  async clear() {
+    return this.prune({ maxBytes: 0 });
+  }
+
+  async remove(entry) {
+    await fs.remove(entry.file);
+    await fs.remove(path.join(this.dir, `${entry.key}.json`));
+  }
+}
+
+module.exports = {
+  TtsCache
+};
@@ -0,0 +1,302 @@
+/**
+ * Text-to-speech providers
+ * Every provider turns text into an encoded clip through the same interface,
+ * synthesize(text, opts) -> {buffer, format, durationMs}. The engine tries them in the
+ * configured order, and providers that keep failing are skipped for a cooldown period.
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { getAudioDuration } = require('./audio-duration');
+const execFileAsync = promisify(execFile);
+
+// Consecutive failures after which a provider is put on cooldown
+const FAILURE_THRESHOLD = 2;
+const DEFAULT_COOLDOWN_MS = 60000;
+// espeak's default speaking rate in words per minute, scaled by voice.speed
+const ESPEAK_BASE_WPM = 175;
+const HTTP_TIMEOUT_MS = 30000;
+
+class TtsProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {Array<{provider: string, error: string}>} [attempts] - Why each provider failed
+   */
+  constructor(message, attempts = []) {
+    super(message);
+    this.name = 'TtsProviderError';
+    this.attempts = attempts;
+  }
+}
+
+function tempAudioPath(ext) {
+  return path.join(os.tmpdir(), `bot-tts-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${ext}`);
+}
+
+/**
+ * Run a tool that writes a clip to a file, and return the file's contents
+ */
+async function readGeneratedFile(ext, generate) {
+  const filePath = tempAudioPath(ext);
+  try {
+    await generate(filePath);
+    return await fs.readFile(filePath);
+  } finally {
+    await fs.remove(filePath).catch(() => {});
+  }
+}
+
+/**
+ * OpenAI speech API (uses the configured model, voice, speed and format)
+ */
+function createOpenAIProvider({ voice, openai }) {
+  let client = openai;
+  return {
+    name: 'openai',
+    model: voice.model,
+    format: voice.format,
+    available() {
+      return client || process.env.OPENAI_API_KEY ? true : 'OPENAI_API_KEY is not set';
+    },
+    async synthesize(text) {
+      if (!client) {
+        const { OpenAI } = require('openai');
+        client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+      }
+      const resp = await client.audio.speech.create({
+        model: voice.model,
+        voice: voice.voice,
+        input: text,
+        speed: voice.speed,
+        response_format: voice.format,
+      });
+      return { buffer: Buffer.from(await resp.arrayBuffer()), format: voice.format };
+    }
+  };
+}
+
+/**
+ * The `say` package: macOS `say` or Windows SAPI (it cannot export audio on Linux)
+ */
+function createSayProvider({ voice }) {
+  return {
+    name: 'say',
+    model: 'say',
+    format: 'wav',
+    available() {
+      return ['darwin', 'win32'].includes(process.platform) ? true : `not supported on ${process.platform}`;
+    },
+    async synthesize(text) {
+      const say = require('say');
+      const buffer = await readGeneratedFile('wav', filePath => new Promise((resolve, reject) => {
+        say.export(text, null, voice.speed, filePath, err => (err ? reject(err) : resolve()));
+      }));
+      return { buffer, format: 'wav' };
+    }
+  };
+}
+
+/**
+ * The espeak (or espeak-ng) command-line synthesizer
+ */
+function createEspeakProvider({ voice }) {
+  return {
+    name: 'espeak',
+    model: 'espeak',
+    format: 'wav',
+    available() {
+      return true;
+    },
+    async synthesize(text) {
+      const rate = String(Math.round(ESPEAK_BASE_WPM * voice.speed));
+      const buffer = await readGeneratedFile('wav', async filePath => {
+        try {
+          await execFileAsync('espeak', ['-s', rate, '-w', filePath, text], { timeout: HTTP_TIMEOUT_MS });
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err;
+          await execFileAsync('espeak-ng', ['-s', rate, '-w', filePath, text], { timeout: HTTP_TIMEOUT_MS });
+        }
+      });
+      return { buffer, format: 'wav' };
+    }
+  };
+}
+
+/**
+ * A local TTS server: POST {text, voice, speed, format} as JSON to voice.httpUrl,
+ * the response body is the clip and its Content-Type names the format
+ */
+function createHttpProvider({ voice }) {
+  const FORMATS_BY_TYPE = {
+    'audio/mpeg': 'mp3',
+    'audio/mp3': 'mp3',
+    'audio/wav': 'wav',
+    'audio/x-wav': 'wav',
+    'audio/wave': 'wav',
+    'audio/ogg': 'opus',
+    'audio/opus': 'opus',
+    'audio/aac': 'aac',
+    'audio/flac': 'flac'
+  };
+  return {
+    name: 'http',
+    model: 'http',
+    format: voice.format,
+    available() {
+      return voice.httpUrl ? true : 'voice.httpUrl is not set';
+    },
+    async synthesize(text) {
+      const response = await fetch(voice.httpUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, voice: voice.voice, speed: voice.speed, format: voice.format }),
+        signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        throw new Error(`${voice.httpUrl} answered ${response.status} ${response.statusText}`);
+      }
+      const type = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+      return {
+        buffer: Buffer.from(await response.arrayBuffer()),
+        format: FORMATS_BY_TYPE[type] || voice.format
+      };
+    }
+  };
+}
+
+// Provider factories by name; each is called with {voice, openai}
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  say: createSayProvider,
+  espeak: createEspeakProvider,
+  http: createHttpProvider
+};
+
+/**
+ * Make another provider available to voice.providers
+ * @param {string} name - Name used in voice.providers
+ * @param {Function} factory - ({voice, openai}) => {name, model, format, available(), synthesize(text, opts)}
+ */
+function registerProvider(name, factory) {
+  PROVIDERS[name] = factory;
+}
+
+/**
+ * Create a provider chain with fallback and health tracking
+ * @param {object} options
+ * @param {object} options.voice - Voice settings (providers, model, voice, speed, format, httpUrl)
+ * @param {object} [options.openai] - OpenAI client (created from OPENAI_API_KEY if omitted)
+ * @param {number} [options.cooldownMs] - How long a failing provider is skipped
+ * @param {Array<object>} [options.providers] - Provider objects to use instead of voice.providers
+ */
+function createTtsEngine({ voice, openai, cooldownMs = voice.providerCooldownMs ?? DEFAULT_COOLDOWN_MS, providers }) {
+  const chain = providers || (voice.providers || ['openai']).map(name => {
+    if (!PROVIDERS[name]) {
+      throw new TtsProviderError(`Unknown TTS provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return PROVIDERS[name]({ voice, openai });
+  });
+
+  const health = new Map(chain.map(provider => [provider.name, {
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    lastError: null,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    coolingDownUntil: null
+  }]));
+
+  const isCoolingDown = provider => {
+    const until = health.get(provider.name).coolingDownUntil;
+    return until !== null && until > Date.now();
+  };
+
+  /**
+   * Synthesize text with the first provider that succeeds
+   * @param {string} text - What to say
+   * @param {object} [opts] - Passed through to the provider
+   * @returns {Promise<{buffer: Buffer, format: string, durationMs: number|null, provider: string}>}
+   */
+  async function synthesize(text, opts = {}) {
+    const usable = chain.filter(provider => provider.available() === true);
+    // Providers on cooldown are only tried once every healthy one has failed
+    const ordered = [...usable.filter(p => !isCoolingDown(p)), ...usable.filter(isCoolingDown)];
+    const attempts = chain
+      .filter(provider => !usable.includes(provider))
+      .map(provider => ({ provider: provider.name, error: provider.available() }));
+
+    for (const provider of ordered) {
+      const stats = health.get(provider.name);
+      try {
+        const clip = await provider.synthesize(text, opts);
+        if (!clip || !clip.buffer || !clip.buffer.length) {
+          throw new Error('returned no audio');
+        }
+        stats.successes++;
+        stats.consecutiveFailures = 0;
+        stats.coolingDownUntil = null;
+        stats.lastSuccessAt = new Date();
+        return {
+          buffer: clip.buffer,
+          format: clip.format,
+          durationMs: clip.durationMs || getAudioDuration(clip.buffer, clip.format),
+          provider: provider.name
+        };
+      } catch (err) {
+        stats.failures++;
+        stats.consecutiveFailures++;
+        stats.lastError = err.message;
+        stats.lastFailureAt = new Date();
+        if (stats.consecutiveFailures >= FAILURE_THRESHOLD) {
+          stats.coolingDownUntil = Date.now() + cooldownMs;
+        }
+        attempts.push({ provider: provider.name, error: err.message });
+        console.log(`⚠️ TTS provider ${provider.name} failed: ${err.message}`);
+      }
+    }
+
+    const details = attempts.map(({ provider, error }) => `${provider}: ${error}`).join('; ');
+    throw new TtsProviderError(`No TTS provider could synthesize speech (${details || 'none configured'})`, attempts);
+  }
+
+  /**
+   * Health of every provider in the chain, in fallback order
+   */
+  function getHealth() {
+    return chain.map(provider => {
+      const available = provider.available();
+      return {
+        name: provider.name,
+        available: available === true,
+        unavailableReason: available === true ? null : available,
+        coolingDown: isCoolingDown(provider),
+        ...health.get(provider.name)
+      };
+    });
+  }
+
+  /**
+   * The provider clips should come from when everything is healthy
+   */
+  function preferred() {
+    return chain.find(provider => provider.available() === true) || null;
+  }
+
+  return {
+    synthesize,
+    health: getHealth,
+    preferred
+  };
+}
+
+module.exports = {
+  TtsProviderError,
+  PROVIDERS,
+  registerProvider,
+  createTtsEngine
+};
@@ -0,0 +1,267 @@
+/**
+ * Text-to-speech synthesis and playback for the meeting bot
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const { createTtsEngine } = require('./tts-providers');
+const execAsync = promisify(exec);
+
+/**
+ * Wait ms, or less if signal is aborted first
+ */
+function abortableDelay(ms, signal) {
+  return new Promise(res => {
+    const timer = setTimeout(res, ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      res();
+    }, { once: true });
+  });
+}
+
+// How long a host player may run past the clip's duration before it is killed
+const PLAYER_TIMEOUT_MARGIN_MS = 10000;
+
+/**
+ * Rough speaking time, only used when a clip's duration cannot be read from its headers
+ */
+function estimateDurationMs(text) {
+  const wordCount = text.split(/\s+/).length;
+  return Math.max(2000, wordCount * 200); // ~200ms per word minimum
+}
+
+/**
+ * Play an audio file through the host's default output device
+ * Resolves when the player process exits, i.e. when playback has ended.
+ * Relies on the OS routing speaker output into the browser's microphone.
+ */
+async function playOnHost(filePath, durationMs, signal) {
+  const timeout = durationMs + PLAYER_TIMEOUT_MARGIN_MS;
+
+  // Platform-specific audio playback strategies optimized for Google Meet
+  if (process.platform === 'win32') {
+    // Windows: Use Windows Media Player to play MP3 files
+    try {
+      await execAsync(`start /wait wmplayer /play /close "${filePath}"`, { timeout, signal });
+    } catch (err) {
+      console.log('Error playing audio with Windows Media Player:', err.message);
+    }
+  } else if (process.platform === 'darwin') {
+    // macOS: Use afplay with maximum volume and wait for completion
+    await execAsync(`afplay -v 2 "${filePath}"`, { timeout, signal });
+  } else {
+    // Linux: Configure PulseAudio to ensure proper routing to Meet
+    try {
+      // Set PulseAudio to route output to input
+      await execAsync(`pactl load-module module-loopback latency_msec=1`, { signal });
+      try {
+        await execAsync(`paplay --volume=65535 "${filePath}"`, { timeout, signal });
+      } finally {
+        // Also after a timed-out or cancelled clip, or the loopback stays loaded and echoes
+        await execAsync(`pactl unload-module module-loopback`).catch(() => {});
+      }
+    } catch (err) {
+      if (signal && signal.aborted) throw err;
+      // Fallback players
+      try {
+        await execAsync(`mpg123 -q --scale=2 "${filePath}"`, { timeout, signal });
+      } catch (err2) {
+        if (signal && signal.aborted) throw err2;
+        await execAsync(`aplay -q "${filePath}"`, { timeout, signal });
+      }
+    }
+  }
+}
+
+/**
+ * Speak text, then run fn exactly when the speech finishes
+ * @param {Function} speak - speak(text, {onStart}) resolving to true/false, or null when the
+ *   utterance was never played (e.g. cancelled) and fn should be skipped
+ * @param {string} text - What to say
+ * @param {Function} [fn] - Action to run (errors are logged, not thrown)
+ * @param {object} [options]
+ * @param {number} [options.overlapMs] - Start fn this long before the speech ends
+ * @returns {Promise<boolean>} Whether the speech succeeded
+ */
+async function speakThenAct(speak, text, fn, { overlapMs = 0 } = {}) {
+  console.log(`\n🤖 Speaking: "${text}"`);
+
+  let action = null;
+  let timer = null;
+  const runAction = () => {
+    clearTimeout(timer);
+    if (!action) {
+      action = (async () => {
+        try {
+          if (typeof fn === 'function') {
+            await fn();
+          }
+        } catch (err) {
+          console.error(`Error during action after speaking "${text}":`, err);
+        }
+      })();
+    }
+    return action;
+  };
+
+  const speechSuccess = await speak(text, {
+    onStart: ({ durationMs }) => {
+      if (overlapMs > 0) {
+        timer = setTimeout(runAction, Math.max(0, durationMs - overlapMs));
+      }
+    }
+  });
+
+  if (speechSuccess === null && !action) {
+    clearTimeout(timer);
+    return false;
+  }
+  await runAction();
+  return speechSuccess;
+}
+
+/**
+ * Create the speech functions for one bot
+ * @param {object} options
+ * @param {object} options.voice - Voice settings (providers, model, voice, speed, format, output)
+ * @param {object} [options.openai] - OpenAI client (created from OPENAI_API_KEY if omitted)
+ * @param {object} [options.engine] - Provider chain from createTtsEngine (built from voice.providers if omitted)
+ * @param {Function} [options.onSpeaking] - Called with (text, {durationMs}) when playback starts
+ * @param {import('./page-audio').PageAudio} [options.pageAudio] - In-page microphone used when voice.output is 'page'
+ * @param {import('./tts-cache').TtsCache} [options.cache] - Cache of previously synthesized clips
+ * @param {string} [options.tmpDir] - Where clips for voice.output 'system' are written while they play
+ * @returns {{synthesizeSpeech: Function, speakAndDo: Function, stop: Function, render: Function, engine: object}}
+ */
+function createSpeech({ voice, openai, onSpeaking, pageAudio, cache, tmpDir = os.tmpdir(), engine = createTtsEngine({ voice, openai }) }) {
+  // Abort controller of the utterance being synthesized or played
+  let playback = null;
+
+  /**
+   * Synthesize text into an audio clip, reusing a cached clip when there is one
+   * Only clips from the preferred provider are cached, so a fallback voice is not
+   * replayed once that provider is healthy again.
+   * @param {string} text - What to say
+   * @returns {Promise<{buffer: Buffer, format: string, durationMs: number|null, provider: string, cached: boolean}>}
+   */
+  async function render(text) {
+    const preferred = engine.preferred();
+    const params = preferred && {
+      text,
+      model: preferred.model,
+      voice: voice.voice,
+      speed: voice.speed,
+      format: preferred.format
+    };
+    if (cache && params) {
+      const hit = await cache.get(params);
+      if (hit) {
+        console.log(`💾 Using cached TTS for: "${text}"`);
+        return { ...hit, format: params.format, provider: preferred.name, cached: true };
+      }
+    }
+
+    console.log(`🎙️ Generating TTS for: "${text}"`);
+    const clip = await engine.synthesize(text);
+    if (cache && params && clip.provider === preferred.name && clip.format === params.format) {
+      await cache.set(params, clip.buffer, { durationMs: clip.durationMs, provider: clip.provider }).catch(err => {
+        console.log('Could not store TTS clip in the cache:', err.message);
+      });
+    }
+    return { ...clip, cached: false };
+  }
+
+  /**
+   * Synthesize text and deliver it to the meeting, resolving when playback has ended
+   * With voice.output 'page' the audio goes straight into the page's microphone stream;
+   * otherwise (or before a page is open) it is played through the host speakers.
+   * @param {string} text - What to say
+   * @param {object} [options]
+   * @param {Function} [options.onStart] - Called with {durationMs} when playback starts
+   * @returns {Promise<boolean>} Whether synthesis and playback succeeded (false if stopped)
+   */
+  async function synthesizeSpeech(text, { onStart } = {}) {
+    const started = clipPlayback => {
+      if (onSpeaking) onSpeaking(text, clipPlayback);
+      if (onStart) onStart(clipPlayback);
+    };
+    const controller = new AbortController();
+    playback = controller;
+    let uniqueTtsPath = null;
+
+    try {
+      const clip = await render(text);
+      const { buffer } = clip;
+      if (controller.signal.aborted) return false;
+
+      if (voice.output === 'page' && pageAudio && pageAudio.isAttached()) {
+        const { durationMs } = await pageAudio.play(buffer, { onStart: started });
+        if (controller.signal.aborted) return false;
+        console.log(`🔊 Played ${(durationMs / 1000).toFixed(1)}s of speech into the meeting microphone`);
+        return true;
+      }
+
+      const durationMs = clip.durationMs || estimateDurationMs(text);
+      uniqueTtsPath = path.join(tmpDir, `bot-tts-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${clip.format}`);
+      await fs.writeFile(uniqueTtsPath, buffer);
+      console.log(`🔊 Audio saved to ${uniqueTtsPath} (${(durationMs / 1000).toFixed(1)}s)`);
+
+      const startedAt = Date.now();
+      started({ durationMs });
+      await playOnHost(uniqueTtsPath, durationMs, controller.signal);
+      // Some players (e.g. wmplayer via start) return before the clip is done
+      const remainingMs = durationMs - (Date.now() - startedAt);
+      if (remainingMs > 0) await abortableDelay(remainingMs, controller.signal);
+
+      return !controller.signal.aborted;
+    } catch (err) {
+      if (controller.signal.aborted) return false;
+      console.error('Error in TTS generation or playback:', err);
+      return false;
+    } finally {
+      if (playback === controller) playback = null;
+      if (controller.signal.aborted) console.log(`⏹️ Speech stopped: "${text}"`);
+
+      // Clean up file after playing
+      if (uniqueTtsPath) {
+        try {
+          await fs.unlink(uniqueTtsPath);
+        } catch (err) {
+          console.log(`Could not delete temp file: ${uniqueTtsPath}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Speak text, then run fn exactly when the speech finishes
+   * @param {string} text - What to say
+   * @param {Function} [fn] - Action to run (errors are logged, not thrown)
+   * @param {object} [options] - {overlapMs} starts fn that long before the speech ends
+   * @returns {Promise<boolean>} Whether the speech succeeded
+   */
+  async function speakAndDo(text, fn, options) {
+    return speakThenAct(synthesizeSpeech, text, fn, options);
+  }
+
+  /**
+   * Cut the current utterance short; its synthesizeSpeech call resolves false
+   */
+  async function stop() {
+    if (playback) playback.abort();
+    if (pageAudio && pageAudio.isAttached()) {
+      await pageAudio.stop();
+    }
+  }
+
+  return { synthesizeSpeech, speakAndDo, stop, render, engine };
+}
+
+module.exports = {
+  createSpeech,
+  speakThenAct
+};
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Scheduled entrypoint: joins the meetings in one or more calendars as they come up
+ * and leaves each at its scheduled end, until stopped
+ * Run with: node schedule.js --calendar <file.ics|agenda.json|url>[,...]
+ */
+
+require('dotenv').config();
+const { loadConfig, ConfigError, USAGE } = require('./lib/config');
+const { BotManager } = require('./lib/bot-manager');
+const { MeetingScheduler } = require('./lib/meeting-scheduler');
+const { CalendarError } = require('./lib/calendar');
+const { ControlServer } = require('./lib/control-server');
+
+const SCHEDULE_USAGE = `Usage: node schedule.js --calendar <files> [options]
+
+Joins every meeting with a Meet link in the calendars schedule.joinBeforeMinutes
+before it starts and leaves at its end. Bot options are the same as for bot.js:
+
+${USAGE.split('\n').slice(3).join('\n')}`;
+
+const formatTime = date => date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+let config;
+try {
+  config = loadConfig({ argv: process.argv.slice(2), requireAll: false });
+  if (!config.help && !config.schedule.calendars.length) {
+    throw new ConfigError('No calendars to follow - set them with --calendar, the SCHEDULE_CALENDARS env var or "schedule.calendars" in bot.config.json');
+  }
+} catch (err) {
+  if (err instanceof ConfigError) {
+    console.error(`❌ Invalid configuration: ${err.message}`);
+    console.error(`\n${SCHEDULE_USAGE}`);
+    process.exit(1);
+  }
+  throw err;
+}
+
+if (config.help) {
+  console.log(SCHEDULE_USAGE);
+  process.exit(0);
+}
+
+(async () => {
+  const manager = new BotManager({ config });
+  const { schedule } = config;
+  let scheduler;
+  try {
+    scheduler = new MeetingScheduler({ manager, ...schedule });
+  } catch (err) {
+    if (!(err instanceof CalendarError)) throw err;
+    console.error(`❌ Invalid configuration: ${err.message}`);
+    process.exit(1);
+  }
+
+  // The control API sees the scheduled bots and can launch more alongside them
+  let control = null;
+  if (config.control.enabled) {
+    control = new ControlServer({ token: config.control.token, config, manager });
+    const url = await control.start(config.control.port, config.control.host);
+    console.log(`🎛️ Control API listening on ${url}`);
+    if (control.generatedToken) {
+      console.log(`🔑 Control API token (set control.token or CONTROL_TOKEN to choose one): ${control.token}`);
+    }
+  }
+
+  await scheduler.start();
+  const upcoming = scheduler.upcoming();
+  console.log(`📅 Following ${schedule.calendars.length} calendar(s); ${upcoming.length} meeting(s) in the next 24 hours`);
+  for (const { summary, meetingUrl, start, leaveAt } of upcoming) {
+    console.log(`   ${formatTime(start)} - ${formatTime(leaveAt)}  ${summary || '(untitled)'}  ${meetingUrl}`);
+  }
+
+  const handleExit = async () => {
+    console.log('🛑 Stopping the schedule and leaving all meetings...');
+    await scheduler.stop();
+    await manager.removeAll();
+    if (control) await control.stop();
+    console.log('✅ Schedule stopped');
+    process.exit(0);
+  };
+  process.on('SIGINT', handleExit);
+  process.on('SIGTERM', handleExit);
+})().catch(err => {
+  console.error('❌ Fatal error:', err);
+  process.exit(1);
+});
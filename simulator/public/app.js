@@ -0,0 +1,467 @@
+/**
+ * Mock Google Meet web app for the simulator
+ * Mirrors the labels, aria attributes and screen texts the bot's selector registry looks for.
+ */
+
+(function () {
+  const POLL_MS = 300;
+  const LEVEL_INTERVAL_MS = 100;
+  // Peak sample level above which the microphone counts as speaking
+  const SPEAKING_THRESHOLD = 0.05;
+  // What the share dialog offers for each source picked in the Present now menu
+  const SHARE_SOURCE_LABELS = { screen: 'Entire screen 1', window: 'Window', tab: 'Chrome tab' };
+  const ROLE_LABELS = { host: 'Meeting host', 'co-host': 'Co-host' };
+  const app = document.getElementById('app');
+  const code = location.pathname.split('/').filter(Boolean)[0] || null;
+
+  const state = {
+    screen: null,
+    meeting: null,
+    guest: null,
+    view: null,
+    camera: true,
+    microphone: false,
+    panel: null,
+    menu: null,
+    dialog: null,
+    shareSource: null,
+    captions: false,
+    poller: null,
+    microphoneMonitor: null,
+    speaking: false
+  };
+
+  const escapeHtml = value => String(value).replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+  })[ch]);
+
+  async function api(method, url, body) {
+    const res = await fetch(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error(payload.error || res.statusText);
+      err.status = res.status;
+      throw err;
+    }
+    return payload;
+  }
+
+  const guestUrl = action => `/api/meetings/${code}/guests/${state.guest.id}${action ? `/${action}` : ''}`;
+
+  function show(screen, html) {
+    state.screen = screen;
+    state.panel = null;
+    state.menu = null;
+    state.dialog = null;
+    app.innerHTML = html;
+  }
+
+  function deviceButton(device) {
+    const on = device === 'camera' ? state.camera : state.microphone;
+    const label = `Turn ${on ? 'off' : 'on'} ${device}`;
+    return `<button class="device" data-device="${device}" aria-label="${label}" data-is-muted="${!on}">${device === 'camera' ? 'videocam' : 'mic'}${on ? '' : '_off'}</button>`;
+  }
+
+  // Only touch the DOM when the markup changes, so polling doesn't replace elements mid-click
+  const rendered = new WeakMap();
+  function setHtml(element, html) {
+    if (rendered.get(element) !== html) {
+      element.innerHTML = html;
+      rendered.set(element, html);
+    }
+  }
+
+  function captionsButton() {
+    return `<button data-action="captions" aria-label="Turn ${state.captions ? 'off' : 'on'} captions">closed_caption</button>`;
+  }
+
+  function refreshDeviceButtons() {
+    for (const button of app.querySelectorAll('[data-device]')) {
+      button.outerHTML = deviceButton(button.getAttribute('data-device'));
+    }
+  }
+
+  // Microphone: like Meet, open it on the pre-join screen and report when the guest is audible
+
+  async function startMicrophoneMonitor() {
+    if (state.microphoneMonitor || !navigator.mediaDevices) return;
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const context = new AudioContext();
+    const analyser = context.createAnalyser();
+    context.createMediaStreamSource(stream).connect(analyser);
+    const samples = new Float32Array(analyser.fftSize);
+
+    state.microphoneMonitor = setInterval(() => {
+      analyser.getFloatTimeDomainData(samples);
+      const peak = samples.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+      const speaking = state.screen === 'in-call' && state.microphone && peak > SPEAKING_THRESHOLD;
+      if (speaking !== state.speaking) {
+        state.speaking = speaking;
+        api('POST', guestUrl('speaking'), { speaking }).catch(() => {});
+      }
+    }, LEVEL_INTERVAL_MS);
+  }
+
+  // Screens
+
+  function showHome() {
+    show('home', '<div class="card"><h1>Meet simulator</h1><p>Open /&lt;meeting-code&gt; to start a call.</p></div>');
+  }
+
+  function showNotFound() {
+    show('not-found', `<div class="card">
+      <h1>Check your meeting code</h1>
+      <p>Make sure you entered the correct meeting code in the URL, for example: https://meet.google.com/xxx-yyyy-zzz</p>
+      <button data-action="home">Return to home screen</button>
+    </div>`);
+  }
+
+  function showSignIn() {
+    show('signin', `<div class="card">
+      <h1>Sign in to join</h1>
+      <p>Use your Google Account</p>
+      <input type="email" name="identifier" aria-label="Email or phone" placeholder="Email or phone">
+      <button data-action="signin">Next</button>
+    </div>`);
+  }
+
+  function showPrejoin() {
+    const { meeting } = state;
+    const joinLabel = meeting.access === 'open' ? 'Join now' : 'Ask to join';
+    const nameInput = meeting.account ? '' : '<input type="text" aria-label="Your name" placeholder="Your name">';
+    show('prejoin', `<div class="card prejoin">
+      <div class="preview">${deviceButton('microphone')}${deviceButton('camera')}</div>
+      <h1>Ready to join?</h1>
+      ${meeting.account ? `<p>Signed in as ${escapeHtml(meeting.account)}</p>` : ''}
+      ${nameInput}
+      <button class="primary" data-action="join">${joinLabel}</button>
+    </div>`);
+  }
+
+  function showWaiting() {
+    show('waiting', `<div class="card">
+      <h1>Asking to be let in...</h1>
+      <p>You'll join the call when someone lets you in</p>
+    </div>`);
+  }
+
+  function showMessage(screen, title, detail, rejoin) {
+    show(screen, `<div class="card">
+      <h1>${title}</h1>
+      ${detail ? `<p>${detail}</p>` : ''}
+      ${rejoin ? '<button data-action="rejoin">Rejoin</button>' : ''}
+      <button data-action="home">Return to home screen</button>
+    </div>`);
+  }
+
+  // Meet keeps the call around the notice, so there is no way home from here
+  function showDisconnected() {
+    show('disconnected', `<div class="card" role="alert" data-connection-notice>
+      <h1>You lost your network connection</h1>
+      <p>Trying to reconnect...</p>
+      <button data-action="rejoin">Rejoin</button>
+    </div>`);
+  }
+
+  function showCall() {
+    show('in-call', `<div class="call" jscontroller="MeetSimulator">
+      <div id="banner"></div>
+      <div class="stage">
+        <div id="tiles" class="tiles"></div>
+        <aside id="panel" class="panel" hidden></aside>
+      </div>
+      <div id="captions" class="captions" role="region" aria-label="Captions" hidden></div>
+      <div id="overlay"></div>
+      <div class="toolbar">
+        ${deviceButton('microphone')}${deviceButton('camera')}${captionsButton()}
+        <button data-action="present" aria-label="Present now" data-tooltip="Present now">present_to_all</button>
+        <button data-action="panel" data-panel="chat" aria-label="Chat with everyone">chat</button>
+        <button data-action="panel" data-panel="people" aria-label="Show everyone">people</button>
+        <button data-action="panel" data-panel="details" aria-label="Meeting details">info</button>
+        <button data-action="more" aria-label="More options">more_vert</button>
+        <button class="danger" data-action="leave" aria-label="Leave call">call_end</button>
+      </div>
+    </div>`);
+    renderCall();
+  }
+
+  // In-call rendering: only the dynamic parts are redrawn so typing is never interrupted
+
+  function renderCall() {
+    const { view, guest } = state;
+    const presenting = view.presenter === guest.id;
+
+    setHtml(document.getElementById('banner'), presenting
+      ? '<div class="banner">You are presenting <button data-action="stop-presenting" aria-label="Stop presenting">Stop presenting</button></div>'
+      : '');
+
+    setHtml(document.getElementById('tiles'), [
+      `<div class="tile" data-participant-id="${guest.id}"><span data-self-name>${escapeHtml(guest.name)}</span></div>`,
+      ...view.participants.map(participant =>
+        `<div class="tile" data-participant-id="${participant.id}"><span data-participant-name>${escapeHtml(participant.name)}</span></div>`)
+    ].join(''));
+
+    renderPanel();
+    renderCaptions();
+  }
+
+  // Caption blocks are updated in place, like Meet, so each speaker turn stays one element
+  function renderCaptions() {
+    const region = document.getElementById('captions');
+    if (!region) return;
+    const blocks = state.captions ? state.view.captions : [];
+    region.hidden = !blocks.length;
+    const shown = new Set(blocks.map(block => String(block.id)));
+    for (const element of [...region.children]) {
+      if (!shown.has(element.getAttribute('data-caption-entry'))) element.remove();
+    }
+    for (const block of blocks) {
+      let element = region.querySelector(`[data-caption-entry="${block.id}"]`);
+      if (!element) {
+        element = document.createElement('div');
+        element.className = 'caption';
+        element.setAttribute('data-caption-entry', block.id);
+        element.innerHTML = '<b data-caption-speaker></b> <span data-caption-text></span>';
+        element.querySelector('[data-caption-speaker]').textContent = block.speaker;
+        region.appendChild(element);
+      }
+      const text = element.querySelector('[data-caption-text]');
+      if (text.textContent !== block.text) text.textContent = block.text;
+    }
+  }
+
+  function renderPanel() {
+    const panel = document.getElementById('panel');
+    panel.hidden = !state.panel;
+    if (state.panel === 'chat') {
+      // Like Meet, the guest's own messages are shown as sent by "You"
+      const messages = state.view.chat.map(message => {
+        const sender = message.guestId === state.guest.id ? 'You' : message.from;
+        const time = new Date(message.at).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        return `<div class="message" data-message-sender="${escapeHtml(sender)}"><b data-message-sender-name>${escapeHtml(sender)}</b>
+          <span data-message-time>${time}</span><div data-message-text>${escapeHtml(message.text)}</div></div>`;
+      }).join('');
+      let list = panel.querySelector('.messages');
+      if (!list) {
+        setHtml(panel, `<h2>In-call messages</h2><div class="messages" aria-live="polite"></div>
+          <textarea aria-label="Send a message" placeholder="Send a message"></textarea>`);
+        list = panel.querySelector('.messages');
+      }
+      setHtml(list, messages);
+    } else if (state.panel === 'people') {
+      const people = [
+        { id: state.guest.id, name: `${state.guest.name} (You)`, role: null },
+        ...state.view.participants
+      ];
+      setHtml(panel, `<h2>People</h2><div role="list" aria-label="Participants">${people.map(person =>
+        `<div class="person" role="listitem" data-participant-id="${person.id}" data-people-item>
+          <span data-participant-name>${escapeHtml(person.name)}</span>
+          ${person.role ? `<span data-participant-role>${ROLE_LABELS[person.role]}</span>` : ''}</div>`).join('')}</div>`);
+    } else if (state.panel === 'details') {
+      setHtml(panel, `<h2>Meeting details</h2><p>Joining info</p><p>${escapeHtml(location.href)}</p>`);
+    } else {
+      setHtml(panel, '');
+    }
+  }
+
+  function renderOverlay() {
+    const overlay = document.getElementById('overlay');
+    if (state.dialog === 'share') {
+      overlay.innerHTML = `<div class="dialog" role="dialog" aria-label="Choose what to share">
+        <h2>Choose what to share</h2>
+        <div class="source selected">${SHARE_SOURCE_LABELS[state.shareSource]}</div>
+        <button class="primary" data-action="confirm-share">Share</button>
+        <button data-action="cancel-share">Cancel</button>
+      </div>`;
+    } else if (state.menu === 'present') {
+      overlay.innerHTML = `<div class="menu" role="menu">
+        <div role="menuitem" data-action="share-source" data-source="screen" aria-label="Your entire screen">Your entire screen</div>
+        <div role="menuitem" data-action="share-source" data-source="window" aria-label="A window">A window</div>
+        <div role="menuitem" data-action="share-source" data-source="tab" aria-label="A tab">A tab</div>
+      </div>`;
+    } else if (state.menu === 'more') {
+      overlay.innerHTML = `<div class="menu" role="menu">
+        <div role="menuitem">Change layout</div>
+        <div role="menuitem">Full screen</div>
+        <div role="menuitem">Settings</div>
+      </div>`;
+    } else {
+      overlay.innerHTML = '';
+    }
+  }
+
+  // Server sync
+
+  function applyGuestView(view) {
+    state.view = view;
+    state.guest = view.guest;
+    switch (view.guest.status) {
+      case 'waiting':
+        if (state.screen !== 'waiting') showWaiting();
+        break;
+      case 'in-call':
+        if (state.screen !== 'in-call') showCall();
+        else renderCall();
+        break;
+      case 'denied':
+        stopPolling();
+        showMessage('denied', 'Someone in the call denied your request to join', '', false);
+        break;
+      case 'removed':
+        stopPolling();
+        showMessage('removed', 'You\'ve been removed from the meeting', '', true);
+        break;
+      case 'ended':
+        stopPolling();
+        showMessage('ended', 'The call has ended', '', false);
+        break;
+      case 'left':
+        stopPolling();
+        showMessage('left', 'You left the meeting', '', true);
+        break;
+      case 'disconnected':
+        stopPolling();
+        showDisconnected();
+        break;
+    }
+  }
+
+  function startPolling() {
+    stopPolling();
+    state.poller = setInterval(async () => {
+      try {
+        applyGuestView(await api('GET', guestUrl()));
+      } catch (err) {
+        console.error('Simulator poll failed:', err.message);
+      }
+    }, POLL_MS);
+  }
+
+  function stopPolling() {
+    clearInterval(state.poller);
+    state.poller = null;
+  }
+
+  async function load() {
+    if (!code) return showHome();
+    try {
+      state.meeting = await api('GET', `/api/meetings/${code}`);
+    } catch (err) {
+      if (err.status === 404) return showNotFound();
+      throw err;
+    }
+    if (state.meeting.ended) return showMessage('ended', 'This call has ended', '', false);
+    if (state.meeting.requireSignIn && !state.meeting.account) return showSignIn();
+    showPrejoin();
+    startMicrophoneMonitor().catch(err => console.error('Simulator microphone unavailable:', err.message));
+  }
+
+  async function join() {
+    const nameInput = app.querySelector('input[aria-label="Your name"]');
+    const view = await api('POST', `/api/meetings/${code}/guests`, {
+      name: nameInput ? nameInput.value : undefined,
+      camera: state.camera,
+      microphone: state.microphone
+    });
+    applyGuestView(view);
+    startPolling();
+  }
+
+  async function sendChat(textarea) {
+    const text = textarea.value.trim();
+    if (!text) return;
+    textarea.value = '';
+    applyGuestView(await api('POST', guestUrl('chat'), { text }));
+  }
+
+  // Events
+
+  const actions = {
+    home: () => { location.href = '/'; },
+    rejoin: () => load(),
+    signin: async () => {
+      const email = app.querySelector('input[type="email"]').value.trim();
+      if (!email) return;
+      await api('POST', '/api/signin', { email });
+      await load();
+    },
+    join,
+    leave: async () => applyGuestView(await api('POST', guestUrl('leave'))),
+    panel: async button => {
+      const panel = button.getAttribute('data-panel');
+      state.panel = state.panel === panel ? null : panel;
+      renderPanel();
+    },
+    captions: button => {
+      state.captions = !state.captions;
+      button.outerHTML = captionsButton();
+      renderCaptions();
+    },
+    more: () => {
+      state.menu = state.menu === 'more' ? null : 'more';
+      renderOverlay();
+    },
+    present: () => {
+      state.menu = state.menu === 'present' ? null : 'present';
+      state.dialog = null;
+      renderOverlay();
+    },
+    'share-source': item => {
+      state.shareSource = item.getAttribute('data-source');
+      state.menu = null;
+      state.dialog = 'share';
+      renderOverlay();
+    },
+    'confirm-share': async () => {
+      state.dialog = null;
+      renderOverlay();
+      applyGuestView(await api('POST', guestUrl('present'), { presenting: true, source: state.shareSource }));
+    },
+    'cancel-share': () => {
+      state.dialog = null;
+      renderOverlay();
+    },
+    'stop-presenting': async () => applyGuestView(await api('POST', guestUrl('present'), { presenting: false }))
+  };
+
+  document.addEventListener('click', event => {
+    const device = event.target.closest('[data-device]');
+    if (device) {
+      const name = device.getAttribute('data-device');
+      state[name] = !state[name];
+      refreshDeviceButtons();
+      if (state.screen === 'in-call') {
+        api('POST', guestUrl('devices'), { camera: state.camera, microphone: state.microphone }).catch(() => {});
+      }
+      return;
+    }
+
+    const target = event.target.closest('[data-action]');
+    if (target) {
+      Promise.resolve(actions[target.getAttribute('data-action')](target))
+        .catch(err => console.error('Simulator action failed:', err.message));
+      return;
+    }
+
+    // Clicking anywhere else closes open menus, like Meet does
+    if (state.menu && !event.target.closest('[role="menu"]')) {
+      state.menu = null;
+      renderOverlay();
+    }
+  });
+
+  document.addEventListener('keydown', event => {
+    if (event.key === 'Enter' && !event.shiftKey && event.target.matches('textarea[aria-label="Send a message"]')) {
+      event.preventDefault();
+      sendChat(event.target).catch(err => console.error('Simulator chat failed:', err.message));
+    }
+  });
+
+  load().catch(err => {
+    console.error('Simulator failed to load:', err);
+  });
+})();
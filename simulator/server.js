@@ -0,0 +1,471 @@
+/**
+ * Offline Google Meet simulator
+ * Serves a small mock of the Meet web app (sign-in prompt, pre-join screen, Ask-to-join lobby,
+ * in-call toolbar, Present now menu, chat and people panels, captions) so the bot flows can be exercised
+ * without network access. Meetings are controlled from Node (or the /api routes) to play the host.
+ *
+ * Run with: node simulator/server.js [port]
+ */
+
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const MEETING_CODE_PATTERN = /^[a-z]{3}-[a-z]{4}-[a-z]{3}$/;
+const SIGNIN_COOKIE = 'sim_account';
+const MAX_BODY_BYTES = 64 * 1024;
+// Caption blocks shown at once; older ones scroll away like in Meet
+const MAX_CAPTION_BLOCKS = 4;
+
+const STATIC_FILES = {
+  '/app.js': { file: 'app.js', type: 'application/javascript; charset=utf-8' },
+  '/style.css': { file: 'style.css', type: 'text/css; charset=utf-8' }
+};
+
+class SimulatorError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'SimulatorError';
+    this.status = status;
+  }
+}
+
+/**
+ * Read cookies from a request into an object
+ */
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Read and parse a JSON request body (empty bodies become {})
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new SimulatorError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!body) return resolve({});
+      try {
+        resolve(JSON.parse(body));
+      } catch (err) {
+        reject(new SimulatorError(400, `Invalid JSON body: ${err.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, payload, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+class MeetSimulator {
+  constructor() {
+    this.meetings = new Map();
+    this.server = null;
+    this.url = null;
+  }
+
+  /**
+   * Start listening on localhost
+   * @param {number} [port] - Port to listen on (0 picks a free one)
+   * @returns {Promise<string>} Base URL of the simulator
+   */
+  async start(port = 0) {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(err => {
+        const status = err instanceof SimulatorError ? err.status : 500;
+        if (status === 500) console.error('Simulator error:', err);
+        if (!res.headersSent) sendJson(res, status, { error: err.message });
+        else res.end();
+      });
+    });
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', resolve);
+    });
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  /**
+   * Stop the server and drop open connections
+   */
+  async stop() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  /**
+   * Create (or reset) a meeting
+   * @param {string} code - Meeting code like abc-defg-hij
+   * @param {object} [options]
+   * @param {string} [options.access] - 'open' shows "Join now", 'ask' sends guests to the lobby
+   * @param {boolean} [options.requireSignIn] - Show the sign-in prompt to signed-out browsers
+   * @param {Array<string|object>} [options.participants] - People already in the call: names or
+   *   {name, role} where role is 'host' or 'co-host'
+   * @returns {string} Meeting URL
+   */
+  createMeeting(code, { access = 'open', requireSignIn = false, participants = [] } = {}) {
+    if (!MEETING_CODE_PATTERN.test(code)) {
+      throw new SimulatorError(400, `Invalid meeting code "${code}"`);
+    }
+    if (!['open', 'ask'].includes(access)) {
+      throw new SimulatorError(400, `access must be "open" or "ask", got "${access}"`);
+    }
+    this.meetings.set(code, {
+      code,
+      access,
+      requireSignIn,
+      ended: false,
+      presenter: null,
+      presentedSource: null,
+      guests: new Map(),
+      participants: participants.map(participant => (typeof participant === 'string'
+        ? { id: crypto.randomUUID(), name: participant, role: null }
+        : { id: crypto.randomUUID(), name: participant.name, role: participant.role || null })),
+      chat: [],
+      captions: [],
+      nextCaptionId: 1
+    });
+    return this.meetingUrl(code);
+  }
+
+  meetingUrl(code) {
+    return `${this.url}/${code}`;
+  }
+
+  /**
+   * Snapshot of a meeting for assertions
+   */
+  getMeeting(code) {
+    const meeting = this.requireMeeting(code);
+    return {
+      code: meeting.code,
+      access: meeting.access,
+      ended: meeting.ended,
+      presenter: meeting.presenter,
+      presentedSource: meeting.presenter ? meeting.presentedSource : null,
+      guests: [...meeting.guests.values()].map(guest => ({ ...guest })),
+      participants: meeting.participants.map(participant => ({ ...participant })),
+      chat: meeting.chat.map(message => ({ ...message }))
+    };
+  }
+
+  /**
+   * Find a guest by name, or the first guest in the given status
+   */
+  findGuest(code, name, status) {
+    const meeting = this.requireMeeting(code);
+    const guest = [...meeting.guests.values()].find(candidate =>
+      (name ? candidate.name === name : true) && (status ? candidate.status === status : true));
+    if (!guest) {
+      const description = [status, 'guest', name && `named "${name}"`].filter(Boolean).join(' ');
+      throw new SimulatorError(404, `No ${description} in ${code}`);
+    }
+    return guest;
+  }
+
+  /**
+   * Let a waiting guest into the call (the first one if no name is given)
+   */
+  admit(code, name) {
+    this.findGuest(code, name, 'waiting').status = 'in-call';
+  }
+
+  /**
+   * Deny a waiting guest's request to join
+   */
+  deny(code, name) {
+    this.findGuest(code, name, 'waiting').status = 'denied';
+  }
+
+  /**
+   * Remove a guest from the call
+   */
+  remove(code, name) {
+    const meeting = this.requireMeeting(code);
+    const guest = this.findGuest(code, name, 'in-call');
+    guest.status = 'removed';
+    if (meeting.presenter === guest.id) meeting.presenter = null;
+  }
+
+  /**
+   * Cut a guest off the call as if its network dropped; its page offers to rejoin
+   */
+  dropConnection(code, name) {
+    const meeting = this.requireMeeting(code);
+    const guest = this.findGuest(code, name, 'in-call');
+    guest.status = 'disconnected';
+    if (meeting.presenter === guest.id) meeting.presenter = null;
+  }
+
+  /**
+   * End the call for everyone
+   */
+  endCall(code) {
+    const meeting = this.requireMeeting(code);
+    meeting.ended = true;
+    meeting.presenter = null;
+    for (const guest of meeting.guests.values()) {
+      if (['waiting', 'in-call'].includes(guest.status)) guest.status = 'ended';
+    }
+  }
+
+  /**
+   * Add a simulated participant to the call
+   * @param {object} [options]
+   * @param {string} [options.role] - 'host' or 'co-host'
+   * @returns {string} The participant id
+   */
+  addParticipant(code, name, { role = null } = {}) {
+    const participant = { id: crypto.randomUUID(), name, role };
+    this.requireMeeting(code).participants.push(participant);
+    return participant.id;
+  }
+
+  removeParticipant(code, name) {
+    const meeting = this.requireMeeting(code);
+    meeting.participants = meeting.participants.filter(participant => participant.name !== name);
+  }
+
+  /**
+   * Post a chat message as a simulated participant
+   */
+  postMessage(code, from, text) {
+    this.requireMeeting(code).chat.push({ from, text, at: new Date().toISOString() });
+  }
+
+  /**
+   * Caption a simulated participant's speech. Pass the returned id again to grow or
+   * revise the same caption block, the way Meet updates it while someone is talking.
+   * @returns {number} Caption block id
+   */
+  caption(code, speaker, text, id) {
+    const meeting = this.requireMeeting(code);
+    const existing = id && meeting.captions.find(block => block.id === id);
+    if (existing) {
+      existing.text = text;
+      return existing.id;
+    }
+    const block = { id: meeting.nextCaptionId++, speaker, text };
+    meeting.captions = [...meeting.captions, block].slice(-MAX_CAPTION_BLOCKS);
+    return block.id;
+  }
+
+  requireMeeting(code) {
+    const meeting = this.meetings.get(code);
+    if (!meeting) {
+      throw new SimulatorError(404, `Unknown meeting "${code}"`);
+    }
+    return meeting;
+  }
+
+  /**
+   * What a guest's browser sees when it polls
+   */
+  guestView(meeting, guest) {
+    const inCall = [...meeting.guests.values()].filter(other => other.status === 'in-call');
+    return {
+      guest: { ...guest },
+      presenter: meeting.presenter,
+      participants: [
+        ...meeting.participants,
+        ...inCall.filter(other => other.id !== guest.id).map(({ id, name }) => ({ id, name, role: null }))
+      ],
+      chat: guest.status === 'in-call' ? meeting.chat : [],
+      captions: guest.status === 'in-call' ? meeting.captions : []
+    };
+  }
+
+  /**
+   * Route a request
+   */
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const parts = pathname.split('/').filter(Boolean);
+
+    if (req.method === 'GET' && STATIC_FILES[pathname]) {
+      const { file, type } = STATIC_FILES[pathname];
+      res.writeHead(200, { 'Content-Type': type });
+      res.end(await fs.readFile(path.join(PUBLIC_DIR, file)));
+      return;
+    }
+
+    if (req.method === 'GET' && (parts.length === 0 || (parts.length === 1 && parts[0] !== 'api'))) {
+      // Meeting pages (and the home screen) all load the same app shell
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(await fs.readFile(path.join(PUBLIC_DIR, 'index.html')));
+      return;
+    }
+
+    if (parts[0] !== 'api') {
+      throw new SimulatorError(404, `Not found: ${pathname}`);
+    }
+
+    const body = req.method === 'POST' ? await readJson(req) : {};
+    const account = parseCookies(req.headers.cookie)[SIGNIN_COOKIE] || null;
+    const [, resource, code, sub, id, action] = parts;
+
+    if (resource === 'signin' && req.method === 'POST') {
+      if (!body.email) throw new SimulatorError(400, 'email is required');
+      sendJson(res, 200, { account: body.email }, {
+        'Set-Cookie': `${SIGNIN_COOKIE}=${encodeURIComponent(body.email)}; Path=/; HttpOnly`
+      });
+      return;
+    }
+
+    if (resource !== 'meetings') {
+      throw new SimulatorError(404, `Not found: ${pathname}`);
+    }
+
+    // Host controls
+    if (!code && req.method === 'POST') {
+      sendJson(res, 201, { url: this.createMeeting(body.code, body) });
+      return;
+    }
+    if (req.method === 'POST' && ['admit', 'deny', 'remove'].includes(sub)) {
+      this[sub](code, body.name);
+      sendJson(res, 200, this.getMeeting(code));
+      return;
+    }
+    if (req.method === 'POST' && sub === 'drop') {
+      this.dropConnection(code, body.name);
+      sendJson(res, 200, this.getMeeting(code));
+      return;
+    }
+    if (req.method === 'POST' && sub === 'end') {
+      this.endCall(code);
+      sendJson(res, 200, this.getMeeting(code));
+      return;
+    }
+    if (req.method === 'POST' && sub === 'participants') {
+      sendJson(res, 201, { id: this.addParticipant(code, body.name, { role: body.role }) });
+      return;
+    }
+    if (req.method === 'POST' && sub === 'messages') {
+      this.postMessage(code, body.from, body.text);
+      sendJson(res, 201, {});
+      return;
+    }
+    if (req.method === 'POST' && sub === 'captions') {
+      if (!body.speaker || !body.text) throw new SimulatorError(400, 'speaker and text are required');
+      sendJson(res, 201, { id: this.caption(code, body.speaker, body.text, body.id) });
+      return;
+    }
+
+    // Meeting page
+    const meeting = this.requireMeeting(code);
+    if (req.method === 'GET' && !sub) {
+      sendJson(res, 200, {
+        code: meeting.code,
+        access: meeting.access,
+        ended: meeting.ended,
+        requireSignIn: meeting.requireSignIn,
+        account
+      });
+      return;
+    }
+
+    if (sub !== 'guests') {
+      throw new SimulatorError(404, `Not found: ${pathname}`);
+    }
+
+    if (req.method === 'POST' && !id) {
+      if (meeting.requireSignIn && !account) throw new SimulatorError(401, 'Sign in to join');
+      if (meeting.ended) throw new SimulatorError(409, 'The call has ended');
+      const guest = {
+        id: crypto.randomUUID(),
+        name: account || body.name || 'Guest',
+        status: meeting.access === 'open' ? 'in-call' : 'waiting',
+        camera: Boolean(body.camera),
+        microphone: Boolean(body.microphone),
+        speaking: false,
+        speechCount: 0
+      };
+      meeting.guests.set(guest.id, guest);
+      sendJson(res, 201, this.guestView(meeting, guest));
+      return;
+    }
+
+    const guest = meeting.guests.get(id);
+    if (!guest) {
+      throw new SimulatorError(404, `Unknown guest "${id}"`);
+    }
+
+    if (req.method === 'GET' && !action) {
+      sendJson(res, 200, this.guestView(meeting, guest));
+      return;
+    }
+    if (req.method !== 'POST' || (action !== 'leave' && guest.status !== 'in-call')) {
+      throw new SimulatorError(409, `Guest is ${guest.status}`);
+    }
+
+    switch (action) {
+      case 'devices':
+        if (body.camera !== undefined) guest.camera = Boolean(body.camera);
+        if (body.microphone !== undefined) guest.microphone = Boolean(body.microphone);
+        break;
+      case 'speaking':
+        // Reported by the page's microphone level monitor
+        if (body.speaking && !guest.speaking) guest.speechCount++;
+        guest.speaking = Boolean(body.speaking);
+        break;
+      case 'present':
+        if (body.presenting) {
+          meeting.presenter = guest.id;
+          meeting.presentedSource = body.source || 'screen';
+        } else if (meeting.presenter === guest.id) meeting.presenter = null;
+        break;
+      case 'chat':
+        if (!body.text) throw new SimulatorError(400, 'text is required');
+        meeting.chat.push({ from: guest.name, guestId: guest.id, text: body.text, at: new Date().toISOString() });
+        break;
+      case 'leave':
+        guest.status = 'left';
+        if (meeting.presenter === guest.id) meeting.presenter = null;
+        break;
+      default:
+        throw new SimulatorError(404, `Not found: ${pathname}`);
+    }
+    sendJson(res, 200, this.guestView(meeting, guest));
+  }
+}
+
+module.exports = {
+  MeetSimulator,
+  SimulatorError
+};
+
+if (require.main === module) {
+  const simulator = new MeetSimulator();
+  const port = Number(process.argv[2]) || 8080;
+  simulator.start(port).then(url => {
+    console.log(`🧪 Meet simulator running at ${url}`);
+    console.log(`   Open meeting:    ${simulator.createMeeting('abc-defg-hij', { participants: ['Alice', 'Bob'] })}`);
+    console.log(`   Ask-to-join:     ${simulator.createMeeting('ask-ingt-ojn', { access: 'ask', participants: ['Alice'] })}`);
+    console.log(`   Sign-in needed:  ${simulator.createMeeting('sig-ninr-eqd', { requireSignIn: true })}`);
+    console.log('   Host controls: POST /api/meetings/<code>/{admit,deny,remove,end,participants,messages}');
+  });
+}
@@ -0,0 +1,95 @@
+/**
+ * Tests for recognising questions to the bot and asking the model
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { MeetAssistant, trimAnswer } = require('../lib/assistant');
+
+// Chat-completions client that records requests and answers with a fixed text
+function fakeClient(content) {
+  const requests = [];
+  return {
+    requests,
+    chat: {
+      completions: {
+        create: async body => {
+          requests.push(body);
+          return { choices: [{ message: { role: 'assistant', content } }] };
+        }
+      }
+    }
+  };
+}
+
+describe('MeetAssistant', () => {
+  it('recognises lines that call the bot by name', () => {
+    const assistant = new MeetAssistant({ names: ['Meeting Assistant', 'Robo'] });
+    assert.equal(assistant.addressedQuestion('Hey meeting assistant, what is the revenue?'), 'what is the revenue?');
+    assert.equal(assistant.addressedQuestion('What do you think, Robo?'), 'What do you think');
+    assert.equal(assistant.addressedQuestion('@Robo summarise the call'), 'summarise the call');
+    assert.equal(assistant.addressedQuestion('The robot arm is on slide three'), null);
+    assert.equal(assistant.addressedQuestion('Robo'), null);
+  });
+
+  it('sends the question with the recent conversation and answers once', async () => {
+    const openai = fakeClient('**Revenue** grew by 12 percent.');
+    const assistant = new MeetAssistant({ names: ['Robo'], systemPrompt: 'You are {{name}}.', contextLines: 2, openai });
+
+    assert.equal(await assistant.hear({ speaker: 'Alice', text: 'Q3 looked good', via: 'caption' }), null);
+    assert.equal(await assistant.hear({ speaker: 'Bob', text: 'Costs went down', via: 'caption' }), null);
+    const result = await assistant.hear({ speaker: 'Alice', text: 'Robo, how much did revenue grow?', via: 'caption' });
+    // The same question typed into the chat right after is not answered again
+    assert.equal(await assistant.hear({ speaker: 'Alice', text: 'Robo how much did revenue grow', via: 'chat' }), null);
+
+    assert.deepEqual(result, { question: 'how much did revenue grow?', answer: 'Revenue grew by 12 percent.', asker: 'Alice', via: 'caption' });
+    assert.equal(openai.requests.length, 1);
+    const [system, user] = openai.requests[0].messages;
+    assert.equal(system.content, 'You are Robo.');
+    assert.equal(user.content, 'Recent conversation in the meeting:\nBob: Costs went down\nAlice: Robo, how much did revenue grow?\n\n'
+      + 'Alice asks you: how much did revenue grow?');
+  });
+
+  it('talks to an OpenAI-compatible server at baseUrl', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ url: req.url, body: JSON.parse(body) });
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+          id: 'local-1',
+          object: 'chat.completion',
+          created: 0,
+          model: 'local-model',
+          choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: 'Hello from the stand-in.' } }]
+        }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const assistant = new MeetAssistant({
+        names: ['Robo'],
+        model: 'local-model',
+        baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+        maxTokens: 50
+      });
+      assert.equal(await assistant.ask('Are you there?', 'Bob'), 'Hello from the stand-in.');
+      assert.equal(received[0].url, '/v1/chat/completions');
+      assert.equal(received[0].body.model, 'local-model');
+      assert.equal(received[0].body.max_tokens, 50);
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('trimAnswer', () => {
+  it('keeps answers speakable and within the limit', () => {
+    assert.equal(trimAnswer('- one\n- **two**', 100), 'one two');
+    assert.equal(trimAnswer('First sentence here. Second sentence is longer than allowed.', 36), 'First sentence here.');
+    assert.equal(trimAnswer('a'.repeat(10) + ' ' + 'b'.repeat(30), 20), `${'a'.repeat(10)}…`);
+  });
+});
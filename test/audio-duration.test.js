@@ -0,0 +1,48 @@
+/**
+ * Tests for reading clip durations from audio headers
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getAudioDuration } = require('../lib/audio-duration');
+const { toneWav } = require('./helpers');
+
+/**
+ * MPEG-1 Layer III frames at 128 kbps / 44.1 kHz (417 bytes, 1152 samples each)
+ */
+function mp3Frames(count, { id3 = false } = {}) {
+  const frame = Buffer.alloc(417);
+  frame.set([0xff, 0xfb, 0x90, 0x00]);
+  const frames = Array.from({ length: count }, () => frame);
+  if (id3) {
+    const tag = Buffer.alloc(10 + 20);
+    tag.write('ID3', 0, 'latin1');
+    tag[3] = 4;
+    tag[9] = 20;
+    frames.unshift(tag);
+  }
+  return Buffer.concat(frames);
+}
+
+describe('getAudioDuration', () => {
+  it('reads WAV durations from the fmt and data chunks', () => {
+    assert.equal(getAudioDuration(toneWav(1500), 'wav'), 1500);
+  });
+
+  it('handles streamed WAVs whose data size is unknown', () => {
+    const wav = toneWav(500);
+    wav.writeUInt32LE(0xffffffff, 40);
+    assert.equal(getAudioDuration(wav, 'wav'), 500);
+  });
+
+  it('adds up MP3 frame durations and skips ID3 tags', () => {
+    assert.equal(getAudioDuration(mp3Frames(100), 'mp3'), Math.round(100 * 1152 / 44100 * 1000));
+    assert.equal(getAudioDuration(mp3Frames(10, { id3: true }), 'mp3'), Math.round(10 * 1152 / 44100 * 1000));
+  });
+
+  it('returns null for unparseable clips and unknown formats', () => {
+    assert.equal(getAudioDuration(Buffer.from('not audio'), 'mp3'), null);
+    assert.equal(getAudioDuration(Buffer.from('not audio'), 'wav'), null);
+    assert.equal(getAudioDuration(toneWav(100), 'ogg'), null);
+  });
+});
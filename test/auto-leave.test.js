@@ -0,0 +1,84 @@
+/**
+ * Tests for the auto-leave policies: alone, host left and maximum session duration
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { AutoLeave } = require('../lib/auto-leave');
+const { Roster } = require('../lib/roster');
+
+const start = new Date('2026-03-02T10:00:00Z');
+const at = minutes => new Date(start.getTime() + minutes * 60000);
+const tile = (id, name, extra = {}) => ({ id, name, role: '', self: false, inPanel: false, onTile: true, ...extra });
+const self = tile('1', 'Test Bot', { self: true });
+
+function watch(options) {
+  const roster = new Roster();
+  roster.start(start);
+  const autoLeave = new AutoLeave({ roster, checkIntervalMs: 60000, ...options });
+  const reasons = [];
+  autoLeave.on('leave', ({ reason }) => reasons.push(reason));
+  autoLeave.start(start);
+  return { roster, autoLeave, reasons };
+}
+
+describe('AutoLeave', () => {
+  it('leaves after being alone for aloneMinutes, counting from when the last person left', () => {
+    const { roster, autoLeave, reasons } = watch({ aloneMinutes: 5 });
+    roster.update({ panelOpen: false, participants: [self, tile('2', 'Alice')] }, at(1));
+    assert.equal(autoLeave.check(at(10)), null);
+
+    roster.update({ panelOpen: false, participants: [self] }, at(12));
+    assert.equal(autoLeave.check(at(16)), null);
+    assert.equal(autoLeave.check(at(17)), 'alone');
+    assert.deepEqual(reasons, ['alone']);
+    // Stopped once triggered
+    assert.equal(autoLeave.check(at(30)), null);
+  });
+
+  it('counts an empty call from the moment the bot joined', () => {
+    const { autoLeave, reasons } = watch({ aloneMinutes: 2 });
+    assert.equal(autoLeave.check(at(2)), 'alone');
+    assert.deepEqual(reasons, ['alone']);
+  });
+
+  it('leaves when the host leaves, but not when someone else does', () => {
+    const { roster, autoLeave, reasons } = watch({ aloneMinutes: 0, whenHostLeaves: true });
+    roster.update({
+      panelOpen: true,
+      participants: [{ ...self, inPanel: true }, tile('2', 'Alice', { inPanel: true, role: 'Meeting host' }), tile('3', 'Bob', { inPanel: true })]
+    }, at(1));
+    roster.update({ panelOpen: false, participants: [self, tile('2', 'Alice')] }, at(2));
+    assert.deepEqual(reasons, []);
+    roster.update({ panelOpen: false, participants: [self] }, at(3));
+    assert.deepEqual(reasons, ['host-left']);
+    autoLeave.stop();
+  });
+
+  it('leaves after maxSessionMinutes even with people in the call', () => {
+    const { roster, autoLeave, reasons } = watch({ aloneMinutes: 5, maxSessionMinutes: 60 });
+    roster.update({ panelOpen: false, participants: [self, tile('2', 'Alice')] }, at(1));
+    assert.equal(autoLeave.check(at(59)), null);
+    assert.equal(autoLeave.check(at(60)), 'max-duration');
+    assert.deepEqual(reasons, ['max-duration']);
+  });
+
+  it('keeps counting the session length across a reconnect', () => {
+    const { roster, autoLeave, reasons } = watch({ aloneMinutes: 5, maxSessionMinutes: 60 });
+    roster.update({ panelOpen: false, participants: [self, tile('2', 'Alice')] }, at(1));
+    autoLeave.stop();
+    assert.equal(autoLeave.check(at(30)), null);
+    autoLeave.start(at(32), { resume: true });
+    assert.equal(autoLeave.check(at(59)), null);
+    assert.equal(autoLeave.check(at(60)), 'max-duration');
+    assert.deepEqual(reasons, ['max-duration']);
+  });
+
+  it('does nothing with every policy off', () => {
+    const { autoLeave, reasons } = watch({ aloneMinutes: 0, whenHostLeaves: false, maxSessionMinutes: 0 });
+    assert.equal(autoLeave.enabled, false);
+    assert.equal(autoLeave.check(at(600)), null);
+    assert.deepEqual(reasons, []);
+    autoLeave.stop();
+  });
+});
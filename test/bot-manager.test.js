@@ -0,0 +1,94 @@
+/**
+ * Tests for running several bots: the concurrency limit, per-bot logs and cleanup
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { BotManager, BotManagerError } = require('../lib/bot-manager');
+const { createConfig } = require('../lib/config');
+
+// Stands in for MeetBot: joins at once and stays until it leaves
+class FakeBot extends EventEmitter {
+  constructor(options) {
+    super();
+    this.options = options;
+    this.page = null;
+  }
+
+  async launch() { this.page = {}; }
+  async join(url) {
+    await fs.writeFile(path.join(this.options.tmpDir, 'clip.mp3'), '');
+    console.log(`Joined ${url}`);
+    return true;
+  }
+  async startSession() {}
+  async leave() { this.emit('left', { reason: 'leave' }); }
+  async close() { this.page = null; this.emit('closed'); }
+}
+
+async function until(check) {
+  for (let i = 0; i < 200 && !check(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.ok(check());
+}
+
+const config = createConfig({ demo: { enabled: false } });
+
+describe('BotManager', () => {
+  it('runs at most maxBots at once and starts the next when one leaves', async () => {
+    const manager = new BotManager({ config, maxBots: 1, logDir: null, createBot: options => new FakeBot(options) });
+    const first = manager.launch({ meeting: 'abc-defg-hij' });
+    const second = manager.launch({ meeting: 'xyz-abcd-efg', config: { identity: { name: 'Second Bot' } } });
+
+    await until(() => manager.get(first.id).phase === 'running');
+    assert.equal(manager.get(second.id).phase, 'queued');
+    assert.equal(second.bot.options.identity.name, 'Second Bot');
+
+    const tmpDir = first.bot.options.tmpDir;
+    assert.ok(await fs.pathExists(path.join(tmpDir, 'clip.mp3')));
+    await first.bot.leave();
+    await until(() => manager.get(second.id).phase === 'running');
+    assert.equal(manager.get(first.id).phase, 'ended');
+    assert.equal(first.bot.page, null);
+    assert.equal(await fs.pathExists(tmpDir), false);
+
+    await manager.removeAll();
+    assert.deepEqual(manager.list(), []);
+  });
+
+  it('writes each bot\'s console output to its own log file', async () => {
+    const logDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bot-logs-test-'));
+    try {
+      const manager = new BotManager({ config, logDir, createBot: options => new FakeBot(options) });
+      const alice = manager.launch({ meeting: 'abc-defg-hij', id: 'alice' });
+      const bob = manager.launch({ meeting: 'xyz-abcd-efg', id: 'bob' });
+      await until(() => manager.list().every(({ phase }) => phase === 'running'));
+      await alice.bot.leave();
+      await bob.bot.leave();
+      await until(() => manager.list().every(({ phase }) => phase === 'ended'));
+
+      const aliceLog = await fs.readFile(manager.get('alice').logFile, 'utf8');
+      assert.match(aliceLog, /LOG Joined https:\/\/meet\.google\.com\/abc-defg-hij\n/);
+      assert.doesNotMatch(aliceLog, /xyz-abcd-efg/);
+      assert.match(await fs.readFile(path.join(logDir, 'bob.log'), 'utf8'), /Joined https:\/\/meet\.google\.com\/xyz-abcd-efg/);
+    } finally {
+      await fs.remove(logDir);
+    }
+  });
+
+  it('refuses bots that would share a browser profile or an id', async () => {
+    const manager = new BotManager({ config, logDir: null, createBot: options => new FakeBot(options) });
+    manager.launch({ meeting: 'abc-defg-hij', id: 'one', config: { browser: { profileDir: 'profiles/main' } } });
+    assert.throws(
+      () => manager.launch({ meeting: 'xyz-abcd-efg', config: { browser: { profileDir: 'profiles/main' } } }),
+      BotManagerError
+    );
+    assert.throws(() => manager.launch({ meeting: 'xyz-abcd-efg', id: 'one' }), /already exists/);
+    await manager.removeAll();
+  });
+});
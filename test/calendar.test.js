@@ -0,0 +1,138 @@
+/**
+ * Tests for reading calendars: Meet links, recurrence rules and time zones
+ */
+
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseIcs, parseAgenda, expandEvents, CalendarError } = require('../lib/calendar');
+
+const ICS = `BEGIN:VCALENDAR
+VERSION:2.0
+PRODID:-//Test//EN
+BEGIN:VEVENT
+UID:standup@example.com
+SUMMARY:Daily Standup
+DTSTART;TZID=Europe/Berlin:20260323T100000
+DTEND;TZID=Europe/Berlin:20260323T101500
+RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=6
+EXDATE;TZID=Europe/Berlin:20260325T100000
+DESCRIPTION:Join with Google Meet: https://meet.google.com/abc-defg-hij\\n
+ Or dial in
+END:VEVENT
+BEGIN:VEVENT
+UID:standup@example.com
+RECURRENCE-ID;TZID=Europe/Berlin:20260330T100000
+SUMMARY:Daily Standup (moved)
+DTSTART;TZID=Europe/Berlin:20260330T113000
+DTEND;TZID=Europe/Berlin:20260330T114500
+X-GOOGLE-CONFERENCE:https://meet.google.com/abc-defg-hij
+END:VEVENT
+BEGIN:VEVENT
+UID:review@example.com
+SUMMARY:Monthly Review
+DTSTART:20260327T150000Z
+DURATION:PT1H
+RRULE:FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20260601
+LOCATION:https://meet.google.com/xyz-abcd-efg
+END:VEVENT
+BEGIN:VEVENT
+UID:lunch@example.com
+SUMMARY:Lunch
+DTSTART:20260324T120000Z
+DTEND:20260324T130000Z
+END:VEVENT
+END:VCALENDAR
+`;
+
+const window = { from: new Date('2026-03-01T00:00:00Z'), to: new Date('2026-07-01T00:00:00Z') };
+
+describe('calendar', () => {
+  it('expands weekly events across the DST change, skipping EXDATE and applying moved instances', () => {
+    const standups = expandEvents(parseIcs(ICS), window).filter(({ uid }) => uid === 'standup@example.com');
+    assert.deepEqual(standups.map(({ start }) => start.toISOString()), [
+      '2026-03-23T09:00:00.000Z',
+      // Berlin moves to summer time on March 29
+      '2026-03-30T09:30:00.000Z',
+      '2026-04-01T08:00:00.000Z',
+      '2026-04-06T08:00:00.000Z',
+      '2026-04-08T08:00:00.000Z'
+    ]);
+    assert.equal(standups[1].summary, 'Daily Standup (moved)');
+    assert.equal(standups[2].end - standups[2].start, 15 * 60000);
+    assert.ok(standups.every(({ meetingUrl }) => meetingUrl === 'https://meet.google.com/abc-defg-hij'));
+    assert.equal(new Set(standups.map(({ key }) => key)).size, standups.length);
+  });
+
+  it('finds the last Friday of each month until the end date', () => {
+    const reviews = expandEvents(parseIcs(ICS), window).filter(({ uid }) => uid === 'review@example.com');
+    assert.deepEqual(reviews.map(({ start }) => start.toISOString().slice(0, 10)), ['2026-03-27', '2026-04-24', '2026-05-29']);
+    assert.equal(reviews[0].meetingUrl, 'https://meet.google.com/xyz-abcd-efg');
+  });
+
+  it('keeps events without a Meet link and reads floating times in the given zone', () => {
+    const lunch = expandEvents(parseIcs(ICS), window).find(({ uid }) => uid === 'lunch@example.com');
+    assert.equal(lunch.meetingUrl, null);
+
+    const floating = 'BEGIN:VCALENDAR\nBEGIN:VEVENT\nUID:f\nDTSTART:20260701T090000\nURL:https://meet.google.com/abc-defg-hij\nEND:VEVENT\nEND:VCALENDAR\n';
+    const [event] = expandEvents(parseIcs(floating, { timeZone: 'America/New_York' }), { from: window.from, to: new Date('2027-01-01T00:00:00Z') });
+    assert.equal(event.start.toISOString(), '2026-07-01T13:00:00.000Z');
+  });
+
+  it('limits daily events to the BYDAY weekdays', () => {
+    const weekdays = 'BEGIN:VCALENDAR\nBEGIN:VEVENT\nUID:weekdays\nDTSTART:20260319T083000Z\nDURATION:PT15M\nRRULE:FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR;COUNT=4\nEND:VEVENT\nEND:VCALENDAR\n';
+    const days = expandEvents(parseIcs(weekdays), window);
+    assert.deepEqual(days.map(({ start }) => start.toISOString().slice(0, 10)), ['2026-03-19', '2026-03-20', '2026-03-23', '2026-03-24']);
+  });
+
+  it('skips events with a recurrence rule it cannot read and keeps the rest', () => {
+    const errors = mock.method(console, 'error', () => {});
+    const ics = ICS.replace('END:VCALENDAR', `BEGIN:VEVENT
+UID:hourly@example.com
+SUMMARY:Hourly Check
+DTSTART:20260323T080000Z
+RRULE:FREQ=HOURLY
+END:VEVENT
+BEGIN:VEVENT
+UID:typo@example.com
+SUMMARY:Typo
+DTSTART:20260323T080000Z
+RRULE:FREQ=WEEKLY;BYDAY=MO,XX
+END:VEVENT
+END:VCALENDAR`);
+    try {
+      const events = parseIcs(ics);
+      assert.deepEqual([...new Set(events.map(({ uid }) => uid))], ['standup@example.com', 'review@example.com', 'lunch@example.com']);
+      assert.deepEqual(errors.mock.calls.map(({ arguments: [line] }) => line.split(':')[0]), [
+        '📅 Skipping event "Hourly Check"',
+        '📅 Skipping event "Typo"'
+      ]);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it('expands series that started long before the window', () => {
+    const old = 'BEGIN:VCALENDAR\nBEGIN:VEVENT\nUID:old\nDTSTART;TZID=Europe/Berlin:20000103T090000\nDURATION:PT30M\nRRULE:FREQ=DAILY\nEND:VEVENT\nEND:VCALENDAR\n';
+    const days = expandEvents(parseIcs(old), { from: new Date('2026-03-27T00:00:00Z'), to: new Date('2026-03-31T00:00:00Z') });
+    assert.deepEqual(days.map(({ start }) => start.toISOString()), [
+      '2026-03-27T08:00:00.000Z',
+      '2026-03-28T08:00:00.000Z',
+      '2026-03-29T07:00:00.000Z',
+      '2026-03-30T07:00:00.000Z'
+    ]);
+  });
+
+  it('reads JSON agendas', () => {
+    const events = parseAgenda({
+      meetings: [
+        { title: 'Planning', meeting: 'abc-defg-hij', start: '2026-03-23T09:00:00+01:00', durationMinutes: 30 },
+        { title: 'Retro', url: 'https://meet.google.com/xyz-abcd-efg', start: '2026-03-23T15:00:00', end: '2026-03-23T16:00:00' }
+      ]
+    }, { timeZone: 'Europe/Berlin' });
+    const [planning, retro] = expandEvents(events, window);
+    assert.equal(planning.start.toISOString(), '2026-03-23T08:00:00.000Z');
+    assert.equal(planning.end.toISOString(), '2026-03-23T08:30:00.000Z');
+    assert.equal(retro.start.toISOString(), '2026-03-23T14:00:00.000Z');
+    assert.throws(() => parseAgenda({ meetings: [{ meeting: 'not a meeting', start: '2026-03-23T09:00:00Z' }] }), CalendarError);
+  });
+});
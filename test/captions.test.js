@@ -0,0 +1,112 @@
+/**
+ * Tests for caption de-duplication and the transcript files
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { CaptionTranscript, unseenText } = require('../lib/captions');
+const { TranscriptWriter, formatTimestamp, formatTranscript, sessionName } = require('../lib/transcript');
+
+const delay = ms => new Promise(res => setTimeout(res, ms));
+
+describe('unseenText', () => {
+  it('returns only what was added to a caption block', () => {
+    assert.equal(unseenText('', 'Hello everyone'), 'Hello everyone');
+    assert.equal(unseenText('Hello everyone', 'Hello everyone. Welcome back'), 'Welcome back');
+    assert.equal(unseenText('Hello everyone', 'Hello everyone'), '');
+  });
+
+  it('tolerates revised and dropped words', () => {
+    assert.equal(unseenText('Nice to sea', 'Nice to see you all'), 'you all');
+    assert.equal(unseenText('Nice to see you', 'Nice to see'), '');
+  });
+
+  it('continues after the overlap when Meet trims the start of a long block', () => {
+    const committed = 'so the first thing we looked at was the revenue chart';
+    assert.equal(unseenText(committed, 'looked at was the revenue chart and then costs'), 'and then costs');
+    assert.equal(unseenText(committed, 'a different topic entirely'), 'a different topic entirely');
+  });
+});
+
+describe('CaptionTranscript', () => {
+  it('merges incremental updates into one utterance per speaker turn', async () => {
+    const transcript = new CaptionTranscript({ finalizeAfterMs: 30 });
+    const said = [];
+    transcript.on('utterance', utterance => said.push(`${utterance.speaker}: ${utterance.text}`));
+
+    transcript.update({ id: 1, speaker: 'Alice', text: 'Hello' });
+    transcript.update({ id: 1, speaker: 'Alice', text: 'Hello every' });
+    transcript.update({ id: 1, speaker: 'Alice', text: 'Hello everyone' });
+    transcript.update({ id: 2, speaker: 'Bob', text: 'Hi Alice' });
+    transcript.remove(2);
+    assert.deepEqual(said, ['Bob: Hi Alice']);
+
+    await delay(60);
+    assert.deepEqual(said, ['Bob: Hi Alice', 'Alice: Hello everyone']);
+
+    // Alice keeps talking in the same block after a pause
+    transcript.update({ id: 1, speaker: 'Alice', text: 'Hello everyone. Shall we start?' });
+    transcript.flush();
+    assert.deepEqual(said.slice(2), ['Alice: Shall we start?']);
+
+    const [first] = transcript.utterances;
+    assert.ok(first.start instanceof Date);
+    assert.ok(first.end >= first.start);
+  });
+
+  it('keeps the transcript but forgets the blocks of a page that was reloaded', () => {
+    const transcript = new CaptionTranscript({ finalizeAfterMs: 30 });
+    transcript.update({ id: 1, speaker: 'Alice', text: 'Can everyone hear me now?' });
+    transcript.clearBlocks();
+
+    // The rejoined page starts numbering at 1 again
+    transcript.update({ id: 1, speaker: 'Bob', text: 'Can everyone' });
+    transcript.flush();
+    assert.deepEqual(transcript.utterances.map(({ speaker, text }) => `${speaker}: ${text}`),
+      ['Alice: Can everyone hear me now?', 'Bob: Can everyone']);
+  });
+});
+
+describe('transcript files', () => {
+  let dir;
+  const startedAt = new Date('2026-03-02T10:00:00Z');
+  const at = ms => new Date(startedAt.getTime() + ms);
+  const utterances = [
+    { speaker: 'Alice', text: 'Hello everyone', start: at(1200), end: at(2500) },
+    { speaker: 'Bob', text: 'Hi', start: at(3661000), end: at(3661000) }
+  ];
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'transcript-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('formats SRT, WebVTT and plain text cues relative to the session start', () => {
+    assert.equal(formatTimestamp(3661042, ','), '01:01:01,042');
+    assert.equal(formatTranscript(utterances, 'srt', startedAt),
+      '1\n00:00:01,200 --> 00:00:02,500\nAlice: Hello everyone\n\n2\n01:01:01,000 --> 01:01:01,500\nBob: Hi\n\n');
+    assert.equal(formatTranscript(utterances, 'vtt', startedAt),
+      'WEBVTT\n\n00:00:01.200 --> 00:00:02.500\n<v Alice>Hello everyone\n\n01:01:01.000 --> 01:01:01.500\n<v Bob>Hi\n\n');
+    assert.equal(formatTranscript(utterances, 'txt', startedAt), '[00:00:01] Alice: Hello everyone\n[01:01:01] Bob: Hi\n');
+  });
+
+  it('appends every utterance to one file per format', async () => {
+    const writer = new TranscriptWriter({ dir, meetingUrl: 'https://meet.google.com/abc-defg-hij', formats: ['jsonl', 'vtt'], startedAt });
+    for (const utterance of utterances) {
+      await writer.write(utterance);
+    }
+    const files = await writer.close();
+
+    assert.deepEqual(Object.keys(files), ['jsonl', 'vtt']);
+    assert.equal(path.basename(files.jsonl), `${sessionName('https://meet.google.com/abc-defg-hij', startedAt)}.jsonl`);
+    const lines = (await fs.readFile(files.jsonl, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => [line.speaker, line.text, line.offsetMs]), [['Alice', 'Hello everyone', 1200], ['Bob', 'Hi', 3661000]]);
+    assert.equal(await fs.readFile(files.vtt, 'utf8'), formatTranscript(utterances, 'vtt', startedAt));
+  });
+});
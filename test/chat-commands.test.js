@@ -0,0 +1,105 @@
+/**
+ * Tests for chat command parsing, the allowlist and the command registry
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatCommands, ChatCommandError } = require('../lib/chat-commands');
+
+// Records chat replies and the calls the built-in commands make
+function fakeBot() {
+  return {
+    posted: [],
+    said: [],
+    muted: false,
+    chat: async function (text) { this.posted.push(text); return true; },
+    say: async function (text) { this.said.push(text); return 'spoken'; },
+    setMuted: async function (muted) { this.muted = muted; return true; },
+    reportError: err => { throw err; }
+  };
+}
+
+const message = (sender, text, self = false) => ({ sender, text, self, time: '10:00 AM', at: new Date() });
+
+describe('ChatCommands', () => {
+  it('runs commands from allowed participants and posts the acknowledgement', async () => {
+    const bot = fakeBot();
+    const commands = new ChatCommands({ bot, allow: ['Alice', 'bob@example.com'] });
+
+    assert.equal(await commands.handle(message('alice', '!say Hello   everyone')), '🗣️ Saying: "Hello   everyone"');
+    assert.deepEqual(bot.said, ['Hello   everyone']);
+    await commands.handle(message('bob@example.com', '!MUTE'));
+    assert.equal(bot.muted, true);
+    assert.deepEqual(bot.posted, ['🗣️ Saying: "Hello   everyone"', '🔇 Muted']);
+  });
+
+  it('ignores other participants, its own messages and plain chat', async () => {
+    const bot = fakeBot();
+    const commands = new ChatCommands({ bot, allow: ['Alice'] });
+    const rejected = [];
+    commands.on('rejected', ({ name, sender, reason }) => rejected.push(`${sender} ${name} ${reason}`));
+
+    assert.equal(await commands.handle(message('Mallory', '!leave')), null);
+    assert.equal(await commands.handle(message('You', '!say loop', true)), null);
+    assert.equal(await commands.handle(message('Alice', 'say hi')), null);
+    assert.deepEqual(rejected, ['Mallory leave not-allowed']);
+    assert.deepEqual(bot.posted, []);
+    assert.deepEqual(bot.said, []);
+  });
+
+  it('names the shared source when no tab is presented', async () => {
+    const bot = fakeBot();
+    bot.shareScreen = async () => {
+      bot.sharing = { source: 'screen', tab: null };
+      return true;
+    };
+    const commands = new ChatCommands({ bot, allow: ['Alice'] });
+
+    assert.equal(await commands.handle(message('Alice', '!share')), '🖥️ Presenting screen');
+  });
+
+  it('leaves once the acknowledgement is posted', async () => {
+    const bot = fakeBot();
+    const events = [];
+    bot.chat = async text => { events.push(`chat ${text}`); };
+    bot.leave = async reason => { events.push(`leave ${reason}`); };
+    const commands = new ChatCommands({ bot, allow: ['Alice'] });
+
+    await commands.handle(message('Alice', '!leave'));
+    assert.deepEqual(events, ['chat 👋 Leaving the meeting, as Alice asked', 'leave command']);
+  });
+
+  it('lets anyone in with "*" and allows nobody by default', () => {
+    assert.equal(new ChatCommands({ bot: fakeBot(), allow: ['*'] }).isAllowed('Anyone'), true);
+    assert.equal(new ChatCommands({ bot: fakeBot() }).isAllowed('Anyone'), false);
+  });
+
+  it('accepts custom commands and reports usage errors back to chat', async () => {
+    const bot = fakeBot();
+    const commands = new ChatCommands({ bot, prefix: '/', allow: ['Alice'] });
+    commands.register('poll', {
+      usage: 'poll <question>',
+      description: 'Ask the room a question',
+      run: ({ args }) => {
+        if (!args) throw new ChatCommandError('Usage: /poll <question>');
+        return `📊 ${args}`;
+      }
+    });
+
+    await commands.handle(message('Alice', '/poll Lunch?'));
+    await commands.handle(message('Alice', '/poll'));
+    await commands.handle(message('Alice', '/say'));
+    await commands.handle(message('Alice', '/dance'));
+    assert.deepEqual(bot.posted, [
+      '📊 Lunch?',
+      '⚠️ /poll failed: Usage: /poll <question>',
+      '⚠️ /say failed: Usage: say <text>',
+      'Unknown command /dance. Try /help'
+    ]);
+
+    await commands.handle(message('Alice', '/help'));
+    const help = bot.posted.pop();
+    assert.match(help, /^Commands: \/say <text>, /);
+    assert.match(help, /, \/poll <question>$/);
+  });
+});
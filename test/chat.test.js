@@ -0,0 +1,65 @@
+/**
+ * Tests for the chat rate limit and message attribution
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MeetChat, MAX_MESSAGE_CHARS } = require('../lib/chat');
+
+// A page whose chat input is always open and that records what was typed
+function fakePage() {
+  const typed = [];
+  const input = {
+    first: () => input,
+    isVisible: async () => true,
+    fill: async text => typed.push(text)
+  };
+  return { typed, locator: () => input, keyboard: { press: async () => {} } };
+}
+
+describe('MeetChat', () => {
+  it('spaces messages out and holds them once the window is full', async () => {
+    const chat = new MeetChat({ maxMessages: 2, windowMs: 200, minIntervalMs: 50 });
+    chat.page = fakePage();
+
+    const started = Date.now();
+    assert.deepEqual(await Promise.all([chat.send('one'), chat.send('two'), chat.send('three')]), [true, true, true]);
+    const elapsed = Date.now() - started;
+
+    assert.deepEqual(chat.page.typed, ['one', 'two', 'three']);
+    // The third message waits for the first to leave the window
+    assert.ok(elapsed >= 190, `sent after ${elapsed}ms`);
+    assert.ok(chat.waitMs() > 0);
+  });
+
+  it('drops optional messages instead of queueing them', async () => {
+    const chat = new MeetChat({ minIntervalMs: 1000 });
+    chat.page = fakePage();
+    const dropped = [];
+    chat.on('dropped', ({ text }) => dropped.push(text));
+
+    assert.equal(await chat.send('first', { optional: true }), true);
+    assert.equal(await chat.send('second', { optional: true }), false);
+    assert.deepEqual(chat.page.typed, ['first']);
+    assert.deepEqual(dropped, ['second']);
+  });
+
+  it('cuts long messages to what Meet accepts', async () => {
+    const chat = new MeetChat();
+    chat.page = fakePage();
+    await chat.send('x'.repeat(MAX_MESSAGE_CHARS + 10));
+    assert.equal(chat.page.typed[0].length, MAX_MESSAGE_CHARS);
+    assert.ok(chat.page.typed[0].endsWith('…'));
+  });
+
+  it('marks the bot\'s own messages', () => {
+    const chat = new MeetChat({ botName: 'Demo Bot' });
+    const messages = [];
+    chat.on('message', message => messages.push(`${message.sender}${message.self ? ' (self)' : ''}`));
+
+    chat.receive({ sender: 'Alice', text: 'Hi', time: '10:01 AM' });
+    chat.receive({ sender: 'You', text: 'Hello', time: '10:01 AM' });
+    chat.receive({ sender: 'Demo Bot', text: 'Hello', time: '10:02 AM' });
+    assert.deepEqual(messages, ['Alice', 'You (self)', 'Demo Bot (self)']);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests for the bot configuration: schema validation, config file, environment and CLI flags
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { loadConfig, createConfig, parseArgs, ConfigError } = require('../lib/config');
+
+describe('config', () => {
+  let cwd;
+
+  beforeEach(async () => {
+    cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'config-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(cwd);
+  });
+
+  const load = (argv = [], env = {}) => loadConfig({ argv, env, cwd });
+  const rejects = (fn, message) => assert.throws(fn, err => err instanceof ConfigError && err.message === message);
+
+  it('layers the config file, environment and CLI flags over the defaults', async () => {
+    await fs.writeJson(path.join(cwd, 'bot.config.json'), {
+      identity: { name: 'File Bot' },
+      voice: { voice: 'alloy', speed: 1.5 },
+      keepAlive: { enabled: false }
+    });
+
+    const config = load(['abc-DEFG-hij', '--speed=2', '--no-chat', '--allow', 'Alice, Bob'], { TTS_VOICE: 'echo', TTS_SPEED: '0.5' });
+    assert.equal(config.meeting.url, 'https://meet.google.com/abc-defg-hij');
+    assert.equal(config.identity.name, 'File Bot');
+    assert.equal(config.voice.voice, 'echo');
+    assert.equal(config.voice.speed, 2);
+    assert.equal(config.voice.model, 'tts-1-hd');
+    assert.equal(config.keepAlive.enabled, false);
+    assert.equal(config.chat.enabled, false);
+    assert.deepEqual(config.commands.allow, ['Alice', 'Bob']);
+  });
+
+  it('reads a config file named by --config or BOT_CONFIG and reports broken ones', async () => {
+    await fs.writeJson(path.join(cwd, 'other.json'), { meeting: { url: 'https://meet.google.com/xyz-abcd-efg' } });
+    assert.equal(load(['--config', 'other.json']).meeting.url, 'https://meet.google.com/xyz-abcd-efg');
+    assert.equal(load([], { BOT_CONFIG: 'other.json' }).meeting.url, 'https://meet.google.com/xyz-abcd-efg');
+
+    rejects(() => load(['--config', 'missing.json']), `Config file not found: ${path.join(cwd, 'missing.json')}`);
+    await fs.writeFile(path.join(cwd, 'broken.json'), '{ "voice": ');
+    assert.throws(() => load(['--config', 'broken.json']), /^ConfigError: Could not parse .*broken\.json/);
+    await fs.writeJson(path.join(cwd, 'typo.json'), { vocie: { speed: 1 } });
+    rejects(() => load(['--config', 'typo.json']), `${path.join(cwd, 'typo.json')}: unknown section "vocie"`);
+  });
+
+  it('names the flag, env var or setting that has a bad value', () => {
+    const meeting = ['--meeting', 'abc-defg-hij'];
+    rejects(() => load([...meeting, '--speed', '0.1']), '--speed: voice.speed must be >= 0.25, got 0.1');
+    rejects(() => load([...meeting, '--voice', 'robot']),
+      '--voice: voice.voice must be one of alloy, ash, coral, echo, fable, onyx, nova, sage, shimmer, got "robot"');
+    rejects(() => load(meeting, { MEET_JOIN_RETRIES: '2.5' }), 'MEET_JOIN_RETRIES: meeting.joinRetries must be an integer, got "2.5"');
+    rejects(() => load(meeting, { HEADLESS: 'maybe' }), 'HEADLESS: browser.headless must be true or false, got "maybe"');
+    rejects(() => load(['--meeting', 'not a meeting']),
+      '--meeting: meeting.url: expected a Meet URL or a code like abc-defg-hij, got "not a meeting"');
+    rejects(() => createConfig({ voice: { providers: ['openai', ''] } }), 'voice.providers must be a list of names, got ["openai",""]');
+    rejects(() => createConfig({ voice: { pitch: 2 } }), 'Unknown setting "voice.pitch"');
+  });
+
+  it('requires a meeting only where the bot joins one', () => {
+    rejects(() => load(), 'Missing meeting.url - set it with --meeting, the MEET_URL env var, "meeting.url" in bot.config.json');
+    assert.equal(loadConfig({ argv: [], env: {}, cwd, requireAll: false }).meeting.url, null);
+    assert.equal(createConfig().meeting.url, null);
+  });
+
+  it('parses flags, inline values and help', () => {
+    assert.deepEqual(parseArgs(['--headless', '--name=Demo Bot', '--share-audio']).overrides, [
+      ['browser.headless', true],
+      ['identity.name', 'Demo Bot'],
+      ['screenShare.audio', true]
+    ]);
+    assert.equal(parseArgs(['-h']).help, true);
+    assert.equal(load(['--help']).help, true);
+    rejects(() => parseArgs(['--name', '--headless']), '--name requires a value');
+    rejects(() => parseArgs(['--colour', 'blue']), 'Unknown argument "--colour"');
+    rejects(() => parseArgs(['abc-defg-hij', 'xyz-abcd-efg']), 'Unknown argument "xyz-abcd-efg"');
+  });
+});
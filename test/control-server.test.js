@@ -0,0 +1,163 @@
+/**
+ * Tests for the control API: token auth, the bot routes and the event stream
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { ControlServer } = require('../lib/control-server');
+const { BotManager } = require('../lib/bot-manager');
+const { createConfig } = require('../lib/config');
+
+const TOKEN = 'test-token';
+
+// Stands in for MeetBot: records what the API asks it to do
+class FakeBot extends EventEmitter {
+  constructor(config = createConfig()) {
+    super();
+    this.config = config;
+    this.page = null;
+    this.browser = null;
+    this.calls = [];
+    this.utterances = [];
+  }
+
+  async launch() { this.page = {}; this.browser = {}; this.calls.push('launch'); }
+  async join(url) { this.meetingUrl = url; this.calls.push(`join ${url}`); return true; }
+  async startSession() { this.calls.push('startSession'); }
+  async runDemo() { this.calls.push('runDemo'); return true; }
+  async say(text, { priority }) { this.calls.push(`say ${priority} ${text}`); return true; }
+  async shareScreen(options) { this.calls.push(`share ${JSON.stringify(options)}`); return true; }
+  async stopSharing() { this.calls.push('stopSharing'); return true; }
+  async chat(text) { this.calls.push(`chat ${text}`); return true; }
+  async leave() { this.calls.push('leave'); }
+  async close() { this.page = null; this.browser = null; this.calls.push('close'); }
+  transcript() { return this.utterances; }
+  reportError(err) { throw err; }
+  status() { return { state: this.page ? 'in-call' : 'idle', meetingUrl: this.meetingUrl || null }; }
+}
+
+// Let the manager's background launch run until check() holds
+async function until(check) {
+  for (let i = 0; i < 100 && !check(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.ok(check());
+}
+
+describe('ControlServer', () => {
+  let server;
+  let url;
+  let created;
+
+  before(async () => {
+    created = [];
+    const manager = new BotManager({
+      config: createConfig({ identity: { name: 'Base Bot' } }),
+      logDir: null,
+      createBot: config => {
+        const bot = new FakeBot(config);
+        created.push(bot);
+        return bot;
+      }
+    });
+    server = new ControlServer({ token: TOKEN, manager });
+    url = await server.start();
+  });
+
+  after(async () => {
+    await server.closeBots();
+    await server.stop();
+  });
+
+  const api = (method, path, body, token = TOKEN) => fetch(`${url}${path}`, {
+    method,
+    headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...(body ? { 'Content-Type': 'application/json' } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  it('turns away requests without the right token', async () => {
+    assert.equal((await api('GET', '/bots', null, null)).status, 401);
+    const res = await api('GET', '/bots', null, 'wrong');
+    assert.equal(res.status, 401);
+    assert.deepEqual(await res.json(), { error: 'Missing or wrong API token' });
+  });
+
+  it('launches a bot with per-bot config and drives it', async () => {
+    const res = await api('POST', '/bots', { meeting: 'abc-defg-hij', id: 'standup', config: { identity: { name: 'Standup Bot' } } });
+    assert.equal(res.status, 202);
+    assert.equal((await res.json()).id, 'standup');
+
+    const [bot] = created;
+    await until(() => bot.calls.length === 4);
+    assert.equal(bot.config.identity.name, 'Standup Bot');
+    assert.equal(bot.config.demo.enabled, true);
+    assert.deepEqual(bot.calls.slice(0, 4), ['launch', 'join https://meet.google.com/abc-defg-hij', 'startSession', 'runDemo']);
+
+    assert.equal((await api('POST', '/bots/standup/say', { text: 'Hello', priority: 'high' })).status, 202);
+    assert.equal((await api('POST', '/bots/standup/say', { text: 'Hello', priority: 'loud' })).status, 400);
+    assert.deepEqual(await (await api('POST', '/bots/standup/share', { tab: 'slides' })).json(), {
+      sharing: true,
+      status: { id: 'standup', state: 'in-call', meetingUrl: 'https://meet.google.com/abc-defg-hij', phase: 'running', error: null }
+    });
+    assert.deepEqual(await (await api('POST', '/bots/standup/chat', { text: 'Notes follow' })).json(), { posted: true });
+    assert.equal((await api('POST', '/bots/standup/stop-share')).status, 200);
+    assert.equal((await api('POST', '/bots/standup/leave')).status, 200);
+    assert.deepEqual(bot.calls.slice(4), ['say high Hello', 'share {"tab":"slides"}', 'chat Notes follow', 'stopSharing', 'leave']);
+
+    assert.deepEqual((await (await api('GET', '/bots')).json()).bots.map(({ id }) => id), ['standup']);
+    assert.equal((await api('POST', '/bots', { meeting: 'https://meet.google.com/xyz-abcd-efg', id: 'standup' })).status, 409);
+    assert.equal((await api('POST', '/bots', { meeting: 'not a meeting' })).status, 400);
+  });
+
+  it('serves the transcript as JSON or in a transcript format', async () => {
+    const bot = new FakeBot();
+    bot.utterances = [{ speaker: 'Alice', text: 'Good morning', start: new Date('2026-03-02T10:00:01Z'), end: new Date('2026-03-02T10:00:03Z') }];
+    server.addBot(bot, 'main');
+
+    const json = await (await api('GET', '/bots/main/transcript')).json();
+    assert.equal(json.utterances[0].text, 'Good morning');
+    const res = await api('GET', '/bots/main/transcript?format=vtt');
+    assert.match(res.headers.get('content-type'), /^text\/vtt/);
+    assert.equal(await res.text(), 'WEBVTT\n\n00:00:00.000 --> 00:00:02.000\n<v Alice>Good morning\n\n');
+    assert.equal((await api('GET', '/bots/main/transcript?format=doc')).status, 400);
+
+    // Not launched yet, so there is nothing to drive
+    assert.equal((await api('POST', '/bots/main/say', { text: 'Hi' })).status, 409);
+    assert.equal((await api('GET', '/bots/nobody/status')).status, 404);
+    assert.equal((await api('DELETE', '/bots/main')).status, 200);
+    assert.equal((await api('GET', '/bots/main/status')).status, 404);
+  });
+
+  it('streams bot events to WebSocket clients', async () => {
+    const bot = new FakeBot();
+    const other = new FakeBot();
+    server.addBot(bot, 'events-bot');
+    server.addBot(other, 'other-bot');
+    const wsUrl = url.replace(/^http/, 'ws');
+
+    const refused = new WebSocket(`${wsUrl}/events`);
+    refused.on('error', () => {});
+    const status = await new Promise(resolve => refused.on('unexpected-response', (req, res) => {
+      req.destroy();
+      resolve(res.statusCode);
+    }));
+    assert.equal(status, 401);
+
+    const client = new WebSocket(`${wsUrl}/bots/events-bot/events?token=${TOKEN}`);
+    await new Promise((resolve, reject) => {
+      client.on('open', resolve);
+      client.on('error', reject);
+    });
+    const received = new Promise(resolve => client.on('message', data => resolve(JSON.parse(data))));
+    other.emit('joined', { url: 'https://meet.google.com/xyz-abcd-efg' });
+    bot.emit('joinFailed', { url: 'https://meet.google.com/abc-defg-hij', reason: 'denied', error: Object.assign(new Error('Denied'), { reason: 'denied' }) });
+
+    const message = await received;
+    client.close();
+    assert.equal(message.bot, 'events-bot');
+    assert.equal(message.event, 'joinFailed');
+    assert.deepEqual(message.data.error, { name: 'Error', message: 'Denied', reason: 'denied' });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for demo scripts: validation, repeat blocks, error handling, timeouts and resuming
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { DemoScriptRunner, DemoScriptError, validateScript } = require('../lib/demo-script');
+
+/**
+ * Runner wired to a stand-in bot that records what the script does.
+ * Clicking a selector that starts with "#broken" fails.
+ */
+function createRunner(options = {}) {
+  const calls = [];
+  const page = {
+    goto: async url => { calls.push(`goto ${url}`); },
+    locator: selector => ({
+      first: () => ({
+        click: async () => {
+          calls.push(`click ${selector}`);
+          if (selector.startsWith('#broken')) throw new Error(`${selector} not found`);
+        }
+      })
+    })
+  };
+  const runner = new DemoScriptRunner({
+    page,
+    speakAndDo: async (text, fn) => {
+      calls.push(`say ${text}`);
+      await fn();
+    },
+    chat: async text => { calls.push(`chat ${text}`); },
+    shareScreen: async () => {
+      calls.push('share');
+      return true;
+    },
+    ...options
+  });
+  return { runner, calls };
+}
+
+describe('validateScript', () => {
+  it('points at the step that is wrong', () => {
+    const invalid = [
+      [{ steps: [] }, /steps must be a non-empty list of steps/],
+      [{ steps: [{ type: 'dance' }] }, /steps\[0\]\.type must be one of say, goto/],
+      [{ steps: [{ type: 'say', text: 'Hi' }, { type: 'click' }] }, /steps\[1\]\.selector is required for "click" steps/],
+      [{ steps: [{ type: 'wait', ms: 100, onError: 'ignore' }] }, /steps\[0\]\.onError must be one of skip, retry, abort/],
+      [{ steps: [{ type: 'repeat', times: -1, steps: [{ type: 'wait', ms: 1 }] }] }, /steps\[0\]\.times must be a non-negative integer/],
+      [{ steps: [{ type: 'repeat', steps: [{ type: 'share', source: 'printer' }] }] }, /steps\[0\]\.steps\[0\]\.source must be one of/],
+      [{ defaults: { onError: 'explode' }, steps: [{ type: 'wait', ms: 1 }] }, /defaults\.onError must be one of/]
+    ];
+    for (const [script, message] of invalid) {
+      assert.throws(() => validateScript(script), err => err instanceof DemoScriptError && message.test(err.message));
+    }
+    const valid = { steps: [{ type: 'repeat', times: 0, steps: [{ type: 'say', text: 'Hi' }] }] };
+    assert.equal(validateScript(valid), valid);
+  });
+});
+
+describe('DemoScriptRunner', () => {
+  // Every step is logged; keep that out of the test report
+  beforeEach(() => mock.method(console, 'log', () => {}));
+  afterEach(() => mock.restoreAll());
+
+  it('runs repeat blocks the given number of times, and not at all for times: 0', async () => {
+    const { runner, calls } = createRunner();
+    const completed = await runner.run({
+      vars: { product: 'Widgets' },
+      steps: [
+        { type: 'repeat', times: 2, steps: [{ type: 'chat', text: 'Loop {{product}}' }, { type: 'goto', url: 'https://example.com' }] },
+        { type: 'repeat', times: 0, steps: [{ type: 'chat', text: 'Never' }] },
+        { type: 'say', text: 'Done' }
+      ]
+    });
+
+    assert.equal(completed, true);
+    assert.deepEqual(calls, [
+      'chat Loop Widgets', 'goto https://example.com',
+      'chat Loop Widgets', 'goto https://example.com',
+      'say Done'
+    ]);
+    assert.equal(runner.resumeAt, null);
+  });
+
+  it('skips failed steps by default, retries on request and stops the script on abort', async () => {
+    let { runner, calls } = createRunner();
+    assert.equal(await runner.run({
+      steps: [
+        { type: 'click', selector: '#broken-skip' },
+        { type: 'click', selector: '#broken-retry', onError: 'retry', retries: 1 },
+        { type: 'chat', text: 'Still here' }
+      ]
+    }), true);
+    assert.deepEqual(calls, ['click #broken-skip', 'click #broken-retry', 'click #broken-retry', 'chat Still here']);
+
+    mock.method(console, 'error', () => {});
+    ({ runner, calls } = createRunner());
+    assert.equal(await runner.run({
+      defaults: { onError: 'abort' },
+      steps: [{ type: 'chat', text: 'First' }, { type: 'click', selector: '#broken' }, { type: 'chat', text: 'Never' }]
+    }), false);
+    assert.deepEqual(calls, ['chat First', 'click #broken']);
+    assert.equal(runner.resumeAt, null, 'an aborted script is not resumed');
+  });
+
+  it('times a share out by the host\'s share time and ends it before the step is retried', async () => {
+    const events = [];
+    let active = 0;
+    const { runner } = createRunner({
+      shareTimeoutMs: 20,
+      shareScreen: ({ signal }) => new Promise(resolve => {
+        active++;
+        events.push(`share started (${active} running)`);
+        signal.addEventListener('abort', () => setTimeout(() => {
+          active--;
+          events.push('share given up');
+          resolve(false);
+        }, 10));
+      })
+    });
+
+    assert.equal(await runner.run({ steps: [{ type: 'share', onError: 'retry', retries: 1 }] }), true);
+    assert.deepEqual(events, ['share started (1 running)', 'share given up', 'share started (1 running)', 'share given up']);
+  });
+
+  it('resumes from a step and remembers where a stopped script was', async () => {
+    let { runner, calls } = createRunner();
+    const script = { steps: [{ type: 'chat', text: 'One' }, { type: 'chat', text: 'Two' }, { type: 'chat', text: 'Three' }] };
+    assert.equal(await runner.run(script, { startAt: 1 }), true);
+    assert.deepEqual(calls, ['chat Two', 'chat Three']);
+
+    let stepsLeft = 2;
+    ({ runner, calls } = createRunner({ shouldContinue: async () => stepsLeft-- > 0 }));
+    assert.equal(await runner.run(script), false);
+    assert.deepEqual(calls, ['chat One', 'chat Two']);
+    assert.equal(runner.resumeAt, 2);
+  });
+});
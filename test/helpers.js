@@ -0,0 +1,78 @@
+/**
+ * Shared test helpers
+ */
+
+/**
+ * Speech that records what would have been said instead of calling OpenAI
+ */
+function silentSpeech() {
+  const spoken = [];
+  const synthesizeSpeech = async text => {
+    spoken.push(text);
+    return true;
+  };
+  const speakAndDo = async (text, fn) => {
+    await synthesizeSpeech(text);
+    if (fn) await fn();
+    return true;
+  };
+  return { spoken, synthesizeSpeech, speakAndDo };
+}
+
+/**
+ * A mono 16-bit PCM WAV file containing a sine tone
+ */
+function toneWav(durationMs = 800, frequency = 440) {
+  const sampleRate = 16000;
+  const samples = Math.round(sampleRate * durationMs / 1000);
+  const wav = Buffer.alloc(44 + samples * 2);
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + samples * 2, 4);
+  wav.write('WAVEfmt ', 8);
+  wav.writeUInt32LE(16, 16);
+  wav.writeUInt16LE(1, 20);
+  wav.writeUInt16LE(1, 22);
+  wav.writeUInt32LE(sampleRate, 24);
+  wav.writeUInt32LE(sampleRate * 2, 28);
+  wav.writeUInt16LE(2, 32);
+  wav.writeUInt16LE(16, 34);
+  wav.write('data', 36);
+  wav.writeUInt32LE(samples * 2, 40);
+  for (let i = 0; i < samples; i++) {
+    wav.writeInt16LE(Math.round(Math.sin(2 * Math.PI * frequency * i / sampleRate) * 0.5 * 32767), 44 + i * 2);
+  }
+  return wav;
+}
+
+/**
+ * OpenAI client stand-in whose speech endpoint always returns the given audio
+ */
+function fakeOpenAI(audio) {
+  return {
+    audio: {
+      speech: {
+        create: async () => ({ arrayBuffer: async () => audio })
+      }
+    }
+  };
+}
+
+/**
+ * Poll until fn returns a truthy value
+ */
+async function waitUntil(fn, timeoutMs = 10000, message = 'condition') {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = await fn();
+    if (result) return result;
+    await new Promise(res => setTimeout(res, 100));
+  }
+  throw new Error(`Timed out waiting for ${message}`);
+}
+
+module.exports = {
+  silentSpeech,
+  toneWav,
+  fakeOpenAI,
+  waitUntil
+};
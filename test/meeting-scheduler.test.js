@@ -0,0 +1,155 @@
+/**
+ * Tests for scheduled joins: joining early, leaving at the end and not joining twice
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { MeetingScheduler } = require('../lib/meeting-scheduler');
+const { BotManager } = require('../lib/bot-manager');
+const { CalendarError } = require('../lib/calendar');
+const { createConfig } = require('../lib/config');
+
+// Stands in for MeetBot: joins at once and stays until it leaves
+class FakeBot extends EventEmitter {
+  constructor(options) {
+    super();
+    this.options = options;
+    this.page = null;
+  }
+
+  async launch() { this.page = {}; }
+  async join() { return true; }
+  async startSession() {}
+  async leave(reason) { this.emit('left', { reason }); }
+  async close() { this.page = null; this.emit('closed'); }
+}
+
+async function until(check) {
+  for (let i = 0; i < 200 && !check(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.ok(check());
+}
+
+const ICS = `BEGIN:VCALENDAR
+BEGIN:VEVENT
+UID:planning@example.com
+SUMMARY:Sprint Planning
+DTSTART:20260323T100000Z
+DTEND:20260323T103000Z
+URL:https://meet.google.com/abc-defg-hij
+END:VEVENT
+BEGIN:VEVENT
+UID:open@example.com
+SUMMARY:Open Office Hours
+DTSTART:20260323T140000Z
+LOCATION:https://meet.google.com/xyz-abcd-efg
+END:VEVENT
+END:VCALENDAR
+`;
+
+// A pid no process can have (above the Linux limit)
+const DEAD_PID = 4194305;
+
+describe('MeetingScheduler', () => {
+  let dir;
+  let now;
+  let manager;
+
+  const createScheduler = (options = {}) => new MeetingScheduler({
+    manager,
+    calendars: [path.join(dir, 'work.ics')],
+    stateFile: path.join(dir, 'state.json'),
+    now: () => now,
+    ...options
+  });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scheduler-test-'));
+    await fs.writeFile(path.join(dir, 'work.ics'), ICS);
+    manager = new BotManager({ config: createConfig({ demo: { enabled: false } }), logDir: null, createBot: options => new FakeBot(options) });
+  });
+
+  afterEach(async () => {
+    await manager.removeAll();
+    await fs.remove(dir);
+  });
+
+  it('joins shortly before the start and leaves at the scheduled end', async () => {
+    const scheduler = createScheduler({ joinBeforeMinutes: 2 });
+    const leaving = [];
+    scheduler.on('leaving', details => leaving.push(details));
+
+    now = new Date('2026-03-23T09:57:00Z');
+    await scheduler.check();
+    assert.deepEqual(manager.list(), []);
+    assert.equal(scheduler.upcoming()[0].summary, 'Sprint Planning');
+
+    now = new Date('2026-03-23T09:58:00Z');
+    await scheduler.check();
+    const bot = manager.get('sprint-planning-20260323T1000');
+    assert.ok(bot);
+    assert.equal(bot.bot.options.meeting.url, 'https://meet.google.com/abc-defg-hij');
+    await until(() => manager.get(bot.id).phase === 'running');
+
+    now = new Date('2026-03-23T10:15:00Z');
+    await scheduler.check();
+    assert.equal(manager.list().length, 1);
+
+    now = new Date('2026-03-23T10:30:00Z');
+    await scheduler.check();
+    assert.equal(leaving[0].reason, 'end');
+    await until(() => scheduler.state.occurrences[leaving[0].key].status === 'ended');
+    assert.equal(manager.get(bot.id), null);
+    await scheduler.stop();
+
+    // A restart in the middle of the meeting does not join it again
+    now = new Date('2026-03-23T10:20:00Z');
+    const restarted = createScheduler();
+    await restarted.start();
+    await restarted.stop();
+    assert.deepEqual(manager.list(), []);
+  });
+
+  it('leaves events without an end after the maximum duration', async () => {
+    const scheduler = createScheduler({ maxDurationMinutes: 60 });
+    const leaving = [];
+    scheduler.on('leaving', details => leaving.push(details));
+
+    now = new Date('2026-03-23T14:00:00Z');
+    await scheduler.check();
+    assert.ok(manager.get('open-office-hours-20260323T1400'));
+    now = new Date('2026-03-23T15:00:00Z');
+    await scheduler.check();
+    assert.equal(leaving[0].reason, 'max-duration');
+  });
+
+  it('joins again only if the process that joined has stopped', async () => {
+    const key = 'planning@example.com@2026-03-23T10:00:00.000Z';
+    const record = { id: 'sprint-planning-20260323T1000', summary: 'Sprint Planning', end: '2026-03-23T10:30:00.000Z', status: 'joined' };
+    now = new Date('2026-03-23T10:05:00Z');
+
+    // Another scheduler (the parent of this test run) is still in the meeting
+    await fs.writeJson(path.join(dir, 'state.json'), { occurrences: { [key]: { ...record, pid: process.ppid } } });
+    const scheduler = createScheduler();
+    await scheduler.start();
+    await scheduler.stop();
+    assert.deepEqual(manager.list(), []);
+
+    await fs.writeJson(path.join(dir, 'state.json'), { occurrences: { [key]: { ...record, pid: DEAD_PID } } });
+    const takeover = createScheduler();
+    await takeover.start();
+    await takeover.stop();
+    assert.deepEqual(manager.list().map(({ id }) => id), ['sprint-planning-20260323T1000']);
+    const saved = await fs.readJson(path.join(dir, 'state.json'));
+    assert.equal(saved.occurrences[key].pid, process.pid);
+  });
+
+  it('rejects unknown time zones', () => {
+    assert.throws(() => createScheduler({ timeZone: 'Mars/Olympus_Mons' }), CalendarError);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests for the meeting state machine and how page states are read from the DOM
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { MeetingStateMachine, detectState } = require('../lib/meeting-state');
+const { createSelectors } = require('../lib/selectors');
+
+const element = innerText => ({ innerText, getBoundingClientRect: () => ({ width: 100, height: 20 }) });
+
+/**
+ * Puts a minimal DOM on the globals: `elements` maps a CSS selector to what it matches,
+ * `text` is the body's visible text (which includes the text of those elements)
+ */
+function fakeDom({ elements = {}, text = '' }) {
+  global.window = {};
+  global.document = {
+    readyState: 'complete',
+    documentElement: {},
+    body: { innerText: [text, ...Object.values(elements).flat().map(({ innerText }) => innerText)].join('\n') },
+    querySelectorAll: selectors => selectors.split(',').flatMap(selector => elements[selector.trim()] || [])
+  };
+  global.getComputedStyle = () => ({ visibility: 'visible' });
+  global.MutationObserver = class {
+    observe() {}
+  };
+}
+
+// Runs page functions against the fake DOM
+const fakePage = { evaluate: async (fn, arg) => fn(arg), isClosed: () => false };
+
+describe('MeetingStateMachine', () => {
+  // Every transition is logged; keep that out of the test report
+  beforeEach(() => mock.method(console, 'log', () => {}));
+  afterEach(() => mock.restoreAll());
+
+  it('passes through admitted on the way into the call and ignores transitions that are not allowed', () => {
+    const machine = new MeetingStateMachine();
+    const transitions = [];
+    machine.on('transition', ({ from, to, reason }) => transitions.push(`${from} → ${to} (${reason})`));
+
+    machine.observe('navigating', 'goto');
+    machine.observe('left');
+    machine.observe('in-call');
+    machine.observe('presenting');
+    machine.observe('in-call');
+    machine.observe(null);
+    machine.observe('call-ended');
+
+    assert.deepEqual(transitions, [
+      'idle → navigating (goto)',
+      'navigating → admitted (dom)',
+      'admitted → in-call (dom)',
+      'in-call → presenting (dom)',
+      'presenting → in-call (dom)',
+      'in-call → call-ended (dom)'
+    ]);
+    assert.equal(machine.isTerminal(), true);
+    assert.deepEqual(machine.history.map(({ state }) => state),
+      ['idle', 'navigating', 'admitted', 'in-call', 'presenting', 'in-call', 'call-ended']);
+  });
+
+  it('resolves waitFor once a wanted state is reached, or null on timeout', async () => {
+    const machine = new MeetingStateMachine();
+    machine.transition('navigating');
+    const waiting = machine.waitFor(['prejoin', 'waiting-for-admission'], 1000);
+    machine.observe('waiting-for-admission');
+    assert.equal(await waiting, 'waiting-for-admission');
+    assert.equal(await machine.waitFor(['in-call'], 10), null);
+  });
+});
+
+describe('detectState', () => {
+  const selectors = createSelectors();
+  const leaveButton = selectors.get('leaveButton')[0];
+  const chatMessage = selectors.get('chatMessageGroup')[1];
+  const caption = selectors.get('captionEntry')[1];
+
+  afterEach(() => {
+    delete global.window;
+    delete global.document;
+    delete global.getComputedStyle;
+    delete global.MutationObserver;
+  });
+
+  it('trusts the call controls over any text on the page', async () => {
+    fakeDom({ elements: { [leaveButton]: [element('')] }, text: 'Slide 3: Return to home screen' });
+    assert.equal(await detectState(fakePage), 'in-call');
+
+    fakeDom({
+      elements: { [leaveButton]: [element('')], [selectors.get('stopPresentingButton')[0]]: [element('Stop presenting')] },
+      text: 'Ask to join'
+    });
+    assert.equal(await detectState(fakePage), 'presenting');
+  });
+
+  it('reads Meet notices but not the same words in chat, captions or names', async () => {
+    fakeDom({ text: 'You\'ve been removed from the meeting\nReturn to home screen' });
+    assert.equal(await detectState(fakePage), 'removed');
+
+    fakeDom({
+      text: 'Ready to join?\nJoin now',
+      elements: {
+        [chatMessage]: [element('Alice 10:02\nThe call has ended for me, brb')],
+        [caption]: [element('Carol: You left the meeting')]
+      }
+    });
+    assert.equal(await detectState(fakePage), 'prejoin');
+
+    fakeDom({ elements: { [chatMessage]: [element('Mallory\nYou\'ve been removed from the meeting')] } });
+    assert.equal(await detectState(fakePage), null);
+  });
+
+  it('uses the indicators of the Meet UI locale', async () => {
+    mock.method(console, 'log', () => {});
+    const machine = new MeetingStateMachine({ selectors: createSelectors('de') });
+    try {
+      machine.page = fakePage;
+      machine.transition('navigating');
+      machine.observe('in-call');
+      fakeDom({ text: 'Sie haben die Besprechung verlassen' });
+      assert.equal(await machine.refresh(), 'left');
+    } finally {
+      mock.restoreAll();
+    }
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for the exclusive page-action scheduler
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PageScheduler, SchedulerTimeoutError } = require('../lib/page-scheduler');
+const { waitUntil } = require('./helpers');
+
+const delay = ms => new Promise(res => setTimeout(res, ms));
+
+describe('PageScheduler', () => {
+  it('runs one page action at a time, highest priority first', async () => {
+    const scheduler = new PageScheduler();
+    const log = [];
+    let running = 0;
+    const task = name => async () => {
+      running++;
+      assert.equal(running, 1, `${name} ran alongside another task`);
+      log.push(name);
+      await delay(20);
+      running--;
+      return name;
+    };
+
+    const results = await Promise.all([
+      scheduler.run('first', task('first')),
+      scheduler.run('keep-alive', task('keep-alive'), { priority: 'low' }),
+      scheduler.run('demo', task('demo')),
+      scheduler.run('share', task('share'), { priority: 'high' })
+    ]);
+    assert.deepEqual(results, ['first', 'keep-alive', 'demo', 'share']);
+    assert.deepEqual(log, ['first', 'share', 'demo', 'keep-alive']);
+  });
+
+  it('lets the task holding the page run nested actions', async () => {
+    const scheduler = new PageScheduler();
+    const result = await scheduler.run('demo step', () => scheduler.run('share screen', async () => 'shared'));
+    assert.equal(result, 'shared');
+  });
+
+  it('frees the page when a task times out', async () => {
+    const scheduler = new PageScheduler();
+    const hung = scheduler.run('hung', () => new Promise(() => {}), { timeoutMs: 30 });
+    const next = scheduler.run('next', async () => 'ran');
+
+    await assert.rejects(hung, SchedulerTimeoutError);
+    assert.equal(await next, 'ran');
+    assert.equal(scheduler.status().tasks.hung.timeouts, 1);
+  });
+
+  it('skips background ticks while foreground work pauses them', async () => {
+    const scheduler = new PageScheduler();
+    const skipped = [];
+    scheduler.on('skipped', event => skipped.push(event));
+    let ticks = 0;
+    const handle = scheduler.every('keep-alive', 20, async () => { ticks++; });
+
+    try {
+      await scheduler.run('demo step', () => delay(70), { pauseBackground: true });
+      assert.equal(ticks, 0);
+      assert.ok(skipped.length >= 2);
+      assert.equal(skipped[0].reason, 'paused');
+
+      await waitUntil(() => ticks > 0, 1000, 'background tick after the demo step');
+      const stats = scheduler.status().tasks['keep-alive'];
+      assert.ok(stats.skipped >= 2);
+      assert.ok(stats.runs >= 1);
+    } finally {
+      handle.cancel();
+    }
+  });
+
+  it('reports recurring tasks that start late or are still running', async () => {
+    const scheduler = new PageScheduler();
+    const late = [];
+    scheduler.on('late', event => late.push(event));
+    const slow = scheduler.every('slow', 20, () => delay(50));
+    const blocked = scheduler.every('blocked', 30, async () => {}, { lateAfterMs: 5 });
+
+    try {
+      await waitUntil(() => late.some(event => event.name === 'blocked'), 2000, 'a late start');
+      scheduler.cancelAll();
+      assert.ok(scheduler.status().tasks.slow.skipped >= 1, 'overlapping tick was skipped');
+    } finally {
+      slow.cancel();
+      blocked.cancel();
+    }
+  });
+});
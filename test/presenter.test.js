@@ -0,0 +1,87 @@
+/**
+ * Tests for presenter tabs and the Meet tab navigation guard
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { PresenterTabs, PresenterError, MeetTabGuardError, guardMeetTab } = require('../lib/presenter');
+
+/**
+ * Minimal stand-in for a Playwright page that records navigation and focus
+ */
+function fakePage(log, label, url = 'about:blank') {
+  const page = new EventEmitter();
+  let closed = false;
+  let currentUrl = url;
+  Object.assign(page, {
+    label,
+    url: () => currentUrl,
+    isClosed: () => closed,
+    setDefaultTimeout() {},
+    async goto(target) {
+      currentUrl = target;
+      log.push(`${label} goto ${target}`);
+    },
+    async bringToFront() {
+      log.push(`${label} front`);
+    },
+    async close() {
+      closed = true;
+      page.emit('close');
+    }
+  });
+  return page;
+}
+
+function fakeContext(log) {
+  let count = 0;
+  return { newPage: async () => fakePage(log, `tab${++count}`) };
+}
+
+describe('PresenterTabs', () => {
+  it('opens, switches and closes named demo tabs', async () => {
+    const log = [];
+    const meetPage = fakePage(log, 'meet');
+    const tabs = new PresenterTabs({ context: fakeContext(log), meetPage });
+
+    const first = await tabs.open();
+    await tabs.open('docs', 'https://example.com/docs');
+    assert.deepEqual(tabs.names(), ['demo', 'docs']);
+    assert.equal(tabs.current.label, 'tab2');
+
+    assert.equal(await tabs.switchTo('demo'), first);
+    await tabs.close('demo');
+    assert.deepEqual(tabs.names(), ['docs']);
+    assert.equal(tabs.current.label, 'tab2');
+    assert.deepEqual(log, ['tab1 front', 'tab2 goto https://example.com/docs', 'tab2 front', 'tab1 front', 'tab2 front']);
+
+    await assert.rejects(tabs.switchTo('demo'), PresenterError);
+  });
+
+  it('reuses an open tab and forgets tabs closed by the page itself', async () => {
+    const tabs = new PresenterTabs({ context: fakeContext([]), meetPage: fakePage([], 'meet') });
+    const page = await tabs.open();
+    assert.equal(await tabs.open(), page);
+
+    await page.close();
+    assert.equal(tabs.current, null);
+    assert.deepEqual(tabs.names(), []);
+  });
+});
+
+describe('guardMeetTab', () => {
+  it('refuses to navigate the Meet tab away from the meeting', async () => {
+    const log = [];
+    const page = fakePage(log, 'meet', 'https://meet.google.com/abc-defg-hij');
+    const unguard = guardMeetTab(page, 'https://meet.google.com/abc-defg-hij');
+
+    await page.goto('https://meet.google.com/xyz-abcd-efg');
+    await assert.rejects(page.goto('https://news.google.com'), MeetTabGuardError);
+    assert.deepEqual(log, ['meet goto https://meet.google.com/xyz-abcd-efg']);
+
+    unguard();
+    await page.goto('https://news.google.com');
+    assert.equal(page.url(), 'https://news.google.com');
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for the reconnect supervisor: detecting a lost call, backoff, the retry budget and giving up
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ReconnectSupervisor } = require('../lib/reconnect');
+const { JoinError } = require('../lib/meet');
+
+const ONLINE = { online: true, lostNotice: false, rejoinPrompt: false };
+
+// Fails the first `failures` rejoins (with `error`), then succeeds
+function createSupervisor({ failures = 0, error = new JoinError('no-response'), connection = ONLINE, ...options } = {}) {
+  const rejoins = [];
+  const supervisor = new ReconnectSupervisor({
+    checkConnection: async () => connection,
+    rejoin: async snapshot => {
+      rejoins.push(snapshot);
+      if (rejoins.length <= failures) throw error;
+    },
+    initialDelayMs: 1,
+    maxDelayMs: 4,
+    checkIntervalMs: 60000,
+    ...options
+  });
+  const events = [];
+  for (const event of ['connectionLost', 'reconnecting', 'reconnected', 'reconnectFailed']) {
+    supervisor.on(event, details => events.push({ event, ...details }));
+  }
+  return { supervisor, rejoins, events };
+}
+
+describe('ReconnectSupervisor', () => {
+  let supervisor;
+
+  // Every attempt is logged; keep that out of the test report
+  beforeEach(() => mock.method(console, 'log', () => {}));
+
+  afterEach(() => {
+    supervisor.cancel();
+    mock.restoreAll();
+  });
+
+  it('doubles the wait between attempts up to maxDelayMs', () => {
+    ({ supervisor } = createSupervisor({ initialDelayMs: 2000, maxDelayMs: 60000 }));
+    assert.deepEqual([1, 2, 3, 4, 5, 6, 7].map(attempt => supervisor.delayFor(attempt)),
+      [2000, 4000, 8000, 16000, 32000, 60000, 60000]);
+  });
+
+  it('retries until the rejoin succeeds and reports every attempt', async () => {
+    let rejoins;
+    let events;
+    ({ supervisor, rejoins, events } = createSupervisor({ failures: 2 }));
+    const snapshot = { sharing: { source: 'tab', tab: 'demo' }, demo: { startAt: 3 } };
+
+    assert.equal(await supervisor.recover('page-crash', snapshot), true);
+    assert.deepEqual(rejoins, [snapshot, snapshot, snapshot]);
+    assert.deepEqual(events.map(({ event, attempt, delayMs }) => [event, attempt, delayMs]), [
+      ['reconnecting', 1, 1],
+      ['reconnecting', 2, 2],
+      ['reconnecting', 3, 4],
+      ['reconnected', undefined, undefined]
+    ]);
+    assert.equal(events[1].lastError.reason, 'no-response');
+    assert.equal(events[3].attempts, 3);
+    assert.equal(supervisor.recovering, false);
+  });
+
+  it('gives up after maxAttempts, or at once when rejoining cannot help', async () => {
+    let rejoins;
+    let events;
+    ({ supervisor, rejoins, events } = createSupervisor({ failures: 10, maxAttempts: 3 }));
+    assert.equal(await supervisor.recover('network'), false);
+    assert.equal(rejoins.length, 3);
+    const failed = events.at(-1);
+    assert.equal(failed.event, 'reconnectFailed');
+    assert.equal(failed.attempts, 3);
+    assert.equal(failed.error.reason, 'no-response');
+
+    ({ supervisor, rejoins, events } = createSupervisor({ failures: 10, error: new JoinError('denied') }));
+    assert.equal(await supervisor.recover('left'), false);
+    assert.equal(rejoins.length, 1);
+    assert.equal(events.at(-1).error.reason, 'denied');
+  });
+
+  it('stops waiting when cancelled', async () => {
+    let rejoins;
+    let events;
+    ({ supervisor, rejoins, events } = createSupervisor({ initialDelayMs: 60000 }));
+    const recovering = supervisor.recover('network');
+    supervisor.cancel();
+    assert.equal(await recovering, false);
+    assert.deepEqual(rejoins, []);
+    assert.deepEqual(events.map(({ event }) => event), ['reconnecting']);
+  });
+
+  it('reports a rejoin prompt at once and an offline page after the grace period', async () => {
+    let events;
+    const connection = { ...ONLINE };
+    ({ supervisor, events } = createSupervisor({ connection, offlineGraceMs: 20000 }));
+    supervisor.start();
+    connection.online = false;
+    assert.equal(await supervisor.check(1000), null);
+    assert.equal(await supervisor.check(15000), null);
+    connection.online = true;
+    assert.equal(await supervisor.check(16000), null);
+    // Meet came back in time, so the grace period starts over
+    connection.lostNotice = true;
+    assert.equal(await supervisor.check(20000), null);
+    assert.equal(await supervisor.check(40000), 'network');
+    assert.deepEqual(events, [{ event: 'connectionLost', cause: 'network' }]);
+    // Stopped once reported
+    assert.equal(await supervisor.check(50000), null);
+
+    supervisor.start();
+    Object.assign(connection, ONLINE, { rejoinPrompt: true });
+    assert.equal(await supervisor.check(60000), 'rejoin-prompt');
+  });
+
+  it('rejoins after removal only when configured to, and never after the call ended', () => {
+    ({ supervisor } = createSupervisor());
+    assert.equal(supervisor.isRecoverable('network'), true);
+    assert.equal(supervisor.isRecoverable('left'), true);
+    assert.equal(supervisor.isRecoverable('removed'), false);
+    assert.equal(supervisor.isRecoverable('call-ended'), false);
+    supervisor.afterRemoval = true;
+    assert.equal(supervisor.isRecoverable('removed'), true);
+  });
+});
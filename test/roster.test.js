@@ -0,0 +1,89 @@
+/**
+ * Tests for roster bookkeeping and the attendance report
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { Roster, formatAttendanceCsv, writeAttendanceReport } = require('../lib/roster');
+
+const start = new Date('2026-03-02T10:00:00Z');
+const at = seconds => new Date(start.getTime() + seconds * 1000);
+const tile = (id, name, extra = {}) => ({ id, name, role: '', self: false, inPanel: false, onTile: true, ...extra });
+const listed = (id, name, role = '') => ({ id, name, role, self: false, inPanel: true, onTile: false });
+
+describe('Roster', () => {
+  it('reports joins, leaves and role changes', () => {
+    const roster = new Roster();
+    const events = [];
+    for (const event of ['participantJoined', 'participantLeft', 'participantChanged']) {
+      roster.on(event, ({ name, role }) => events.push(`${event} ${name} ${role}`));
+    }
+    roster.start(start);
+
+    roster.update({ panelOpen: false, participants: [tile('1', 'Test Bot', { self: true }), tile('2', 'Alice')] }, at(0));
+    roster.update({
+      panelOpen: true,
+      // An entry is merged from the tile and the panel when both show someone
+      participants: [tile('1', 'Test Bot', { self: true, inPanel: true }), tile('2', 'Alice', { inPanel: true, role: 'Meeting host' })]
+    }, at(5));
+    roster.update({ panelOpen: false, participants: [tile('1', 'Test Bot', { self: true })] }, at(10));
+
+    assert.deepEqual(events, [
+      'participantJoined Test Bot participant',
+      'participantJoined Alice participant',
+      'participantChanged Alice host',
+      'participantLeft Alice host'
+    ]);
+    assert.deepEqual(roster.participants().map(({ name, self }) => `${name} ${self}`), ['Test Bot true']);
+  });
+
+  it('keeps people only the People panel listed until the panel shows they left', () => {
+    const roster = new Roster();
+    const left = [];
+    roster.on('participantLeft', ({ name }) => left.push(name));
+    roster.start(start);
+
+    roster.update({ panelOpen: true, participants: [tile('1', 'Alice', { inPanel: true }), listed('2', 'Bob')] }, at(0));
+    roster.update({ panelOpen: false, participants: [tile('1', 'Alice')] }, at(5));
+    assert.deepEqual(roster.participants().map(({ name }) => name), ['Alice', 'Bob']);
+
+    roster.update({ panelOpen: true, participants: [tile('1', 'Alice', { inPanel: true })] }, at(10));
+    assert.deepEqual(left, ['Bob']);
+  });
+
+  it('adds up every stay per person in the attendance report', () => {
+    const roster = new Roster();
+    roster.start(start);
+    roster.update({ panelOpen: false, participants: [tile('1', 'Alice')] }, at(0));
+    roster.update({ panelOpen: false, participants: [tile('1', 'Alice')] }, at(60));
+    roster.update({ panelOpen: false, participants: [] }, at(65));
+    // Rejoining gives Meet a new participant id
+    roster.update({ panelOpen: false, participants: [tile('9', 'Alice'), tile('2', 'Bob')] }, at(120));
+
+    const report = roster.finish(at(180));
+    assert.deepEqual(report.participants.map(({ name, totalMs, stays }) => [name, totalMs, stays]), [
+      ['Alice', 120000, 2],
+      ['Bob', 60000, 1]
+    ]);
+    assert.deepEqual(report.participants[0].lastSeen, at(180));
+    assert.equal(roster.finish(), null);
+
+    assert.equal(formatAttendanceCsv(report).split('\n')[1], `Alice,participant,false,${at(0).toISOString()},${at(180).toISOString()},120,2`);
+  });
+
+  it('writes the report as JSON and CSV', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'attendance-test-'));
+    try {
+      const report = { startedAt: start, endedAt: at(60), participants: [] };
+      const files = await writeAttendanceReport(report, { dir, meetingUrl: 'https://meet.google.com/abc-defg-hij' });
+      assert.deepEqual(Object.keys(files), ['json', 'csv']);
+      assert.equal(JSON.parse(await fs.readFile(files.json, 'utf8')).meetingUrl, 'https://meet.google.com/abc-defg-hij');
+      assert.equal(await fs.readFile(files.csv, 'utf8'), 'name,role,self,first_seen,last_seen,total_seconds,stays\n');
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Tests for capture-source selection
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { CAPTURE_TITLE, ScreenShareError, captureFlags, markCaptureTarget } = require('../lib/screen-share');
+
+describe('captureFlags', () => {
+  it('always auto-selects the marked tab and adds the desktop source when configured', () => {
+    const tabFlag = `--auto-select-tab-capture-source-by-title=${CAPTURE_TITLE}`;
+    assert.deepEqual(captureFlags({ source: 'tab' }), [tabFlag]);
+    assert.deepEqual(captureFlags({ source: 'screen' }), [tabFlag, '--auto-select-desktop-capture-source=Entire screen']);
+    assert.deepEqual(captureFlags({ source: 'window', windowTitle: 'Slides' }), [tabFlag, '--auto-select-desktop-capture-source=Slides']);
+  });
+
+  it('rejects unknown sources and windows without a title', () => {
+    assert.throws(() => captureFlags({ source: 'monitor' }), ScreenShareError);
+    assert.throws(() => captureFlags({ source: 'window' }), /windowTitle is required/);
+  });
+});
+
+describe('markCaptureTarget', () => {
+  afterEach(() => {
+    delete global.document;
+  });
+
+  it('renames the tab until the share has started', async () => {
+    // The page functions run against this stand-in document
+    global.document = { title: 'Dashboard' };
+    const page = { isClosed: () => false, evaluate: async (fn, arg) => fn(arg) };
+
+    const restore = await markCaptureTarget(page);
+    assert.equal(document.title, CAPTURE_TITLE);
+    await restore();
+    assert.equal(document.title, 'Dashboard');
+  });
+});
@@ -0,0 +1,446 @@
+/**
+ * End-to-end tests of the bot flows against the offline Meet simulator
+ * Run with: npm test (needs Chromium: npx playwright install chromium)
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+const { MeetSimulator } = require('../simulator/server');
+const { MeetBot } = require('../lib/meet-bot');
+const { JoinError } = require('../lib/meet');
+const { MeetTabGuardError } = require('../lib/presenter');
+const { ScreenShareError } = require('../lib/screen-share');
+const { silentSpeech, toneWav, fakeOpenAI, waitUntil } = require('./helpers');
+
+const BROWSER_MISSING = !fs.existsSync(chromium.executablePath())
+  && 'Chromium is not installed (run: npx playwright install chromium)';
+
+describe('simulator host API', () => {
+  const simulator = new MeetSimulator();
+
+  before(() => simulator.start());
+  after(() => simulator.stop());
+
+  const request = async (method, path, body) => {
+    const res = await fetch(`${simulator.url}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  it('lets a host create a meeting and admit a guest from the lobby', async () => {
+    const created = await request('POST', '/api/meetings', { code: 'api-test-one', access: 'ask' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.url, `${simulator.url}/api-test-one`);
+
+    const joined = await request('POST', '/api/meetings/api-test-one/guests', { name: 'Guest' });
+    assert.equal(joined.body.guest.status, 'waiting');
+
+    await request('POST', '/api/meetings/api-test-one/admit', {});
+    const polled = await request('GET', `/api/meetings/api-test-one/guests/${joined.body.guest.id}`);
+    assert.equal(polled.body.guest.status, 'in-call');
+  });
+
+  it('returns 404 for unknown meetings and 401 for signed-out guests', async () => {
+    assert.equal((await request('GET', '/api/meetings/zzz-zzzz-zzz')).status, 404);
+
+    simulator.createMeeting('api-test-two', { requireSignIn: true });
+    const joined = await request('POST', '/api/meetings/api-test-two/guests', { name: 'Guest' });
+    assert.equal(joined.status, 401);
+  });
+
+  it('grows a caption block in place until a new one starts', async () => {
+    simulator.createMeeting('api-test-cap');
+    const first = await request('POST', '/api/meetings/api-test-cap/captions', { speaker: 'Alice', text: 'Hello' });
+    await request('POST', '/api/meetings/api-test-cap/captions', { speaker: 'Alice', text: 'Hello there', id: first.body.id });
+    await request('POST', '/api/meetings/api-test-cap/captions', { speaker: 'Bob', text: 'Hi' });
+
+    const joined = await request('POST', '/api/meetings/api-test-cap/guests', { name: 'Guest' });
+    assert.deepEqual(joined.body.captions.map(({ speaker, text }) => `${speaker}: ${text}`), ['Alice: Hello there', 'Bob: Hi']);
+  });
+
+  it('rejects invalid meeting codes', () => {
+    assert.throws(() => simulator.createMeeting('not a code'), /Invalid meeting code/);
+  });
+});
+
+describe('bot flows against the simulator', { skip: BROWSER_MISSING }, () => {
+  const simulator = new MeetSimulator();
+  let bot;
+  let speech;
+
+  before(() => simulator.start());
+  after(() => simulator.stop());
+
+  afterEach(async () => {
+    if (bot) await bot.close();
+    bot = null;
+  });
+
+  async function launchBot(config = {}) {
+    speech = silentSpeech();
+    bot = new MeetBot({
+      speech,
+      ...config,
+      identity: { name: 'Test Bot' },
+      browser: { headless: true },
+      meeting: { joinRetries: 1, retryDelayMs: 0, ...config.meeting },
+      roster: { report: false, ...config.roster }
+    });
+    await bot.launch();
+    return bot;
+  }
+
+  it('joins an open meeting with "Join now", camera off and microphone on', async () => {
+    const url = simulator.createMeeting('opn-meet-ing', { participants: ['Alice'] });
+    await launchBot();
+    const joined = new Promise(resolve => bot.once('joined', resolve));
+
+    assert.equal(await bot.join(url), true);
+    assert.deepEqual(await joined, { url });
+    assert.equal(bot.state, 'in-call');
+    assert.ok(await bot.isInMeeting());
+
+    const [guest] = simulator.getMeeting('opn-meet-ing').guests;
+    assert.equal(guest.status, 'in-call');
+    assert.equal(guest.camera, false);
+    assert.equal(guest.microphone, true);
+    assert.ok(speech.spoken.some(text => text.startsWith('Hello everyone')));
+  });
+
+  it('asks to join with the guest name and waits in the lobby until admitted', async () => {
+    const url = simulator.createMeeting('ask-join-lby', { access: 'ask' });
+    await launchBot();
+    const states = [];
+    bot.on('stateChange', ({ to }) => states.push(to));
+
+    const joining = bot.join(url);
+    await waitUntil(() => simulator.getMeeting('ask-join-lby').guests.some(guest => guest.status === 'waiting'),
+      15000, 'the bot to ask to join');
+    await waitUntil(() => bot.state === 'waiting-for-admission', 5000, 'the lobby state');
+    simulator.admit('ask-join-lby');
+
+    assert.equal(await joining, true);
+    assert.equal(simulator.getMeeting('ask-join-lby').guests[0].name, 'Test Bot');
+    assert.deepEqual(states.slice(states.indexOf('waiting-for-admission')), ['waiting-for-admission', 'admitted', 'in-call']);
+  });
+
+  it('fails with reason "denied" when the host declines', async () => {
+    const url = simulator.createMeeting('dny-join-req', { access: 'ask' });
+    await launchBot();
+
+    const joining = bot.join(url);
+    await waitUntil(() => simulator.getMeeting('dny-join-req').guests.some(guest => guest.status === 'waiting'),
+      15000, 'the bot to ask to join');
+    simulator.deny('dny-join-req');
+
+    await assert.rejects(joining, err => err instanceof JoinError && err.reason === 'denied');
+  });
+
+  it('fails with reason "admission-timeout" when nobody lets the bot in', async () => {
+    const url = simulator.createMeeting('tim-eout-lby', { access: 'ask' });
+    await launchBot({ meeting: { admissionTimeoutMs: 2000 } });
+
+    await assert.rejects(bot.join(url), err => err instanceof JoinError && err.reason === 'admission-timeout');
+  });
+
+  it('fails with reason "meeting-not-found" for an unknown code', async () => {
+    await launchBot();
+    await assert.rejects(bot.join(`${simulator.url}/zzz-zzzz-zzz`),
+      err => err instanceof JoinError && err.reason === 'meeting-not-found');
+  });
+
+  it('waits for a manual sign-in before joining', async () => {
+    const url = simulator.createMeeting('sig-ninf-rst', { requireSignIn: true });
+    await launchBot();
+
+    const joining = bot.join(url);
+    await waitUntil(() => bot.state === 'signin-required', 15000, 'the sign-in prompt');
+    await bot.page.fill('input[type="email"]', 'bot@example.com');
+    await bot.page.click('button:has-text("Next")');
+
+    assert.equal(await joining, true);
+    assert.equal(simulator.getMeeting('sig-ninf-rst').guests[0].name, 'bot@example.com');
+  });
+
+  it('speaks into the meeting through the injected microphone', async () => {
+    const url = simulator.createMeeting('mic-inje-cts');
+    await launchBot({ speech: undefined, openai: fakeOpenAI(toneWav()), voice: { format: 'wav', output: 'page' } });
+    await bot.join(url);
+    await waitUntil(() => simulator.getMeeting('mic-inje-cts').guests[0].speechCount >= 1, 10000, 'the greeting to be heard');
+
+    assert.equal(await bot.say('Can you hear me?'), true);
+    await waitUntil(() => simulator.getMeeting('mic-inje-cts').guests[0].speechCount >= 2, 5000, 'the second utterance');
+  });
+
+  it('presents the demo tab, switches tabs mid-call and stops sharing', async () => {
+    const url = simulator.createMeeting('sha-resc-ren');
+    await launchBot();
+    await bot.join(url);
+    const events = [];
+    bot.on('sharing', ({ tab }) => events.push(`sharing ${tab}`));
+    bot.on('sharingStopped', ({ tab, reason }) => events.push(`${reason} ${tab}`));
+
+    assert.equal(await bot.shareScreen(), true);
+    const [guest] = simulator.getMeeting('sha-resc-ren').guests;
+    assert.equal(simulator.getMeeting('sha-resc-ren').presenter, guest.id);
+    assert.equal(simulator.getMeeting('sha-resc-ren').presentedSource, 'tab');
+    assert.equal(bot.state, 'presenting');
+    assert.deepEqual(bot.presenter.names(), ['demo']);
+
+    await bot.presenter.open('docs', 'data:text/html,<title>Docs</title>');
+    assert.equal(await bot.shareScreen({ tab: 'docs' }), true);
+    assert.equal(bot.sharing.tab, 'docs');
+    assert.equal(await bot.presenter.current.title(), 'Docs');
+
+    assert.equal(await bot.stopSharing(), true);
+    assert.equal(simulator.getMeeting('sha-resc-ren').presenter, null);
+    assert.equal(bot.state, 'in-call');
+    assert.equal(bot.sharing, null);
+    assert.deepEqual(events, ['sharing demo', 'stopped demo', 'sharing docs', 'stopped docs']);
+  });
+
+  it('shares the entire screen when configured to', async () => {
+    const url = simulator.createMeeting('sha-rewh-ole');
+    await launchBot({ screenShare: { source: 'screen' } });
+    await bot.join(url);
+
+    assert.equal(await bot.shareScreen(), true);
+    assert.equal(simulator.getMeeting('sha-rewh-ole').presentedSource, 'screen');
+    await assert.rejects(bot.shareScreen({ source: 'window' }), ScreenShareError);
+  });
+
+  it('browses the demo in presenter tabs while the call tab stays on the meeting', async () => {
+    const url = simulator.createMeeting('pre-sent-tab');
+    await launchBot();
+    await bot.join(url);
+
+    const completed = await bot.runDemo({
+      steps: [
+        { type: 'goto', url: 'data:text/html,<input id="q">' },
+        { type: 'fill', selector: '#q', value: 'hello' },
+        { type: 'tab', action: 'open', name: 'second', url: 'data:text/html,<h1>Second</h1>' },
+        { type: 'tab', action: 'switch', name: 'demo' },
+        { type: 'tab', action: 'close', name: 'second' }
+      ]
+    });
+    assert.equal(completed, true);
+    assert.deepEqual(bot.presenter.names(), ['demo']);
+    assert.equal(await bot.presenter.current.locator('#q').inputValue(), 'hello');
+    assert.equal(bot.page.url(), url);
+    assert.equal(await bot.isInMeeting(), true);
+
+    await assert.rejects(bot.page.goto('https://example.com/'), MeetTabGuardError);
+    assert.equal(bot.page.url(), url);
+  });
+
+  it('turns on captions and writes what participants say to the transcript', async () => {
+    const url = simulator.createMeeting('cap-tion-log');
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'transcript-e2e-'));
+    try {
+      await launchBot({ captions: { dir, finalizeAfterMs: 300 } });
+      await bot.join(url);
+      const files = await bot.startTranscript();
+
+      const id = simulator.caption('cap-tion-log', 'Alice', 'Welcome');
+      await bot.page.getByText('Welcome', { exact: true }).waitFor();
+      simulator.caption('cap-tion-log', 'Alice', 'Welcome to the demo', id);
+      simulator.caption('cap-tion-log', 'Bob', 'Thanks Alice');
+      await waitUntil(() => bot.transcript().length === 2, 5000, 'two utterances');
+
+      assert.deepEqual(bot.transcript().map(({ speaker, text }) => `${speaker}: ${text}`).sort(),
+        ['Alice: Welcome to the demo', 'Bob: Thanks Alice']);
+      await bot.stopTranscript();
+      const text = fs.readFileSync(files.txt, 'utf8');
+      assert.match(text, /Alice: Welcome to the demo/);
+      assert.match(fs.readFileSync(files.srt, 'utf8'), /^1\n00:00:\d\d,\d{3} --> /);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('posts chat messages into the meeting', async () => {
+    const url = simulator.createMeeting('cha-tmes-sge');
+    await launchBot();
+    await bot.join(url);
+
+    await bot.chat('Hello from the bot');
+    await waitUntil(() => simulator.getMeeting('cha-tmes-sge').chat.length > 0, 5000, 'the chat message');
+    const [message] = simulator.getMeeting('cha-tmes-sge').chat;
+    assert.equal(message.from, 'Test Bot');
+    assert.equal(message.text, 'Hello from the bot');
+  });
+
+  it('reads the meeting chat and tells its own messages apart', async () => {
+    const url = simulator.createMeeting('cha-trea-der');
+    await launchBot();
+    await bot.join(url);
+    const received = [];
+    bot.on('chatMessage', ({ sender, text, self }) => received.push(`${self ? 'self' : sender}: ${text}`));
+    await bot.startChat();
+
+    simulator.postMessage('cha-trea-der', 'Alice', 'Can you share the slides?');
+    await waitUntil(() => received.length === 1, 5000, 'Alice\'s message');
+    assert.equal(await bot.chat('Sharing them now'), true);
+    await waitUntil(() => received.length === 2, 5000, 'the bot\'s own message');
+
+    assert.deepEqual(received, ['Alice: Can you share the slides?', 'self: Sharing them now']);
+    assert.match(bot.chatMessages()[0].time, /\d:\d\d/);
+  });
+
+  it('follows chat commands from allowed participants only', async () => {
+    const url = simulator.createMeeting('cha-tcom-mnd');
+    await launchBot({ commands: { allow: ['Alice'] } });
+    await bot.join(url);
+    const commands = [];
+    bot.on('chatCommand', ({ name, sender }) => commands.push(`${sender} ${name}`));
+    await bot.startChat();
+
+    simulator.postMessage('cha-tcom-mnd', 'Mallory', '!mute');
+    simulator.postMessage('cha-tcom-mnd', 'Alice', '!mute');
+    await waitUntil(() => commands.length === 1, 5000, 'the mute command');
+    await waitUntil(() => !simulator.getMeeting('cha-tcom-mnd').guests[0].microphone, 5000, 'the microphone to be muted');
+    assert.deepEqual(commands, ['Alice mute']);
+
+    simulator.postMessage('cha-tcom-mnd', 'Alice', '!status');
+    await waitUntil(() => simulator.getMeeting('cha-tcom-mnd').chat.some(message => /^ℹ️ State: in-call/.test(message.text)),
+      5000, 'the status reply');
+    assert.ok(simulator.getMeeting('cha-tcom-mnd').chat.some(message => message.text === '🔇 Muted'));
+  });
+
+  it('answers questions addressed to it in the chat', async () => {
+    const url = simulator.createMeeting('ass-ista-ant');
+    const openai = { chat: { completions: { create: async () => ({ choices: [{ message: { content: 'The demo takes ten minutes.' } }] }) } } };
+    await launchBot({ openai, assistant: { enabled: true } });
+    await bot.join(url);
+    await bot.startChat();
+
+    simulator.postMessage('ass-ista-ant', 'Alice', 'Test Bot, how long is the demo?');
+    await waitUntil(() => simulator.getMeeting('ass-ista-ant').chat.some(message => message.text === 'The demo takes ten minutes.'),
+      5000, 'the answer in chat');
+    await waitUntil(() => speech.spoken.includes('The demo takes ten minutes.'), 5000, 'the spoken answer');
+  });
+
+  it('keeps the meeting alive without leaving the call', async () => {
+    const url = simulator.createMeeting('kee-pali-vee');
+    await launchBot({
+      keepAlive: { microIntervalMs: 1000, minorAudioIntervalMs: 1500, majorIntervalMs: 2500, healthCheckIntervalMs: 3000 }
+    });
+    await bot.join(url);
+    const greeting = speech.spoken.length;
+
+    const timers = await bot.startKeepAlive();
+    assert.equal(timers.length, 4);
+    await waitUntil(() => speech.spoken.length >= greeting + 2, 10000, 'keep-alive speech');
+
+    assert.equal(await bot.isInMeeting(), true);
+    assert.equal(simulator.getMeeting('kee-pali-vee').guests[0].status, 'in-call');
+  });
+
+  it('reports participants joining and leaving', async () => {
+    const url = simulator.createMeeting('peo-plep-nel', { participants: ['Alice'] });
+    await launchBot();
+    const joinedNames = [];
+    bot.on('participantJoined', ({ name }) => joinedNames.push(name));
+    await bot.join(url);
+    await waitUntil(() => joinedNames.includes('Alice'), 10000, 'Alice to be reported');
+
+    const left = new Promise(resolve => bot.once('participantLeft', resolve));
+    simulator.addParticipant('peo-plep-nel', 'Carol');
+    await waitUntil(() => joinedNames.includes('Carol'), 10000, 'Carol to be reported');
+    simulator.removeParticipant('peo-plep-nel', 'Alice');
+    assert.equal((await left).name, 'Alice');
+  });
+
+  it('reads roles from the People panel and writes an attendance report', async () => {
+    const url = simulator.createMeeting('att-enda-nce', { participants: [{ name: 'Alice', role: 'host' }] });
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attendance-e2e-'));
+    try {
+      await launchBot({ roster: { report: true, dir, pollIntervalMs: 500 } });
+      await bot.join(url);
+      simulator.addParticipant('att-enda-nce', 'Bob', { role: 'co-host' });
+
+      await bot.refreshRoster();
+      await waitUntil(() => bot.participants().some(({ name, role }) => name === 'Bob' && role === 'co-host'), 5000, 'Bob in the People panel');
+      assert.deepEqual(bot.participants().map(({ name, role, self }) => `${name} ${role}${self ? ' (self)' : ''}`).sort(),
+        ['Alice host', 'Bob co-host', 'Test Bot participant (self)']);
+
+      const attendance = new Promise(resolve => bot.once('attendance', resolve));
+      await bot.leave();
+      const { files, participants } = await attendance;
+      assert.deepEqual(participants.map(({ name }) => name).sort(), ['Alice', 'Bob', 'Test Bot']);
+      const csv = fs.readFileSync(files.csv, 'utf8').trim().split('\n');
+      assert.equal(csv.length, 4);
+      assert.ok(csv.some(row => row.startsWith('Alice,host,false,')));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('emits "left" when removed or when the call ends', async () => {
+    const removedUrl = simulator.createMeeting('rem-oved-bot');
+    await launchBot();
+    await bot.join(removedUrl);
+    const removed = new Promise(resolve => bot.once('left', resolve));
+    simulator.remove('rem-oved-bot');
+    assert.equal((await removed).reason, 'removed');
+
+    const endedUrl = simulator.createMeeting('end-edca-lll');
+    await bot.join(endedUrl);
+    const ended = new Promise(resolve => bot.once('left', resolve));
+    simulator.endCall('end-edca-lll');
+    assert.equal((await ended).reason, 'call-ended');
+  });
+
+  it('leaves with the "Leave call" button, and by itself once alone', async () => {
+    const url = simulator.createMeeting('lea-vecl-ick');
+    await launchBot();
+    await bot.join(url);
+    const left = new Promise(resolve => bot.once('left', resolve));
+    assert.equal(await bot.leave('done'), true);
+    assert.equal((await left).reason, 'done');
+    assert.equal(bot.state, 'left');
+    assert.ok(simulator.findGuest('lea-vecl-ick', 'Test Bot', 'left'));
+
+    const aloneUrl = simulator.createMeeting('alo-neal-one', { participants: [{ name: 'Alice' }] });
+    await bot.close();
+    await launchBot({ roster: { pollIntervalMs: 500 }, autoLeave: { aloneMinutes: 0.05 } });
+    await bot.join(aloneUrl);
+    await waitUntil(() => bot.participants().some(({ name }) => name === 'Alice'), 5000, 'Alice in the roster');
+    const leftAlone = new Promise(resolve => bot.once('left', resolve));
+    simulator.removeParticipant('alo-neal-one', 'Alice');
+    assert.equal((await leftAlone).reason, 'alone');
+    assert.ok(simulator.findGuest('alo-neal-one', 'Test Bot', 'left'));
+  });
+
+  it('rejoins after a dropped connection or a browser crash and presents again', async () => {
+    const url = simulator.createMeeting('rec-onne-cts');
+    await launchBot({ reconnect: { initialDelayMs: 100, checkIntervalMs: 500 } });
+    await bot.join(url);
+    assert.equal(await bot.shareScreen(), true);
+    const attempts = [];
+    bot.on('reconnecting', ({ cause, attempt }) => attempts.push(`${cause} ${attempt}`));
+
+    const reconnected = new Promise(resolve => bot.once('reconnected', resolve));
+    simulator.dropConnection('rec-onne-cts', 'Test Bot');
+    assert.equal((await reconnected).cause, 'rejoin-prompt');
+    const guest = simulator.findGuest('rec-onne-cts', 'Test Bot', 'in-call');
+    assert.equal(simulator.getMeeting('rec-onne-cts').presenter, guest.id);
+    assert.equal(bot.state, 'presenting');
+
+    const relaunched = new Promise(resolve => bot.once('reconnected', resolve));
+    await bot.browser.close();
+    assert.equal((await relaunched).cause, 'browser-disconnected');
+    // The crashed browser never left, so the newest guest is the rejoined bot
+    const guests = simulator.getMeeting('rec-onne-cts').guests;
+    assert.equal(guests.length, 3);
+    assert.equal(simulator.getMeeting('rec-onne-cts').presenter, guests[2].id);
+    assert.deepEqual(attempts, ['rejoin-prompt 1', 'browser-disconnected 1']);
+  });
+});
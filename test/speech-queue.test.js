@@ -0,0 +1,133 @@
+/**
+ * Tests for the serialized speech queue
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SpeechQueue } = require('../lib/speech-queue');
+
+const CLIP_MS = 50;
+
+/**
+ * Speech stand-in that "plays" every line for CLIP_MS and can be stopped
+ */
+function timedSpeech() {
+  const log = [];
+  let playing = 0;
+  let stopCurrent = null;
+  return {
+    log,
+    maxConcurrent: 0,
+    async synthesizeSpeech(text, { onStart } = {}) {
+      playing++;
+      this.maxConcurrent = Math.max(this.maxConcurrent, playing);
+      log.push(`start ${text}`);
+      if (onStart) onStart({ durationMs: CLIP_MS });
+      const stopped = await new Promise(res => {
+        const timer = setTimeout(() => res(false), CLIP_MS);
+        stopCurrent = () => {
+          clearTimeout(timer);
+          res(true);
+        };
+      });
+      stopCurrent = null;
+      playing--;
+      log.push(`${stopped ? 'stop' : 'end'} ${text}`);
+      return !stopped;
+    },
+    async stop() {
+      if (stopCurrent) stopCurrent();
+    }
+  };
+}
+
+describe('SpeechQueue', () => {
+  it('never plays two utterances at once', async () => {
+    const speech = timedSpeech();
+    const queue = new SpeechQueue({ speech });
+
+    const results = await Promise.all([queue.say('one'), queue.say('two'), queue.say('three')]);
+    assert.deepEqual(results, [true, true, true]);
+    assert.equal(speech.maxConcurrent, 1);
+    assert.deepEqual(speech.log, ['start one', 'end one', 'start two', 'end two', 'start three', 'end three']);
+  });
+
+  it('speaks higher priorities first', async () => {
+    const speech = timedSpeech();
+    const queue = new SpeechQueue({ speech });
+
+    const first = queue.say('first');
+    const rest = [queue.say('chatter', { priority: 'low' }), queue.say('narration'), queue.say('announcement', { priority: 'high' })];
+    await Promise.all([first, ...rest]);
+    assert.deepEqual(speech.log.filter(line => line.startsWith('start')), [
+      'start first', 'start announcement', 'start narration', 'start chatter'
+    ]);
+  });
+
+  it('lets urgent items interrupt less urgent speech', async () => {
+    const speech = timedSpeech();
+    const queue = new SpeechQueue({ speech });
+
+    const chatter = queue.enqueue('chatter', { priority: 'low' });
+    await new Promise(res => setTimeout(res, 10));
+    const goodbye = queue.enqueue('goodbye', { priority: 'urgent' });
+
+    assert.equal(await chatter.done, 'interrupted');
+    assert.equal(await goodbye.done, 'spoken');
+    assert.deepEqual(speech.log, ['start chatter', 'stop chatter', 'start goodbye', 'end goodbye']);
+  });
+
+  it('drops stale low-priority items and cancels waiting ones', async () => {
+    const speech = timedSpeech();
+    const queue = new SpeechQueue({ speech, maxAgeMs: { low: 10 } });
+
+    const playing = queue.enqueue('playing');
+    const stale = queue.enqueue('stale', { priority: 'low' });
+    const cancelled = queue.enqueue('cancelled');
+    assert.equal(cancelled.cancel(), true);
+
+    assert.equal(await playing.done, 'spoken');
+    assert.equal(await stale.done, 'dropped');
+    assert.equal(await cancelled.done, 'cancelled');
+    const state = queue.state();
+    assert.equal(state.current, null);
+    assert.deepEqual(state.pending, []);
+    assert.equal(state.spoken, 1);
+    assert.equal(state.dropped, 1);
+    assert.equal(state.cancelled, 1);
+  });
+
+  it('reports what is playing and waiting', async () => {
+    const queue = new SpeechQueue({ speech: timedSpeech() });
+    queue.say('now');
+    queue.say('later', { priority: 'low' });
+    queue.say('soon', { priority: 'high' });
+
+    const state = queue.state();
+    assert.equal(state.current.text, 'now');
+    assert.deepEqual(state.pending.map(item => `${item.priority}:${item.text}`), ['high:soon', 'low:later']);
+    assert.equal(queue.clear({ below: 'normal' }), 1);
+    await queue.idle();
+    assert.equal(queue.state().spoken, 2);
+  });
+
+  it('frees the queue before the action so it can speak again', async () => {
+    const speech = timedSpeech();
+    const queue = new SpeechQueue({ speech });
+
+    const ok = await queue.speakAndDo('outer', () => queue.say('inner'));
+    assert.equal(ok, true);
+    assert.deepEqual(speech.log, ['start outer', 'end outer', 'start inner', 'end inner']);
+  });
+
+  it('skips the action of a cancelled item', async () => {
+    const queue = new SpeechQueue({ speech: timedSpeech() });
+    let ran = false;
+
+    queue.say('first');
+    const pending = queue.speakAndDo('second', () => { ran = true; });
+    queue.clear();
+    assert.equal(await pending, false);
+    assert.equal(ran, false);
+  });
+});
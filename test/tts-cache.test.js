@@ -0,0 +1,118 @@
+/**
+ * Tests for the on-disk TTS cache
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { TtsCache } = require('../lib/tts-cache');
+const { createSpeech } = require('../lib/tts');
+const { collectNarration } = require('../lib/demo-script');
+const { toneWav } = require('./helpers');
+
+const VOICE = { model: 'tts-1', voice: 'nova', speed: 1, format: 'wav', output: 'page' };
+const params = text => ({ text, model: VOICE.model, voice: VOICE.voice, speed: VOICE.speed, format: VOICE.format });
+
+describe('TtsCache', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tts-cache-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('keys clips by text and every voice setting', () => {
+    const key = TtsCache.keyFor(params('Hello'));
+    assert.equal(key, TtsCache.keyFor({ ...params('Hello'), speed: '1' }));
+    assert.notEqual(key, TtsCache.keyFor(params('Hello!')));
+    assert.notEqual(key, TtsCache.keyFor({ ...params('Hello'), voice: 'alloy' }));
+    assert.notEqual(key, TtsCache.keyFor({ ...params('Hello'), speed: 1.1 }));
+  });
+
+  it('stores clips with their duration and counts hits and misses', async () => {
+    const cache = new TtsCache({ dir });
+    assert.equal(await cache.get(params('Hello')), null);
+
+    const clip = toneWav(300);
+    await cache.set(params('Hello'), clip, { durationMs: 300 });
+    const hit = await cache.get(params('Hello'));
+
+    assert.deepEqual(hit.buffer, clip);
+    assert.equal(hit.durationMs, 300);
+    const stats = await cache.stats();
+    assert.equal(stats.entries, 1);
+    assert.equal(stats.bytes, clip.length);
+    assert.equal(stats.hits, 1);
+    assert.equal(stats.misses, 1);
+  });
+
+  it('evicts the least recently used clips above maxBytes', async () => {
+    const clip = toneWav(200);
+    const cache = new TtsCache({ dir, maxBytes: clip.length * 2 });
+    await cache.set(params('one'), clip);
+    await cache.set(params('two'), clip);
+
+    // Make "one" the most recently used clip
+    const old = new Date(Date.now() - 60000);
+    await fs.utimes(cache.clipPath(TtsCache.keyFor(params('two')), 'wav'), old, old);
+    await cache.get(params('one'));
+
+    await cache.set(params('three'), clip);
+    assert.equal(await cache.has(params('one')), true);
+    assert.equal(await cache.has(params('two')), false);
+    assert.equal(await cache.has(params('three')), true);
+  });
+
+  it('prunes clips unused for longer than olderThanMs and clears the rest', async () => {
+    const cache = new TtsCache({ dir });
+    await cache.set(params('stale'), toneWav(100));
+    await cache.set(params('fresh'), toneWav(100));
+    const old = new Date(Date.now() - 2 * 86400000);
+    await fs.utimes(cache.clipPath(TtsCache.keyFor(params('stale')), 'wav'), old, old);
+
+    assert.equal((await cache.prune({ olderThanMs: 86400000 })).removed, 1);
+    assert.deepEqual((await cache.entries()).map(entry => entry.text), ['fresh']);
+    assert.equal((await cache.clear()).removed, 1);
+    assert.equal((await cache.stats()).entries, 0);
+  });
+
+  it('lets render skip synthesis for cached lines', async () => {
+    const cache = new TtsCache({ dir });
+    let calls = 0;
+    const openai = {
+      audio: { speech: { create: async () => { calls++; return { arrayBuffer: async () => toneWav(250) }; } } }
+    };
+    const { render } = createSpeech({ voice: VOICE, openai, cache });
+
+    const first = await render('Hello');
+    const second = await render('Hello');
+    assert.equal(calls, 1);
+    assert.equal(first.cached, false);
+    assert.equal(second.cached, true);
+    assert.equal(second.durationMs, 250);
+    assert.deepEqual(second.buffer, first.buffer);
+  });
+});
+
+describe('collectNarration', () => {
+  it('gathers every spoken line with placeholders filled in', () => {
+    const script = {
+      vars: { product: 'Dashboard' },
+      steps: [
+        { type: 'say', text: 'Welcome to {{product}}' },
+        { type: 'goto', url: '{{loginUrl}}', say: 'Opening {{loginUrl}}' },
+        { type: 'wait', ms: 100 },
+        { type: 'repeat', steps: [{ type: 'say', text: 'Welcome to {{product}}' }, { type: 'say', text: 'Hi {{missing}}' }] }
+      ]
+    };
+    assert.deepEqual(collectNarration(script, { loginUrl: 'https://example.com' }), [
+      'Welcome to Dashboard',
+      'Opening https://example.com'
+    ]);
+  });
+});
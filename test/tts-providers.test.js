@@ -0,0 +1,150 @@
+/**
+ * Tests for the TTS provider chain
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createTtsEngine, TtsProviderError } = require('../lib/tts-providers');
+const { createConfig } = require('../lib/config');
+const { toneWav } = require('./helpers');
+
+const VOICE = { model: 'tts-1', voice: 'nova', speed: 1, format: 'wav' };
+
+/**
+ * Provider stand-in that fails while `failing` is set
+ */
+function fakeProvider(name, { failing = false, available = true } = {}) {
+  const provider = {
+    name,
+    model: name,
+    format: 'wav',
+    failing,
+    calls: 0,
+    available: () => available,
+    async synthesize() {
+      provider.calls++;
+      if (provider.failing) throw new Error(`${name} is down`);
+      return { buffer: toneWav(200), format: 'wav' };
+    }
+  };
+  return provider;
+}
+
+describe('createTtsEngine', () => {
+  it('falls back to the next provider and reports which one spoke', async () => {
+    const primary = fakeProvider('primary', { failing: true });
+    const backup = fakeProvider('backup');
+    const engine = createTtsEngine({ voice: VOICE, providers: [primary, backup] });
+
+    const clip = await engine.synthesize('Hello');
+    assert.equal(clip.provider, 'backup');
+    assert.equal(clip.format, 'wav');
+    assert.equal(clip.durationMs, 200);
+    assert.equal(primary.calls, 1);
+  });
+
+  it('skips unavailable providers and names every failure when all fail', async () => {
+    const missing = fakeProvider('missing', { available: 'not installed' });
+    const broken = fakeProvider('broken', { failing: true });
+    const engine = createTtsEngine({ voice: VOICE, providers: [missing, broken] });
+
+    await assert.rejects(engine.synthesize('Hello'), err => {
+      assert.ok(err instanceof TtsProviderError);
+      assert.deepEqual(err.attempts, [
+        { provider: 'missing', error: 'not installed' },
+        { provider: 'broken', error: 'broken is down' }
+      ]);
+      return true;
+    });
+    assert.equal(missing.calls, 0);
+    assert.equal(engine.preferred().name, 'broken');
+  });
+
+  it('puts a repeatedly failing provider on cooldown and tracks its health', async () => {
+    const primary = fakeProvider('primary', { failing: true });
+    const backup = fakeProvider('backup');
+    const engine = createTtsEngine({ voice: VOICE, providers: [primary, backup], cooldownMs: 60000 });
+
+    await engine.synthesize('one');
+    await engine.synthesize('two');
+    await engine.synthesize('three');
+    assert.equal(primary.calls, 2, 'not tried again while cooling down');
+
+    const [primaryHealth, backupHealth] = engine.health();
+    assert.equal(primaryHealth.coolingDown, true);
+    assert.equal(primaryHealth.failures, 2);
+    assert.equal(primaryHealth.lastError, 'primary is down');
+    assert.equal(backupHealth.successes, 3);
+    assert.equal(backupHealth.coolingDown, false);
+  });
+
+  it('still tries a provider on cooldown when nothing else works', async () => {
+    const only = fakeProvider('only', { failing: true });
+    const engine = createTtsEngine({ voice: VOICE, providers: [only], cooldownMs: 60000 });
+    await assert.rejects(engine.synthesize('one'));
+    await assert.rejects(engine.synthesize('two'));
+
+    only.failing = false;
+    assert.equal((await engine.synthesize('three')).provider, 'only');
+    assert.equal(engine.health()[0].coolingDown, false);
+  });
+
+  it('rejects unknown provider names', () => {
+    assert.throws(() => createTtsEngine({ voice: { ...VOICE, providers: ['nope'] } }), TtsProviderError);
+  });
+
+  it('asks OpenAI for the configured format', async () => {
+    const requests = [];
+    const openai = {
+      audio: {
+        speech: {
+          async create(params) {
+            requests.push(params);
+            return { arrayBuffer: async () => toneWav(250) };
+          }
+        }
+      }
+    };
+    const engine = createTtsEngine({ voice: { ...VOICE, providers: ['openai'] }, openai });
+    const clip = await engine.synthesize('Hello');
+
+    assert.equal(clip.provider, 'openai');
+    assert.equal(clip.format, 'wav');
+    assert.equal(clip.durationMs, 250);
+    assert.deepEqual(requests, [{ model: 'tts-1', voice: 'nova', input: 'Hello', speed: 1, response_format: 'wav' }]);
+  });
+
+  it('synthesizes through a local HTTP server', async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push(JSON.parse(body));
+        res.writeHead(200, { 'Content-Type': 'audio/wav' });
+        res.end(toneWav(300));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const httpUrl = `http://127.0.0.1:${server.address().port}/tts`;
+      const engine = createTtsEngine({ voice: { ...VOICE, format: 'mp3', providers: ['http'], httpUrl } });
+      const clip = await engine.synthesize('Hello');
+
+      assert.equal(clip.provider, 'http');
+      assert.equal(clip.format, 'wav');
+      assert.equal(clip.durationMs, 300);
+      assert.deepEqual(requests, [{ text: 'Hello', voice: 'nova', speed: 1, format: 'mp3' }]);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('reads the fallback order from the config', () => {
+    assert.deepEqual(createConfig().voice.providers, ['openai', 'say', 'espeak']);
+    assert.deepEqual(createConfig({ voice: { providers: 'http, espeak' } }).voice.providers, ['http', 'espeak']);
+    assert.throws(() => createConfig({ voice: { providers: [] } }), /must not be empty/);
+  });
+});
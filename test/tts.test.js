@@ -0,0 +1,75 @@
+/**
+ * Tests for speech timing in the TTS layer
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSpeech } = require('../lib/tts');
+const { toneWav, fakeOpenAI } = require('./helpers');
+
+const CLIP_MS = 400;
+
+/**
+ * Page audio stand-in that "plays" every clip for CLIP_MS
+ */
+function fakePageAudio(events) {
+  return {
+    isAttached: () => true,
+    async play(buffer, { onStart } = {}) {
+      events.push('start');
+      if (onStart) onStart({ durationMs: CLIP_MS });
+      await new Promise(res => setTimeout(res, CLIP_MS));
+      events.push('end');
+      return { durationMs: CLIP_MS };
+    }
+  };
+}
+
+function speech(events, onSpeaking) {
+  return createSpeech({
+    voice: { model: 'tts-1', voice: 'nova', speed: 1, format: 'wav', output: 'page' },
+    openai: fakeOpenAI(toneWav(CLIP_MS)),
+    pageAudio: fakePageAudio(events),
+    onSpeaking
+  });
+}
+
+describe('speakAndDo', () => {
+  it('runs the action as soon as playback ends', async () => {
+    const events = [];
+    const { speakAndDo } = speech(events);
+    const startedAt = Date.now();
+
+    assert.equal(await speakAndDo('Hello', () => events.push('action')), true);
+    assert.deepEqual(events, ['start', 'end', 'action']);
+    assert.ok(Date.now() - startedAt < CLIP_MS + 300, 'no extra wait after playback');
+  });
+
+  it('starts the action mid-sentence with overlapMs', async () => {
+    const events = [];
+    const { speakAndDo } = speech(events);
+
+    await speakAndDo('Hello', () => events.push('action'), { overlapMs: 200 });
+    assert.deepEqual(events, ['start', 'action', 'end']);
+  });
+
+  it('still runs the action when synthesis fails', async () => {
+    const events = [];
+    const { speakAndDo } = createSpeech({
+      voice: { format: 'mp3', output: 'page' },
+      openai: { audio: { speech: { create: async () => { throw new Error('offline'); } } } },
+      pageAudio: fakePageAudio(events)
+    });
+
+    assert.equal(await speakAndDo('Hello', () => events.push('action'), { overlapMs: 200 }), false);
+    assert.deepEqual(events, ['action']);
+  });
+
+  it('reports the clip duration when playback starts', async () => {
+    const spoken = [];
+    const { synthesizeSpeech } = speech([], (text, { durationMs }) => spoken.push({ text, durationMs }));
+
+    await synthesizeSpeech('Hello');
+    assert.deepEqual(spoken, [{ text: 'Hello', durationMs: CLIP_MS }]);
+  });
+});
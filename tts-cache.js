@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Manage the on-disk TTS cache
+ * Run with: node tts-cache.js <prerender|stats|prune|clear> [options]
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { loadConfig, ConfigError, USAGE } = require('./lib/config');
+const { TtsCache } = require('./lib/tts-cache');
+const { createSpeech } = require('./lib/tts');
+const { SPOKEN_LINES } = require('./lib/meet');
+const { loadScript, collectNarration } = require('./lib/demo-script');
+
+const CACHE_USAGE = `Usage: node tts-cache.js <command> [options]
+
+Commands:
+  prerender             Synthesize the bot's fixed lines and the demo script narration
+  stats                 Show the size and contents of the cache
+  prune                 Evict least recently used clips above ttsCache.maxSizeMb
+  clear                 Remove every cached clip
+
+Options:
+  --older-than <days>   prune: also remove clips unused for this many days
+  Voice, demo and config options are the same as for the bot:
+
+${USAGE.split('\n').slice(3).join('\n')}`;
+
+const formatMb = bytes => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+async function prerender(config, cache) {
+  const speech = createSpeech({ voice: config.voice, cache });
+  const lines = [...SPOKEN_LINES];
+
+  if (config.demo.enabled) {
+    const script = await loadScript(path.resolve(config.demo.script));
+    const { demo, identity } = config;
+    lines.push(...collectNarration(script, {
+      loginUrl: demo.loginUrl,
+      dataUrl: demo.dataUrl,
+      newsUrl: demo.newsUrl,
+      visualizationUrl: demo.visualizationUrl,
+      formUrl: demo.formUrl,
+      botName: identity.name
+    }));
+  }
+
+  let rendered = 0;
+  let failed = 0;
+  for (const text of new Set(lines)) {
+    try {
+      const { cached } = await speech.render(text);
+      if (!cached) rendered++;
+    } catch (err) {
+      failed++;
+      console.error(`❌ Could not synthesize "${text}": ${err.message}`);
+    }
+  }
+
+  const { entries, bytes } = await cache.stats();
+  console.log(`✅ ${rendered} new clip(s) synthesized, ${cache.hits} already cached, ${failed} failed`);
+  console.log(`💾 Cache now holds ${entries} clip(s), ${formatMb(bytes)}`);
+  return failed === 0;
+}
+
+async function showStats(cache) {
+  const stats = await cache.stats();
+  console.log(`Directory:  ${stats.dir}`);
+  console.log(`Clips:      ${stats.entries}`);
+  console.log(`Size:       ${formatMb(stats.bytes)} of ${formatMb(stats.maxBytes)}`);
+  if (stats.entries) {
+    console.log(`Last used:  ${stats.newestUse.toISOString()} (oldest ${stats.oldestUse.toISOString()})`);
+    for (const entry of await cache.entries()) {
+      const seconds = entry.durationMs ? `${(entry.durationMs / 1000).toFixed(1)}s` : '?s';
+      console.log(`  ${entry.key.slice(0, 12)}  ${seconds.padStart(6)}  ${entry.voice || '?'}  "${entry.text || ''}"`);
+    }
+  }
+  return true;
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  if (!command || command === '-h' || command === '--help') {
+    console.log(CACHE_USAGE);
+    return true;
+  }
+
+  let olderThanMs;
+  const olderThanIndex = rest.indexOf('--older-than');
+  if (olderThanIndex !== -1) {
+    const days = Number(rest[olderThanIndex + 1]);
+    if (command !== 'prune' || !(days >= 0)) {
+      throw new ConfigError('--older-than takes a number of days and only applies to prune');
+    }
+    olderThanMs = days * 24 * 60 * 60 * 1000;
+    rest.splice(olderThanIndex, 2);
+  }
+
+  const config = loadConfig({ argv: rest, requireAll: false });
+  const cache = new TtsCache({
+    dir: path.resolve(config.ttsCache.dir),
+    maxBytes: config.ttsCache.maxSizeMb * 1024 * 1024
+  });
+
+  switch (command) {
+    case 'prerender':
+      return prerender(config, cache);
+    case 'stats':
+      return showStats(cache);
+    case 'prune': {
+      const { removed, freedBytes } = await cache.prune({ olderThanMs });
+      console.log(`🧹 Removed ${removed} clip(s), freed ${formatMb(freedBytes)}`);
+      return true;
+    }
+    case 'clear': {
+      const { removed, freedBytes } = await cache.clear();
+      console.log(`🧹 Removed ${removed} clip(s), freed ${formatMb(freedBytes)}`);
+      return true;
+    }
+    default:
+      throw new ConfigError(`Unknown command "${command}"`);
+  }
+}
+
+main().then(ok => {
+  process.exitCode = ok ? 0 : 1;
+}).catch(err => {
+  if (err instanceof ConfigError) {
+    console.error(`❌ ${err.message}`);
+    console.error(`\n${CACHE_USAGE}`);
+  } else {
+    console.error('❌ Fatal error:', err);
+  }
+  process.exitCode = 1;
+});